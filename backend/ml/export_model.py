@@ -0,0 +1,80 @@
+#!/usr/bin/env python3
+"""
+Heart Failure Model Export
+Serializes a trained forest (trees, thresholds, scaler parameters) to JSON
+so the Node backend can score it without Python (see utils/mlPredictor.js)
+"""
+
+import sys
+import json
+import argparse
+
+from predict import HeartFailurePredictor, DEFAULT_MODEL_PATH, REQUIRED_FIELDS
+
+def export_forest(predictor):
+    """Build the JSON-serializable description of a fitted predictor"""
+    positive_class = list(predictor.model.classes_).index(1)
+    trees = []
+
+    for estimator in predictor.model.estimators_:
+        tree = estimator.tree_
+        values = tree.value[:, 0, :]
+
+        trees.append({
+            'childrenLeft': tree.children_left.tolist(),
+            'childrenRight': tree.children_right.tolist(),
+            'feature': tree.feature.tolist(),
+            'threshold': tree.threshold.tolist(),
+            # Normalized exactly as sklearn's predict_proba does
+            'probability': (values[:, positive_class] / values.sum(axis=1)).tolist()
+        })
+
+    return {
+        'format': 'heart-failure-forest',
+        'formatVersion': 1,
+        'version': predictor.version,
+        'features': REQUIRED_FIELDS,
+        'scaler': {
+            'mean': predictor.scaler.mean_.tolist(),
+            'scale': predictor.scaler.scale_.tolist()
+        },
+        'trainingStats': predictor.training_stats,
+        'trees': trees
+    }
+
+def forest_path(artifact_path):
+    """Location of the JSON export for a .joblib artifact"""
+    return artifact_path[:-len('.joblib')] + '.forest.json' if artifact_path.endswith('.joblib') \
+        else artifact_path + '.forest.json'
+
+def save_forest(predictor, path):
+    """Write the JSON export of a predictor to disk"""
+    with open(path, 'w') as f:
+        json.dump(export_forest(predictor), f)
+    return path
+
+def main():
+    """Export a saved model artifact to JSON"""
+    parser = argparse.ArgumentParser(description='Export the heart failure model to JSON')
+    parser.add_argument('--model', default=DEFAULT_MODEL_PATH, help='Path of the model artifact to export')
+    parser.add_argument('--output', help='Path of the JSON file to write (default: next to the artifact)')
+    args = parser.parse_args()
+
+    try:
+        predictor = HeartFailurePredictor.load_or_train(args.model)
+        path = save_forest(predictor, args.output or forest_path(args.model))
+
+        print(json.dumps({
+            'success': True,
+            'forestPath': path,
+            'trees': len(predictor.model.estimators_)
+        }))
+    except Exception as e:
+        print(json.dumps({
+            'success': False,
+            'error': f'Export failed: {str(e)}'
+        }))
+        sys.exit(1)
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,71 @@
+#!/usr/bin/env python3
+"""
+Forest Parity Fixture
+Trains a small forest on the synthetic data, exports it as the Node backend
+does, and records what ml/predict.py returns for a fixed set of inputs, so
+the JavaScript evaluator can be checked against it without Python
+(see tests/forestParity.test.js)
+"""
+
+import os
+import json
+import argparse
+
+import numpy as np
+from sklearn.ensemble import RandomForestClassifier
+
+from predict import HeartFailurePredictor, score
+from export_model import export_forest
+
+DEFAULT_OUTPUT = os.path.join(
+    os.path.dirname(os.path.abspath(__file__)), '..', 'tests', 'fixtures', 'forestParity.json'
+)
+
+class SmallForestPredictor(HeartFailurePredictor):
+    """The standard predictor with a forest small enough to commit"""
+
+    def build_model(self):
+        return RandomForestClassifier(n_estimators=8, max_depth=5, random_state=42)
+
+def sample_inputs(count, seed=7):
+    """Encoded inputs spanning (and slightly beyond) the training ranges"""
+    rng = np.random.default_rng(seed)
+    samples = []
+    for _ in range(count):
+        samples.append({
+            'age': int(rng.integers(18, 96)),
+            'sex': int(rng.integers(0, 2)),
+            'chestPainType': int(rng.integers(0, 4)),
+            'restingBP': int(rng.integers(80, 211)),
+            'cholesterol': int(rng.integers(90, 421)),
+            'fastingBS': int(rng.integers(0, 2)),
+            'restingECG': int(rng.integers(0, 3)),
+            'maxHR': int(rng.integers(55, 211)),
+            'exerciseAngina': int(rng.integers(0, 2)),
+            'oldpeak': round(float(rng.uniform(-3, 7)), 1),
+            'stSlope': int(rng.integers(0, 3))
+        })
+    return samples
+
+def main():
+    """Write the fixture"""
+    parser = argparse.ArgumentParser(description='Write the forest parity fixture')
+    parser.add_argument('--output', default=DEFAULT_OUTPUT, help='Path of the JSON file to write')
+    parser.add_argument('--samples', type=int, default=60, help='Number of inputs to record')
+    args = parser.parse_args()
+
+    predictor = SmallForestPredictor()
+    predictor.version = 'parity-fixture'
+    predictor.train_simple_model()
+
+    cases = [{'input': sample, 'expected': score(predictor, sample)} for sample in sample_inputs(args.samples)]
+
+    os.makedirs(os.path.dirname(os.path.abspath(args.output)), exist_ok=True)
+    with open(args.output, 'w') as f:
+        json.dump({'forest': export_forest(predictor), 'cases': cases}, f, indent=1)
+        f.write('\n')
+
+    print(json.dumps({'success': True, 'output': args.output, 'cases': len(cases)}))
+
+if __name__ == '__main__':
+    main()
@@ -12,10 +12,55 @@ from sklearn.preprocessing import StandardScaler
 import joblib
 import os
 
+# Default location of the persisted model artifact
+MODEL_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'models')
+DEFAULT_MODEL_PATH = os.environ.get(
+    'ML_MODEL_PATH',
+    os.path.join(MODEL_DIR, 'heart_failure_model.joblib')
+)
+
+# Input fields expected from the Node backend, in model feature order
+REQUIRED_FIELDS = [
+    'age', 'sex', 'chestPainType', 'restingBP', 'cholesterol',
+    'fastingBS', 'restingECG', 'maxHR', 'exerciseAngina',
+    'oldpeak', 'stSlope'
+]
+
+# Inputs with a small set of encoded values; the rest are continuous
+CATEGORICAL_FIELDS = ['sex', 'chestPainType', 'fastingBS', 'restingECG', 'exerciseAngina', 'stSlope']
+
+def feature_distribution(X):
+    """Summarize each training column for drift monitoring.
+
+    Continuous inputs are binned at the training deciles, a value falling in
+    the first bin whose upper edge it does not exceed; categorical inputs are
+    recorded as the share of each encoded value.
+    """
+    distribution = {}
+    for i, field in enumerate(REQUIRED_FIELDS):
+        column = X[:, i]
+        if field in CATEGORICAL_FIELDS:
+            values, counts = np.unique(column, return_counts=True)
+            distribution[field] = {
+                'type': 'categorical',
+                'frequencies': {str(int(v)): float(c / len(column)) for v, c in zip(values, counts)}
+            }
+        else:
+            edges = np.unique(np.percentile(column, np.arange(10, 100, 10)))
+            counts = np.bincount(np.searchsorted(edges, column, side='left'), minlength=len(edges) + 1)
+            distribution[field] = {
+                'type': 'continuous',
+                'edges': edges.tolist(),
+                'proportions': (counts / len(column)).tolist()
+            }
+    return distribution
+
 # Simple heart failure prediction model
 class HeartFailurePredictor:
     def __init__(self):
         self.model = None
+        self.version = None
+        self.training_stats = None
         self.scaler = StandardScaler()
         self.feature_names = [
             'age', 'sex', 'chest_pain_type', 'resting_bp', 'cholesterol',
@@ -23,8 +68,8 @@ class HeartFailurePredictor:
             'oldpeak', 'st_slope'
         ]
         
-    def train_simple_model(self):
-        """Train a simple model with synthetic data"""
+    def generate_synthetic_data(self):
+        """Generate the synthetic training set used by the default model"""
         # Generate synthetic training data
         np.random.seed(42)
         n_samples = 1000
@@ -70,25 +115,85 @@ class HeartFailurePredictor:
         
         # Convert to binary classification (0: low risk, 1: high risk)
         y = (risk_score > np.median(risk_score)).astype(int)
-        
-        # Train model
-        self.model = RandomForestClassifier(
+
+        return X, y
+
+    def build_model(self):
+        """Create an untrained classifier with the standard hyperparameters"""
+        return RandomForestClassifier(
             n_estimators=100,
             max_depth=10,
             random_state=42
         )
-        
-        # Scale features
+
+    def fit(self, X, y):
+        """Fit the scaler and model on the given training data"""
+        self.model = self.build_model()
+        self.training_stats = {
+            'min': X.min(axis=0).tolist(),
+            'max': X.max(axis=0).tolist(),
+            'mean': X.mean(axis=0).tolist(),
+            'std': X.std(axis=0).tolist(),
+            'distribution': feature_distribution(X)
+        }
         X_scaled = self.scaler.fit_transform(X)
         self.model.fit(X_scaled, y)
-        
+
         return self.model
+
+    def train_simple_model(self):
+        """Train a simple model with synthetic data"""
+        X, y = self.generate_synthetic_data()
+        return self.fit(X, y)
     
-    def predict(self, features):
-        """Make prediction for given features"""
+    def save(self, path=DEFAULT_MODEL_PATH):
+        """Persist the fitted model and scaler to disk"""
         if self.model is None:
-            self.train_simple_model()
-        
+            raise ValueError('Model has not been trained')
+
+        os.makedirs(os.path.dirname(path), exist_ok=True)
+        joblib.dump({
+            'model': self.model,
+            'scaler': self.scaler,
+            'feature_names': self.feature_names,
+            'version': self.version,
+            'training_stats': self.training_stats
+        }, path)
+
+        return path
+
+    @classmethod
+    def load(cls, path=DEFAULT_MODEL_PATH):
+        """Load a previously saved model artifact"""
+        artifact = joblib.load(path)
+
+        predictor = cls()
+        predictor.model = artifact['model']
+        predictor.scaler = artifact['scaler']
+        predictor.feature_names = artifact.get('feature_names', predictor.feature_names)
+        predictor.version = artifact.get('version')
+        predictor.training_stats = artifact.get('training_stats')
+
+        return predictor
+
+    @classmethod
+    def load_or_train(cls, path=DEFAULT_MODEL_PATH):
+        """Load the saved artifact, training and saving one if it is missing"""
+        if os.path.exists(path):
+            return cls.load(path)
+
+        predictor = cls()
+        predictor.train_simple_model()
+        predictor.save(path)
+
+        # Keep the JSON export used by the Node evaluator in step with the artifact
+        from export_model import save_forest, forest_path
+        save_forest(predictor, forest_path(path))
+
+        return predictor
+
+    def to_feature_array(self, features):
+        """Build the scaled feature row for the given input data"""
         # Ensure features are in correct order
         feature_array = np.array([
             features['age'],
@@ -105,13 +210,148 @@ class HeartFailurePredictor:
         ]).reshape(1, -1)
         
         # Scale features
-        feature_array_scaled = self.scaler.transform(feature_array)
+        return self.scaler.transform(feature_array)
+
+    def predict(self, features):
+        """Make prediction for given features"""
+        if self.model is None:
+            self.train_simple_model()
+        
+        feature_array_scaled = self.to_feature_array(features)
         
         # Get prediction probability
         prediction = self.model.predict_proba(feature_array_scaled)[0][1]
         
         return prediction
 
+    def explain(self, features):
+        """Attribute the predicted probability to each input feature.
+
+        Uses tree-path contributions: walking each tree from root to leaf,
+        the change in positive-class probability at every split is credited
+        to the feature split on. Averaged over the forest, the baseline plus
+        the contributions equals the predicted probability.
+        """
+        if self.model is None:
+            self.train_simple_model()
+
+        feature_array_scaled = self.to_feature_array(features)
+        positive_class = list(self.model.classes_).index(1)
+        contributions = np.zeros(feature_array_scaled.shape[1])
+        baseline = 0.0
+
+        for estimator in self.model.estimators_:
+            tree = estimator.tree_
+            values = tree.value[:, 0, :]
+            probabilities = values[:, positive_class] / values.sum(axis=1)
+
+            # Node ids on the decision path, ordered root to leaf
+            path = estimator.decision_path(feature_array_scaled).indices
+            baseline += probabilities[path[0]]
+
+            for parent, child in zip(path[:-1], path[1:]):
+                contributions[tree.feature[parent]] += probabilities[child] - probabilities[parent]
+
+        n_trees = len(self.model.estimators_)
+
+        return {
+            'method': 'tree_path',
+            'baseline': float(baseline / n_trees),
+            'contributions': sorted([
+                {
+                    'feature': field,
+                    'value': features[field],
+                    'contribution': float(contributions[i] / n_trees)
+                }
+                for i, field in enumerate(REQUIRED_FIELDS)
+            ], key=lambda c: abs(c['contribution']), reverse=True)
+        }
+
+    def uncertainty(self, features):
+        """Spread of the per-tree probabilities for the given features.
+
+        Each tree in the forest gives its own probability; their standard
+        deviation and 10th-90th percentile range describe how much the
+        trees disagree about this patient.
+        """
+        if self.model is None:
+            self.train_simple_model()
+
+        feature_array_scaled = self.to_feature_array(features)
+        positive_class = list(self.model.classes_).index(1)
+        tree_probabilities = np.array([
+            estimator.predict_proba(feature_array_scaled)[0][positive_class]
+            for estimator in self.model.estimators_
+        ])
+        lower, upper = np.percentile(tree_probabilities, [10, 90])
+
+        return {
+            'method': 'tree_variance',
+            'std': float(tree_probabilities.std()),
+            'interval': {
+                'lower': float(lower),
+                'upper': float(upper),
+                'percentiles': [10, 90]
+            }
+        }
+
+    def out_of_distribution(self, features):
+        """Flag inputs outside the range seen in training or far from its mean"""
+        if self.training_stats is None:
+            return None
+
+        flagged = []
+        for i, field in enumerate(REQUIRED_FIELDS):
+            value = float(features[field])
+            mean = self.training_stats['mean'][i]
+            std = self.training_stats['std'][i]
+
+            if value < self.training_stats['min'][i] or value > self.training_stats['max'][i]:
+                reason = 'outside training range'
+            elif std > 0 and abs(value - mean) / std > 3:
+                reason = 'more than 3 standard deviations from training mean'
+            else:
+                continue
+
+            flagged.append({
+                'feature': field,
+                'value': features[field],
+                'reason': reason,
+                'trainingRange': [self.training_stats['min'][i], self.training_stats['max'][i]]
+            })
+
+        return {
+            'flagged': len(flagged) > 0,
+            'features': flagged
+        }
+
+def score(predictor, input_data):
+    """Validate input data and build the prediction result"""
+    for field in REQUIRED_FIELDS:
+        if field not in input_data:
+            return {
+                'success': False,
+                'error': f'Missing required field: {field}'
+            }
+
+    prediction = predictor.predict(input_data)
+
+    # Confidence is one minus the width of the per-tree 10th-90th percentile interval
+    uncertainty = predictor.uncertainty(input_data)
+    interval = uncertainty['interval']
+    confidence = max(0.0, min(1.0, 1 - (interval['upper'] - interval['lower'])))
+
+    return {
+        'success': True,
+        'prediction': float(prediction),
+        'confidence': float(confidence),
+        'method': 'random_forest',
+        'modelVersion': predictor.version,
+        'explanation': predictor.explain(input_data),
+        'uncertainty': uncertainty,
+        'outOfDistribution': predictor.out_of_distribution(input_data)
+    }
+
 def main():
     """Main function to handle prediction requests"""
     try:
@@ -126,36 +366,9 @@ def main():
         # Parse input data
         input_data = json.loads(sys.argv[1])
         
-        # Validate input data
-        required_fields = [
-            'age', 'sex', 'chestPainType', 'restingBP', 'cholesterol',
-            'fastingBS', 'restingECG', 'maxHR', 'exerciseAngina',
-            'oldpeak', 'stSlope'
-        ]
-        
-        for field in required_fields:
-            if field not in input_data:
-                print(json.dumps({
-                    'success': False,
-                    'error': f'Missing required field: {field}'
-                }))
-                return
-        
-        # Create predictor and make prediction
-        predictor = HeartFailurePredictor()
-        prediction = predictor.predict(input_data)
-        
-        # Calculate confidence based on prediction certainty
-        confidence = 0.85 + (prediction - 0.5) * 0.2  # Higher confidence for extreme predictions
-        confidence = max(0.7, min(0.95, confidence))  # Clamp between 0.7 and 0.95
-        
-        # Return result
-        result = {
-            'success': True,
-            'prediction': float(prediction),
-            'confidence': float(confidence),
-            'method': 'random_forest'
-        }
+        # Load the persisted model and make prediction
+        predictor = HeartFailurePredictor.load_or_train()
+        result = score(predictor, input_data)
         
         print(json.dumps(result))
         
@@ -171,4 +384,4 @@ def main():
         }))
 
 if __name__ == '__main__':
-    main() 
\ No newline at end of file
+    main()
\ No newline at end of file
@@ -0,0 +1,65 @@
+#!/usr/bin/env python3
+"""
+Heart Failure Prediction Worker
+Long-lived process that loads the model once and answers prediction requests.
+
+Protocol: one JSON object per line on stdin, one JSON object per line on stdout.
+  request:  {"id": <any>, "features": {...}}
+  response: {"id": <any>, "success": true, "prediction": ..., ...}
+A {"ready": true} line is written once the model has been loaded.
+"""
+
+import sys
+import json
+import argparse
+
+from predict import HeartFailurePredictor, DEFAULT_MODEL_PATH, score
+
+def respond(message):
+    """Write a single response line and flush it immediately"""
+    sys.stdout.write(json.dumps(message) + '\n')
+    sys.stdout.flush()
+
+def main():
+    """Load the model, then serve requests until stdin is closed"""
+    parser = argparse.ArgumentParser(description='Serve heart failure predictions over stdin/stdout')
+    parser.add_argument('--model', default=DEFAULT_MODEL_PATH, help='Path of the model artifact to load')
+    args = parser.parse_args()
+
+    try:
+        predictor = HeartFailurePredictor.load_or_train(args.model)
+    except Exception as e:
+        respond({
+            'ready': False,
+            'error': f'Model loading failed: {str(e)}'
+        })
+        sys.exit(1)
+
+    respond({'ready': True, 'modelVersion': predictor.version})
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+
+        request_id = None
+        try:
+            request = json.loads(line)
+            request_id = request.get('id')
+            result = score(predictor, request.get('features') or {})
+        except json.JSONDecodeError:
+            result = {
+                'success': False,
+                'error': 'Invalid JSON input'
+            }
+        except Exception as e:
+            result = {
+                'success': False,
+                'error': f'Prediction failed: {str(e)}'
+            }
+
+        result['id'] = request_id
+        respond(result)
+
+if __name__ == '__main__':
+    main()
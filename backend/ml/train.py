@@ -0,0 +1,108 @@
+#!/usr/bin/env python3
+"""
+Heart Failure Model Training
+Trains the heart failure model and saves a versioned artifact for the model registry
+"""
+
+import sys
+import json
+import hashlib
+import argparse
+import os
+from datetime import datetime, timezone
+
+import numpy as np
+from sklearn.model_selection import cross_validate
+from sklearn.pipeline import make_pipeline
+from sklearn.preprocessing import StandardScaler
+
+from predict import HeartFailurePredictor, MODEL_DIR, REQUIRED_FIELDS
+from export_model import save_forest, forest_path
+
+def data_hash(X, y):
+    """Fingerprint the exact training data used for a model"""
+    digest = hashlib.sha256()
+    digest.update(np.ascontiguousarray(X, dtype=np.float64).tobytes())
+    digest.update(np.ascontiguousarray(y, dtype=np.int64).tobytes())
+    return digest.hexdigest()
+
+def load_dataset(path):
+    """Load labelled rows (model-encoded features plus outcome) from a JSON file"""
+    with open(path) as f:
+        rows = json.load(f)
+
+    X = np.array([[row[field] for field in REQUIRED_FIELDS] for row in rows], dtype=np.float64)
+    y = np.array([int(row['outcome']) for row in rows], dtype=np.int64)
+
+    return X, y
+
+def evaluate(predictor, X, y, folds=5):
+    """Cross-validate the standard model configuration on the training data"""
+    # Stratified folds need at least two members of each class per split
+    folds = min(folds, int(np.bincount(y, minlength=2).min()))
+    if folds < 2:
+        raise ValueError('Training data needs at least two examples of each outcome')
+
+    pipeline = make_pipeline(StandardScaler(), predictor.build_model())
+    scores = cross_validate(pipeline, X, y, cv=folds, scoring=['accuracy', 'roc_auc'])
+
+    return {
+        'accuracy': float(np.mean(scores['test_accuracy'])),
+        'rocAuc': float(np.mean(scores['test_roc_auc'])),
+        'folds': folds,
+        'samples': int(len(y))
+    }
+
+def main():
+    """Train the model and write it to disk"""
+    parser = argparse.ArgumentParser(description='Train the heart failure prediction model')
+    parser.add_argument('--version', default=datetime.now(timezone.utc).strftime('%Y.%m.%d-%H%M%S'),
+                        help='Version label recorded in the artifact')
+    parser.add_argument('--output-dir', default=MODEL_DIR, help='Directory to write the artifact to')
+    parser.add_argument('--data', help='JSON file of labelled rows to train on (default: synthetic data)')
+    args = parser.parse_args()
+
+    try:
+        predictor = HeartFailurePredictor()
+        predictor.version = args.version
+
+        if args.data:
+            X, y = load_dataset(args.data)
+        else:
+            X, y = predictor.generate_synthetic_data()
+        metrics = evaluate(predictor, X, y)
+        predictor.fit(X, y)
+
+        artifact_path = predictor.save(
+            os.path.join(args.output_dir, f'heart_failure_model-{args.version}.joblib')
+        )
+
+        # JSON export for deployments that score in Node without Python
+        exported_path = save_forest(predictor, forest_path(artifact_path))
+
+        metadata = {
+            'version': args.version,
+            'algorithm': 'random_forest',
+            'artifactPath': artifact_path,
+            'forestPath': exported_path,
+            'trainingDataHash': data_hash(X, y),
+            'trainingDataSource': 'predictions' if args.data else 'synthetic',
+            'metrics': metrics,
+            'features': REQUIRED_FIELDS,
+            'trainedAt': datetime.now(timezone.utc).isoformat()
+        }
+
+        # Sidecar metadata read by the registry when the version is registered
+        with open(artifact_path.replace('.joblib', '.json'), 'w') as f:
+            json.dump(metadata, f, indent=2)
+
+        print(json.dumps(dict(metadata, success=True)))
+    except Exception as e:
+        print(json.dumps({
+            'success': False,
+            'error': f'Training failed: {str(e)}'
+        }))
+        sys.exit(1)
+
+if __name__ == '__main__':
+    main()
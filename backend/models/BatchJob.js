@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Asynchronous batch scoring job; the rows themselves are stored as BatchJobRow documents
+const batchJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  // Save each scored row as a Prediction on the matching patient
+  attachToPatients: {
+    type: Boolean,
+    default: false
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  attached: {
+    type: Number,
+    default: 0
+  },
+  riskDistribution: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+batchJobSchema.index({ createdBy: 1, createdAt: -1 });
+batchJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BatchJob', batchJobSchema);
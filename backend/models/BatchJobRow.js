@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One input row of a batch scoring job and its result
+const batchJobRowSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BatchJob',
+    required: true
+  },
+  // 1-based position in the uploaded file
+  row: {
+    type: Number,
+    required: true
+  },
+  input: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'scored', 'failed'],
+    default: 'pending'
+  },
+  result: {
+    probability: Number,
+    riskLevel: String,
+    confidence: Number,
+    method: String,
+    engine: String,
+    modelVersion: String,
+    fallbackReason: String,
+    intervalLower: Number,
+    intervalUpper: Number,
+    outOfDistribution: Boolean,
+    imputedFields: [String]
+  },
+  // Set when the row was attached to a patient
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  prediction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prediction'
+  },
+  error: {
+    type: String
+  }
+});
+
+// Index for better query performance
+batchJobRowSchema.index({ job: 1, row: 1 }, { unique: true });
+batchJobRowSchema.index({ job: 1, status: 1, row: 1 });
+
+module.exports = mongoose.model('BatchJobRow', batchJobRowSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Group of users sharing access to the patients assigned to it
+const careTeamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [100, 'Team name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // lead: edit patients and manage the team, member: edit patients, viewer: read only
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['lead', 'member', 'viewer'],
+      default: 'member'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+careTeamSchema.index({ 'members.user': 1, isActive: 1 });
+careTeamSchema.index({ name: 1 });
+
+module.exports = mongoose.model('CareTeam', careTeamSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A scheduled follow-up of a patient after a prediction
+const followUpSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  prediction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prediction',
+    required: true
+  },
+  // Clinician responsible, by default the one who made the prediction
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  riskLevel: {
+    type: String
+  },
+  // superseded: a later prediction for the patient scheduled a new follow-up
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'cancelled', 'superseded'],
+    default: 'scheduled'
+  },
+  // suggested: due date taken from the risk policy when the prediction was made
+  source: {
+    type: String,
+    enum: ['suggested', 'manual'],
+    default: 'suggested'
+  },
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['completed', 'rescheduled', 'cancelled', 'superseded']
+    },
+    from: Date,
+    to: Date,
+    note: {
+      type: String,
+      maxlength: 1000
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  completedAt: {
+    type: Date
+  },
+  lastReminderAt: {
+    type: Date
+  },
+  reminderCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+followUpSchema.index({ status: 1, dueDate: 1 });
+followUpSchema.index({ assignedTo: 1, status: 1, dueDate: 1 });
+followUpSchema.index({ patient: 1, status: 1 });
+followUpSchema.index({ prediction: 1 });
+
+module.exports = mongoose.model('FollowUp', followUpSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Days scored inputs are kept for drift monitoring
+const RETENTION_DAYS = parseInt(process.env.ML_DRIFT_RETENTION_DAYS) || 90;
+
+// Model-encoded inputs scored by runPrediction, used to monitor input drift
+const modelInputSchema = new mongoose.Schema({
+  age: Number,
+  sex: Number,
+  chestPainType: Number,
+  restingBP: Number,
+  cholesterol: Number,
+  fastingBS: Number,
+  restingECG: Number,
+  maxHR: Number,
+  exerciseAngina: Number,
+  oldpeak: Number,
+  stSlope: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Expire old inputs so the collection stays bounded
+modelInputSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ModelInput', modelInputSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const modelVersionSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: [true, 'Model version is required'],
+    unique: true,
+    trim: true
+  },
+  algorithm: {
+    type: String,
+    required: true,
+    default: 'random_forest'
+  },
+  artifactPath: {
+    type: String,
+    required: [true, 'Artifact path is required']
+  },
+  trainingDataHash: {
+    type: String,
+    required: [true, 'Training data hash is required']
+  },
+  trainingDataSource: {
+    type: String,
+    default: 'synthetic'
+  },
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  features: [String],
+  status: {
+    type: String,
+    enum: ['registered', 'active', 'inactive', 'rolled_back'],
+    default: 'registered'
+  },
+  trainedAt: {
+    type: Date
+  },
+  activatedAt: {
+    type: Date
+  },
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  // Version that was active before this one, used for rollback
+  previousVersion: {
+    type: String
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+modelVersionSchema.index({ status: 1 });
+modelVersionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ModelVersion', modelVersionSchema);
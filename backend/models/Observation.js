@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A timestamped vital sign, lab result or finding recorded for a patient
+const observationSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // One of OBSERVATION_TYPES in utils/observations
+  type: {
+    type: String,
+    required: [true, 'Observation type is required']
+  },
+  // Number for measurements, string or boolean for findings
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Observation value is required']
+  },
+  unit: {
+    type: String
+  },
+  observedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'device', 'lab', 'ehr', 'import'],
+    default: 'manual'
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+observationSchema.index({ patient: 1, type: 1, observedAt: -1 });
+observationSchema.index({ patient: 1, observedAt: -1 });
+
+module.exports = mongoose.model('Observation', observationSchema);
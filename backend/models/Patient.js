@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const patientSchema = new mongoose.Schema({
@@ -5,8 +6,10 @@ const patientSchema = new mongoose.Schema({
     type: String,
     required: true,
     unique: true,
+    // The random suffix keeps IDs unique when many patients are created in
+    // the same millisecond, e.g. by a bulk import
     default: function() {
-      return 'P' + Date.now().toString().slice(-8);
+      return 'P' + Date.now().toString().slice(-8) + crypto.randomBytes(2).toString('hex').toUpperCase();
     }
   },
   name: {
@@ -77,9 +80,19 @@ const patientSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Care teams whose members share access to this patient
+  careTeams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CareTeam'
+  }],
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when this record was merged into another patient (see PatientMerge)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
   }
 }, {
   timestamps: true
@@ -89,5 +102,26 @@ const patientSchema = new mongoose.Schema({
 patientSchema.index({ patientId: 1 });
 patientSchema.index({ name: 1 });
 patientSchema.index({ createdBy: 1 });
+patientSchema.index({ careTeams: 1 });
+patientSchema.index({ email: 1 });
+patientSchema.index({ 'address.city': 1 });
+
+// Full-text index for patient search; names and IDs rank above history entries
+patientSchema.index({
+  name: 'text',
+  patientId: 'text',
+  email: 'text',
+  'medicalHistory.conditions': 'text',
+  'medicalHistory.medications': 'text'
+}, {
+  name: 'patient_text_search',
+  weights: {
+    name: 10,
+    patientId: 10,
+    email: 5,
+    'medicalHistory.conditions': 2,
+    'medicalHistory.medications': 2
+  }
+});
 
 module.exports = mongoose.model('Patient', patientSchema); 
\ No newline at end of file
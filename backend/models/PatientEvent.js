@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Change to a patient's record that cannot be read back from the records
+// themselves (edits, soft deletes and follow-up actions); shown on the
+// patient timeline
+const patientEventSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'patient_updated',
+      'patient_deleted',
+      'prediction_updated',
+      'prediction_deleted',
+      'followup_completed',
+      'followup_cancelled',
+      'followup_rescheduled'
+    ],
+    required: true
+  },
+  prediction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prediction'
+  },
+  followUp: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FollowUp'
+  },
+  // Fields changed, with their values before and after
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // What made the change when it was not a direct edit, e.g. 'fhir_import' or 'merge'
+  source: {
+    type: String
+  },
+  // Note given with a follow-up action
+  note: {
+    type: String,
+    maxlength: 1000
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+patientEventSchema.index({ patient: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PatientEvent', patientEventSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A bulk patient import (or dry run) and the rows it rejected
+const patientImportSchema = new mongoose.Schema({
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  // Patient field -> CSV column used for the import
+  mapping: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // CSV columns in file order, reproduced in the error file
+  columns: [String],
+  total: {
+    type: Number,
+    default: 0
+  },
+  valid: {
+    type: Number,
+    default: 0
+  },
+  invalid: {
+    type: Number,
+    default: 0
+  },
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  rejectedRows: [{
+    _id: false,
+    row: Number,
+    reason: {
+      type: String,
+      enum: ['invalid', 'duplicate', 'insert_failed']
+    },
+    messages: [String],
+    data: mongoose.Schema.Types.Mixed
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+patientImportSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PatientImport', patientImportSchema);
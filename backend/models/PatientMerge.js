@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Audit record of two patient records merged into one, with what is needed to undo it
+const patientMergeSchema = new mongoose.Schema({
+  // Record kept after the merge
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Record retired by the merge
+  merged: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['merged', 'undone'],
+    default: 'merged'
+  },
+  // Both records as they were before the merge
+  survivorBefore: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  mergedBefore: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Survivor fields changed by the merge, with the values taken
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Records re-pointed from the merged patient to the survivor
+  movedPredictions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prediction'
+  }],
+  movedObservations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Observation'
+  }],
+  reason: {
+    type: String,
+    maxlength: 1000
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+patientMergeSchema.index({ survivor: 1, status: 1 });
+patientMergeSchema.index({ merged: 1, status: 1 });
+patientMergeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PatientMerge', patientMergeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getRiskLevel, getRiskPolicy } = require('../utils/riskPolicy');
 
 const predictionSchema = new mongoose.Schema({
   patient: {
@@ -78,17 +79,52 @@ const predictionSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  // Band label from the risk policy in force when the score was computed
   riskLevel: {
     type: String,
-    enum: ['low', 'medium', 'high', 'critical'],
     required: true
   },
+  riskPolicyVersion: {
+    type: Number
+  },
   confidence: {
     type: Number,
     required: true,
     min: 0,
     max: 1
   },
+  // Provenance of the score
+  method: {
+    type: String,
+    enum: ['ml_model', 'simplified']
+  },
+  // Runtime that scored the trained model
+  engine: {
+    type: String,
+    enum: ['python', 'javascript']
+  },
+  modelVersion: {
+    type: String
+  },
+  // Why the rule-based scoring was used instead of the trained model
+  fallbackReason: {
+    type: String
+  },
+  // Per-feature breakdown of the score
+  explanation: {
+    method: {
+      type: String,
+      enum: ['additive_points', 'tree_path']
+    },
+    baseline: Number,
+    rawScore: Number,
+    contributions: [{
+      _id: false,
+      feature: String,
+      value: mongoose.Schema.Types.Mixed,
+      contribution: Number
+    }]
+  },
   // Additional metadata
   notes: {
     type: String,
@@ -98,9 +134,148 @@ const predictionSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   }],
+  // Recommendation rules that produced the recommendations when the prediction was made
+  recommendationSource: {
+    ruleSetVersion: Number,
+    rules: [{
+      _id: false,
+      ruleId: String,
+      text: String
+    }]
+  },
   followUpDate: {
     type: Date
   },
+  // Batch scoring job and row that saved the prediction; a resumed job skips
+  // rows that already have one
+  batchJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BatchJob'
+  },
+  batchRow: {
+    type: Number
+  },
+  // Spread of the score and unusual-input flags
+  uncertainty: {
+    method: {
+      type: String,
+      enum: ['tree_variance', 'input_perturbation']
+    },
+    std: Number,
+    interval: {
+      lower: Number,
+      upper: Number,
+      percentiles: [Number]
+    }
+  },
+  outOfDistribution: {
+    flagged: Boolean,
+    features: [{
+      _id: false,
+      feature: String,
+      value: mongoose.Schema.Types.Mixed,
+      reason: String,
+      trainingRange: [Number]
+    }]
+  },
+  // Inputs taken from the patient record or recent observations
+  autoFilled: [{
+    _id: false,
+    field: String,
+    value: mongoose.Schema.Types.Mixed,
+    unit: String,
+    source: {
+      type: String,
+      enum: ['patient', 'observation']
+    },
+    observation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Observation'
+    },
+    observedAt: Date
+  }],
+  // Inputs that were imputed or converted from other units before scoring
+  imputation: {
+    fields: [{
+      _id: false,
+      field: String,
+      value: mongoose.Schema.Types.Mixed,
+      strategy: String
+    }],
+    conversions: [{
+      _id: false,
+      field: String,
+      from: {
+        value: mongoose.Schema.Types.Mixed,
+        unit: String
+      },
+      to: {
+        value: mongoose.Schema.Types.Mixed,
+        unit: String
+      }
+    }],
+    confidencePenalty: Number
+  },
+  // Guideline clinical scores computed next to the model probability
+  scores: [{
+    _id: false,
+    name: String,
+    label: String,
+    points: Number,
+    maxPoints: Number,
+    inputs: mongoose.Schema.Types.Mixed,
+    missing: [String],
+    complete: Boolean
+  }],
+  // Change from the patient's earlier predictions when this one was made
+  trajectory: {
+    previousPrediction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prediction'
+    },
+    previousProbability: Number,
+    previousRiskLevel: String,
+    delta: Number,
+    bandChange: {
+      type: String,
+      enum: ['up', 'down', 'none']
+    },
+    daysSincePrevious: Number,
+    // Least-squares trend of the recent predictions, in probability per 30 days
+    slopePer30Days: Number,
+    points: Number
+  },
+  // Result of the shadow model, kept for validation and never shown to clinicians
+  shadow: {
+    target: String,
+    prediction: Number,
+    riskLevel: String,
+    method: String,
+    modelVersion: String,
+    error: String,
+    scoredAt: Date
+  },
+  // Actual clinical outcome, recorded after the fact
+  outcome: {
+    eventType: {
+      type: String,
+      enum: ['hf_hospitalization', 'death', 'none']
+    },
+    eventDate: {
+      type: Date
+    },
+    notes: {
+      type: String,
+      maxlength: 1000
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -109,18 +284,13 @@ const predictionSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate risk level based on prediction probability
-predictionSchema.pre('save', function(next) {
-  if (this.prediction !== undefined) {
-    if (this.prediction < 0.25) {
-      this.riskLevel = 'low';
-    } else if (this.prediction < 0.5) {
-      this.riskLevel = 'medium';
-    } else if (this.prediction < 0.75) {
-      this.riskLevel = 'high';
-    } else {
-      this.riskLevel = 'critical';
-    }
+// Calculate risk level based on prediction probability and the active risk policy.
+// Runs before validation so the required riskLevel is set on new documents,
+// and only when the score changes so later edits keep the original band.
+predictionSchema.pre('validate', function(next) {
+  if (this.prediction !== undefined && (this.isNew || this.isModified('prediction'))) {
+    this.riskLevel = getRiskLevel(this.prediction, { age: this.age, sex: this.sex });
+    this.riskPolicyVersion = getRiskPolicy().version;
   }
   next();
 });
@@ -130,13 +300,23 @@ predictionSchema.index({ patient: 1, createdAt: -1 });
 predictionSchema.index({ createdBy: 1, createdAt: -1 });
 predictionSchema.index({ riskLevel: 1 });
 predictionSchema.index({ prediction: 1 });
+predictionSchema.index({ modelVersion: 1 });
+predictionSchema.index({ 'outcome.eventType': 1, createdAt: 1 });
+predictionSchema.index({ 'shadow.target': 1, createdAt: -1 });
+predictionSchema.index({ batchJob: 1, batchRow: 1 }, { unique: true, partialFilterExpression: { batchJob: { $exists: true } } });
 
 // Virtual for formatted prediction percentage
 predictionSchema.virtual('predictionPercentage').get(function() {
   return Math.round(this.prediction * 100);
 });
 
-// Ensure virtuals are included in JSON output
-predictionSchema.set('toJSON', { virtuals: true });
+// Ensure virtuals are included in JSON output and shadow results are not
+predictionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.shadow;
+    return ret;
+  }
+});
 
 module.exports = mongoose.model('Prediction', predictionSchema); 
\ No newline at end of file
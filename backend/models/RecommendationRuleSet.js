@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A condition compares one context field (see utils/recommendations.js) with a value
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: [true, 'Condition field is required'],
+    trim: true
+  },
+  operator: {
+    type: String,
+    enum: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'exists'],
+    required: [true, 'Condition operator is required']
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+// A rule fires when all of its conditions hold
+const ruleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: [true, 'Rule ID is required'],
+    trim: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Recommendation text is required'],
+    trim: true,
+    maxlength: 500
+  },
+  conditions: [conditionSchema]
+}, { _id: false });
+
+const recommendationRuleSetSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  rules: [ruleSchema],
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+recommendationRuleSetSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('RecommendationRuleSet', recommendationRuleSetSchema);
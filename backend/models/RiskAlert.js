@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Raised when a new prediction shows a sharp rise in a patient's risk
+const riskAlertSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  prediction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prediction',
+    required: true
+  },
+  // risk_jump: probability rose by at least the alert delta since the previous prediction
+  // top_band: the patient moved into the highest risk band (critical by default)
+  reasons: [{
+    type: String,
+    enum: ['risk_jump', 'top_band']
+  }],
+  probability: {
+    type: Number,
+    required: true
+  },
+  riskLevel: {
+    type: String,
+    required: true
+  },
+  previousProbability: {
+    type: Number
+  },
+  previousRiskLevel: {
+    type: String
+  },
+  delta: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged'],
+    default: 'open'
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  note: {
+    type: String,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+riskAlertSchema.index({ patient: 1, createdAt: -1 });
+riskAlertSchema.index({ status: 1, createdAt: -1 });
+riskAlertSchema.index({ prediction: 1 });
+
+module.exports = mongoose.model('RiskAlert', riskAlertSchema);
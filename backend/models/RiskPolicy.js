@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A risk band starts at minProbability and runs up to the next band's start
+const bandSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Band label is required'],
+    trim: true
+  },
+  minProbability: {
+    type: Number,
+    required: [true, 'Band lower bound is required'],
+    min: 0,
+    max: 1
+  },
+  // Suggested days until follow-up for predictions in this band
+  followUpDays: {
+    type: Number,
+    min: 1,
+    max: 3650
+  }
+}, { _id: false });
+
+const populationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Population name is required'],
+    trim: true
+  },
+  // A prediction belongs to the first population whose criteria all match
+  criteria: {
+    sex: {
+      type: String,
+      enum: ['male', 'female']
+    },
+    minAge: Number,
+    maxAge: Number
+  },
+  bands: [bandSchema]
+}, { _id: false });
+
+const riskPolicySchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  bands: [bandSchema],
+  populations: [populationSchema],
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+riskPolicySchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('RiskPolicy', riskPolicySchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Single document describing which model scores live predictions in shadow mode
+const shadowConfigSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // 'simplified' for the rule-based scoring, otherwise a registered model version
+  target: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ShadowConfig', shadowConfigSchema);
@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const RiskAlert = require('../models/RiskAlert');
+const Patient = require('../models/Patient');
+const { protect } = require('../middleware/auth');
+const { canAccessPatient, patientAccessFilter } = require('../utils/access');
+
+const router = express.Router();
+
+// @route   GET /api/alerts
+// @desc    Get risk alerts for the patients the user can access, newest first
+// @access  Private
+router.get('/', protect, [
+  query('status').optional().isIn(['open', 'acknowledged']).withMessage('Status must be open or acknowledged'),
+  query('patientId').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('reason').optional().isIn(['risk_jump', 'top_band']).withMessage('Reason must be risk_jump or top_band')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.user.role !== 'admin') {
+      query.patient = { $in: await Patient.find(await patientAccessFilter(req.user)).distinct('_id') };
+    }
+    if (req.query.patientId) {
+      query.patient = Object.assign({}, query.patient, { $eq: req.query.patientId });
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.reason) {
+      query.reasons = req.query.reason;
+    }
+
+    const alerts = await RiskAlert.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('patient', 'name patientId age gender')
+      .populate('acknowledgedBy', 'name email');
+
+    const total = await RiskAlert.countDocuments(query);
+
+    res.json({
+      success: true,
+      alerts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Risk alerts fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching risk alerts' });
+  }
+});
+
+// @route   POST /api/alerts/:id/acknowledge
+// @desc    Acknowledge a risk alert, with an optional note
+// @access  Private
+router.post('/:id/acknowledge', protect, [
+  param('id').isMongoId().withMessage('Invalid alert ID'),
+  body('note').optional().isLength({ max: 1000 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const alert = await RiskAlert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const patient = await Patient.findById(alert.patient);
+
+    // Check if user may edit the alert's patient
+    if (!patient || !(await canAccessPatient(req.user, patient, 'write'))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (alert.status === 'acknowledged') {
+      return res.status(409).json({ error: 'Alert has already been acknowledged' });
+    }
+
+    alert.status = 'acknowledged';
+    alert.acknowledgedBy = req.user.id;
+    alert.acknowledgedAt = new Date();
+    alert.note = req.body.note;
+    await alert.save();
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      alert
+    });
+  } catch (error) {
+    console.error('Risk alert acknowledge error:', error);
+    res.status(500).json({ error: 'Server error acknowledging risk alert' });
+  }
+});
+
+module.exports = router;
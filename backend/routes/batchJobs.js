@@ -0,0 +1,225 @@
+const express = require('express');
+const multer = require('multer');
+const { param, query, validationResult } = require('express-validator');
+const BatchJob = require('../models/BatchJob');
+const BatchJobRow = require('../models/BatchJobRow');
+const { protect, authorize } = require('../middleware/auth');
+const { createBatchJob } = require('../utils/batchJobs');
+const { parseUploadedRows, toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// Batch files are parsed in memory before their rows are stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.BATCH_JOB_MAX_FILE_MB) || 50) * 1024 * 1024 }
+});
+
+// Columns of the downloadable results file
+const RESULT_COLUMNS = [
+  'row', 'patientId', 'email', 'status', 'probability', 'percentage', 'riskLevel',
+  'confidence', 'method', 'engine', 'modelVersion', 'fallbackReason',
+  'intervalLower', 'intervalUpper', 'outOfDistribution', 'imputedFields', 'predictionId', 'error'
+];
+
+// @route   POST /api/batch-jobs
+// @desc    Submit a CSV or JSON file (or a rows array) for background scoring
+// @access  Private (Admin/Doctor only)
+router.post('/', protect, authorize('admin', 'doctor'), upload.single('file'), async (req, res) => {
+  try {
+    let rows = req.body.rows;
+
+    if (req.file) {
+      try {
+        rows = parseUploadedRows(req.file);
+      } catch (error) {
+        return res.status(400).json({ error: 'Could not parse uploaded file' });
+      }
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'Provide a non-empty rows array or a CSV/JSON file' });
+    }
+
+    if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      return res.status(400).json({ error: 'Each row must be an object of prediction inputs' });
+    }
+
+    // Multipart fields arrive as strings
+    const attachToPatients = [true, 'true', '1'].includes(req.body.attachToPatients);
+
+    const job = await createBatchJob(rows, {
+      fileName: req.file ? req.file.originalname : undefined,
+      attachToPatients,
+      userId: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Batch job queued',
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Batch job creation error:', error);
+    res.status(500).json({ error: 'Server error creating batch job' });
+  }
+});
+
+// @route   GET /api/batch-jobs
+// @desc    List batch jobs (own jobs; admins see all)
+// @access  Private (Admin/Doctor only)
+router.get('/', protect, authorize('admin', 'doctor'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = req.user.role === 'admin' ? {} : { createdBy: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const jobs = await BatchJob.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('createdBy', 'name email');
+
+    const total = await BatchJob.countDocuments(filter);
+
+    res.json({
+      success: true,
+      jobs: jobs.map(formatJob),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Batch jobs fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching batch jobs' });
+  }
+});
+
+// @route   GET /api/batch-jobs/:id
+// @desc    Get batch job status and progress
+// @access  Private (Admin/Doctor only)
+router.get('/:id', protect, authorize('admin', 'doctor'), [
+  param('id').isMongoId().withMessage('Valid job ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const job = await BatchJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    if (job.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Batch job fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching batch job' });
+  }
+});
+
+// @route   GET /api/batch-jobs/:id/results
+// @desc    Download the results of a finished batch job as CSV or JSON
+// @access  Private (Admin/Doctor only)
+router.get('/:id/results', protect, authorize('admin', 'doctor'), [
+  param('id').isMongoId().withMessage('Valid job ID is required'),
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const job = await BatchJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    if (job.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!['completed', 'failed'].includes(job.status)) {
+      return res.status(409).json({ error: 'Batch job has not finished', job: formatJob(job) });
+    }
+
+    const rows = await BatchJobRow.find({ job: job._id }).sort({ row: 1 }).lean();
+    const results = rows.map(formatResultRow);
+
+    if ((req.query.format || 'csv') === 'json') {
+      res.attachment(`batch-job-${job._id}.json`);
+      return res.json({
+        success: true,
+        job: formatJob(job),
+        results
+      });
+    }
+
+    res.attachment(`batch-job-${job._id}.csv`);
+    res.type('text/csv').send(toCsv(results, RESULT_COLUMNS));
+  } catch (error) {
+    console.error('Batch job results error:', error);
+    res.status(500).json({ error: 'Server error fetching batch job results' });
+  }
+});
+
+// Helper function to add the completion percentage to a job
+function formatJob(job) {
+  const data = job.toObject();
+  delete data.__v;
+  data.progress = data.total > 0 ? Math.round((data.processed / data.total) * 100) : 100;
+  return data;
+}
+
+// Helper function to flatten a stored row into a results record
+function formatResultRow(row) {
+  const input = row.input || {};
+  const result = row.result || {};
+
+  return {
+    row: row.row,
+    patientId: input.patientId,
+    email: input.email,
+    status: row.status,
+    probability: result.probability,
+    percentage: result.probability !== undefined ? Math.round(result.probability * 100) : undefined,
+    riskLevel: result.riskLevel,
+    confidence: result.confidence,
+    method: result.method,
+    engine: result.engine,
+    modelVersion: result.modelVersion,
+    fallbackReason: result.fallbackReason,
+    intervalLower: result.intervalLower,
+    intervalUpper: result.intervalUpper,
+    outOfDistribution: result.outOfDistribution,
+    imputedFields: result.imputedFields ? result.imputedFields.join(';') : undefined,
+    predictionId: row.prediction ? row.prediction.toString() : undefined,
+    error: row.error
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,479 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const CareTeam = require('../models/CareTeam');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { canAccessPatient } = require('../utils/access');
+
+const router = express.Router();
+
+const MEMBER_ROLES = ['lead', 'member', 'viewer'];
+
+// @route   POST /api/care-teams
+// @desc    Create a care team; the creator joins as its lead
+// @access  Private (Admin/Doctor only)
+router.post('/', protect, authorize('admin', 'doctor'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Team name must be between 2 and 100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('members').optional().isArray({ max: 200 }).withMessage('Members must be an array of up to 200 entries'),
+  body('members.*.userId').isMongoId().withMessage('Invalid member user ID'),
+  body('members.*.role').optional().isIn(MEMBER_ROLES).withMessage('Member role must be lead, member, or viewer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const requested = (req.body.members || []).filter(member => member.userId !== req.user.id);
+    const userIds = requested.map(member => member.userId);
+    if (new Set(userIds).size !== userIds.length) {
+      return res.status(400).json({ error: 'Each user can only be listed once' });
+    }
+
+    const users = await User.find({ _id: { $in: userIds }, isActive: true }).select('_id');
+    if (users.length !== userIds.length) {
+      return res.status(400).json({ error: 'All members must be active users' });
+    }
+
+    const team = await CareTeam.create({
+      name: req.body.name,
+      description: req.body.description,
+      members: [{ user: req.user.id, role: 'lead' }].concat(requested.map(member => ({
+        user: member.userId,
+        role: member.role || 'member'
+      }))),
+      createdBy: req.user.id
+    });
+    await team.populate('members.user', 'name email role');
+
+    res.status(201).json({
+      success: true,
+      message: 'Care team created successfully',
+      team
+    });
+  } catch (error) {
+    console.error('Care team create error:', error);
+    res.status(500).json({ error: 'Server error creating care team' });
+  }
+});
+
+// @route   GET /api/care-teams
+// @desc    Get the user's care teams (all teams for admins)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.user.role !== 'admin') {
+      filter['members.user'] = req.user._id;
+    }
+
+    const teams = await CareTeam.find(filter)
+      .sort({ name: 1 })
+      .populate('members.user', 'name email role');
+
+    res.json({
+      success: true,
+      teams
+    });
+  } catch (error) {
+    console.error('Care teams fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching care teams' });
+  }
+});
+
+// @route   GET /api/care-teams/:id
+// @desc    Get a care team with its members
+// @access  Private (team members and admins)
+router.get('/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const team = await findTeam(req, res, MEMBER_ROLES);
+    if (!team) return;
+
+    await team.populate('members.user', 'name email role');
+
+    res.json({
+      success: true,
+      team
+    });
+  } catch (error) {
+    console.error('Care team fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching care team' });
+  }
+});
+
+// @route   PUT /api/care-teams/:id
+// @desc    Rename or describe a care team
+// @access  Private (team leads and admins)
+router.put('/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID'),
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Team name must be between 2 and 100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const team = await findTeam(req, res, ['lead']);
+    if (!team) return;
+
+    if (req.body.name !== undefined) team.name = req.body.name;
+    if (req.body.description !== undefined) team.description = req.body.description;
+    await team.save();
+
+    res.json({
+      success: true,
+      message: 'Care team updated successfully',
+      team
+    });
+  } catch (error) {
+    console.error('Care team update error:', error);
+    res.status(500).json({ error: 'Server error updating care team' });
+  }
+});
+
+// @route   DELETE /api/care-teams/:id
+// @desc    Disband a care team (soft delete); its members lose access through it
+// @access  Private (team leads and admins)
+router.delete('/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const team = await findTeam(req, res, ['lead']);
+    if (!team) return;
+
+    team.isActive = false;
+    await team.save();
+
+    res.json({
+      success: true,
+      message: 'Care team deleted successfully'
+    });
+  } catch (error) {
+    console.error('Care team delete error:', error);
+    res.status(500).json({ error: 'Server error deleting care team' });
+  }
+});
+
+// @route   POST /api/care-teams/:id/members
+// @desc    Add a user to a care team
+// @access  Private (team leads and admins)
+router.post('/:id/members', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID'),
+  body('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role').optional().isIn(MEMBER_ROLES).withMessage('Member role must be lead, member, or viewer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const team = await findTeam(req, res, ['lead']);
+    if (!team) return;
+
+    const user = await User.findById(req.body.userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (findMember(team, user._id)) {
+      return res.status(409).json({ error: 'User is already a member of this team' });
+    }
+
+    team.members.push({ user: user._id, role: req.body.role || 'member' });
+    await team.save();
+    await team.populate('members.user', 'name email role');
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      team
+    });
+  } catch (error) {
+    console.error('Care team member add error:', error);
+    res.status(500).json({ error: 'Server error adding care team member' });
+  }
+});
+
+// @route   PUT /api/care-teams/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (team leads and admins)
+router.put('/:id/members/:userId', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(MEMBER_ROLES).withMessage('Member role must be lead, member, or viewer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const team = await findTeam(req, res, ['lead']);
+    if (!team) return;
+
+    const member = findMember(team, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'lead' && req.body.role !== 'lead' && countLeads(team) === 1) {
+      return res.status(400).json({ error: 'A care team must keep at least one lead' });
+    }
+
+    member.role = req.body.role;
+    await team.save();
+    await team.populate('members.user', 'name email role');
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      team
+    });
+  } catch (error) {
+    console.error('Care team member update error:', error);
+    res.status(500).json({ error: 'Server error updating care team member' });
+  }
+});
+
+// @route   DELETE /api/care-teams/:id/members/:userId
+// @desc    Remove a member from a care team; members may remove themselves
+// @access  Private (team leads, the member and admins)
+router.delete('/:id/members/:userId', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const leaving = req.params.userId === req.user.id;
+    const team = await findTeam(req, res, leaving ? MEMBER_ROLES : ['lead']);
+    if (!team) return;
+
+    const member = findMember(team, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'lead' && countLeads(team) === 1) {
+      return res.status(400).json({ error: 'A care team must keep at least one lead' });
+    }
+
+    team.members = team.members.filter(m => m !== member);
+    await team.save();
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Care team member remove error:', error);
+    res.status(500).json({ error: 'Server error removing care team member' });
+  }
+});
+
+// @route   GET /api/care-teams/:id/patients
+// @desc    Get the patients assigned to a care team
+// @access  Private (team members and admins)
+router.get('/:id/patients', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const team = await findTeam(req, res, MEMBER_ROLES);
+    if (!team) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { careTeams: team._id, isActive: true };
+
+    const patients = await Patient.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await Patient.countDocuments(query);
+
+    res.json({
+      success: true,
+      patients,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Care team patients fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching care team patients' });
+  }
+});
+
+// @route   POST /api/care-teams/:id/patients
+// @desc    Share a patient with a care team
+// @access  Private (team leads and members who manage the patient, and admins)
+router.post('/:id/patients', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID'),
+  body('patientId').isMongoId().withMessage('Invalid patient ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const team = await findTeam(req, res, ['lead', 'member']);
+    if (!team) return;
+
+    const patient = await Patient.findById(req.body.patientId);
+    if (!patient || !patient.isActive) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    // Check if user created this patient, leads one of its care teams or is admin
+    if (!(await canAccessPatient(req.user, patient, 'manage'))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await Patient.updateOne({ _id: patient._id }, { $addToSet: { careTeams: team._id } });
+
+    res.json({
+      success: true,
+      message: 'Patient shared with care team'
+    });
+  } catch (error) {
+    console.error('Care team patient assign error:', error);
+    res.status(500).json({ error: 'Server error assigning patient to care team' });
+  }
+});
+
+// @route   DELETE /api/care-teams/:id/patients/:patientId
+// @desc    Stop sharing a patient with a care team
+// @access  Private (team leads, users who manage the patient, and admins)
+router.delete('/:id/patients/:patientId', protect, [
+  param('id').isMongoId().withMessage('Invalid care team ID'),
+  param('patientId').isMongoId().withMessage('Invalid patient ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const team = await CareTeam.findById(req.params.id);
+    if (!team || !team.isActive) {
+      return res.status(404).json({ error: 'Care team not found' });
+    }
+
+    const patient = await Patient.findById(req.params.patientId);
+    if (!patient || !patient.careTeams.some(teamId => teamId.equals(team._id))) {
+      return res.status(404).json({ error: 'Patient is not assigned to this care team' });
+    }
+
+    const member = findMember(team, req.user._id);
+    const isLead = member && member.role === 'lead';
+    if (!isLead && !(await canAccessPatient(req.user, patient, 'manage'))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await Patient.updateOne({ _id: patient._id }, { $pull: { careTeams: team._id } });
+
+    res.json({
+      success: true,
+      message: 'Patient removed from care team'
+    });
+  } catch (error) {
+    console.error('Care team patient unassign error:', error);
+    res.status(500).json({ error: 'Server error removing patient from care team' });
+  }
+});
+
+// Helper function to load the team in the URL, sending 404 or 403 and
+// returning null when it is missing or the user's membership role is not
+// one of roles. Admins may act on any team.
+async function findTeam(req, res, roles) {
+  const team = await CareTeam.findById(req.params.id);
+
+  if (!team || !team.isActive) {
+    res.status(404).json({ error: 'Care team not found' });
+    return null;
+  }
+
+  const member = findMember(team, req.user._id);
+  if (req.user.role !== 'admin' && !(member && roles.includes(member.role))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return team;
+}
+
+// Helper function to find a user's membership in a team
+function findMember(team, userId) {
+  return team.members.find(member => member.user.toString() === userId.toString());
+}
+
+// Helper function to count a team's leads
+function countLeads(team) {
+  return team.members.filter(member => member.role === 'lead').length;
+}
+
+module.exports = router;
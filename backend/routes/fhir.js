@@ -0,0 +1,196 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const Observation = require('../models/Observation');
+const { protect, authorize } = require('../middleware/auth');
+const { canAccessPatient } = require('../utils/access');
+const {
+  outcome,
+  patientToFhir,
+  observationToFhir,
+  predictionObservations,
+  predictionToRiskAssessment,
+  everythingBundle,
+  importBundle
+} = require('../utils/fhir');
+
+const router = express.Router();
+
+// FHIR clients send application/fhir+json, which the app-wide JSON parser skips
+router.use(express.json({ type: ['application/json', 'application/fhir+json'], limit: '10mb' }));
+
+// Bundle types accepted by the import endpoint
+const IMPORT_BUNDLE_TYPES = ['batch', 'transaction', 'collection'];
+
+// @route   GET /api/fhir/Patient/:id
+// @desc    Get a patient as a FHIR Patient resource
+// @access  Private
+router.get('/Patient/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendFhir(res, 400, outcome('error', errors.array()[0].msg));
+    }
+
+    const patient = await findAccessiblePatient(req, res);
+    if (!patient) return;
+
+    sendFhir(res, 200, patientToFhir(patient));
+  } catch (error) {
+    console.error('FHIR patient fetch error:', error);
+    sendFhir(res, 500, outcome('error', 'Server error fetching patient'));
+  }
+});
+
+// @route   GET /api/fhir/Patient/:id/$everything
+// @desc    Bundle of a patient with allergies, observations, prediction inputs and risk assessments
+// @access  Private
+router.get('/Patient/:id/\\$everything', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendFhir(res, 400, outcome('error', errors.array()[0].msg));
+    }
+
+    const patient = await findAccessiblePatient(req, res);
+    if (!patient) return;
+
+    const observations = await Observation.find({ patient: patient._id, isActive: true })
+      .sort({ observedAt: 1 })
+      .lean();
+    const predictions = await Prediction.find({ patient: patient._id, isActive: true })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    sendFhir(res, 200, everythingBundle(baseUrl(req), patient, observations, predictions));
+  } catch (error) {
+    console.error('FHIR everything export error:', error);
+    sendFhir(res, 500, outcome('error', 'Server error exporting patient record'));
+  }
+});
+
+// @route   GET /api/fhir/Observation/:id
+// @desc    Get a recorded observation, or a prediction input (<predictionId>-<field>), as a FHIR Observation
+// @access  Private
+router.get('/Observation/:id', protect, [
+  param('id').matches(/^[0-9a-f]{24}(-[A-Za-z]+)?$/i).withMessage('Invalid observation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendFhir(res, 400, outcome('error', errors.array()[0].msg));
+    }
+
+    const [id, field] = req.params.id.split('-');
+    let resource;
+    let owner;
+
+    if (field) {
+      const prediction = await Prediction.findOne({ _id: id, isActive: true }).lean();
+      resource = prediction && predictionObservations(prediction).find(o => o.id === req.params.id);
+      owner = prediction && prediction.patient;
+    } else {
+      const observation = await Observation.findOne({ _id: id, isActive: true }).lean();
+      resource = observation && observationToFhir(observation);
+      owner = observation && observation.patient;
+    }
+
+    if (!resource) {
+      return sendFhir(res, 404, outcome('error', 'Observation not found'));
+    }
+
+    const patient = await findAccessiblePatient(req, res, owner);
+    if (!patient) return;
+
+    sendFhir(res, 200, resource);
+  } catch (error) {
+    console.error('FHIR observation fetch error:', error);
+    sendFhir(res, 500, outcome('error', 'Server error fetching observation'));
+  }
+});
+
+// @route   GET /api/fhir/RiskAssessment/:id
+// @desc    Get a prediction as a FHIR RiskAssessment
+// @access  Private
+router.get('/RiskAssessment/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid prediction ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendFhir(res, 400, outcome('error', errors.array()[0].msg));
+    }
+
+    const prediction = await Prediction.findOne({ _id: req.params.id, isActive: true }).lean();
+    if (!prediction) {
+      return sendFhir(res, 404, outcome('error', 'Risk assessment not found'));
+    }
+
+    const patient = await findAccessiblePatient(req, res, prediction.patient);
+    if (!patient) return;
+
+    sendFhir(res, 200, predictionToRiskAssessment(prediction));
+  } catch (error) {
+    console.error('FHIR risk assessment fetch error:', error);
+    sendFhir(res, 500, outcome('error', 'Server error fetching risk assessment'));
+  }
+});
+
+// @route   POST /api/fhir
+// @desc    Import a Bundle of Patient, AllergyIntolerance and Observation resources
+// @access  Private (Admin/Doctor only)
+router.post('/', protect, authorize('admin', 'doctor'), async (req, res) => {
+  try {
+    const bundle = req.body;
+    if (!bundle || bundle.resourceType !== 'Bundle') {
+      return sendFhir(res, 400, outcome('error', 'Request body must be a FHIR Bundle'));
+    }
+    if (!IMPORT_BUNDLE_TYPES.includes(bundle.type)) {
+      return sendFhir(res, 400, outcome('error', `Bundle type must be one of: ${IMPORT_BUNDLE_TYPES.join(', ')}`));
+    }
+    if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+      return sendFhir(res, 400, outcome('error', 'Bundle has no entries'));
+    }
+
+    sendFhir(res, 200, await importBundle(bundle, req.user));
+  } catch (error) {
+    console.error('FHIR import error:', error);
+    sendFhir(res, 500, outcome('error', 'Server error importing bundle'));
+  }
+});
+
+// Helper function to send a FHIR resource with the FHIR JSON media type
+function sendFhir(res, status, resource) {
+  res.status(status).type('application/fhir+json').send(JSON.stringify(resource));
+}
+
+// Helper function to build the base URL used in Bundle fullUrls
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+// Helper function to load a patient (from the URL unless an ID is given),
+// sending an OperationOutcome and returning null when it is missing or the
+// user may not access it
+async function findAccessiblePatient(req, res, patientId = req.params.id) {
+  const patient = await Patient.findById(patientId);
+
+  if (!patient || !patient.isActive) {
+    sendFhir(res, 404, outcome('error', 'Patient not found'));
+    return null;
+  }
+
+  if (!(await canAccessPatient(req.user, patient))) {
+    sendFhir(res, 403, outcome('error', 'Access denied'));
+    return null;
+  }
+
+  return patient;
+}
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const FollowUp = require('../models/FollowUp');
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const CareTeam = require('../models/CareTeam');
+const { protect, authorize } = require('../middleware/auth');
+const { canAccessPatient, patientAccessFilter, teamMemberships } = require('../utils/access');
+const { recordPatientEvent } = require('../utils/timeline');
+const { rescheduleFollowUp, closeFollowUp, sendFollowUpReminders, hasFollowUpNotifier } = require('../utils/followUps');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @route   GET /api/followups
+// @desc    Get the follow-up worklist, soonest due first
+// @access  Private
+router.get('/', protect, [
+  query('status').optional().isIn(['scheduled', 'completed', 'cancelled', 'superseded']).withMessage('Invalid follow-up status'),
+  query('withinDays').optional().isInt({ min: 0, max: 365 }).withMessage('Within days must be between 0 and 365').toInt(),
+  query('overdue').optional().isBoolean().withMessage('Overdue must be true or false').toBoolean(),
+  query('assignedTo').optional().custom(value => value === 'me' || /^[0-9a-fA-F]{24}$/.test(value)).withMessage('Assigned to must be me or a user ID'),
+  query('teamId').optional().isMongoId().withMessage('Invalid care team ID'),
+  query('patientId').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('riskLevel').optional().isString().withMessage('Invalid risk level'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const status = req.query.status || 'scheduled';
+    const now = new Date();
+
+    // Active patients the user can access, narrowed to a team's patients when asked
+    const patientFilter = Object.assign(await patientAccessFilter(req.user), { isActive: true });
+    if (req.query.teamId) {
+      const team = await CareTeam.findOne({ _id: req.query.teamId, isActive: true }).select('_id').lean();
+      if (!team) {
+        return res.status(404).json({ error: 'Care team not found' });
+      }
+      if (req.user.role !== 'admin' && !(await teamMemberships(req.user)).has(req.query.teamId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      patientFilter.careTeams = team._id;
+    }
+    if (req.query.patientId) {
+      patientFilter._id = req.query.patientId;
+    }
+
+    const query = {
+      patient: { $in: await Patient.find(patientFilter).distinct('_id') },
+      status
+    };
+    if (req.query.assignedTo) {
+      query.assignedTo = req.query.assignedTo === 'me' ? req.user._id : req.query.assignedTo;
+    }
+    if (req.query.riskLevel) {
+      query.riskLevel = req.query.riskLevel;
+    }
+    // Scheduled follow-ups are limited to those overdue or due within withinDays (default 7)
+    if (status === 'scheduled') {
+      query.dueDate = req.query.overdue
+        ? { $lt: now }
+        : { $lte: new Date(now.getTime() + (req.query.withinDays !== undefined ? req.query.withinDays : 7) * DAY_MS) };
+    }
+
+    const followUps = await FollowUp.find(query)
+      .sort({ dueDate: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('patient', 'name patientId age gender')
+      .populate('prediction', 'prediction riskLevel createdAt')
+      .populate('assignedTo', 'name email');
+
+    const total = await FollowUp.countDocuments(query);
+
+    res.json({
+      success: true,
+      followUps: followUps.map(followUp => formatFollowUp(followUp, now)),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Follow-up worklist error:', error);
+    res.status(500).json({ error: 'Server error fetching follow-ups' });
+  }
+});
+
+// @route   POST /api/followups/reminders/run
+// @desc    Send due follow-up reminders now instead of waiting for the scheduled job
+// @access  Private (Admin only)
+router.post('/reminders/run', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!hasFollowUpNotifier()) {
+      return res.status(503).json({ error: 'No follow-up notifier is configured' });
+    }
+
+    const result = await sendFollowUpReminders();
+    if (!result) {
+      return res.status(409).json({ error: 'Follow-up reminders are already being sent' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Follow-up reminder run error:', error);
+    res.status(500).json({ error: 'Server error sending follow-up reminders' });
+  }
+});
+
+// @route   POST /api/followups/:id/complete
+// @desc    Mark a scheduled follow-up as completed
+// @access  Private
+router.post('/:id/complete', protect, [
+  param('id').isMongoId().withMessage('Invalid follow-up ID'),
+  body('note').optional().isLength({ max: 1000 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const followUp = await findScheduledFollowUp(req, res);
+    if (!followUp) return;
+
+    await closeFollowUp(followUp, 'completed', { note: req.body.note, userId: req.user.id });
+    await recordPatientEvent({
+      patient: followUp.patient,
+      type: 'followup_completed',
+      prediction: followUp.prediction,
+      followUp: followUp._id,
+      note: req.body.note,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Follow-up completed',
+      followUp: formatFollowUp(followUp)
+    });
+  } catch (error) {
+    console.error('Follow-up complete error:', error);
+    res.status(500).json({ error: 'Server error completing follow-up' });
+  }
+});
+
+// @route   POST /api/followups/:id/reschedule
+// @desc    Move a scheduled follow-up to a new due date
+// @access  Private
+router.post('/:id/reschedule', protect, [
+  param('id').isMongoId().withMessage('Invalid follow-up ID'),
+  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('note').optional().isLength({ max: 1000 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const followUp = await findScheduledFollowUp(req, res);
+    if (!followUp) return;
+
+    const from = followUp.dueDate;
+    const dueDate = new Date(req.body.dueDate);
+    await rescheduleFollowUp(followUp, dueDate, { note: req.body.note, userId: req.user.id });
+
+    // Keep the prediction's follow-up date in step and show the move on the timeline
+    await Prediction.updateOne({ _id: followUp.prediction }, { followUpDate: dueDate });
+    await recordPatientEvent({
+      patient: followUp.patient,
+      type: 'followup_rescheduled',
+      prediction: followUp.prediction,
+      followUp: followUp._id,
+      changes: [{ field: 'dueDate', from, to: dueDate }],
+      note: req.body.note,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Follow-up rescheduled',
+      followUp: formatFollowUp(followUp)
+    });
+  } catch (error) {
+    console.error('Follow-up reschedule error:', error);
+    res.status(500).json({ error: 'Server error rescheduling follow-up' });
+  }
+});
+
+// @route   POST /api/followups/:id/cancel
+// @desc    Cancel a scheduled follow-up
+// @access  Private
+router.post('/:id/cancel', protect, [
+  param('id').isMongoId().withMessage('Invalid follow-up ID'),
+  body('note').optional().isLength({ max: 1000 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const followUp = await findScheduledFollowUp(req, res);
+    if (!followUp) return;
+
+    await closeFollowUp(followUp, 'cancelled', { note: req.body.note, userId: req.user.id });
+    await recordPatientEvent({
+      patient: followUp.patient,
+      type: 'followup_cancelled',
+      prediction: followUp.prediction,
+      followUp: followUp._id,
+      note: req.body.note,
+      actor: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Follow-up cancelled',
+      followUp: formatFollowUp(followUp)
+    });
+  } catch (error) {
+    console.error('Follow-up cancel error:', error);
+    res.status(500).json({ error: 'Server error cancelling follow-up' });
+  }
+});
+
+// Helper function to load a scheduled follow-up the user may edit, sending
+// the error response and returning null otherwise
+async function findScheduledFollowUp(req, res) {
+  const followUp = await FollowUp.findById(req.params.id);
+
+  if (!followUp) {
+    res.status(404).json({ error: 'Follow-up not found' });
+    return null;
+  }
+
+  const patient = await Patient.findById(followUp.patient).select('createdBy careTeams').lean();
+  if (!patient || !(await canAccessPatient(req.user, patient, 'write'))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  if (followUp.status !== 'scheduled') {
+    res.status(409).json({ error: `Follow-up is already ${followUp.status}` });
+    return null;
+  }
+
+  return followUp;
+}
+
+// Helper function to flag scheduled follow-ups that are past due
+function formatFollowUp(followUp, now = new Date()) {
+  const overdue = followUp.status === 'scheduled' && followUp.dueDate < now;
+  return Object.assign(followUp.toJSON(), {
+    overdue,
+    daysOverdue: overdue ? Math.floor((now - followUp.dueDate) / DAY_MS) : 0
+  });
+}
+
+module.exports = router;
@@ -1,25 +1,77 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const ModelVersion = require('../models/ModelVersion');
 const { protect, authorize } = require('../middleware/auth');
-const { runPrediction, validatePredictionData } = require('../utils/mlPredictor');
+const Prediction = require('../models/Prediction');
+const Patient = require('../models/Patient');
+const {
+  runPrediction,
+  validatePredictionData,
+  encodePredictionData,
+  getActiveModel,
+  getTrainingDistribution,
+  SIMPLE_MODEL_VERSION,
+  PREDICTION_FIELDS,
+  CATEGORY_VALUES
+} = require('../utils/mlPredictor');
+const { readModelMetadata, registerModel, activateModel, rollbackModel } = require('../utils/modelRegistry');
+const { evaluateDataset } = require('../utils/evaluation');
+const { getRiskLevel, getRiskLevelLabels, getRiskPolicy, describeBands } = require('../utils/riskPolicy');
+const { trainFromOutcomes } = require('../utils/trainingPipeline');
+const { getShadowConfig, saveShadowConfig } = require('../utils/shadowScoring');
+const { parseUploadedRows } = require('../utils/csv');
+const { buildDriftReport } = require('../utils/driftMonitor');
+const { generateRecommendations } = require('../utils/recommendations');
+const { normalizePredictionInput, applyImputationPenalty } = require('../utils/inputNormalization');
+const { computeClinicalScores, coerceClinicalInput } = require('../utils/clinicalScores');
+const { canAccessPatient, canAccessPrediction } = require('../utils/access');
 
 const router = express.Router();
 
+// Uploaded datasets are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Largest labelled dataset accepted by the evaluation endpoint
+const MAX_EVALUATION_ROWS = 10000;
+
+// Helper function to validate the model inputs of a request body; prefix
+// locates them, e.g. 'patients.*.' for each item of a batch
+function predictionInputRules(prefix = '') {
+  return [
+    body(`${prefix}age`).isInt({ min: 0, max: 150 }).withMessage('Age must be between 0 and 150'),
+    body(`${prefix}sex`).isIn(['male', 'female']).withMessage('Sex must be male or female'),
+    body(`${prefix}chestPainType`).optional({ values: 'null' }).isIn(['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic']).withMessage('Invalid chest pain type'),
+    body(`${prefix}restingBP`).optional({ values: 'null' }).isInt({ min: 0, max: 300 }).withMessage('Resting BP must be between 0 and 300'),
+    body(`${prefix}cholesterol`).optional({ values: 'null' }).isFloat({ min: 0, max: 1000 }).withMessage('Cholesterol must be between 0 and 1000'),
+    body(`${prefix}cholesterolUnit`).optional().isIn(['mg/dL', 'mmol/L']).withMessage('Cholesterol unit must be mg/dL or mmol/L'),
+    body(`${prefix}fastingBS`).optional({ values: 'null' }).isIn([0, 1]).withMessage('Fasting BS must be 0 or 1'),
+    body(`${prefix}glucose`).optional({ values: 'null' }).isFloat({ min: 0, max: 1000 }).withMessage('Glucose must be between 0 and 1000'),
+    body(`${prefix}glucoseUnit`).optional().isIn(['mg/dL', 'mmol/L']).withMessage('Glucose unit must be mg/dL or mmol/L'),
+    body(`${prefix}restingECG`).optional({ values: 'null' }).isIn(['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy']).withMessage('Invalid resting ECG'),
+    body(`${prefix}maxHR`).optional({ values: 'null' }).isInt({ min: 0, max: 300 }).withMessage('Max HR must be between 0 and 300'),
+    body(`${prefix}exerciseAngina`).optional({ values: 'null' }).isBoolean().withMessage('Exercise angina must be boolean'),
+    body(`${prefix}oldpeak`).optional({ values: 'null' }).isFloat({ min: -10, max: 10 }).withMessage('Oldpeak must be between -10 and 10'),
+    body(`${prefix}stSlope`).optional({ values: 'null' }).isIn(['up', 'flat', 'down']).withMessage('ST slope must be up, flat, or down')
+  ];
+}
+
 // @route   POST /api/ml/predict
 // @desc    Get heart failure prediction from ML model
 // @access  Private
+// Inputs other than age and sex may be omitted and are then imputed
 router.post('/predict', protect, [
-  body('age').isInt({ min: 0, max: 150 }).withMessage('Age must be between 0 and 150'),
-  body('sex').isIn(['male', 'female']).withMessage('Sex must be male or female'),
-  body('chestPainType').isIn(['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic']).withMessage('Invalid chest pain type'),
-  body('restingBP').isInt({ min: 0, max: 300 }).withMessage('Resting BP must be between 0 and 300'),
-  body('cholesterol').isInt({ min: 0, max: 1000 }).withMessage('Cholesterol must be between 0 and 1000'),
-  body('fastingBS').isIn([0, 1]).withMessage('Fasting BS must be 0 or 1'),
-  body('restingECG').isIn(['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy']).withMessage('Invalid resting ECG'),
-  body('maxHR').isInt({ min: 0, max: 300 }).withMessage('Max HR must be between 0 and 300'),
-  body('exerciseAngina').isBoolean().withMessage('Exercise angina must be boolean'),
-  body('oldpeak').isFloat({ min: -10, max: 10 }).withMessage('Oldpeak must be between -10 and 10'),
-  body('stSlope').isIn(['up', 'flat', 'down']).withMessage('ST slope must be up, flat, or down')
+  ...predictionInputRules(),
+  body('ejectionFraction').optional().isFloat({ min: 5, max: 90 }).withMessage('Ejection fraction must be between 5 and 90'),
+  body('nyhaClass').optional().isInt({ min: 1, max: 4 }).withMessage('NYHA class must be between 1 and 4'),
+  body('creatinine').optional().isFloat({ min: 10, max: 2000 }).withMessage('Creatinine must be between 10 and 2000 µmol/L'),
+  body('bmi').optional().isFloat({ min: 10, max: 80 }).withMessage('BMI must be between 10 and 80'),
+  body('heartRate').optional().isInt({ min: 20, max: 250 }).withMessage('Heart rate must be between 20 and 250'),
+  body('hfDiagnosedOver18Months').optional().isBoolean().withMessage('HF diagnosis duration flag must be boolean'),
+  body('patientId').optional().isMongoId().withMessage('Invalid patient ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -31,34 +83,29 @@ router.post('/predict', protect, [
       });
     }
 
-    const {
-      age,
-      sex,
-      chestPainType,
-      restingBP,
-      cholesterol,
-      fastingBS,
-      restingECG,
-      maxHR,
-      exerciseAngina,
-      oldpeak,
-      stSlope
-    } = req.body;
+    // Patient lifestyle and history feed the recommendation rules when a patient is given;
+    // access is checked before anything is scored or recorded for drift
+    let patient = null;
+    if (req.body.patientId) {
+      patient = await Patient.findById(req.body.patientId);
+      if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+      if (!(await canAccessPatient(req.user, patient))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    // Convert units and impute missing inputs
+    const normalized = await normalizePredictionInput(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+    const { inputs, provided, imputation } = normalized;
+    const { age, sex } = inputs;
 
     // Prepare data for ML prediction
-    const predictionData = {
-      age,
-      sex: sex === 'male' ? 1 : 0,
-      chestPainType: ['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic'].indexOf(chestPainType),
-      restingBP,
-      cholesterol,
-      fastingBS,
-      restingECG: ['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy'].indexOf(restingECG),
-      maxHR,
-      exerciseAngina: exerciseAngina ? 1 : 0,
-      oldpeak,
-      stSlope: ['up', 'flat', 'down'].indexOf(stSlope)
-    };
+    const predictionData = encodePredictionData(inputs);
 
     // Validate data
     const validation = validatePredictionData(predictionData);
@@ -67,24 +114,29 @@ router.post('/predict', protect, [
     }
 
     // Get prediction from ML model
-    const result = await runPrediction(predictionData);
+    const result = applyImputationPenalty(await runPrediction(predictionData, { imputation }), imputation);
     
     if (!result.success) {
       return res.status(500).json({ error: 'Prediction failed', details: result.error });
     }
 
     // Calculate risk level
-    let riskLevel = 'low';
-    if (result.prediction >= 0.75) {
-      riskLevel = 'critical';
-    } else if (result.prediction >= 0.5) {
-      riskLevel = 'high';
-    } else if (result.prediction >= 0.25) {
-      riskLevel = 'medium';
-    }
+    const riskLevel = getRiskLevel(result.prediction, { age, sex });
+
+    // Generate recommendations (imputed values never trigger rules)
+    const { recommendations, recommendationSource } = generateRecommendations({
+      probability: result.prediction,
+      riskLevel,
+      inputs: provided,
+      patient
+    });
 
-    // Generate recommendations
-    const recommendations = generateRecommendations(result.prediction, predictionData);
+    // Guideline scores to compare with the model probability
+    const scores = computeClinicalScores({
+      inputs: provided,
+      patient,
+      clinical: coerceClinicalInput(req.body)
+    });
 
     res.json({
       success: true,
@@ -92,22 +144,20 @@ router.post('/predict', protect, [
         probability: result.prediction,
         percentage: Math.round(result.prediction * 100),
         riskLevel,
+        riskPolicyVersion: getRiskPolicy().version,
         confidence: result.confidence,
         method: result.method,
+        engine: result.engine,
+        modelVersion: result.modelVersion,
+        fallbackReason: result.fallbackReason,
+        explanation: result.explanation,
+        uncertainty: result.uncertainty,
+        outOfDistribution: result.outOfDistribution,
+        imputation,
+        scores,
         recommendations,
-        inputData: {
-          age,
-          sex,
-          chestPainType,
-          restingBP,
-          cholesterol,
-          fastingBS,
-          restingECG,
-          maxHR,
-          exerciseAngina,
-          oldpeak,
-          stSlope
-        }
+        recommendationSource,
+        inputData: inputs
       }
     });
   } catch (error) {
@@ -121,14 +171,17 @@ router.post('/predict', protect, [
 // @access  Private
 router.get('/model-info', protect, async (req, res) => {
   try {
+    const activeModel = await ModelVersion.findOne({ status: 'active' });
+
     res.json({
       success: true,
       model: {
         name: 'Heart Failure Prediction Model',
-        version: '1.0.0',
+        version: activeModel ? activeModel.version : SIMPLE_MODEL_VERSION,
         description: 'Machine learning model for predicting heart failure risk based on clinical parameters',
-        algorithm: 'Random Forest Classifier',
-        accuracy: '0.89',
+        algorithm: activeModel ? 'Random Forest Classifier' : 'Rule-based scoring (no registered model)',
+        metrics: activeModel ? activeModel.metrics : null,
+        trainingDataHash: activeModel ? activeModel.trainingDataHash : null,
         features: [
           'Age',
           'Sex',
@@ -142,14 +195,10 @@ router.get('/model-info', protect, async (req, res) => {
           'ST Depression',
           'ST Slope'
         ],
-        riskLevels: {
-          low: '0-24%',
-          medium: '25-49%',
-          high: '50-74%',
-          critical: '75-100%'
-        },
-        lastUpdated: '2024-01-15',
-        dataSource: 'Clinical heart disease dataset'
+        riskLevels: describeBands(),
+        riskPolicyVersion: getRiskPolicy().version,
+        lastUpdated: activeModel ? activeModel.activatedAt : null,
+        dataSource: activeModel ? activeModel.trainingDataSource : null
       }
     });
   } catch (error) {
@@ -158,22 +207,469 @@ router.get('/model-info', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/ml/models
+// @desc    List registered model versions
+// @access  Private (Admin only)
+router.get('/models', protect, authorize('admin'), async (req, res) => {
+  try {
+    const models = await ModelVersion.find()
+      .sort({ createdAt: -1 })
+      .populate('activatedBy', 'name email')
+      .populate('registeredBy', 'name email');
+
+    res.json({
+      success: true,
+      models
+    });
+  } catch (error) {
+    console.error('Model list error:', error);
+    res.status(500).json({ error: 'Server error fetching models' });
+  }
+});
+
+// @route   POST /api/ml/models
+// @desc    Register a trained model version from its artifact metadata
+// @access  Private (Admin only)
+router.post('/models', protect, authorize('admin'), [
+  body('version').matches(/^[\w.-]+$/).withMessage('Valid model version is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const existingModel = await ModelVersion.findOne({ version: req.body.version });
+    if (existingModel) {
+      return res.status(400).json({ error: 'Model version is already registered' });
+    }
+
+    if (!readModelMetadata(req.body.version)) {
+      return res.status(404).json({ error: 'Model artifact not found for this version' });
+    }
+
+    const model = await registerModel(req.body.version, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Model registered successfully',
+      model
+    });
+  } catch (error) {
+    console.error('Model registration error:', error);
+    res.status(500).json({ error: 'Server error registering model' });
+  }
+});
+
+// @route   POST /api/ml/models/train
+// @desc    Train and register a new model version from outcome-labelled predictions
+// @access  Private (Admin only)
+router.post('/models/train', protect, authorize('admin'), [
+  body('version').optional().matches(/^[\w.-]+$/).withMessage('Invalid model version'),
+  body('minSamples').optional().isInt({ min: 10 }).withMessage('Minimum samples must be at least 10')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    if (req.body.version && await ModelVersion.findOne({ version: req.body.version })) {
+      return res.status(400).json({ error: 'Model version is already registered' });
+    }
+
+    const result = await trainFromOutcomes({
+      version: req.body.version,
+      minSamples: req.body.minSamples,
+      userId: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error, samples: result.samples });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Model ${result.model.version} trained on ${result.samples} predictions; activate it to use it`,
+      model: result.model
+    });
+  } catch (error) {
+    console.error('Model training error:', error);
+    res.status(500).json({ error: 'Server error training model' });
+  }
+});
+
+// @route   POST /api/ml/models/rollback
+// @desc    Re-activate the previously active model version
+// @access  Private (Admin only)
+router.post('/models/rollback', protect, authorize('admin'), async (req, res) => {
+  try {
+    const model = await rollbackModel(req.user.id);
+
+    if (!model) {
+      return res.status(400).json({ error: 'No previous model version to roll back to' });
+    }
+
+    res.json({
+      success: true,
+      message: `Rolled back to model ${model.version}`,
+      model
+    });
+  } catch (error) {
+    console.error('Model rollback error:', error);
+    res.status(500).json({ error: 'Server error rolling back model' });
+  }
+});
+
+// @route   POST /api/ml/models/:version/activate
+// @desc    Activate a registered model version
+// @access  Private (Admin only)
+router.post('/models/:version/activate', protect, authorize('admin'), [
+  param('version').matches(/^[\w.-]+$/).withMessage('Valid model version is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const model = await ModelVersion.findOne({ version: req.params.version });
+
+    if (!model) {
+      return res.status(404).json({ error: 'Model version not found' });
+    }
+
+    if (model.status === 'active') {
+      return res.status(400).json({ error: 'Model version is already active' });
+    }
+
+    await activateModel(model, req.user.id);
+
+    res.json({
+      success: true,
+      message: `Model ${model.version} activated`,
+      model
+    });
+  } catch (error) {
+    console.error('Model activation error:', error);
+    res.status(500).json({ error: 'Server error activating model' });
+  }
+});
+
+// @route   GET /api/ml/shadow
+// @desc    Get the shadow-mode scoring configuration
+// @access  Private (Admin only)
+router.get('/shadow', protect, authorize('admin'), async (req, res) => {
+  try {
+    const config = getShadowConfig();
+
+    res.json({
+      success: true,
+      shadow: {
+        enabled: config.enabled,
+        target: config.target
+      }
+    });
+  } catch (error) {
+    console.error('Shadow config fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching shadow configuration' });
+  }
+});
+
+// @route   PUT /api/ml/shadow
+// @desc    Enable, disable or retarget shadow-mode scoring
+// @access  Private (Admin only)
+router.put('/shadow', protect, authorize('admin'), [
+  body('enabled').isBoolean().withMessage('Enabled must be boolean'),
+  body('target')
+    .if(body('enabled').equals('true'))
+    .matches(/^[\w.-]+$/)
+    .withMessage('Target must be simplified or a registered model version')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const { enabled, target } = req.body;
+
+    if (enabled && target !== 'simplified' && !(await ModelVersion.findOne({ version: target }))) {
+      return res.status(404).json({ error: 'Model version not found' });
+    }
+
+    const config = await saveShadowConfig({ enabled, target, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: config.enabled ? `Shadow scoring enabled with ${config.target}` : 'Shadow scoring disabled',
+      shadow: {
+        enabled: config.enabled,
+        target: config.target
+      }
+    });
+  } catch (error) {
+    console.error('Shadow config update error:', error);
+    res.status(500).json({ error: 'Server error updating shadow configuration' });
+  }
+});
+
+// @route   GET /api/ml/shadow/disagreements
+// @desc    List predictions where the primary and shadow results fall in different risk bands
+// @access  Private (Admin only)
+router.get('/shadow/disagreements', protect, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const shadowed = { isActive: true, 'shadow.riskLevel': { $exists: true } };
+    if (req.query.target) {
+      shadowed['shadow.target'] = req.query.target;
+    }
+    const query = Object.assign({ $expr: { $ne: ['$riskLevel', '$shadow.riskLevel'] } }, shadowed);
+
+    // toJSON hides shadow results, so read plain objects for this report
+    const disagreements = await Prediction.find(query)
+      .select('patient riskLevel prediction method modelVersion shadow createdAt')
+      .populate('patient', 'name patientId age gender')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await Prediction.countDocuments(query);
+    const compared = await Prediction.countDocuments(shadowed);
+
+    // Primary vs shadow band cross-tabulation
+    const matrix = await Prediction.aggregate([
+      { $match: shadowed },
+      {
+        $group: {
+          _id: { primary: '$riskLevel', shadow: '$shadow.riskLevel' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.primary': 1, '_id.shadow': 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      summary: {
+        compared,
+        disagreements: total,
+        agreementRate: compared > 0 ? (compared - total) / compared : null
+      },
+      matrix,
+      disagreements,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Shadow disagreement report error:', error);
+    res.status(500).json({ error: 'Server error building shadow report' });
+  }
+});
+
+// @route   GET /api/ml/drift
+// @desc    Compare recent model inputs with the training distribution (PSI/KS per feature)
+// @access  Private (Admin only)
+router.get('/drift', protect, authorize('admin'), [
+  query('windowSize').optional().isInt({ min: 10, max: 100000 }).withMessage('Window size must be between 10 and 100000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const model = getActiveModel();
+    const report = await buildDriftReport(await getTrainingDistribution(model), {
+      windowSize: parseInt(req.query.windowSize) || undefined
+    });
+
+    res.json(Object.assign({
+      success: true,
+      modelVersion: model ? model.version : null
+    }, report));
+  } catch (error) {
+    console.error('Drift report error:', error);
+    res.status(500).json({ error: 'Server error building drift report' });
+  }
+});
+
+// @route   POST /api/ml/what-if
+// @desc    Recompute risk for hypothetical changes to a prediction's inputs
+// @access  Private
+router.post('/what-if', protect, [
+  body('predictionId').optional().isMongoId().withMessage('Invalid prediction ID'),
+  body('inputs').optional().isObject().withMessage('Inputs must be an object'),
+  body('scenarios').optional().isArray({ max: 20 }).withMessage('Scenarios must be an array of up to 20 items'),
+  body('scenarios.*.changes').isObject().withMessage('Each scenario needs a changes object'),
+  body('sweep').optional().isObject().withMessage('Sweep must be an object'),
+  body('sweep.feature').if(body('sweep').exists()).isIn(PREDICTION_FIELDS).withMessage('Invalid sweep feature'),
+  body('sweep.from').optional().isFloat().withMessage('Sweep start must be a number'),
+  body('sweep.to').optional().isFloat().withMessage('Sweep end must be a number'),
+  body('sweep.step').optional().isFloat({ gt: 0 }).withMessage('Sweep step must be positive')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const { predictionId, scenarios = [], sweep } = req.body;
+    let inputs = req.body.inputs;
+
+    // Start from a stored prediction's inputs when one is given
+    if (predictionId) {
+      const prediction = await Prediction.findById(predictionId);
+
+      if (!prediction) {
+        return res.status(404).json({ error: 'Prediction not found' });
+      }
+
+      // Check if user made this prediction, can access its patient or is admin
+      if (!(await canAccessPrediction(req.user, prediction))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      inputs = Object.assign(pickInputs(prediction), inputs);
+    }
+
+    if (!inputs) {
+      return res.status(400).json({ error: 'Provide a predictionId or inputs' });
+    }
+
+    if (scenarios.length === 0 && !sweep) {
+      return res.status(400).json({ error: 'Provide at least one scenario or a sweep' });
+    }
+
+    const baseline = await scoreInputs(pickInputs(inputs));
+    if (baseline.error) {
+      return res.status(400).json({ error: baseline.error });
+    }
+
+    const scenarioResults = [];
+    for (let i = 0; i < scenarios.length; i++) {
+      const scenario = scenarios[i];
+      const result = await scoreInputs(Object.assign(pickInputs(inputs), pickInputs(scenario.changes)));
+
+      scenarioResults.push(Object.assign({
+        name: scenario.name || `Scenario ${i + 1}`,
+        changes: pickInputs(scenario.changes)
+      }, result, result.error ? {} : {
+        change: result.probability - baseline.probability
+      }));
+    }
+
+    let sweepResult = null;
+    if (sweep) {
+      const values = getSweepValues(sweep);
+      if (values.error) {
+        return res.status(400).json({ error: values.error });
+      }
+
+      const points = [];
+      for (const value of values) {
+        const result = await scoreInputs(Object.assign(pickInputs(inputs), { [sweep.feature]: value }));
+        points.push(Object.assign({ value }, result));
+      }
+
+      sweepResult = { feature: sweep.feature, points };
+    }
+
+    res.json({
+      success: true,
+      baseline: Object.assign({ inputs: pickInputs(inputs) }, baseline),
+      scenarios: scenarioResults,
+      sweep: sweepResult
+    });
+  } catch (error) {
+    console.error('What-if simulation error:', error);
+    res.status(500).json({ error: 'Server error during what-if simulation' });
+  }
+});
+
+// @route   POST /api/ml/evaluate
+// @desc    Evaluate scoring methods against a labelled dataset (JSON rows or CSV upload)
+// @access  Private (Admin only)
+router.post('/evaluate', protect, authorize('admin'), upload.single('file'), async (req, res) => {
+  try {
+    let rows = req.body.rows;
+
+    if (req.file) {
+      try {
+        rows = parseUploadedRows(req.file);
+      } catch (error) {
+        return res.status(400).json({ error: 'Could not parse uploaded dataset' });
+      }
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'Provide a non-empty rows array or a CSV/JSON file' });
+    }
+
+    if (rows.length > MAX_EVALUATION_ROWS) {
+      return res.status(400).json({ error: `Dataset cannot exceed ${MAX_EVALUATION_ROWS} rows` });
+    }
+
+    // Compare both scoring paths unless specific methods are requested
+    let methods = req.body.methods || ['simplified', 'ml_model'];
+    if (typeof methods === 'string') {
+      methods = methods.split(',').map(m => m.trim());
+    }
+
+    if (!Array.isArray(methods) || methods.length === 0 ||
+        methods.some(m => !['simplified', 'ml_model'].includes(m))) {
+      return res.status(400).json({ error: 'Methods must be simplified and/or ml_model' });
+    }
+
+    const reports = [];
+    for (const method of methods) {
+      reports.push(await evaluateDataset(rows, method));
+    }
+
+    res.json({
+      success: true,
+      rows: rows.length,
+      reports
+    });
+  } catch (error) {
+    console.error('Model evaluation error:', error);
+    res.status(500).json({ error: 'Server error during model evaluation' });
+  }
+});
+
 // @route   POST /api/ml/batch-predict
 // @desc    Get predictions for multiple patients
 // @access  Private (Admin/Doctor only)
 router.post('/batch-predict', protect, authorize('admin', 'doctor'), [
   body('patients').isArray({ min: 1, max: 50 }).withMessage('Must provide 1-50 patients'),
-  body('patients.*.age').isInt({ min: 0, max: 150 }).withMessage('Age must be between 0 and 150'),
-  body('patients.*.sex').isIn(['male', 'female']).withMessage('Sex must be male or female'),
-  body('patients.*.chestPainType').isIn(['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic']).withMessage('Invalid chest pain type'),
-  body('patients.*.restingBP').isInt({ min: 0, max: 300 }).withMessage('Resting BP must be between 0 and 300'),
-  body('patients.*.cholesterol').isInt({ min: 0, max: 1000 }).withMessage('Cholesterol must be between 0 and 1000'),
-  body('patients.*.fastingBS').isIn([0, 1]).withMessage('Fasting BS must be 0 or 1'),
-  body('patients.*.restingECG').isIn(['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy']).withMessage('Invalid resting ECG'),
-  body('patients.*.maxHR').isInt({ min: 0, max: 300 }).withMessage('Max HR must be between 0 and 300'),
-  body('patients.*.exerciseAngina').isBoolean().withMessage('Exercise angina must be boolean'),
-  body('patients.*.oldpeak').isFloat({ min: -10, max: 10 }).withMessage('Oldpeak must be between -10 and 10'),
-  body('patients.*.stSlope').isIn(['up', 'flat', 'down']).withMessage('ST slope must be up, flat, or down')
+  ...predictionInputRules('patients.*.')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -189,41 +685,41 @@ router.post('/batch-predict', protect, authorize('admin', 'doctor'), [
 
     for (let i = 0; i < patients.length; i++) {
       const patient = patients[i];
-      
-      const predictionData = {
-        age: patient.age,
-        sex: patient.sex === 'male' ? 1 : 0,
-        chestPainType: ['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic'].indexOf(patient.chestPainType),
-        restingBP: patient.restingBP,
-        cholesterol: patient.cholesterol,
-        fastingBS: patient.fastingBS,
-        restingECG: ['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy'].indexOf(patient.restingECG),
-        maxHR: patient.maxHR,
-        exerciseAngina: patient.exerciseAngina ? 1 : 0,
-        oldpeak: patient.oldpeak,
-        stSlope: ['up', 'flat', 'down'].indexOf(patient.stSlope)
-      };
-
-      const result = await runPrediction(predictionData);
-      
-      let riskLevel = 'low';
-      if (result.prediction >= 0.75) {
-        riskLevel = 'critical';
-      } else if (result.prediction >= 0.5) {
-        riskLevel = 'high';
-      } else if (result.prediction >= 0.25) {
-        riskLevel = 'medium';
+      const patientId = patient.patientId || `patient_${i}`;
+
+      // Same unit conversion and imputation as a single prediction
+      const normalized = await normalizePredictionInput(patient);
+      if (normalized.error) {
+        results.push({ patientIndex: i, patientId, prediction: null, success: false, error: normalized.error });
+        continue;
       }
+      const { inputs, imputation } = normalized;
+
+      const predictionData = encodePredictionData(inputs);
+      const validation = validatePredictionData(predictionData);
+      if (!validation.valid) {
+        results.push({ patientIndex: i, patientId, prediction: null, success: false, error: validation.error });
+        continue;
+      }
+
+      const result = applyImputationPenalty(await runPrediction(predictionData, { imputation }), imputation);
+      const riskLevel = getRiskLevel(result.prediction, { age: inputs.age, sex: inputs.sex });
 
       results.push({
         patientIndex: i,
-        patientId: patient.patientId || `patient_${i}`,
+        patientId,
         prediction: {
           probability: result.prediction,
           percentage: Math.round(result.prediction * 100),
           riskLevel,
           confidence: result.confidence,
-          method: result.method
+          method: result.method,
+          engine: result.engine,
+          modelVersion: result.modelVersion,
+          fallbackReason: result.fallbackReason,
+          interval: result.uncertainty ? result.uncertainty.interval : null,
+          outOfDistribution: result.outOfDistribution ? result.outOfDistribution.flagged : null,
+          imputation
         },
         success: result.success,
         error: result.error || null
@@ -237,12 +733,10 @@ router.post('/batch-predict', protect, authorize('admin', 'doctor'), [
         total: results.length,
         successful: results.filter(r => r.success).length,
         failed: results.filter(r => !r.success).length,
-        riskDistribution: {
-          low: results.filter(r => r.success && r.prediction.riskLevel === 'low').length,
-          medium: results.filter(r => r.success && r.prediction.riskLevel === 'medium').length,
-          high: results.filter(r => r.success && r.prediction.riskLevel === 'high').length,
-          critical: results.filter(r => r.success && r.prediction.riskLevel === 'critical').length
-        }
+        riskDistribution: getRiskLevelLabels().reduce((distribution, label) => {
+          distribution[label] = results.filter(r => r.success && r.prediction.riskLevel === label).length;
+          return distribution;
+        }, {})
       }
     });
   } catch (error) {
@@ -251,43 +745,80 @@ router.post('/batch-predict', protect, authorize('admin', 'doctor'), [
   }
 });
 
-// Helper function to generate recommendations
-function generateRecommendations(prediction, data) {
-  const recommendations = [];
-
-  if (prediction >= 0.75) {
-    recommendations.push('🚨 Immediate medical consultation required');
-    recommendations.push('🏥 Consider emergency care if symptoms worsen');
-    recommendations.push('📞 Contact cardiologist immediately');
-  } else if (prediction >= 0.5) {
-    recommendations.push('👨‍⚕️ Schedule follow-up with cardiologist');
-    recommendations.push('📊 Monitor symptoms closely');
-    recommendations.push('💊 Review current medications');
-  } else if (prediction >= 0.25) {
-    recommendations.push('🏥 Regular health check-ups recommended');
-    recommendations.push('💪 Maintain healthy lifestyle habits');
-    recommendations.push('🥗 Focus on heart-healthy diet');
-  } else {
-    recommendations.push('✅ Continue with preventive care');
-    recommendations.push('🏃‍♂️ Regular exercise and healthy diet');
-    recommendations.push('🚭 Avoid smoking and excessive alcohol');
+// Maximum number of points in a what-if sweep
+const MAX_SWEEP_POINTS = 100;
+
+// Helper function to keep only the model input fields of an object
+function pickInputs(source) {
+  const inputs = {};
+  if (!source) {
+    return inputs;
   }
+  PREDICTION_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) {
+      inputs[field] = source[field];
+    }
+  });
+  return inputs;
+}
+
+// Helper function to validate and score a set of API-style inputs
+async function scoreInputs(inputs) {
+  const predictionData = encodePredictionData(inputs);
 
-  // Specific recommendations based on data
-  if (data.restingBP > 140) {
-    recommendations.push('🩺 Blood pressure management needed');
+  const validation = validatePredictionData(predictionData);
+  if (!validation.valid) {
+    return { error: validation.error };
   }
-  if (data.cholesterol > 200) {
-    recommendations.push('🧬 Cholesterol management recommended');
+
+  // Hypothetical inputs are kept out of drift monitoring
+  const result = await runPrediction(predictionData, { monitor: false });
+  if (!result.success) {
+    return { error: result.error || 'Prediction failed' };
   }
-  if (data.fastingBS === 1) {
-    recommendations.push('🩸 Blood sugar monitoring advised');
+
+  return {
+    probability: result.prediction,
+    percentage: Math.round(result.prediction * 100),
+    riskLevel: getRiskLevel(result.prediction, { age: inputs.age, sex: inputs.sex }),
+    method: result.method,
+    modelVersion: result.modelVersion
+  };
+}
+
+// Helper function to list the values a sweep should score
+function getSweepValues(sweep) {
+  // Categorical and binary features sweep over every allowed value
+  if (CATEGORY_VALUES[sweep.feature]) {
+    return CATEGORY_VALUES[sweep.feature];
   }
-  if (data.exerciseAngina === 1) {
-    recommendations.push('💓 Exercise stress test recommended');
+  if (sweep.feature === 'sex') {
+    return ['female', 'male'];
+  }
+  if (sweep.feature === 'fastingBS') {
+    return [0, 1];
+  }
+  if (sweep.feature === 'exerciseAngina') {
+    return [false, true];
   }
 
-  return recommendations;
+  const from = Number(sweep.from);
+  const to = Number(sweep.to);
+  const step = Number(sweep.step);
+
+  if ([from, to, step].some(isNaN) || to < from) {
+    return { error: 'Numeric sweeps need from <= to and a positive step' };
+  }
+  if (Math.floor((to - from) / step) + 1 > MAX_SWEEP_POINTS) {
+    return { error: `Sweep cannot exceed ${MAX_SWEEP_POINTS} points` };
+  }
+
+  const values = [];
+  for (let i = 0; from + i * step <= to + 1e-9; i++) {
+    // Round away floating point drift from repeated steps
+    values.push(Math.round((from + i * step) * 1e6) / 1e6);
+  }
+  return values;
 }
 
 module.exports = router; 
\ No newline at end of file
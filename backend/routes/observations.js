@@ -0,0 +1,385 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Observation = require('../models/Observation');
+const Patient = require('../models/Patient');
+const { protect } = require('../middleware/auth');
+const {
+  OBSERVATION_TYPES,
+  DEFAULT_LOOKBACK_DAYS,
+  canonicalValue,
+  validateObservation,
+  latestObservations,
+  buildTrend
+} = require('../utils/observations');
+const { canAccessPatient } = require('../utils/access');
+
+// Mounted at /api/patients/:id/observations
+const router = express.Router({ mergeParams: true });
+
+const SOURCES = ['manual', 'device', 'lab', 'ehr', 'import'];
+
+const MEASUREMENT_TYPES = Object.keys(OBSERVATION_TYPES)
+  .filter(type => OBSERVATION_TYPES[type].kind === 'quantity');
+
+// @route   POST /api/patients/:id/observations
+// @desc    Record an observation for a patient
+// @access  Private
+router.post('/', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  body('type').isIn(Object.keys(OBSERVATION_TYPES)).withMessage('Invalid observation type'),
+  body('value').exists({ values: 'null' }).withMessage('Value is required'),
+  body('unit').optional().isString().withMessage('Unit must be a string'),
+  body('observedAt').optional().isISO8601().withMessage('Observed at must be a date'),
+  body('source').optional().isIn(SOURCES).withMessage(`Source must be one of: ${SOURCES.join(', ')}`),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const { type, value, unit, observedAt, source, notes } = req.body;
+
+    const invalid = validateObservation({ type, value, unit });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const patient = await findAccessiblePatient(req, res, 'write');
+    if (!patient) return;
+
+    const observation = await Observation.create({
+      patient: patient._id,
+      type,
+      value,
+      unit: unit || OBSERVATION_TYPES[type].unit,
+      observedAt,
+      source,
+      notes,
+      recordedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Observation recorded successfully',
+      observation
+    });
+  } catch (error) {
+    console.error('Observation create error:', error);
+    res.status(500).json({ error: 'Server error recording observation' });
+  }
+});
+
+// @route   GET /api/patients/:id/observations
+// @desc    List a patient's observations, newest first
+// @access  Private
+router.get('/', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  query('type').optional().isIn(Object.keys(OBSERVATION_TYPES)).withMessage('Invalid observation type'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patient = await findAccessiblePatient(req, res);
+    if (!patient) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = observationFilter(patient, req.query);
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const observations = await Observation.find(filter)
+      .sort({ observedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('recordedBy', 'name email')
+      .select('-__v');
+
+    const total = await Observation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      observations,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Observations fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching observations' });
+  }
+});
+
+// @route   GET /api/patients/:id/observations/latest
+// @desc    Most recent observation of each type, optionally within a look-back window
+// @access  Private
+router.get('/latest', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  query('lookbackDays').optional().isInt({ min: 1, max: 36500 }).withMessage('Look-back days must be between 1 and 36500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patient = await findAccessiblePatient(req, res);
+    if (!patient) return;
+
+    const lookbackDays = req.query.lookbackDays ? parseInt(req.query.lookbackDays) : undefined;
+    const since = lookbackDays ? new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000) : undefined;
+    const latest = await latestObservations(patient._id, since);
+
+    const observations = {};
+    Object.keys(latest).forEach((type) => {
+      const observation = latest[type];
+      observations[type] = {
+        _id: observation._id,
+        value: observation.value,
+        unit: observation.unit,
+        canonicalValue: canonicalValue(observation),
+        canonicalUnit: OBSERVATION_TYPES[type] ? OBSERVATION_TYPES[type].unit : undefined,
+        observedAt: observation.observedAt,
+        source: observation.source
+      };
+    });
+
+    res.json({
+      success: true,
+      lookbackDays: lookbackDays || null,
+      defaultLookbackDays: DEFAULT_LOOKBACK_DAYS,
+      observations
+    });
+  } catch (error) {
+    console.error('Latest observations fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching latest observations' });
+  }
+});
+
+// @route   GET /api/patients/:id/observations/trends
+// @desc    Per-period statistics and overall change of a measurement over time
+// @access  Private
+router.get('/trends', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  query('type').isIn(MEASUREMENT_TYPES).withMessage(`Type must be one of: ${MEASUREMENT_TYPES.join(', ')}`),
+  query('interval').optional().isIn(['day', 'week', 'month']).withMessage('Interval must be day, week, or month'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patient = await findAccessiblePatient(req, res);
+    if (!patient) return;
+
+    const filter = Object.assign(observationFilter(patient, req.query), { type: req.query.type });
+    const observations = await Observation.find(filter)
+      .sort({ observedAt: 1 })
+      .select('value unit observedAt')
+      .lean();
+
+    res.json({
+      success: true,
+      trend: buildTrend(req.query.type, observations, req.query.interval || 'week')
+    });
+  } catch (error) {
+    console.error('Observation trends error:', error);
+    res.status(500).json({ error: 'Server error building observation trends' });
+  }
+});
+
+// @route   GET /api/patients/:id/observations/:observationId
+// @desc    Get a specific observation
+// @access  Private
+router.get('/:observationId', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  param('observationId').isMongoId().withMessage('Invalid observation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patient = await findAccessiblePatient(req, res);
+    if (!patient) return;
+
+    const observation = await Observation.findOne({
+      _id: req.params.observationId,
+      patient: patient._id,
+      isActive: true
+    }).populate('recordedBy', 'name email');
+
+    if (!observation) {
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+
+    res.json({
+      success: true,
+      observation
+    });
+  } catch (error) {
+    console.error('Observation fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching observation' });
+  }
+});
+
+// @route   PUT /api/patients/:id/observations/:observationId
+// @desc    Correct an observation; its type cannot change
+// @access  Private
+router.put('/:observationId', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  param('observationId').isMongoId().withMessage('Invalid observation ID'),
+  body('type').not().exists().withMessage('Observation type cannot be changed'),
+  body('unit').optional().isString().withMessage('Unit must be a string'),
+  body('observedAt').optional().isISO8601().withMessage('Observed at must be a date'),
+  body('source').optional().isIn(SOURCES).withMessage(`Source must be one of: ${SOURCES.join(', ')}`),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patient = await findAccessiblePatient(req, res, 'write');
+    if (!patient) return;
+
+    const observation = await Observation.findOne({
+      _id: req.params.observationId,
+      patient: patient._id,
+      isActive: true
+    });
+
+    if (!observation) {
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+
+    ['value', 'unit', 'observedAt', 'source', 'notes'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        observation[field] = req.body[field];
+      }
+    });
+
+    const invalid = validateObservation(observation);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    await observation.save();
+
+    res.json({
+      success: true,
+      message: 'Observation updated successfully',
+      observation
+    });
+  } catch (error) {
+    console.error('Observation update error:', error);
+    res.status(500).json({ error: 'Server error updating observation' });
+  }
+});
+
+// @route   DELETE /api/patients/:id/observations/:observationId
+// @desc    Delete an observation (soft delete)
+// @access  Private
+router.delete('/:observationId', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  param('observationId').isMongoId().withMessage('Invalid observation ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patient = await findAccessiblePatient(req, res, 'write');
+    if (!patient) return;
+
+    const observation = await Observation.findOneAndUpdate(
+      { _id: req.params.observationId, patient: patient._id, isActive: true },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!observation) {
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Observation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Observation delete error:', error);
+    res.status(500).json({ error: 'Server error deleting observation' });
+  }
+});
+
+// Helper function to load the patient in the URL, sending 404 or 403 and
+// returning null when it is missing or the user lacks the required access
+async function findAccessiblePatient(req, res, required = 'read') {
+  const patient = await Patient.findById(req.params.id);
+
+  if (!patient || !patient.isActive) {
+    res.status(404).json({ error: 'Patient not found' });
+    return null;
+  }
+
+  if (!(await canAccessPatient(req.user, patient, required))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return patient;
+}
+
+// Helper function to build the base query for a patient's observations in a date range
+function observationFilter(patient, { from, to }) {
+  const filter = { patient: patient._id, isActive: true };
+  if (from || to) {
+    filter.observedAt = {};
+    if (from) filter.observedAt.$gte = new Date(from);
+    if (to) filter.observedAt.$lte = new Date(to);
+  }
+  return filter;
+}
+
+module.exports = router;
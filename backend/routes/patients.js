@@ -1,10 +1,54 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
 const Patient = require('../models/Patient');
+const PatientImport = require('../models/PatientImport');
+const PatientMerge = require('../models/PatientMerge');
+const RiskAlert = require('../models/RiskAlert');
 const { protect, authorize } = require('../middleware/auth');
+const { ageGroupExpression } = require('../utils/fairness');
+const { parseCsv, toCsv } = require('../utils/csv');
+const {
+  MAX_IMPORT_ROWS,
+  defaultMapping,
+  validateMapping,
+  importPatients
+} = require('../utils/patientImport');
+const { DEFAULT_MIN_SCORE, findDuplicateCandidates } = require('../utils/patientMatching');
+const { MERGE_FIELDS, mergePatients, undoMerge } = require('../utils/patientMerge');
+const { SORT_FIELDS, buildPatientSearch } = require('../utils/patientSearch');
+const { canAccessPatient, patientAccessFilter } = require('../utils/access');
+const {
+  EVENT_TYPES,
+  PATIENT_FIELDS,
+  diffFields,
+  recordPatientEvent,
+  decodeCursor,
+  buildTimeline
+} = require('../utils/timeline');
+const { buildRiskTrend } = require('../utils/riskTrajectory');
 
 const router = express.Router();
 
+// Fields a user with write access may change with PUT /api/patients/:id
+const EDITABLE_FIELDS = [
+  'name',
+  'age',
+  'gender',
+  'email',
+  'phone',
+  'address',
+  'emergencyContact',
+  'medicalHistory',
+  'lifestyle'
+];
+
+// Import files are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
 // @route   POST /api/patients
 // @desc    Create a new patient
 // @access  Private
@@ -85,38 +129,460 @@ router.post('/', protect, [
   }
 });
 
-// @route   GET /api/patients
-// @desc    Get all patients for the user
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @route   POST /api/patients/import
+// @desc    Import patients from a CSV file; dryRun validates without saving
+// @access  Private (Admin/Doctor only)
+router.post('/import', protect, authorize('admin', 'doctor'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a CSV file in the file field' });
+    }
+
+    let rows;
+    try {
+      rows = parseCsv(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not parse uploaded file' });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The file has no data rows' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Files are limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const columns = Object.keys(rows[0]);
+
+    // Multipart fields arrive as strings
+    let mapping = req.body.mapping;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
+        return res.status(400).json({ error: 'Mapping must be valid JSON' });
+      }
+    }
+    mapping = mapping || defaultMapping(columns);
+
+    const invalidMapping = validateMapping(mapping, columns);
+    if (invalidMapping) {
+      return res.status(400).json({ error: invalidMapping });
+    }
+
+    const dryRun = [true, 'true', '1'].includes(req.body.dryRun);
+
+    const patientImport = await importPatients(rows, {
+      mapping,
+      columns,
+      dryRun,
+      fileName: req.file.originalname,
+      userId: req.user.id
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun ? 'Dry run completed; no patients were saved' : 'Import completed',
+      import: formatImport(patientImport),
+      errors: patientImport.rejectedRows.map(rejected => ({
+        row: rejected.row,
+        reason: rejected.reason,
+        messages: rejected.messages
+      })),
+      errorFile: patientImport.rejectedRows.length
+        ? `/api/patients/imports/${patientImport._id}/errors`
+        : null
+    });
+  } catch (error) {
+    console.error('Patient import error:', error);
+    res.status(500).json({ error: 'Server error importing patients' });
+  }
+});
+
+// @route   GET /api/patients/imports/:importId
+// @desc    Get the summary of an import
+// @access  Private (Admin/Doctor only)
+router.get('/imports/:importId', protect, authorize('admin', 'doctor'), [
+  param('importId').isMongoId().withMessage('Invalid import ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patientImport = await PatientImport.findById(req.params.importId);
+    if (!patientImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    // Check if user ran this import or is admin
+    if (patientImport.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      import: formatImport(patientImport)
+    });
+  } catch (error) {
+    console.error('Patient import fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching import' });
+  }
+});
+
+// @route   GET /api/patients/imports/:importId/errors
+// @desc    Download the rejected rows of an import as CSV, with the reason for each
+// @access  Private (Admin/Doctor only)
+router.get('/imports/:importId/errors', protect, authorize('admin', 'doctor'), [
+  param('importId').isMongoId().withMessage('Invalid import ID')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patientImport = await PatientImport.findById(req.params.importId);
+    if (!patientImport) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    // Check if user ran this import or is admin
+    if (patientImport.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Original columns follow, so the file can be corrected and imported again
+    const statusColumns = ['row', 'reason', 'errors'];
+    const columns = statusColumns.concat(patientImport.columns.filter(column => !statusColumns.includes(column)));
+    const records = patientImport.rejectedRows.map(rejected => Object.assign({}, rejected.data, {
+      row: rejected.row,
+      reason: rejected.reason,
+      errors: rejected.messages.join('; ')
+    }));
+
+    res.attachment(`patient-import-${patientImport._id}-errors.csv`);
+    res.type('text/csv').send(toCsv(records, columns));
+  } catch (error) {
+    console.error('Patient import errors download error:', error);
+    res.status(500).json({ error: 'Server error downloading import errors' });
+  }
+});
+
+// @route   GET /api/patients/duplicates
+// @desc    List likely duplicate patient pairs, best match first
+// @access  Private (Admin/Doctor only)
+router.get('/duplicates', protect, authorize('admin', 'doctor'), [
+  query('minScore').optional().isFloat({ min: 0, max: 1 }).withMessage('Minimum score must be between 0 and 1'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : DEFAULT_MIN_SCORE;
+    const candidates = await findDuplicateCandidates({
+      scope: await patientAccessFilter(req.user),
+      minScore,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      success: true,
+      minScore,
+      candidates
+    });
+  } catch (error) {
+    console.error('Duplicate patients fetch error:', error);
+    res.status(500).json({ error: 'Server error finding duplicate patients' });
+  }
+});
+
+// @route   POST /api/patients/merges
+// @desc    Merge a duplicate patient into another, moving its predictions and observations
+// @access  Private (Admin/Doctor only)
+router.post('/merges', protect, authorize('admin', 'doctor'), [
+  body('survivorId').isMongoId().withMessage('Invalid survivor patient ID'),
+  body('mergedId')
+    .isMongoId()
+    .withMessage('Invalid merged patient ID')
+    .custom((value, { req }) => value !== req.body.survivorId)
+    .withMessage('A patient cannot be merged into itself'),
+  body('fields').optional().isArray().withMessage('Fields must be an array'),
+  body('fields.*').isIn(MERGE_FIELDS).withMessage(`Fields must be from: ${MERGE_FIELDS.join(', ')}`),
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const survivor = await Patient.findById(req.body.survivorId);
+    const merged = await Patient.findById(req.body.mergedId);
+
+    if (!survivor || !survivor.isActive || !merged || !merged.isActive) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    // Merging edits the survivor and retires the duplicate
+    if (!(await canAccessPatient(req.user, survivor, 'write')) ||
+        !(await canAccessPatient(req.user, merged, 'manage'))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const merge = await mergePatients(survivor, merged, {
+      fields: req.body.fields,
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    if (merge.changes.length) {
+      await recordPatientEvent({
+        patient: survivor._id,
+        type: 'patient_updated',
+        changes: merge.changes,
+        source: 'merge',
+        actor: req.user.id
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Patients merged successfully',
+      merge: formatMerge(merge),
+      patient: survivor
+    });
+  } catch (error) {
+    console.error('Patient merge error:', error);
+    res.status(500).json({ error: 'Server error merging patients' });
+  }
+});
+
+// @route   GET /api/patients/merges
+// @desc    Get the patient merge audit trail
+// @access  Private (Admin/Doctor only)
+router.get('/merges', protect, authorize('admin', 'doctor'), [
+  query('patientId').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('status').optional().isIn(['merged', 'undone']).withMessage('Status must be merged or undone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const query = { createdBy: req.user.id, isActive: true };
-
-    // Add search filter
-    if (req.query.search) {
-      query.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { patientId: { $regex: req.query.search, $options: 'i' } },
-        { email: { $regex: req.query.search, $options: 'i' } }
-      ];
+    const filter = {};
+    if (req.query.patientId) {
+      filter.$or = [{ survivor: req.query.patientId }, { merged: req.query.patientId }];
     }
-
-    // Add gender filter
-    if (req.query.gender) {
-      query.gender = req.query.gender;
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    // Only merges into patients the user can access
+    if (req.user.role !== 'admin') {
+      filter.survivor = { $in: await Patient.find(await patientAccessFilter(req.user)).distinct('_id') };
     }
 
-    const patients = await Patient.find(query)
+    const merges = await PatientMerge.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('-__v');
+      .select('-survivorBefore -mergedBefore -__v')
+      .populate('survivor', 'patientId name age gender')
+      .populate('merged', 'patientId name age gender')
+      .populate('mergedBy', 'name email')
+      .populate('undoneBy', 'name email');
 
-    const total = await Patient.countDocuments(query);
+    const total = await PatientMerge.countDocuments(filter);
+
+    res.json({
+      success: true,
+      merges,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Patient merges fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching patient merges' });
+  }
+});
+
+// @route   GET /api/patients/merges/:mergeId
+// @desc    Get a patient merge, including both records as they were before it
+// @access  Private (Admin/Doctor only)
+router.get('/merges/:mergeId', protect, authorize('admin', 'doctor'), [
+  param('mergeId').isMongoId().withMessage('Invalid merge ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const merge = await PatientMerge.findById(req.params.mergeId)
+      .populate('mergedBy', 'name email')
+      .populate('undoneBy', 'name email');
+    if (!merge) {
+      return res.status(404).json({ error: 'Merge not found' });
+    }
+
+    const survivor = await Patient.findById(merge.survivor);
+    if (!survivor || !(await canAccessPatient(req.user, survivor))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      success: true,
+      merge
+    });
+  } catch (error) {
+    console.error('Patient merge fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching patient merge' });
+  }
+});
+
+// @route   POST /api/patients/merges/:mergeId/undo
+// @desc    Undo a patient merge, restoring both records and moving predictions and observations back
+// @access  Private (Admin/Doctor only)
+router.post('/merges/:mergeId/undo', protect, authorize('admin', 'doctor'), [
+  param('mergeId').isMongoId().withMessage('Invalid merge ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const merge = await PatientMerge.findById(req.params.mergeId);
+    if (!merge) {
+      return res.status(404).json({ error: 'Merge not found' });
+    }
+
+    const records = await Patient.find({ _id: { $in: [merge.survivor, merge.merged] } });
+    for (const record of records) {
+      if (!(await canAccessPatient(req.user, record, 'write'))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    const result = await undoMerge(merge, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const reverted = merge.changes
+      .filter(change => !result.conflicts.includes(change.field))
+      .map(change => ({ field: change.field, from: change.to, to: change.from }));
+    if (reverted.length) {
+      await recordPatientEvent({
+        patient: merge.survivor,
+        type: 'patient_updated',
+        changes: reverted,
+        source: 'merge_undo',
+        actor: req.user.id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Merge undone successfully',
+      merge: formatMerge(result.merge),
+      // Survivor fields edited since the merge, which kept their current value
+      conflicts: result.conflicts
+    });
+  } catch (error) {
+    console.error('Patient merge undo error:', error);
+    res.status(500).json({ error: 'Server error undoing patient merge' });
+  }
+});
+
+// @route   GET /api/patients
+// @desc    Search the patients the user can access with structured filters
+// @access  Private
+router.get('/', protect, [
+  query('search').optional().isLength({ max: 200 }).withMessage('Search cannot exceed 200 characters'),
+  query('gender').optional().isIn(['male', 'female', 'other']).withMessage('Gender must be male, female, or other'),
+  query('minAge').optional().isInt({ min: 0, max: 150 }).withMessage('Minimum age must be between 0 and 150').toInt(),
+  query('maxAge').optional().isInt({ min: 0, max: 150 }).withMessage('Maximum age must be between 0 and 150').toInt(),
+  query('conditions').optional().customSanitizer(toList),
+  query('medications').optional().customSanitizer(toList),
+  query('smoking').optional().isBoolean().withMessage('Smoking must be true or false').toBoolean(),
+  query('city').optional().trim().isLength({ max: 100 }).withMessage('City cannot exceed 100 characters'),
+  query('riskLevel').optional().customSanitizer(toList),
+  query('overdueFollowUp').optional().isBoolean().withMessage('Overdue follow-up must be true or false').toBoolean(),
+  query('sort').optional().isIn(Object.keys(SORT_FIELDS)).withMessage(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 10;
+
+    const [result] = await Patient.aggregate(buildPatientSearch(
+      Object.assign(await patientAccessFilter(req.user), { isActive: true }),
+      {
+        search: req.query.search,
+        gender: req.query.gender,
+        minAge: req.query.minAge,
+        maxAge: req.query.maxAge,
+        conditions: req.query.conditions,
+        medications: req.query.medications,
+        smoking: req.query.smoking,
+        city: req.query.city,
+        riskLevel: req.query.riskLevel,
+        overdueFollowUp: req.query.overdueFollowUp,
+        sort: req.query.sort,
+        order: req.query.order,
+        page,
+        limit
+      }
+    ));
+
+    const patients = result.patients;
+    const total = result.total.length ? result.total[0].count : 0;
 
     res.json({
       success: true,
@@ -146,9 +612,8 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    // Check if user owns this patient or is admin/doctor
-    if (patient.createdBy.toString() !== req.user.id && 
-        !['admin', 'doctor'].includes(req.user.role)) {
+    // Check if user created this patient, shares a care team with it or is admin
+    if (!(await canAccessPatient(req.user, patient))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -204,9 +669,8 @@ router.put('/:id', protect, [
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    // Check if user owns this patient or is admin/doctor
-    if (patient.createdBy.toString() !== req.user.id && 
-        !['admin', 'doctor'].includes(req.user.role)) {
+    // Check if user may edit this patient
+    if (!(await canAccessPatient(req.user, patient, 'write'))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -218,12 +682,27 @@ router.put('/:id', protect, [
       }
     }
 
+    // Only the record's own details are edited here. The identifier, ownership,
+    // care teams, merge links and active flag change through their own
+    // endpoints, which check the access they need.
+    const updates = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
     const updatedPatient = await Patient.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
+    const changes = diffFields(patient.toObject(), updatedPatient.toObject(), PATIENT_FIELDS);
+    if (changes.length) {
+      await recordPatientEvent({ patient: patient._id, type: 'patient_updated', changes, actor: req.user.id });
+    }
+
     res.json({
       success: true,
       message: 'Patient updated successfully',
@@ -246,13 +725,14 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    // Check if user owns this patient or is admin
-    if (patient.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user created this patient, leads one of its care teams or is admin
+    if (!(await canAccessPatient(req.user, patient, 'manage'))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     patient.isActive = false;
     await patient.save();
+    await recordPatientEvent({ patient: patient._id, type: 'patient_deleted', actor: req.user.id });
 
     res.json({
       success: true,
@@ -275,9 +755,8 @@ router.get('/:id/predictions', protect, async (req, res) => {
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    // Check if user owns this patient or is admin/doctor
-    if (patient.createdBy.toString() !== req.user.id && 
-        !['admin', 'doctor'].includes(req.user.role)) {
+    // Check if user created this patient, shares a care team with it or is admin
+    if (!(await canAccessPatient(req.user, patient))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -317,13 +796,156 @@ router.get('/:id/predictions', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/patients/:id/timeline
+// @desc    Get a patient's history as one event stream, newest first
+// @access  Private
+router.get('/:id/timeline', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  query('types').optional().customSanitizer(toList),
+  query('types.*').isIn(EVENT_TYPES).withMessage(`Types must be from: ${EVENT_TYPES.join(', ')}`),
+  query('cursor').optional().custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    // Deleted patients keep their timeline
+    const patient = await Patient.findById(req.params.id);
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    // Check if user created this patient, shares a care team with it or is admin
+    if (!(await canAccessPatient(req.user, patient))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { events, nextCursor } = await buildTimeline(patient, {
+      types: req.query.types && req.query.types.length ? req.query.types : EVENT_TYPES,
+      cursor: req.query.cursor,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      events,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Patient timeline fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching patient timeline' });
+  }
+});
+
+// @route   GET /api/patients/:id/risk-trend
+// @desc    Get a patient's predicted risk over time with its trend and open alerts
+// @access  Private
+router.get('/:id/risk-trend', protect, [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patient = await Patient.findById(req.params.id);
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    // Check if user created this patient, shares a care team with it or is admin
+    if (!(await canAccessPatient(req.user, patient))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { points, summary } = await buildRiskTrend(patient._id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    const alerts = await RiskAlert.find({ patient: patient._id, status: 'open' })
+      .sort({ createdAt: -1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      points,
+      summary,
+      alerts
+    });
+  } catch (error) {
+    console.error('Patient risk trend fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching patient risk trend' });
+  }
+});
+
+// @route   GET /api/patients/:id/duplicates
+// @desc    List likely duplicates of a patient
+// @access  Private (Admin/Doctor only)
+router.get('/:id/duplicates', protect, authorize('admin', 'doctor'), [
+  param('id').isMongoId().withMessage('Invalid patient ID'),
+  query('minScore').optional().isFloat({ min: 0, max: 1 }).withMessage('Minimum score must be between 0 and 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const patient = await Patient.findById(req.params.id);
+
+    if (!patient || !patient.isActive) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    // Check if user created this patient, shares a care team with it or is admin
+    if (!(await canAccessPatient(req.user, patient))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : DEFAULT_MIN_SCORE;
+    const candidates = await findDuplicateCandidates({
+      scope: await patientAccessFilter(req.user),
+      patientId: patient._id,
+      minScore
+    });
+
+    res.json({
+      success: true,
+      minScore,
+      candidates
+    });
+  } catch (error) {
+    console.error('Patient duplicates fetch error:', error);
+    res.status(500).json({ error: 'Server error finding duplicate patients' });
+  }
+});
+
 // @route   GET /api/patients/stats/overview
 // @desc    Get patient statistics
 // @access  Private
 router.get('/stats/overview', protect, async (req, res) => {
   try {
+    const match = Object.assign(await patientAccessFilter(req.user), { isActive: true });
+
     const stats = await Patient.aggregate([
-      { $match: { createdBy: req.user._id, isActive: true } },
+      { $match: match },
       {
         $group: {
           _id: null,
@@ -340,35 +962,17 @@ router.get('/stats/overview', protect, async (req, res) => {
     ]);
 
     const ageGroupStats = await Patient.aggregate([
-      { $match: { createdBy: req.user._id, isActive: true } },
+      { $match: match },
       {
         $group: {
-          _id: {
-            $cond: [
-              { $lt: ['$age', 30] },
-              '18-29',
-              {
-                $cond: [
-                  { $lt: ['$age', 50] },
-                  '30-49',
-                  {
-                    $cond: [
-                      { $lt: ['$age', 70] },
-                      '50-69',
-                      '70+'
-                    ]
-                  }
-                ]
-              }
-            ]
-          },
+          _id: ageGroupExpression(),
           count: { $sum: 1 }
         }
       }
     ]);
 
     const monthlyStats = await Patient.aggregate([
-      { $match: { createdBy: req.user._id, isActive: true } },
+      { $match: match },
       {
         $group: {
           _id: {
@@ -399,4 +1003,29 @@ router.get('/stats/overview', protect, async (req, res) => {
   }
 });
 
+// Helper function to summarize an import without its rejected rows
+function formatImport(patientImport) {
+  const data = patientImport.toObject();
+  delete data.__v;
+  delete data.rejectedRows;
+  return data;
+}
+
+// Helper function to read a list query parameter given as repeated values or comma separated
+function toList(value) {
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Helper function to summarize a merge without the record snapshots
+function formatMerge(merge) {
+  const data = merge.toObject();
+  delete data.__v;
+  delete data.survivorBefore;
+  delete data.mergedBefore;
+  return data;
+}
+
 module.exports = router; 
\ No newline at end of file
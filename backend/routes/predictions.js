@@ -1,9 +1,21 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Prediction = require('../models/Prediction');
 const Patient = require('../models/Patient');
 const { protect, authorize } = require('../middleware/auth');
-const { runPrediction } = require('../utils/mlPredictor');
+const { runPrediction, encodePredictionData } = require('../utils/mlPredictor');
+const { buildReport } = require('../utils/evaluation');
+const { runShadowPrediction } = require('../utils/shadowScoring');
+const { riskBandExpression, getRiskLevelLabels, getRiskLevel } = require('../utils/riskPolicy');
+const { generateRecommendations } = require('../utils/recommendations');
+const { normalizePredictionInput, applyImputationPenalty } = require('../utils/inputNormalization');
+const { computeClinicalScores, coerceClinicalInput } = require('../utils/clinicalScores');
+const { buildFairnessReport } = require('../utils/fairness');
+const { fillFromObservations } = require('../utils/observations');
+const { canAccessPatient, canAccessPrediction, predictionAccessFilter } = require('../utils/access');
+const { PREDICTION_FIELDS, diffFields, recordPatientEvent } = require('../utils/timeline');
+const { analyzeRiskTrajectory, raiseRiskAlert } = require('../utils/riskTrajectory');
+const { suggestFollowUpDate, scheduleFollowUp, syncPredictionFollowUp, cancelPredictionFollowUps } = require('../utils/followUps');
 
 const router = express.Router();
 
@@ -12,17 +24,29 @@ const router = express.Router();
 // @access  Private
 router.post('/', protect, [
   body('patientId').isMongoId().withMessage('Valid patient ID is required'),
-  body('age').isInt({ min: 0, max: 150 }).withMessage('Age must be between 0 and 150'),
-  body('sex').isIn(['male', 'female']).withMessage('Sex must be male or female'),
-  body('chestPainType').isIn(['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic']).withMessage('Invalid chest pain type'),
-  body('restingBP').isInt({ min: 0, max: 300 }).withMessage('Resting BP must be between 0 and 300'),
-  body('cholesterol').isInt({ min: 0, max: 1000 }).withMessage('Cholesterol must be between 0 and 1000'),
-  body('fastingBS').isIn([0, 1]).withMessage('Fasting BS must be 0 or 1'),
-  body('restingECG').isIn(['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy']).withMessage('Invalid resting ECG'),
-  body('maxHR').isInt({ min: 0, max: 300 }).withMessage('Max HR must be between 0 and 300'),
-  body('exerciseAngina').isBoolean().withMessage('Exercise angina must be boolean'),
-  body('oldpeak').isFloat({ min: -10, max: 10 }).withMessage('Oldpeak must be between -10 and 10'),
-  body('stSlope').isIn(['up', 'flat', 'down']).withMessage('ST slope must be up, flat, or down')
+  body('autoFill').optional().isBoolean().withMessage('Auto-fill must be boolean').toBoolean(),
+  body('lookbackDays').optional().isInt({ min: 1, max: 3650 }).withMessage('Look-back days must be between 1 and 3650').toInt(),
+  // Age and sex may be left for auto-fill to take from the patient record
+  body('age').optional({ values: 'null' }).isInt({ min: 0, max: 150 }).withMessage('Age must be between 0 and 150'),
+  body('sex').optional({ values: 'null' }).isIn(['male', 'female']).withMessage('Sex must be male or female'),
+  body('chestPainType').optional({ values: 'null' }).isIn(['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic']).withMessage('Invalid chest pain type'),
+  body('restingBP').optional({ values: 'null' }).isInt({ min: 0, max: 300 }).withMessage('Resting BP must be between 0 and 300'),
+  body('cholesterol').optional({ values: 'null' }).isFloat({ min: 0, max: 1000 }).withMessage('Cholesterol must be between 0 and 1000'),
+  body('cholesterolUnit').optional().isIn(['mg/dL', 'mmol/L']).withMessage('Cholesterol unit must be mg/dL or mmol/L'),
+  body('fastingBS').optional({ values: 'null' }).isIn([0, 1]).withMessage('Fasting BS must be 0 or 1'),
+  body('glucose').optional({ values: 'null' }).isFloat({ min: 0, max: 1000 }).withMessage('Glucose must be between 0 and 1000'),
+  body('glucoseUnit').optional().isIn(['mg/dL', 'mmol/L']).withMessage('Glucose unit must be mg/dL or mmol/L'),
+  body('restingECG').optional({ values: 'null' }).isIn(['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy']).withMessage('Invalid resting ECG'),
+  body('maxHR').optional({ values: 'null' }).isInt({ min: 0, max: 300 }).withMessage('Max HR must be between 0 and 300'),
+  body('exerciseAngina').optional({ values: 'null' }).isBoolean().withMessage('Exercise angina must be boolean'),
+  body('oldpeak').optional({ values: 'null' }).isFloat({ min: -10, max: 10 }).withMessage('Oldpeak must be between -10 and 10'),
+  body('stSlope').optional({ values: 'null' }).isIn(['up', 'flat', 'down']).withMessage('ST slope must be up, flat, or down'),
+  body('ejectionFraction').optional().isFloat({ min: 5, max: 90 }).withMessage('Ejection fraction must be between 5 and 90'),
+  body('nyhaClass').optional().isInt({ min: 1, max: 4 }).withMessage('NYHA class must be between 1 and 4'),
+  body('creatinine').optional().isFloat({ min: 10, max: 2000 }).withMessage('Creatinine must be between 10 and 2000 µmol/L'),
+  body('bmi').optional().isFloat({ min: 10, max: 80 }).withMessage('BMI must be between 10 and 80'),
+  body('heartRate').optional().isInt({ min: 20, max: 250 }).withMessage('Heart rate must be between 20 and 250'),
+  body('hfDiagnosedOver18Months').optional().isBoolean().withMessage('HF diagnosis duration flag must be boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -34,21 +58,7 @@ router.post('/', protect, [
       });
     }
 
-    const {
-      patientId,
-      age,
-      sex,
-      chestPainType,
-      restingBP,
-      cholesterol,
-      fastingBS,
-      restingECG,
-      maxHR,
-      exerciseAngina,
-      oldpeak,
-      stSlope,
-      notes
-    } = req.body;
+    const { patientId, notes } = req.body;
 
     // Check if patient exists
     const patient = await Patient.findById(patientId);
@@ -56,28 +66,63 @@ router.post('/', protect, [
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    // Prepare data for ML prediction
-    const predictionData = {
+    // Check if user may add to this patient's record
+    if (!(await canAccessPatient(req.user, patient, 'write'))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Fill missing inputs from the patient's recent observations when asked
+    let input = req.body;
+    let autoFilled = [];
+    if (req.body.autoFill) {
+      ({ input, autoFilled } = await fillFromObservations(req.body, patient, req.body.lookbackDays));
+    }
+
+    // Convert units and impute missing inputs
+    const normalized = await normalizePredictionInput(input);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+    const { inputs, provided, imputation } = normalized;
+    const {
       age,
-      sex: sex === 'male' ? 1 : 0,
-      chestPainType: ['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic'].indexOf(chestPainType),
+      sex,
+      chestPainType,
       restingBP,
       cholesterol,
       fastingBS,
-      restingECG: ['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy'].indexOf(restingECG),
+      restingECG,
       maxHR,
-      exerciseAngina: exerciseAngina ? 1 : 0,
+      exerciseAngina,
       oldpeak,
-      stSlope: ['up', 'flat', 'down'].indexOf(stSlope)
-    };
+      stSlope
+    } = inputs;
+
+    // Prepare data for ML prediction
+    const predictionData = encodePredictionData(inputs);
 
     // Get prediction from ML model
-    const mlResult = await runPrediction(predictionData);
+    const mlResult = applyImputationPenalty(await runPrediction(predictionData, { imputation }), imputation);
     
     if (!mlResult.success) {
       return res.status(500).json({ error: 'Prediction failed', details: mlResult.error });
     }
 
+    // Generate recommendations from the active rule set (imputed values never trigger rules)
+    const { recommendations, recommendationSource } = generateRecommendations({
+      probability: mlResult.prediction,
+      riskLevel: getRiskLevel(mlResult.prediction, { age, sex }),
+      inputs: provided,
+      patient
+    });
+
+    // Guideline scores stored alongside the model probability
+    const scores = computeClinicalScores({
+      inputs: provided,
+      patient,
+      clinical: coerceClinicalInput(input)
+    });
+
     // Create prediction record
     const prediction = new Prediction({
       patient: patientId,
@@ -94,12 +139,32 @@ router.post('/', protect, [
       oldpeak,
       stSlope,
       prediction: mlResult.prediction,
-      confidence: mlResult.confidence || 0.85,
+      confidence: mlResult.confidence,
+      method: mlResult.method,
+      engine: mlResult.engine,
+      modelVersion: mlResult.modelVersion,
+      fallbackReason: mlResult.fallbackReason,
+      explanation: mlResult.explanation,
+      uncertainty: mlResult.uncertainty,
+      outOfDistribution: mlResult.outOfDistribution,
+      autoFilled,
+      imputation,
+      scores,
       notes,
-      recommendations: generateRecommendations(mlResult.prediction, predictionData)
+      recommendations,
+      recommendationSource
     });
 
+    // Compare with the patient's earlier predictions and alert on a sharp rise
+    await analyzeRiskTrajectory(prediction);
+    // Follow up after the interval the risk policy gives the prediction's band
+    prediction.followUpDate = suggestFollowUpDate(prediction);
     await prediction.save();
+    const alert = await raiseRiskAlert(prediction);
+    const followUp = await scheduleFollowUp(prediction, { userId: req.user.id });
+
+    // Score with the shadow model in the background, if one is configured
+    runShadowPrediction(prediction, predictionData);
 
     // Populate patient info
     await prediction.populate('patient', 'name patientId age gender');
@@ -107,7 +172,9 @@ router.post('/', protect, [
     res.status(201).json({
       success: true,
       message: 'Prediction created successfully',
-      prediction
+      prediction,
+      alert,
+      followUp
     });
   } catch (error) {
     console.error('Prediction creation error:', error);
@@ -116,7 +183,7 @@ router.post('/', protect, [
 });
 
 // @route   GET /api/predictions
-// @desc    Get all predictions for the user
+// @desc    Get all predictions the user can access
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
@@ -124,7 +191,7 @@ router.get('/', protect, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const query = { createdBy: req.user.id, isActive: true };
+    const query = Object.assign(await predictionAccessFilter(req.user), { isActive: true });
 
     // Add filters
     if (req.query.riskLevel) {
@@ -172,9 +239,8 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(404).json({ error: 'Prediction not found' });
     }
 
-    // Check if user owns this prediction or is admin/doctor
-    if (prediction.createdBy._id.toString() !== req.user.id && 
-        !['admin', 'doctor'].includes(req.user.role)) {
+    // Check if user made this prediction, can access its patient or is admin
+    if (!(await canAccessPrediction(req.user, prediction))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -211,9 +277,8 @@ router.put('/:id', protect, [
       return res.status(404).json({ error: 'Prediction not found' });
     }
 
-    // Check if user owns this prediction or is admin/doctor
-    if (prediction.createdBy.toString() !== req.user.id && 
-        !['admin', 'doctor'].includes(req.user.role)) {
+    // Check if user made this prediction, may edit its patient or is admin
+    if (!(await canAccessPrediction(req.user, prediction, 'write'))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -230,6 +295,21 @@ router.put('/:id', protect, [
       { new: true, runValidators: true }
     ).populate('patient', 'name patientId age gender');
 
+    if (followUpDate !== undefined) {
+      await syncPredictionFollowUp(updatedPrediction, req.user.id);
+    }
+
+    const changes = diffFields(prediction.toObject(), updatedPrediction.toObject(), PREDICTION_FIELDS);
+    if (prediction.patient && changes.length) {
+      await recordPatientEvent({
+        patient: prediction.patient,
+        type: 'prediction_updated',
+        prediction: prediction._id,
+        changes,
+        actor: req.user.id
+      });
+    }
+
     res.json({
       success: true,
       message: 'Prediction updated successfully',
@@ -252,13 +332,22 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(404).json({ error: 'Prediction not found' });
     }
 
-    // Check if user owns this prediction or is admin
-    if (prediction.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user made this prediction, manages its patient or is admin
+    if (!(await canAccessPrediction(req.user, prediction, 'manage'))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     prediction.isActive = false;
     await prediction.save();
+    await cancelPredictionFollowUps(prediction._id, req.user.id);
+    if (prediction.patient) {
+      await recordPatientEvent({
+        patient: prediction.patient,
+        type: 'prediction_deleted',
+        prediction: prediction._id,
+        actor: req.user.id
+      });
+    }
 
     res.json({
       success: true,
@@ -270,30 +359,203 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
+// @route   PUT /api/predictions/:id/outcome
+// @desc    Record the actual clinical outcome for a prediction
+// @access  Private
+router.put('/:id/outcome', protect, [
+  body('eventType').isIn(['hf_hospitalization', 'death', 'none']).withMessage('Event type must be hf_hospitalization, death, or none'),
+  body('eventDate')
+    .if(body('eventType').not().equals('none'))
+    .notEmpty()
+    .withMessage('Event date is required for an event'),
+  body('eventDate').optional().isISO8601().withMessage('Invalid date format'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const prediction = await Prediction.findById(req.params.id);
+
+    if (!prediction) {
+      return res.status(404).json({ error: 'Prediction not found' });
+    }
+
+    // Check if user made this prediction, may edit its patient or is admin
+    if (!(await canAccessPrediction(req.user, prediction, 'write'))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { eventType, eventDate, notes } = req.body;
+
+    if (eventDate && new Date(eventDate) < prediction.createdAt) {
+      return res.status(400).json({ error: 'Event date cannot be before the prediction' });
+    }
+
+    prediction.outcome = {
+      eventType,
+      eventDate,
+      notes,
+      recordedBy: req.user.id,
+      recordedAt: new Date()
+    };
+
+    await prediction.save();
+    await prediction.populate('patient', 'name patientId age gender');
+
+    res.json({
+      success: true,
+      message: 'Outcome recorded successfully',
+      prediction
+    });
+  } catch (error) {
+    console.error('Outcome record error:', error);
+    res.status(500).json({ error: 'Server error recording outcome' });
+  }
+});
+
+// @route   GET /api/predictions/outcomes/pending
+// @desc    Get predictions older than N days that still have no recorded outcome
+// @access  Private
+router.get('/outcomes/pending', protect, [
+  query('days').optional().isInt({ min: 0, max: 3650 }).withMessage('Days must be between 0 and 3650')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 90;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const query = Object.assign(await predictionAccessFilter(req.user), {
+      isActive: true,
+      'outcome.eventType': { $exists: false },
+      createdAt: { $lte: cutoff }
+    });
+
+    const predictions = await Prediction.find(query)
+      .populate('patient', 'name patientId age gender')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Prediction.countDocuments(query);
+
+    res.json({
+      success: true,
+      days,
+      predictions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Pending outcomes fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching pending outcomes' });
+  }
+});
+
+// @route   GET /api/predictions/outcomes/report
+// @desc    Observed vs predicted event rates by risk level
+// @access  Private
+router.get('/outcomes/report', protect, async (req, res) => {
+  try {
+    const match = Object.assign(await predictionAccessFilter(req.user), {
+      isActive: true,
+      'outcome.eventType': { $exists: true }
+    });
+
+    const byRiskLevel = await Prediction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          // The risk level recorded with each prediction, not the current policy's band
+          _id: '$riskLevel',
+          count: { $sum: 1 },
+          meanPredicted: { $avg: '$prediction' },
+          events: {
+            $sum: { $cond: [{ $ne: ['$outcome.eventType', 'none'] }, 1, 0] }
+          },
+          hospitalizations: {
+            $sum: { $cond: [{ $eq: ['$outcome.eventType', 'hf_hospitalization'] }, 1, 0] }
+          },
+          deaths: {
+            $sum: { $cond: [{ $eq: ['$outcome.eventType', 'death'] }, 1, 0] }
+          }
+        }
+      },
+      {
+        $addFields: {
+          observedRate: { $divide: ['$events', '$count'] }
+        }
+      }
+    ]);
+
+    // Order bands from lowest to highest risk, labels of earlier policies last
+    byRiskLevel.sort(byRiskLevelOrder());
+
+    // Overall discrimination and calibration of the stored scores
+    const labelled = await Prediction.find(match).select('prediction outcome.eventType').lean();
+    const overall = buildReport(
+      labelled.map(p => (p.outcome.eventType === 'none' ? 0 : 1)),
+      labelled.map(p => p.prediction)
+    );
+
+    res.json({
+      success: true,
+      byRiskLevel,
+      overall
+    });
+  } catch (error) {
+    console.error('Outcome report error:', error);
+    res.status(500).json({ error: 'Server error building outcome report' });
+  }
+});
+
 // @route   GET /api/predictions/stats/overview
 // @desc    Get prediction statistics
 // @access  Private
 router.get('/stats/overview', protect, async (req, res) => {
   try {
+    const match = Object.assign(await predictionAccessFilter(req.user), { isActive: true });
+
     const stats = await Prediction.aggregate([
-      { $match: { createdBy: req.user._id, isActive: true } },
+      { $match: match },
       {
         $group: {
           _id: null,
           total: { $sum: 1 },
           avgPrediction: { $avg: '$prediction' },
+          // High risk is the upper half of the policy's bands, critical the top band
           highRisk: {
-            $sum: { $cond: [{ $gte: ['$prediction', 0.5] }, 1, 0] }
+            $sum: riskBandExpression((band, index, bands) => (index >= Math.floor(bands.length / 2) ? 1 : 0))
           },
           criticalRisk: {
-            $sum: { $cond: [{ $gte: ['$prediction', 0.75] }, 1, 0] }
+            $sum: riskBandExpression((band, index, bands) => (index === bands.length - 1 ? 1 : 0))
           }
         }
       }
     ]);
 
     const riskLevelStats = await Prediction.aggregate([
-      { $match: { createdBy: req.user._id, isActive: true } },
+      { $match: match },
       {
         $group: {
           _id: '$riskLevel',
@@ -301,9 +563,10 @@ router.get('/stats/overview', protect, async (req, res) => {
         }
       }
     ]);
+    riskLevelStats.sort(byRiskLevelOrder());
 
     const monthlyStats = await Prediction.aggregate([
-      { $match: { createdBy: req.user._id, isActive: true } },
+      { $match: match },
       {
         $group: {
           _id: {
@@ -335,36 +598,62 @@ router.get('/stats/overview', protect, async (req, res) => {
   }
 });
 
-// Helper function to generate recommendations based on prediction
-function generateRecommendations(prediction, data) {
-  const recommendations = [];
-
-  if (prediction >= 0.75) {
-    recommendations.push('Immediate medical consultation required');
-    recommendations.push('Consider emergency care if symptoms worsen');
-  } else if (prediction >= 0.5) {
-    recommendations.push('Schedule follow-up with cardiologist');
-    recommendations.push('Monitor symptoms closely');
-  } else if (prediction >= 0.25) {
-    recommendations.push('Regular health check-ups recommended');
-    recommendations.push('Maintain healthy lifestyle habits');
-  } else {
-    recommendations.push('Continue with preventive care');
-    recommendations.push('Regular exercise and healthy diet');
-  }
+// @route   GET /api/predictions/stats/fairness
+// @desc    Risk distribution, calibration and sensitivity/specificity by sex, age group and gender
+// @access  Private (Admin only)
+router.get('/stats/fairness', protect, authorize('admin'), [
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date'),
+  query('modelVersion').optional().isString().trim().notEmpty().withMessage('Invalid model version'),
+  query('minSamples').optional().isInt({ min: 1, max: 100000 }).withMessage('Min samples must be between 1 and 100000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
 
-  // Specific recommendations based on data
-  if (data.restingBP > 140) {
-    recommendations.push('Blood pressure management needed');
-  }
-  if (data.cholesterol > 200) {
-    recommendations.push('Cholesterol management recommended');
-  }
-  if (data.fastingBS === 1) {
-    recommendations.push('Blood sugar monitoring advised');
+    const match = { isActive: true };
+    if (req.query.from || req.query.to) {
+      match.createdAt = {};
+      if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) match.createdAt.$lte = new Date(req.query.to);
+    }
+    if (req.query.modelVersion) {
+      match.modelVersion = req.query.modelVersion;
+    }
+
+    const predictions = await Prediction.find(match)
+      .select('prediction age sex outcome.eventType patient')
+      .populate('patient', 'gender')
+      .lean();
+
+    res.json({
+      success: true,
+      filters: {
+        from: req.query.from,
+        to: req.query.to,
+        modelVersion: req.query.modelVersion
+      },
+      report: buildFairnessReport(predictions, {
+        minSamples: req.query.minSamples ? parseInt(req.query.minSamples) : undefined
+      })
+    });
+  } catch (error) {
+    console.error('Fairness report error:', error);
+    res.status(500).json({ error: 'Server error building fairness report' });
   }
+});
 
-  return recommendations;
+// Helper function to sort risk level groups by the active policy's bands,
+// putting levels no longer in the policy last
+function byRiskLevelOrder() {
+  const order = getRiskLevelLabels();
+  const rank = label => (order.includes(label) ? order.indexOf(label) : order.length);
+  return (a, b) => rank(a._id) - rank(b._id);
 }
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,155 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const RecommendationRuleSet = require('../models/RecommendationRuleSet');
+const { protect, authorize } = require('../middleware/auth');
+const { getRiskLevelLabels } = require('../utils/riskPolicy');
+const {
+  loadRecommendationRules,
+  getRecommendationRules,
+  validateRuleSet,
+  unmatchedRiskLevelRules,
+  RULE_FIELDS,
+  RULE_OPERATORS
+} = require('../utils/recommendations');
+
+const router = express.Router();
+
+// Helper function to reject rules keyed on risk levels the active risk policy
+// does not have; returns an error message or null
+function riskLevelError(ruleSet) {
+  const unmatched = unmatchedRiskLevelRules(ruleSet, getRiskLevelLabels());
+  if (unmatched.length === 0) {
+    return null;
+  }
+  return `Rules name risk levels the risk policy does not have: ${unmatched.map(r => `${r.ruleId} (${r.levels.join(', ')})`).join(', ')}`;
+}
+
+// @route   GET /api/recommendation-rules
+// @desc    Get the active recommendation rule set
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ruleSet: getRecommendationRules(),
+      fields: RULE_FIELDS,
+      operators: RULE_OPERATORS
+    });
+  } catch (error) {
+    console.error('Recommendation rules fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching recommendation rules' });
+  }
+});
+
+// @route   GET /api/recommendation-rules/versions
+// @desc    List all saved recommendation rule set versions
+// @access  Private (Admin only)
+router.get('/versions', protect, authorize('admin'), async (req, res) => {
+  try {
+    const ruleSets = await RecommendationRuleSet.find()
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      ruleSets
+    });
+  } catch (error) {
+    console.error('Recommendation rules list error:', error);
+    res.status(500).json({ error: 'Server error fetching recommendation rule sets' });
+  }
+});
+
+// @route   POST /api/recommendation-rules
+// @desc    Save a new recommendation rule set version and make it active
+// @access  Private (Admin only)
+router.post('/', protect, authorize('admin'), [
+  body('rules').isArray({ min: 1, max: 200 }).withMessage('Rules must be an array of 1 to 200 entries'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const { rules, notes } = req.body;
+
+    const ruleSetError = validateRuleSet({ rules }) || riskLevelError({ rules });
+    if (ruleSetError) {
+      return res.status(400).json({ error: ruleSetError });
+    }
+
+    const latest = await RecommendationRuleSet.findOne().sort({ version: -1 });
+
+    const ruleSet = new RecommendationRuleSet({
+      version: latest ? latest.version + 1 : 1,
+      rules,
+      notes,
+      isActive: true,
+      activatedAt: new Date(),
+      createdBy: req.user.id
+    });
+
+    await RecommendationRuleSet.updateMany({ isActive: true }, { isActive: false });
+    await ruleSet.save();
+    await loadRecommendationRules();
+
+    res.status(201).json({
+      success: true,
+      message: `Recommendation rule set version ${ruleSet.version} is now active`,
+      ruleSet
+    });
+  } catch (error) {
+    console.error('Recommendation rules save error:', error);
+    res.status(500).json({ error: 'Server error saving recommendation rules' });
+  }
+});
+
+// @route   POST /api/recommendation-rules/:version/activate
+// @desc    Re-activate a saved recommendation rule set version
+// @access  Private (Admin only)
+router.post('/:version/activate', protect, authorize('admin'), [
+  param('version').isInt({ min: 1 }).withMessage('Invalid rule set version')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const ruleSet = await RecommendationRuleSet.findOne({ version: parseInt(req.params.version) });
+
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Recommendation rule set version not found' });
+    }
+
+    const levelError = riskLevelError(ruleSet);
+    if (levelError) {
+      return res.status(400).json({ error: levelError });
+    }
+
+    await RecommendationRuleSet.updateMany({ isActive: true }, { isActive: false });
+    ruleSet.isActive = true;
+    ruleSet.activatedAt = new Date();
+    await ruleSet.save();
+    await loadRecommendationRules();
+
+    res.json({
+      success: true,
+      message: `Recommendation rule set version ${ruleSet.version} is now active`,
+      ruleSet
+    });
+  } catch (error) {
+    console.error('Recommendation rules activation error:', error);
+    res.status(500).json({ error: 'Server error activating recommendation rules' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const RiskPolicy = require('../models/RiskPolicy');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  loadRiskPolicy,
+  getRiskPolicy,
+  validateRiskPolicy,
+  getRiskLevelLabels,
+  describeBands
+} = require('../utils/riskPolicy');
+const { getRecommendationRules, unmatchedRiskLevelRules } = require('../utils/recommendations');
+
+const router = express.Router();
+
+// Helper function to refuse a policy that would leave active recommendation
+// rules keyed on labels it no longer has; returns an error message or null
+function orphanedRulesError(policy) {
+  const unmatched = unmatchedRiskLevelRules(getRecommendationRules(), getRiskLevelLabels(policy));
+  if (unmatched.length === 0) {
+    return null;
+  }
+  return `Recommendation rules would stop matching: ${unmatched.map(r => `${r.ruleId} (${r.levels.join(', ')})`).join(', ')}. ` +
+    'Add the new labels to those rules first';
+}
+
+// @route   GET /api/risk-policy
+// @desc    Get the active risk-level policy
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const policy = getRiskPolicy();
+
+    res.json({
+      success: true,
+      policy,
+      ranges: describeBands(policy.bands)
+    });
+  } catch (error) {
+    console.error('Risk policy fetch error:', error);
+    res.status(500).json({ error: 'Server error fetching risk policy' });
+  }
+});
+
+// @route   GET /api/risk-policy/versions
+// @desc    List all saved risk policy versions
+// @access  Private (Admin only)
+router.get('/versions', protect, authorize('admin'), async (req, res) => {
+  try {
+    const policies = await RiskPolicy.find()
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      policies
+    });
+  } catch (error) {
+    console.error('Risk policy list error:', error);
+    res.status(500).json({ error: 'Server error fetching risk policies' });
+  }
+});
+
+// @route   POST /api/risk-policy
+// @desc    Save a new risk policy version and make it active
+// @access  Private (Admin only)
+router.post('/', protect, authorize('admin'), [
+  body('bands').isArray({ min: 2, max: 10 }).withMessage('Bands must be an array of 2 to 10 entries'),
+  body('populations').optional().isArray().withMessage('Populations must be an array'),
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const { bands, populations = [], notes } = req.body;
+
+    const policyError = validateRiskPolicy({ bands, populations }) || orphanedRulesError({ bands, populations });
+    if (policyError) {
+      return res.status(400).json({ error: policyError });
+    }
+
+    const latest = await RiskPolicy.findOne().sort({ version: -1 });
+
+    const policy = new RiskPolicy({
+      version: latest ? latest.version + 1 : 1,
+      bands,
+      populations,
+      notes,
+      isActive: true,
+      activatedAt: new Date(),
+      createdBy: req.user.id
+    });
+
+    await RiskPolicy.updateMany({ isActive: true }, { isActive: false });
+    await policy.save();
+    await loadRiskPolicy();
+
+    res.status(201).json({
+      success: true,
+      message: `Risk policy version ${policy.version} is now active`,
+      policy
+    });
+  } catch (error) {
+    console.error('Risk policy save error:', error);
+    res.status(500).json({ error: 'Server error saving risk policy' });
+  }
+});
+
+// @route   POST /api/risk-policy/:version/activate
+// @desc    Re-activate a saved risk policy version
+// @access  Private (Admin only)
+router.post('/:version/activate', protect, authorize('admin'), [
+  param('version').isInt({ min: 1 }).withMessage('Invalid policy version')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+
+    const policy = await RiskPolicy.findOne({ version: parseInt(req.params.version) });
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Risk policy version not found' });
+    }
+
+    const rulesError = orphanedRulesError(policy);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    await RiskPolicy.updateMany({ isActive: true }, { isActive: false });
+    policy.isActive = true;
+    policy.activatedAt = new Date();
+    await policy.save();
+    await loadRiskPolicy();
+
+    res.json({
+      success: true,
+      message: `Risk policy version ${policy.version} is now active`,
+      policy
+    });
+  } catch (error) {
+    console.error('Risk policy activation error:', error);
+    res.status(500).json({ error: 'Server error activating risk policy' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// Check that the JavaScript forest evaluator matches ml/predict.py.
+// Scores a fixed set of inputs with the Python workers and with the exported
+// forest and reports any difference. Run ml/export_model.py first. The jest
+// suite checks the same against a fixture from ml/export_parity_fixture.py.
+// Usage: node scripts/checkForestParity.js [--model <artifact path>] [--samples <n>]
+require('dotenv').config();
+
+const {
+  scoreWithPython,
+  scoreWithForest,
+  closePredictorPool,
+  CATEGORY_VALUES
+} = require('../utils/mlPredictor');
+
+// Secondary outputs are sums in a different order than numpy's, so allow rounding noise
+const TOLERANCE = 1e-12;
+
+function readArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// Deterministic pseudo-random generator so every run checks the same inputs
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+// Encoded inputs spanning (and slightly beyond) the training ranges
+function sampleInputs(count) {
+  const random = createRandom(42);
+  const between = (min, max, decimals = 0) =>
+    Number((min + random() * (max - min)).toFixed(decimals));
+  const pick = size => Math.floor(random() * size);
+
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    samples.push({
+      age: between(18, 95),
+      sex: pick(2),
+      chestPainType: pick(CATEGORY_VALUES.chestPainType.length),
+      restingBP: between(80, 210),
+      cholesterol: between(90, 420),
+      fastingBS: pick(2),
+      restingECG: pick(CATEGORY_VALUES.restingECG.length),
+      maxHR: between(55, 210),
+      exerciseAngina: pick(2),
+      oldpeak: between(-3, 7, 1),
+      stSlope: pick(CATEGORY_VALUES.stSlope.length)
+    });
+  }
+  return samples;
+}
+
+// Differences between the two results beyond exact probability and tolerance
+function compareResults(python, forest) {
+  const differences = [];
+  const close = (a, b) => Math.abs(a - b) <= TOLERANCE;
+
+  if (python.prediction !== forest.prediction) {
+    differences.push(`prediction ${python.prediction} != ${forest.prediction}`);
+  }
+  if (!close(python.confidence, forest.confidence)) {
+    differences.push(`confidence ${python.confidence} != ${forest.confidence}`);
+  }
+  if (!close(python.uncertainty.std, forest.uncertainty.std)) {
+    differences.push(`uncertainty.std ${python.uncertainty.std} != ${forest.uncertainty.std}`);
+  }
+  ['lower', 'upper'].forEach((bound) => {
+    if (!close(python.uncertainty.interval[bound], forest.uncertainty.interval[bound])) {
+      differences.push(`interval.${bound} ${python.uncertainty.interval[bound]} != ${forest.uncertainty.interval[bound]}`);
+    }
+  });
+  if (!close(python.explanation.baseline, forest.explanation.baseline)) {
+    differences.push(`explanation.baseline ${python.explanation.baseline} != ${forest.explanation.baseline}`);
+  }
+  python.explanation.contributions.forEach((contribution) => {
+    const match = forest.explanation.contributions.find(c => c.feature === contribution.feature);
+    if (!match || !close(contribution.contribution, match.contribution)) {
+      differences.push(`contribution ${contribution.feature} ${contribution.contribution} != ${match && match.contribution}`);
+    }
+  });
+  if (python.outOfDistribution && python.outOfDistribution.flagged !== forest.outOfDistribution.flagged) {
+    differences.push('outOfDistribution.flagged differs');
+  }
+
+  return differences;
+}
+
+async function main() {
+  const artifactPath = readArg('--model');
+  const model = artifactPath ? { artifactPath } : null;
+  const samples = sampleInputs(parseInt(readArg('--samples')) || 500);
+  let mismatches = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const python = await scoreWithPython(samples[i], model);
+    if (!python.success) {
+      throw new Error(`Python scoring failed: ${python.error}`);
+    }
+    const forest = await scoreWithForest(samples[i], model);
+    if (!forest.success) {
+      throw new Error(`Forest scoring failed: ${forest.error}`);
+    }
+
+    const differences = compareResults(python, forest);
+    if (differences.length > 0) {
+      mismatches++;
+      console.error(`❌ Sample ${i + 1} ${JSON.stringify(samples[i])}`);
+      differences.forEach(difference => console.error(`   ${difference}`));
+    }
+  }
+
+  if (mismatches > 0) {
+    console.error(`❌ ${mismatches} of ${samples.length} samples differ`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ JavaScript forest matches Python on ${samples.length} samples`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ Parity check error:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closePredictorPool());
@@ -0,0 +1,36 @@
+// Train and register a new model version from outcome-labelled predictions.
+// Usage: node scripts/trainFromOutcomes.js [--version <label>] [--min-samples <n>]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { trainFromOutcomes } = require('../utils/trainingPipeline');
+
+function readArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await trainFromOutcomes({
+    version: readArg('--version'),
+    minSamples: parseInt(readArg('--min-samples')) || undefined
+  });
+
+  if (result.error) {
+    console.error(`❌ Training failed: ${result.error}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ Registered model ${result.model.version} (${result.samples} samples)`);
+    console.log('Metrics:', JSON.stringify(result.model.metrics));
+    console.log('Activate it with POST /api/ml/models/:version/activate');
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ Training error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -11,6 +11,21 @@ const authRoutes = require('./routes/auth');
 const predictionRoutes = require('./routes/predictions');
 const patientRoutes = require('./routes/patients');
 const mlRoutes = require('./routes/ml');
+const riskPolicyRoutes = require('./routes/riskPolicy');
+const batchJobRoutes = require('./routes/batchJobs');
+const recommendationRuleRoutes = require('./routes/recommendationRules');
+const observationRoutes = require('./routes/observations');
+const fhirRoutes = require('./routes/fhir');
+const careTeamRoutes = require('./routes/careTeams');
+const alertRoutes = require('./routes/alerts');
+const followUpRoutes = require('./routes/followups');
+const { closePredictorPool } = require('./utils/mlPredictor');
+const { loadActiveModel } = require('./utils/modelRegistry');
+const { loadRiskPolicy } = require('./utils/riskPolicy');
+const { loadShadowConfig } = require('./utils/shadowScoring');
+const { startBatchJobs } = require('./utils/batchJobs');
+const { loadRecommendationRules } = require('./utils/recommendations');
+const { startFollowUpReminders, stopFollowUpReminders } = require('./utils/followUps');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -46,7 +61,15 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/api/auth', authRoutes);
 app.use('/api/predictions', predictionRoutes);
 app.use('/api/patients', patientRoutes);
+app.use('/api/patients/:id/observations', observationRoutes);
 app.use('/api/ml', mlRoutes);
+app.use('/api/risk-policy', riskPolicyRoutes);
+app.use('/api/batch-jobs', batchJobRoutes);
+app.use('/api/recommendation-rules', recommendationRuleRoutes);
+app.use('/api/fhir', fhirRoutes);
+app.use('/api/care-teams', careTeamRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/followups', followUpRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -66,7 +89,15 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       predictions: '/api/predictions',
       patients: '/api/patients',
-      ml: '/api/ml'
+      ml: '/api/ml',
+      riskPolicy: '/api/risk-policy',
+      batchJobs: '/api/batch-jobs',
+      recommendationRules: '/api/recommendation-rules',
+      observations: '/api/patients/:id/observations',
+      fhir: '/api/fhir',
+      careTeams: '/api/care-teams',
+      alerts: '/api/alerts',
+      followups: '/api/followups'
     }
   });
 });
@@ -92,6 +123,31 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB');
+  loadActiveModel()
+    .then((model) => {
+      console.log(model ? `🧠 Active model: ${model.version}` : '🧠 No registered model, using default artifact');
+    })
+    .catch((err) => console.error('❌ Failed to load active model:', err));
+  loadRiskPolicy()
+    .then((policy) => {
+      console.log(`🎚️ Risk policy version ${policy.version}`);
+    })
+    .catch((err) => console.error('❌ Failed to load risk policy:', err));
+  loadShadowConfig()
+    .catch((err) => console.error('❌ Failed to load shadow configuration:', err));
+  loadRecommendationRules()
+    .then((ruleSet) => {
+      console.log(`📋 Recommendation rule set version ${ruleSet.version}`);
+    })
+    .catch((err) => console.error('❌ Failed to load recommendation rules:', err));
+  // Resume batch scoring jobs interrupted by a restart
+  startBatchJobs();
+  // Remind clinicians of due and overdue follow-ups
+  try {
+    startFollowUpReminders();
+  } catch (err) {
+    console.error(`❌ Follow-up reminders disabled: ${err.message}`);
+  }
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV}`);
@@ -106,6 +162,8 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  closePredictorPool();
+  stopFollowUpReminders();
   mongoose.connection.close(() => {
     console.log('MongoDB connection closed');
     process.exit(0);
@@ -0,0 +1,156 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+jest.mock('../utils/batchJobs', () => ({ createBatchJob: jest.fn() }));
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const BatchJob = require('../models/BatchJob');
+const BatchJobRow = require('../models/BatchJobRow');
+const { createBatchJob } = require('../utils/batchJobs');
+const { parseCsv } = require('../utils/csv');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/batch-jobs': require('../routes/batchJobs') });
+
+const ADMIN_ID = '507f1f77bcf86cd799439011';
+
+function batchJob(overrides = {}) {
+  return new BatchJob(Object.assign({ createdBy: ADMIN_ID, total: 4, processed: 1, status: 'running' }, overrides));
+}
+
+beforeEach(() => {
+  createBatchJob.mockImplementation(async (rows, options) =>
+    batchJob({ total: rows.length, processed: 0, status: 'queued', fileName: options.fileName, attachToPatients: options.attachToPatients }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/batch-jobs', () => {
+  it('queues the rows of an uploaded CSV file', async () => {
+    const res = await request(app)
+      .post('/api/batch-jobs')
+      .field('attachToPatients', 'true')
+      .attach('file', Buffer.from('age,sex\n61,male\n45,female\n'), 'patients.csv');
+
+    expect(res.status).toBe(202);
+    expect(res.body.job).toMatchObject({ total: 2, status: 'queued', progress: 0, fileName: 'patients.csv' });
+    expect(createBatchJob).toHaveBeenCalledWith(
+      [{ age: '61', sex: 'male' }, { age: '45', sex: 'female' }],
+      { fileName: 'patients.csv', attachToPatients: true, userId: ADMIN_ID }
+    );
+  });
+
+  it('queues a rows array', async () => {
+    const res = await request(app).post('/api/batch-jobs').send({ rows: [{ age: 61, sex: 'male' }] });
+
+    expect(res.status).toBe(202);
+    expect(createBatchJob.mock.calls[0][1].attachToPatients).toBe(false);
+  });
+
+  it('rejects empty, malformed and unparsable input', async () => {
+    expect((await request(app).post('/api/batch-jobs').send({ rows: [] })).status).toBe(400);
+    expect((await request(app).post('/api/batch-jobs').send({ rows: [[61, 'male']] })).status).toBe(400);
+
+    const badJson = await request(app).post('/api/batch-jobs').attach('file', Buffer.from('[{'), 'rows.json');
+    expect(badJson.status).toBe(400);
+    expect(badJson.body.error).toBe('Could not parse uploaded file');
+    expect(createBatchJob).not.toHaveBeenCalled();
+  });
+
+  it('is limited to admins and doctors', async () => {
+    const res = await request(app)
+      .post('/api/batch-jobs')
+      .set('x-test-user', asUser({ role: 'nurse' }))
+      .send({ rows: [{ age: 61 }] });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/batch-jobs/:id', () => {
+  it('reports progress to the job\'s creator', async () => {
+    const job = batchJob();
+    jest.spyOn(BatchJob, 'findById').mockResolvedValue(job);
+
+    const res = await request(app).get(`/api/batch-jobs/${job._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.job).toMatchObject({ status: 'running', processed: 1, total: 4, progress: 25 });
+  });
+
+  it('hides other users\' jobs from doctors', async () => {
+    const job = batchJob();
+    jest.spyOn(BatchJob, 'findById').mockResolvedValue(job);
+
+    const res = await request(app)
+      .get(`/api/batch-jobs/${job._id}`)
+      .set('x-test-user', asUser({ _id: String(new mongoose.Types.ObjectId()), role: 'doctor' }));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/batch-jobs/:id/results', () => {
+  const predictionId = new mongoose.Types.ObjectId();
+  const rows = [
+    {
+      row: 1,
+      status: 'scored',
+      input: { patientId: 'P-1' },
+      prediction: predictionId,
+      result: { probability: 0.624, riskLevel: 'high', method: 'ml_model', imputedFields: ['maxHR', 'cholesterol'] }
+    },
+    { row: 2, status: 'failed', input: { email: 'x@example.com' }, error: 'Missing required field: sex' }
+  ];
+
+  function stubRows() {
+    jest.spyOn(BatchJobRow, 'find').mockReturnValue({ sort: () => ({ lean: async () => rows }) });
+  }
+
+  it('waits until the job has finished', async () => {
+    const job = batchJob();
+    jest.spyOn(BatchJob, 'findById').mockResolvedValue(job);
+
+    const res = await request(app).get(`/api/batch-jobs/${job._id}/results`);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('downloads one CSV line per row', async () => {
+    const job = batchJob({ status: 'completed', processed: 2, total: 2 });
+    jest.spyOn(BatchJob, 'findById').mockResolvedValue(job);
+    stubRows();
+
+    const res = await request(app).get(`/api/batch-jobs/${job._id}/results`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toContain(`batch-job-${job._id}.csv`);
+    const [scored, failed] = parseCsv(res.text);
+    expect(scored).toMatchObject({
+      row: '1',
+      patientId: 'P-1',
+      status: 'scored',
+      probability: '0.624',
+      percentage: '62',
+      riskLevel: 'high',
+      imputedFields: 'maxHR;cholesterol',
+      predictionId: String(predictionId)
+    });
+    expect(failed).toMatchObject({ row: '2', email: 'x@example.com', status: 'failed', error: 'Missing required field: sex' });
+  });
+
+  it('downloads JSON on request', async () => {
+    const job = batchJob({ status: 'completed', processed: 2, total: 2 });
+    jest.spyOn(BatchJob, 'findById').mockResolvedValue(job);
+    stubRows();
+
+    const res = await request(app).get(`/api/batch-jobs/${job._id}/results?format=json`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.job.progress).toBe(100);
+    expect(res.body.results).toHaveLength(2);
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('../utils/mlPredictor', () => Object.assign({}, jest.requireActual('../utils/mlPredictor'), {
+  runPrediction: jest.fn(async () => ({ success: true, prediction: 0.62, confidence: 0.8, method: 'simplified' }))
+}));
+jest.mock('../utils/shadowScoring', () => ({ recordShadowPrediction: jest.fn(async () => null) }));
+jest.mock('../utils/riskTrajectory', () => ({
+  analyzeRiskTrajectory: jest.fn(async () => null),
+  raiseRiskAlert: jest.fn(async () => null)
+}));
+jest.mock('../utils/followUps', () => ({
+  suggestFollowUpDate: jest.fn(() => null),
+  scheduleFollowUp: jest.fn(async () => null)
+}));
+
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const User = require('../models/User');
+const CareTeam = require('../models/CareTeam');
+const { runPrediction } = require('../utils/mlPredictor');
+const { recordShadowPrediction } = require('../utils/shadowScoring');
+const { raiseRiskAlert } = require('../utils/riskTrajectory');
+const { scheduleFollowUp } = require('../utils/followUps');
+const { scoreRow, findPatient, jobPatientScope } = require('../utils/batchJobs');
+
+const creatorId = new mongoose.Types.ObjectId();
+
+const ROW_INPUT = {
+  patientId: 'P-100',
+  age: 61,
+  sex: 'male',
+  chestPainType: 'asymptomatic',
+  restingBP: 140,
+  cholesterol: 230,
+  fastingBS: 0,
+  restingECG: 'normal',
+  maxHR: 130,
+  exerciseAngina: true,
+  oldpeak: 1.5,
+  stSlope: 'flat'
+};
+
+function job(overrides = {}) {
+  return Object.assign({ _id: new mongoose.Types.ObjectId(), attachToPatients: true, createdBy: creatorId }, overrides);
+}
+
+let saved;
+let existing;
+
+beforeEach(() => {
+  saved = [];
+  existing = null;
+  jest.spyOn(Prediction, 'findOne').mockReturnValue({ select: () => ({ lean: async () => existing }) });
+  jest.spyOn(Prediction.prototype, 'save').mockImplementation(async function() {
+    saved.push(this);
+    return this;
+  });
+  jest.spyOn(Patient, 'findOne').mockResolvedValue(new Patient({
+    name: 'Row Patient',
+    patientId: 'P-100',
+    age: 61,
+    gender: 'male',
+    createdBy: creatorId
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('scoreRow', () => {
+  it('scores a row without saving it when scores are not attached', async () => {
+    const update = await scoreRow(job({ attachToPatients: false }), { row: 1, input: ROW_INPUT });
+    expect(update.status).toBe('scored');
+    expect(update.result.probability).toBe(0.62);
+    expect(saved).toHaveLength(0);
+    expect(recordShadowPrediction).not.toHaveBeenCalled();
+  });
+
+  it('scores attached predictions with the shadow model', async () => {
+    const update = await scoreRow(job(), { row: 1, input: ROW_INPUT });
+    expect(saved).toHaveLength(1);
+    expect(update.prediction).toEqual(saved[0]._id);
+    expect(recordShadowPrediction).toHaveBeenCalledWith(saved[0], expect.objectContaining({ age: 61, sex: 1 }));
+  });
+
+  it('records the job and row on the prediction and reuses it when a resumed job scores the row again', async () => {
+    const first = await scoreRow(job(), { row: 7, input: ROW_INPUT });
+    const [prediction] = saved;
+    expect(prediction).toMatchObject({ batchRow: 7 });
+    expect(raiseRiskAlert).toHaveBeenCalledTimes(1);
+    expect(scheduleFollowUp).toHaveBeenCalledTimes(1);
+
+    existing = { _id: prediction._id, patient: prediction.patient };
+    const again = await scoreRow(job({ _id: prediction.batchJob }), { row: 7, input: ROW_INPUT });
+
+    expect(Prediction.findOne).toHaveBeenLastCalledWith({ batchJob: prediction.batchJob, batchRow: 7 });
+    expect(again).toMatchObject({ status: 'scored', prediction: first.prediction, patient: first.patient });
+    expect(saved).toHaveLength(1);
+    expect(raiseRiskAlert).toHaveBeenCalledTimes(1);
+    expect(scheduleFollowUp).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the row scored when shadow scoring fails', async () => {
+    recordShadowPrediction.mockRejectedValueOnce(new Error('shadow down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const update = await scoreRow(job(), { row: 1, input: ROW_INPUT });
+    expect(update.status).toBe('scored');
+    expect(update.prediction).toBeDefined();
+  });
+
+  it('passes the imputation on so imputed inputs are kept out of drift monitoring', async () => {
+    const input = Object.assign({}, ROW_INPUT);
+    delete input.maxHR;
+
+    await scoreRow(job({ attachToPatients: false }), { row: 1, input });
+    const [, options] = runPrediction.mock.calls[0];
+    expect(options.imputation.fields.map(imputed => imputed.field)).toEqual(['maxHR']);
+  });
+
+  it('fails rows with invalid input', async () => {
+    const update = await scoreRow(job(), { row: 2, input: Object.assign({}, ROW_INPUT, { sex: 'x' }) });
+    expect(update.status).toBe('failed');
+  });
+});
+
+describe('attaching scores within the creator\'s access', () => {
+  const teamId = new mongoose.Types.ObjectId();
+
+  function mockCreator(creator) {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => creator });
+  }
+
+  it('scopes a doctor\'s job to the patients they created or edit through a team', async () => {
+    mockCreator({ _id: creatorId, role: 'doctor', isActive: true });
+    jest.spyOn(CareTeam, 'find').mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          { _id: teamId, members: [{ user: creatorId, role: 'member' }] },
+          { _id: new mongoose.Types.ObjectId(), members: [{ user: creatorId, role: 'viewer' }] }
+        ]
+      })
+    });
+
+    const scope = await jobPatientScope(job());
+    expect(scope).toEqual({
+      $or: [{ createdBy: creatorId, 'careTeams.0': { $exists: false } }, { careTeams: { $in: [teamId] } }]
+    });
+  });
+
+  it('leaves an admin\'s job unscoped', async () => {
+    mockCreator({ _id: creatorId, role: 'admin', isActive: true });
+    expect(await jobPatientScope(job())).toEqual({});
+  });
+
+  it('matches nothing when the creator is gone or deactivated', async () => {
+    mockCreator(null);
+    expect(await jobPatientScope(job())).toEqual({ _id: { $in: [] } });
+    mockCreator({ _id: creatorId, role: 'doctor', isActive: false });
+    expect(await jobPatientScope(job())).toEqual({ _id: { $in: [] } });
+  });
+
+  it('applies the scope to patient ID and email lookups', async () => {
+    const scope = { $or: [{ createdBy: creatorId }] };
+    Patient.findOne.mockResolvedValue(null);
+
+    expect(await findPatient({ patientId: 'P-100', email: 'Row@Example.com' }, scope)).toBeNull();
+    expect(Patient.findOne).toHaveBeenNthCalledWith(1, {
+      isActive: true,
+      $and: [scope, { $or: [{ patientId: 'P-100' }] }]
+    });
+    expect(Patient.findOne).toHaveBeenNthCalledWith(2, { isActive: true, email: 'row@example.com', $and: [scope] });
+  });
+
+  it('reports rows outside the scope as having no matching patient', async () => {
+    Patient.findOne.mockResolvedValue(null);
+
+    const update = await scoreRow(job(), { row: 3, input: ROW_INPUT }, { $or: [{ createdBy: creatorId }] });
+    expect(update.status).toBe('scored');
+    expect(update.error).toBe('No matching patient; score not attached');
+    expect(saved).toHaveLength(0);
+  });
+});
@@ -0,0 +1,222 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const CareTeam = require('../models/CareTeam');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const {
+  teamMemberships,
+  patientAccess,
+  canAccessPatient,
+  patientAccessFilter,
+  canAccessPrediction,
+  predictionAccessFilter
+} = require('../utils/access');
+const { DEFAULT_USER } = require('./helpers/auth');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/care-teams': require('../routes/careTeams') });
+
+const id = () => new mongoose.Types.ObjectId();
+
+const VIEWER_TEAM = id();
+const LEAD_TEAM = id();
+
+// A doctor who views one team's patients and leads another's
+function doctor() {
+  return { _id: id(), role: 'doctor' };
+}
+
+function stubTeams(user) {
+  return jest.spyOn(CareTeam, 'find').mockReturnValue({
+    select: () => ({
+      lean: async () => [
+        { _id: VIEWER_TEAM, members: [{ user: id(), role: 'lead' }, { user: user._id, role: 'viewer' }] },
+        { _id: LEAD_TEAM, members: [{ user: user._id, role: 'lead' }] }
+      ]
+    })
+  });
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('patient access', () => {
+  it('gives admins and the creator of an unshared patient full access', async () => {
+    const user = doctor();
+    stubTeams(user);
+
+    expect(await patientAccess({ _id: id(), role: 'admin' }, { createdBy: id() })).toBe('manage');
+    expect(await patientAccess(user, { createdBy: user._id })).toBe('manage');
+    expect(await patientAccess(user, { createdBy: user._id, careTeams: [] })).toBe('manage');
+  });
+
+  it('bases the creator\'s access to a shared patient on their team roles', async () => {
+    const user = doctor();
+    stubTeams(user);
+
+    expect(await patientAccess(user, { createdBy: user._id, careTeams: [LEAD_TEAM] })).toBe('manage');
+    expect(await patientAccess(user, { createdBy: user._id, careTeams: [VIEWER_TEAM] })).toBe('read');
+    expect(await patientAccess(user, { createdBy: user._id, careTeams: [id()] })).toBe('read');
+  });
+
+  it('derives access from the user\'s best team role', async () => {
+    const user = doctor();
+    stubTeams(user);
+
+    expect(await patientAccess(user, { createdBy: id(), careTeams: [VIEWER_TEAM] })).toBe('read');
+    expect(await patientAccess(user, { createdBy: id(), careTeams: [VIEWER_TEAM, LEAD_TEAM] })).toBe('manage');
+    expect(await patientAccess(user, { createdBy: id(), careTeams: [id()] })).toBeNull();
+
+    const shared = { createdBy: id(), careTeams: [VIEWER_TEAM] };
+    expect(await canAccessPatient(user, shared)).toBe(true);
+    expect(await canAccessPatient(user, shared, 'write')).toBe(false);
+  });
+
+  it('loads a user\'s memberships once', async () => {
+    const user = doctor();
+    const find = stubTeams(user);
+
+    const memberships = await teamMemberships(user);
+    await canAccessPatient(user, { createdBy: id(), careTeams: [LEAD_TEAM] });
+
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(find).toHaveBeenCalledWith({ isActive: true, 'members.user': user._id });
+    expect(Array.from(memberships.entries())).toEqual([[String(VIEWER_TEAM), 'viewer'], [String(LEAD_TEAM), 'lead']]);
+  });
+
+  it('builds query filters of the patients a user can access', async () => {
+    const user = doctor();
+    stubTeams(user);
+
+    expect(await patientAccessFilter({ _id: id(), role: 'admin' })).toEqual({});
+    expect(await patientAccessFilter(user)).toEqual({
+      $or: [{ createdBy: user._id }, { careTeams: { $in: [VIEWER_TEAM, LEAD_TEAM] } }]
+    });
+    expect(await patientAccessFilter(user, 'write')).toEqual({
+      $or: [{ createdBy: user._id, 'careTeams.0': { $exists: false } }, { careTeams: { $in: [LEAD_TEAM] } }]
+    });
+  });
+});
+
+describe('prediction access', () => {
+  it('follows the prediction\'s patient', async () => {
+    const user = doctor();
+    stubTeams(user);
+    const patient = { _id: id(), createdBy: id(), careTeams: [VIEWER_TEAM] };
+    const findById = jest.spyOn(Patient, 'findById').mockReturnValue({ select: () => ({ lean: async () => patient }) });
+
+    expect(await canAccessPrediction(user, { createdBy: user._id })).toBe(true);
+    expect(await canAccessPrediction(user, { createdBy: user._id }, 'write')).toBe(true);
+    expect(await canAccessPrediction(user, { createdBy: user._id, patient: patient._id })).toBe(true);
+    expect(await canAccessPrediction(user, { createdBy: user._id, patient: patient._id }, 'write')).toBe(false);
+    expect(await canAccessPrediction(user, { createdBy: id() })).toBe(false);
+    expect(await canAccessPrediction(user, { createdBy: id(), patient: { _id: patient._id } })).toBe(true);
+    expect(await canAccessPrediction(user, { createdBy: id(), patient: patient._id }, 'write')).toBe(false);
+    expect(findById).toHaveBeenCalledWith(patient._id);
+  });
+
+  it('builds query filters of the predictions a user can access', async () => {
+    const user = doctor();
+    stubTeams(user);
+    const patientIds = [id(), id()];
+    const find = jest.spyOn(Patient, 'find').mockReturnValue({ distinct: async () => patientIds });
+
+    expect(await predictionAccessFilter(user, 'write')).toEqual({
+      $or: [{ createdBy: user._id, patient: null }, { patient: { $in: patientIds } }]
+    });
+    expect(find).toHaveBeenCalledWith({
+      $or: [{ createdBy: user._id, 'careTeams.0': { $exists: false } }, { careTeams: { $in: [LEAD_TEAM] } }]
+    });
+    expect(await predictionAccessFilter({ _id: id(), role: 'admin' })).toEqual({});
+  });
+});
+
+describe('care team routes', () => {
+  const OTHER = String(id());
+  let team;
+
+  beforeEach(() => {
+    team = new CareTeam({
+      name: 'Cardiology A',
+      members: [{ user: DEFAULT_USER._id, role: 'lead' }, { user: OTHER, role: 'viewer' }],
+      createdBy: DEFAULT_USER._id
+    });
+    jest.spyOn(CareTeam, 'findById').mockResolvedValue(team);
+    jest.spyOn(CareTeam.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(CareTeam.prototype, 'populate').mockImplementation(async function () { return this; });
+  });
+
+  it('creates a team led by its creator', async () => {
+    const memberId = String(id());
+    jest.spyOn(User, 'find').mockReturnValue({ select: async () => [{ _id: memberId }] });
+    const create = jest.spyOn(CareTeam, 'create').mockImplementation(async fields => new CareTeam(fields));
+
+    const res = await request(app)
+      .post('/api/care-teams')
+      .set('x-test-user', asUser({ role: 'doctor' }))
+      .send({ name: 'Heart failure clinic', members: [{ userId: memberId, role: 'viewer' }, { userId: DEFAULT_USER._id, role: 'viewer' }] });
+
+    expect(res.status).toBe(201);
+    expect(create.mock.calls[0][0].members).toEqual([
+      { user: DEFAULT_USER._id, role: 'lead' },
+      { user: memberId, role: 'viewer' }
+    ]);
+  });
+
+  it('only adds active users', async () => {
+    jest.spyOn(User, 'find').mockReturnValue({ select: async () => [] });
+
+    const res = await request(app).post('/api/care-teams').send({ name: 'Ward 3', members: [{ userId: String(id()) }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('All members must be active users');
+  });
+
+  it('keeps at least one lead', async () => {
+    const demote = await request(app).put(`/api/care-teams/${team._id}/members/${DEFAULT_USER._id}`).send({ role: 'member' });
+    const leave = await request(app).delete(`/api/care-teams/${team._id}/members/${DEFAULT_USER._id}`);
+
+    expect(demote.status).toBe(400);
+    expect(leave.status).toBe(400);
+    expect(leave.body.error).toBe('A care team must keep at least one lead');
+  });
+
+  it('lets members leave but only leads remove others', async () => {
+    const viewer = asUser({ _id: OTHER, role: 'doctor' });
+
+    const removeLead = await request(app).delete(`/api/care-teams/${team._id}/members/${DEFAULT_USER._id}`).set('x-test-user', viewer);
+    expect(removeLead.status).toBe(403);
+
+    const leave = await request(app).delete(`/api/care-teams/${team._id}/members/${OTHER}`).set('x-test-user', viewer);
+    expect(leave.status).toBe(200);
+    expect(team.members.map(m => String(m.user))).toEqual([DEFAULT_USER._id]);
+  });
+
+  it('shares a patient the user manages with the team', async () => {
+    const patient = new Patient({ name: 'Ann Lee', age: 70, gender: 'female', createdBy: DEFAULT_USER._id });
+    jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+    const updateOne = jest.spyOn(Patient, 'updateOne').mockResolvedValue({});
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    const lead = asUser({ role: 'doctor' });
+
+    const res = await request(app).post(`/api/care-teams/${team._id}/patients`).set('x-test-user', lead).send({ patientId: patient._id });
+    expect(res.status).toBe(200);
+    expect(updateOne).toHaveBeenCalledWith({ _id: patient._id }, { $addToSet: { careTeams: team._id } });
+
+    patient.createdBy = id();
+    const other = await request(app).post(`/api/care-teams/${team._id}/patients`).set('x-test-user', lead).send({ patientId: patient._id });
+    expect(other.status).toBe(403);
+  });
+
+  it('does not let viewers share patients', async () => {
+    const res = await request(app)
+      .post(`/api/care-teams/${team._id}/patients`)
+      .set('x-test-user', asUser({ _id: OTHER, role: 'doctor' }))
+      .send({ patientId: String(id()) });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,63 @@
+const { parseCsv, toCsv, parseUploadedRows } = require('../utils/csv');
+
+describe('parseCsv', () => {
+  it('keys rows by the trimmed header row', () => {
+    expect(parseCsv(' age , sex\n61,male\n45, female \n')).toEqual([
+      { age: '61', sex: 'male' },
+      { age: '45', sex: 'female' }
+    ]);
+  });
+
+  it('handles quoted fields, escaped quotes and embedded newlines', () => {
+    expect(parseCsv('name,notes\r\n"Doe, Jane","said ""hi""\nthen left"\r\n')).toEqual([
+      { name: 'Doe, Jane', notes: 'said "hi"\nthen left' }
+    ]);
+  });
+
+  it('strips a byte order mark, skips blank lines and fills missing values', () => {
+    expect(parseCsv('\ufeffa,b\n\n1\n')).toEqual([{ a: '1', b: '' }]);
+  });
+
+  it('reads a last line without a newline and returns nothing for empty input', () => {
+    expect(parseCsv('a\n1')).toEqual([{ a: '1' }]);
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+describe('toCsv', () => {
+  it('writes the columns in order and quotes only when needed', () => {
+    const rows = [{ b: 'x,y', a: 1, c: 'say "hi"' }, { a: null, b: new Date('2026-01-02T00:00:00Z') }];
+
+    expect(toCsv(rows, ['a', 'b', 'c'])).toBe(
+      'a,b,c\n1,"x,y","say ""hi"""\n,2026-01-02T00:00:00.000Z,\n'
+    );
+  });
+
+  it('keeps spreadsheet formulas in text cells from running', () => {
+    const rows = [
+      { a: '=HYPERLINK("http://x")', b: '+1' },
+      { a: '@SUM(A1)', b: '-2+3' },
+      { a: '\tcmd', b: '\r=1' },
+      { a: -1.5, b: 'a=b' }
+    ];
+
+    expect(toCsv(rows, ['a', 'b'])).toBe(
+      'a,b\n"\'=HYPERLINK(""http://x"")",\'+1\n\'@SUM(A1),\'-2+3\n\'\tcmd,"\'\r=1"\n-1.5,a=b\n'
+    );
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [{ name: 'Doe, "JD"', note: 'line one\nline two' }];
+    expect(parseCsv(toCsv(rows, ['name', 'note']))).toEqual(rows);
+  });
+});
+
+describe('parseUploadedRows', () => {
+  it('reads JSON uploads as an array and anything else as CSV', () => {
+    const json = { originalname: 'rows.json', mimetype: 'text/plain', buffer: Buffer.from('[{"a":1}]') };
+    const csv = { originalname: 'rows.csv', mimetype: 'text/csv', buffer: Buffer.from('a\n1\n') };
+
+    expect(parseUploadedRows(json)).toEqual([{ a: 1 }]);
+    expect(parseUploadedRows(csv)).toEqual([{ a: '1' }]);
+  });
+});
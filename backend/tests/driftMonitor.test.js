@@ -0,0 +1,113 @@
+const ModelInput = require('../models/ModelInput');
+const { recordInput, buildDriftReport } = require('../utils/driftMonitor');
+
+const ENCODED_INPUT = {
+  age: 61,
+  sex: 1,
+  chestPainType: 3,
+  restingBP: 140,
+  cholesterol: 230,
+  fastingBS: 0,
+  restingECG: 0,
+  maxHR: 130,
+  exerciseAngina: 1,
+  oldpeak: 1.5,
+  stSlope: 1
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordInput', () => {
+  it('stores every encoded input', () => {
+    const create = jest.spyOn(ModelInput, 'create').mockResolvedValue({});
+    recordInput(ENCODED_INPUT);
+    expect(create).toHaveBeenCalledWith(ENCODED_INPUT);
+  });
+
+  it('leaves imputed inputs out', () => {
+    const create = jest.spyOn(ModelInput, 'create').mockResolvedValue({});
+    recordInput(ENCODED_INPUT, ['maxHR', 'cholesterol']);
+
+    const stored = create.mock.calls[0][0];
+    expect(stored).not.toHaveProperty('maxHR');
+    expect(stored).not.toHaveProperty('cholesterol');
+    expect(stored.restingBP).toBe(140);
+  });
+});
+
+describe('buildDriftReport', () => {
+  function stubWindow(inputs) {
+    jest.spyOn(ModelInput, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ lean: async () => inputs }) })
+    });
+  }
+
+  // 100 inputs (the default minimum) of the given values, cycled
+  function window(feature, values) {
+    return Array.from({ length: 100 }, (_, i) => ({ [feature]: values[i % values.length], createdAt: new Date() }));
+  }
+
+  const AGE = { type: 'continuous', edges: [40, 60], proportions: [0.25, 0.5, 0.25] };
+  const SEX = { type: 'categorical', frequencies: { 0: 0.5, 1: 0.5 } };
+
+  it('counts only the values provided for each feature', async () => {
+    stubWindow([
+      Object.assign({}, ENCODED_INPUT, { createdAt: new Date() }),
+      { age: 70, sex: 0, createdAt: new Date() }
+    ]);
+
+    const report = await buildDriftReport({
+      age: { type: 'continuous', edges: [50, 60], proportions: [0.3, 0.4, 0.3] },
+      maxHR: { type: 'continuous', edges: [120, 150], proportions: [0.3, 0.4, 0.3] }
+    });
+
+    expect(report.window.size).toBe(2);
+    expect(report.features.find(f => f.feature === 'age').samples).toBe(2);
+    expect(report.features.find(f => f.feature === 'maxHR').samples).toBe(1);
+    expect(report.features.every(f => f.status === 'insufficient_data')).toBe(true);
+  });
+
+  it('finds no drift when the window matches the training distribution', async () => {
+    stubWindow(window('age', [30, 50, 50, 70]));
+
+    const [age] = (await buildDriftReport({ age: AGE })).features;
+
+    expect(age.observed).toEqual([0.25, 0.5, 0.25]);
+    expect(age.psi).toBeCloseTo(0, 12);
+    expect(age.ks).toBeCloseTo(0, 12);
+    expect(age).toMatchObject({ status: 'stable', drift: false, mean: 50 });
+  });
+
+  it('flags a continuous feature whose values have shifted', async () => {
+    stubWindow(window('age', [70]));
+
+    const report = await buildDriftReport({ age: AGE });
+    const [age] = report.features;
+
+    expect(age.observed).toEqual([0, 0, 1]);
+    expect(age.ks).toBeCloseTo(0.75, 12);
+    expect(age).toMatchObject({ status: 'significant', drift: true });
+    expect(report.drifted).toEqual(['age']);
+  });
+
+  it('counts categories never seen in training as their own bins', async () => {
+    stubWindow(window('sex', [0, 1, 2, 2]));
+
+    const [sex] = (await buildDriftReport({ sex: SEX })).features;
+
+    expect(sex.observed).toEqual({ 0: 0.25, 1: 0.25, 2: 0.5 });
+    expect(sex.ks).toBeNull();
+    expect(sex.drift).toBe(true);
+  });
+
+  it('explains that models without a training distribution must be retrained', async () => {
+    stubWindow([]);
+
+    const report = await buildDriftReport(null);
+
+    expect(report.error).toMatch(/retrain it to enable drift monitoring/);
+    expect(report.features).toEqual([]);
+  });
+});
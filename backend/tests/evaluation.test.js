@@ -0,0 +1,119 @@
+const {
+  parseOutcome,
+  rocAuc,
+  brierScore,
+  confusionMatrix,
+  calibrationTable,
+  buildReport,
+  evaluateDataset
+} = require('../utils/evaluation');
+
+const ROW = {
+  age: 55,
+  sex: 'female',
+  chestPainType: 'asymptomatic',
+  restingBP: 115,
+  cholesterol: 180,
+  fastingBS: 0,
+  restingECG: 'normal',
+  maxHR: 150,
+  exerciseAngina: 'true',
+  oldpeak: 0,
+  stSlope: 'up'
+};
+
+describe('parseOutcome', () => {
+  it.each([
+    ['1', 1], [1, 1], ['true', 1], ['Yes', 1], ['y', 1],
+    ['0', 0], [0, 0], ['false', 0], ['NO', 0], ['n', 0],
+    ['', null], [undefined, null], ['maybe', null]
+  ])('parses %p as %p', (value, expected) => {
+    expect(parseOutcome(value)).toBe(expected);
+  });
+});
+
+describe('rocAuc', () => {
+  it('is 1 for a perfect ranking and 0 for a reversed one', () => {
+    expect(rocAuc([0, 0, 1, 1], [0.1, 0.2, 0.8, 0.9])).toBe(1);
+    expect(rocAuc([1, 1, 0, 0], [0.1, 0.2, 0.8, 0.9])).toBe(0);
+  });
+
+  it('averages tied scores', () => {
+    expect(rocAuc([0, 1], [0.5, 0.5])).toBe(0.5);
+    expect(rocAuc([0, 1, 0, 1], [0.2, 0.4, 0.4, 0.9])).toBe(0.875);
+  });
+
+  it('is undefined without both classes', () => {
+    expect(rocAuc([1, 1], [0.2, 0.9])).toBeNull();
+  });
+});
+
+describe('brierScore', () => {
+  it('is the mean squared error of the probabilities', () => {
+    expect(brierScore([1, 0], [0.8, 0.4])).toBeCloseTo((0.04 + 0.16) / 2, 12);
+    expect(brierScore([], [])).toBeNull();
+  });
+});
+
+describe('confusionMatrix', () => {
+  it('calls scores at or above the threshold positive', () => {
+    const matrix = confusionMatrix([1, 1, 0, 0, 1], [0.9, 0.5, 0.5, 0.1, 0.2], 0.5);
+
+    expect(matrix).toMatchObject({ threshold: 0.5, tp: 2, fp: 1, tn: 1, fn: 1 });
+    expect(matrix.sensitivity).toBeCloseTo(2 / 3, 12);
+    expect(matrix.specificity).toBe(0.5);
+    expect(matrix.ppv).toBeCloseTo(2 / 3, 12);
+    expect(matrix.npv).toBe(0.5);
+    expect(matrix.accuracy).toBe(0.6);
+  });
+
+  it('reports null instead of dividing by zero', () => {
+    const matrix = confusionMatrix([0, 0], [0.1, 0.2], 0.5);
+    expect(matrix.sensitivity).toBeNull();
+    expect(matrix.ppv).toBeNull();
+  });
+});
+
+describe('calibrationTable', () => {
+  it('bins scores by probability and counts 1 in the last bin', () => {
+    const table = calibrationTable([0, 1, 1, 1], [0.05, 0.15, 0.95, 1], 10);
+
+    expect(table).toHaveLength(10);
+    expect(table[0]).toEqual({ bin: '0.0-0.1', count: 1, meanPredicted: 0.05, observedRate: 0 });
+    expect(table[1]).toMatchObject({ count: 1, observedRate: 1 });
+    expect(table[5]).toEqual({ bin: '0.5-0.6', count: 0, meanPredicted: null, observedRate: null });
+    expect(table[9]).toMatchObject({ bin: '0.9-1.0', count: 2, meanPredicted: 0.975, observedRate: 1 });
+  });
+});
+
+describe('buildReport', () => {
+  it('has a confusion matrix per risk band boundary', () => {
+    const report = buildReport([0, 1], [0.2, 0.8]);
+
+    expect(report).toMatchObject({ samples: 2, positives: 1, rocAuc: 1 });
+    expect(report.confusionMatrices.map(m => [m.riskLevel, m.threshold])).toEqual([
+      ['medium', 0.25],
+      ['high', 0.5],
+      ['critical', 0.75]
+    ]);
+  });
+});
+
+describe('evaluateDataset', () => {
+  it('scores labelled rows and reports the rows it skipped', async () => {
+    const rows = [
+      Object.assign({}, ROW, { outcome: 'yes' }),
+      Object.assign({}, ROW, { exerciseAngina: 'false', outcome: '0' }),
+      Object.assign({}, ROW, { outcome: '' }),
+      Object.assign({}, ROW, { age: '', outcome: '1' })
+    ];
+
+    const report = await evaluateDataset(rows, 'simplified');
+
+    expect(report).toMatchObject({ method: 'simplified', methodsUsed: { simplified: 2 }, samples: 2, positives: 1, rocAuc: 1 });
+    expect(report.skipped).toEqual([
+      { row: 3, error: 'Missing or invalid outcome' },
+      { row: 4, error: expect.stringContaining('age') }
+    ]);
+  });
+});
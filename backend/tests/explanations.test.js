@@ -0,0 +1,74 @@
+const { simplePrediction, forestPrediction } = require('../utils/mlPredictor');
+const { forest, cases } = require('./fixtures/forestParity.json');
+
+const LOW_RISK = {
+  age: 30,
+  sex: 0,
+  chestPainType: 3,
+  restingBP: 115,
+  cholesterol: 180,
+  fastingBS: 0,
+  restingECG: 0,
+  maxHR: 170,
+  exerciseAngina: 0,
+  oldpeak: 0,
+  stSlope: 0
+};
+
+const HIGH_RISK = {
+  age: 70,
+  sex: 1,
+  chestPainType: 0,
+  restingBP: 190,
+  cholesterol: 320,
+  fastingBS: 1,
+  restingECG: 2,
+  maxHR: 95,
+  exerciseAngina: 1,
+  oldpeak: 2.5,
+  stSlope: 2
+};
+
+const sum = contributions => contributions.reduce((total, c) => total + c.contribution, 0);
+
+describe('rule-based explanations', () => {
+  it('gives each factor the points it added', () => {
+    const data = Object.assign({}, LOW_RISK, { age: 55, exerciseAngina: 1 });
+    const { prediction, explanation } = simplePrediction(data);
+
+    expect(explanation).toMatchObject({ method: 'additive_points', baseline: 0 });
+    expect(explanation.rawScore).toBeCloseTo(0.5);
+    expect(prediction).toBeCloseTo(0.5);
+    expect(explanation.contributions.slice(0, 2)).toEqual([
+      { feature: 'exerciseAngina', value: 1, contribution: 0.3 },
+      { feature: 'age', value: 55, contribution: 0.2 }
+    ]);
+    expect(sum(explanation.contributions)).toBeCloseTo(prediction, 12);
+  });
+
+  it('lists every input, largest contribution first', () => {
+    const { explanation } = simplePrediction(LOW_RISK);
+    const sizes = explanation.contributions.map(c => Math.abs(c.contribution));
+
+    expect(explanation.contributions).toHaveLength(11);
+    expect(sizes).toEqual(sizes.slice().sort((a, b) => b - a));
+  });
+
+  it('scales contributions down when the score is capped at 1', () => {
+    const { prediction, explanation } = simplePrediction(HIGH_RISK);
+
+    expect(prediction).toBe(1);
+    expect(explanation.rawScore).toBeGreaterThan(1);
+    expect(sum(explanation.contributions)).toBeCloseTo(1, 12);
+  });
+});
+
+describe('forest explanations', () => {
+  it('add up from the baseline to the predicted probability', () => {
+    cases.forEach(({ input }) => {
+      const { prediction, explanation } = forestPrediction(input, forest);
+      expect(explanation.method).toBe('tree_path');
+      expect(explanation.baseline + sum(explanation.contributions)).toBeCloseTo(prediction, 10);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const Prediction = require('../models/Prediction');
+const { ageGroup, ageGroupExpression, buildFairnessReport } = require('../utils/fairness');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/predictions': require('../routes/predictions') });
+
+function prediction(score, eventType, { age, sex, gender }) {
+  return {
+    prediction: score,
+    age,
+    sex,
+    outcome: eventType ? { eventType } : undefined,
+    patient: gender ? { gender } : null
+  };
+}
+
+const MAN = { age: 60, sex: 'male', gender: 'male' };
+const WOMAN = { age: 75, sex: 'female', gender: 'female' };
+
+// Well calibrated for men; women's events are under-called
+const PREDICTIONS = [
+  prediction(0.8, 'hf_hospitalization', MAN),
+  prediction(0.6, 'death', MAN),
+  prediction(0.2, 'none', MAN),
+  prediction(0.1, 'none', MAN),
+  prediction(0.2, 'hf_hospitalization', WOMAN),
+  prediction(0.1, 'death', WOMAN),
+  prediction(0.3, 'none', WOMAN),
+  prediction(0.2, 'none', WOMAN),
+  prediction(0.9, null, { age: 25, sex: 'female' })
+];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('age groups', () => {
+  it('uses exclusive upper bounds', () => {
+    expect(ageGroup(29)).toBe('18-29');
+    expect(ageGroup(30)).toBe('30-49');
+    expect(ageGroup(69)).toBe('50-69');
+    expect(ageGroup(70)).toBe('70+');
+  });
+
+  it('builds the same groups as an aggregation expression', () => {
+    expect(ageGroupExpression('$patientAge')).toEqual({
+      $cond: [{ $lt: ['$patientAge', 30] }, '18-29', {
+        $cond: [{ $lt: ['$patientAge', 50] }, '30-49', {
+          $cond: [{ $lt: ['$patientAge', 70] }, '50-69', '70+']
+        }]
+      }]
+    });
+  });
+});
+
+describe('buildFairnessReport', () => {
+  it('summarizes each subgroup of each dimension', () => {
+    const report = buildFairnessReport(PREDICTIONS, { minSamples: 2 });
+
+    expect(report).toMatchObject({ total: 9, labelled: 8, minSamples: 2 });
+    expect(Object.keys(report.dimensions.sex.groups)).toEqual(['female', 'male']);
+    expect(Object.keys(report.dimensions.ageGroup.groups)).toEqual(['18-29', '50-69', '70+']);
+    expect(Object.keys(report.dimensions.gender.groups)).toEqual(['female', 'male', 'unknown']);
+
+    const women = report.dimensions.sex.groups.female;
+    expect(women.count).toBe(5);
+    expect(women.riskLevels).toEqual({ low: 3, medium: 1, high: 0, critical: 1 });
+    expect(report.dimensions.ageGroup.groups['18-29'].outcomes).toBeNull();
+  });
+
+  it('flags subgroups whose observed event rate differs from the scores', () => {
+    const { groups } = buildFairnessReport(PREDICTIONS, { minSamples: 2 }).dimensions.sex;
+
+    expect(groups.male.outcomes).toMatchObject({ samples: 4, events: 2, observedRate: 0.5, miscalibrated: false });
+    expect(groups.male.outcomes.calibrationGap).toBeCloseTo(0.075, 12);
+
+    expect(groups.female.outcomes).toMatchObject({ samples: 4, events: 2, observedRate: 0.5, miscalibrated: true });
+    expect(groups.female.outcomes.calibrationGap).toBeCloseTo(0.3, 12);
+    expect(groups.female.outcomes.observedToExpected).toBeCloseTo(2.5, 12);
+  });
+
+  it('gives a confusion matrix at each band boundary of the risk policy', () => {
+    const { confusionMatrices } = buildFairnessReport(PREDICTIONS, { minSamples: 2 }).dimensions.sex.groups.female.outcomes;
+
+    expect(confusionMatrices.map(m => [m.riskLevel, m.threshold])).toEqual([['medium', 0.25], ['high', 0.5], ['critical', 0.75]]);
+    expect(confusionMatrices[0]).toMatchObject({ tp: 0, fp: 1, tn: 1, fn: 2, sensitivity: 0, specificity: 0.5 });
+  });
+
+  it('reports the largest between-group differences', () => {
+    const { disparities } = buildFairnessReport(PREDICTIONS, { minSamples: 2 }).dimensions.sex;
+
+    expect(disparities.groups).toEqual(['female', 'male']);
+    expect(disparities.calibrationGap).toBeCloseTo(0.225, 12);
+    expect(disparities.byThreshold[0]).toEqual({ riskLevel: 'medium', sensitivity: 1, specificity: 0.5 });
+  });
+
+  it('leaves small subgroups out of the comparison', () => {
+    const report = buildFairnessReport(PREDICTIONS);
+
+    expect(report.dimensions.sex.disparities).toBeNull();
+    expect(report.dimensions.sex.groups.female.outcomes).toMatchObject({ sufficientData: false, miscalibrated: false });
+  });
+});
+
+describe('GET /api/predictions/stats/fairness', () => {
+  it('reports on the active predictions matching the filters', async () => {
+    const chain = {
+      select: () => chain,
+      populate: () => chain,
+      lean: async () => PREDICTIONS
+    };
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(chain);
+
+    const res = await request(app).get('/api/predictions/stats/fairness?from=2026-01-01&modelVersion=v3&minSamples=2');
+
+    expect(res.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ isActive: true, createdAt: { $gte: new Date('2026-01-01') }, modelVersion: 'v3' });
+    expect(res.body.report.dimensions.sex.groups.female.outcomes.miscalibrated).toBe(true);
+  });
+
+  it('is limited to admins', async () => {
+    const res = await request(app).get('/api/predictions/stats/fairness').set('x-test-user', asUser({ role: 'doctor' }));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,287 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Observation = require('../models/Observation');
+const PatientEvent = require('../models/PatientEvent');
+const CareTeam = require('../models/CareTeam');
+const {
+  SYSTEMS,
+  patientToFhir,
+  allergiesToFhir,
+  observationToFhir,
+  predictionToRiskAssessment,
+  fhirPatientToFields,
+  fhirObservationToFields,
+  importBundle
+} = require('../utils/fhir');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/fhir': require('../routes/fhir') });
+
+const ADMIN = { _id: '507f1f77bcf86cd799439011', id: '507f1f77bcf86cd799439011', role: 'admin' };
+const LOINC = 'http://loinc.org';
+
+function patientRecord(overrides = {}) {
+  return new Patient(Object.assign({
+    patientId: 'P-1',
+    name: 'Mary Ann Smith',
+    age: 67,
+    gender: 'female',
+    email: 'mary@example.com',
+    phone: '555-0100',
+    address: { street: '1 Main St', city: 'Springfield' },
+    emergencyContact: { name: 'John Smith', relationship: 'Spouse', phone: '555-0101' },
+    medicalHistory: { allergies: ['Penicillin'] },
+    createdBy: ADMIN._id
+  }, overrides));
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('patient mapping', () => {
+  it('exports a patient as a FHIR Patient', () => {
+    const patient = patientRecord();
+    const resource = patientToFhir(patient);
+
+    expect(resource).toMatchObject({
+      resourceType: 'Patient',
+      id: String(patient._id),
+      identifier: [{ system: SYSTEMS.patientId, value: 'P-1' }],
+      active: true,
+      name: [{ text: 'Mary Ann Smith', family: 'Smith', given: ['Mary', 'Ann'] }],
+      gender: 'female',
+      telecom: [{ system: 'phone', value: '555-0100' }, { system: 'email', value: 'mary@example.com' }],
+      address: [{ line: ['1 Main St'], city: 'Springfield' }],
+      extension: [{ url: SYSTEMS.ageExtension, valueAge: { value: 67, code: 'a' } }]
+    });
+    expect(resource.address[0]).not.toHaveProperty('state');
+    expect(allergiesToFhir(patient)).toEqual([expect.objectContaining({
+      resourceType: 'AllergyIntolerance',
+      id: `${patient._id}-allergy-1`,
+      code: { text: 'Penicillin' }
+    })]);
+  });
+
+  it('reads back the fields it exported', () => {
+    const { fields } = fhirPatientToFields(patientToFhir(patientRecord()));
+
+    expect(fields).toEqual({
+      name: 'Mary Ann Smith',
+      gender: 'female',
+      age: 67,
+      patientId: 'P-1',
+      email: 'mary@example.com',
+      phone: '555-0100',
+      address: { street: '1 Main St', city: 'Springfield' },
+      emergencyContact: { name: 'John Smith', relationship: 'Spouse', phone: '555-0101' }
+    });
+  });
+
+  it('takes the age from a birth date and rejects unsupported genders', () => {
+    const birthYear = new Date().getUTCFullYear() - 40;
+    const { fields } = fhirPatientToFields({ name: [{ given: ['Ann'], family: 'Lee' }], gender: 'female', birthDate: `${birthYear}-01-01` });
+
+    expect(fields).toMatchObject({ name: 'Ann Lee', age: 40 });
+    expect(fhirPatientToFields({ gender: 'unknown' })).toEqual({ error: 'Unsupported gender: unknown' });
+  });
+});
+
+describe('observation mapping', () => {
+  const patientId = new mongoose.Types.ObjectId();
+
+  it('exports observations in their canonical unit with LOINC codes', () => {
+    const resource = observationToFhir({
+      _id: new mongoose.Types.ObjectId(),
+      patient: patientId,
+      type: 'cholesterol',
+      value: 5,
+      unit: 'mmol/L',
+      observedAt: new Date('2026-03-01T08:00:00Z'),
+      notes: 'Fasting'
+    });
+
+    expect(resource).toMatchObject({
+      subject: { reference: `Patient/${patientId}` },
+      effectiveDateTime: '2026-03-01T08:00:00.000Z',
+      valueQuantity: { value: 193.35, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' },
+      note: [{ text: 'Fasting' }]
+    });
+    expect(resource.code.coding).toContainEqual({ system: LOINC, code: '2093-3', display: 'Cholesterol [Mass/volume] in Serum or Plasma' });
+  });
+
+  it('imports observations by LOINC or local code', () => {
+    expect(fhirObservationToFields({
+      code: { coding: [{ system: LOINC, code: '2093-3' }] },
+      valueQuantity: { value: 5.2, code: 'mmol/L' },
+      effectiveDateTime: '2026-03-01T08:00:00Z'
+    })).toEqual({
+      fields: { type: 'cholesterol', value: 5.2, unit: 'mmol/L', observedAt: new Date('2026-03-01T08:00:00Z'), notes: undefined }
+    });
+
+    expect(fhirObservationToFields({
+      code: { coding: [{ system: SYSTEMS.observation, code: 'stSlope' }] },
+      valueCodeableConcept: { text: 'flat' }
+    }).fields).toMatchObject({ type: 'stSlope', value: 'flat' });
+  });
+
+  it('rejects unknown codes, units and invalid values', () => {
+    expect(fhirObservationToFields({ code: { coding: [{ system: LOINC, code: '0000-0' }] } }))
+      .toEqual({ error: 'Unsupported observation code' });
+    expect(fhirObservationToFields({ code: { coding: [{ system: LOINC, code: '8480-6' }] }, valueQuantity: { value: 18, code: 'kPa' } }))
+      .toEqual({ error: 'Unsupported unit for restingBP: kPa' });
+    expect(fhirObservationToFields({ code: { coding: [{ system: LOINC, code: '8480-6' }] }, valueQuantity: { value: 400, code: 'mm[Hg]' } }))
+      .toEqual({ error: 'restingBP must be between 0 and 300 mmHg' });
+  });
+});
+
+describe('predictionToRiskAssessment', () => {
+  it('exports a prediction based on its input observations', () => {
+    const prediction = {
+      _id: new mongoose.Types.ObjectId(),
+      patient: new mongoose.Types.ObjectId(),
+      createdAt: new Date('2026-03-01T08:00:00Z'),
+      method: 'ml_model',
+      modelVersion: 'v3',
+      prediction: 0.62,
+      riskLevel: 'high',
+      restingBP: 140,
+      fastingBS: 1,
+      recommendations: ['Monitor symptoms closely', 'Review current medications']
+    };
+
+    const resource = predictionToRiskAssessment(prediction);
+
+    expect(resource).toMatchObject({
+      resourceType: 'RiskAssessment',
+      method: { text: 'ml_model v3' },
+      basis: [{ reference: `Observation/${prediction._id}-restingBP` }, { reference: `Observation/${prediction._id}-fastingBS` }],
+      prediction: [{ probabilityDecimal: 0.62, qualitativeRisk: { text: 'high' } }],
+      mitigation: 'Monitor symptoms closely\nReview current medications'
+    });
+  });
+});
+
+describe('importBundle', () => {
+  beforeEach(() => {
+    jest.spyOn(Patient.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(Observation, 'create').mockImplementation(async fields => Object.assign({ _id: new mongoose.Types.ObjectId() }, fields));
+  });
+
+  it('creates patients with their allergies and observations', async () => {
+    jest.spyOn(Patient, 'findOne').mockResolvedValue(null);
+
+    const response = await importBundle({
+      resourceType: 'Bundle',
+      type: 'batch',
+      entry: [
+        { fullUrl: 'urn:uuid:1', resource: { resourceType: 'Patient', name: [{ text: 'Ann Lee' }], gender: 'female', birthDate: '1960-05-01' } },
+        { resource: { resourceType: 'AllergyIntolerance', code: { text: 'Latex' }, patient: { reference: 'urn:uuid:1' } } },
+        {
+          resource: {
+            resourceType: 'Observation',
+            subject: { reference: 'urn:uuid:1' },
+            code: { coding: [{ system: LOINC, code: '8480-6' }] },
+            valueQuantity: { value: 150, code: 'mm[Hg]' }
+          }
+        },
+        { resource: { resourceType: 'Observation', subject: { reference: 'urn:uuid:2' }, code: { coding: [] } } },
+        { resource: { resourceType: 'Encounter' } }
+      ]
+    }, ADMIN);
+
+    const [patient, allergy, observation, orphan, encounter] = response.entry.map(entry => entry.response);
+    expect(response.type).toBe('batch-response');
+    expect(patient.status).toBe('201 Created');
+    expect(allergy).toEqual({ status: '200 OK', location: patient.location });
+    expect(observation.status).toBe('201 Created');
+    expect(orphan).toMatchObject({ status: '404 Not Found', outcome: { issue: [{ diagnostics: 'Subject not found: urn:uuid:2' }] } });
+    expect(encounter).toMatchObject({ status: '422 Unprocessable Entity', outcome: { issue: [{ diagnostics: 'Unsupported resource type: Encounter' }] } });
+
+    const saved = Patient.prototype.save.mock.contexts[0];
+    expect(saved.medicalHistory.allergies).toEqual(['Latex']);
+    expect(Observation.create).toHaveBeenCalledWith(expect.objectContaining({
+      patient: saved._id,
+      type: 'restingBP',
+      value: 150,
+      unit: 'mmHg',
+      source: 'ehr'
+    }));
+  });
+
+  it('updates a patient matched by identifier and records the change', async () => {
+    const existing = patientRecord();
+    jest.spyOn(Patient, 'findOne').mockResolvedValue(existing);
+    const createEvent = jest.spyOn(PatientEvent, 'create').mockResolvedValue({});
+
+    const resource = patientToFhir(existing);
+    resource.telecom = [{ system: 'phone', value: '555-0199' }];
+
+    const response = await importBundle({ resourceType: 'Bundle', type: 'batch', entry: [{ resource }] }, ADMIN);
+
+    expect(response.entry[0].response).toEqual({ status: '200 OK', location: `Patient/${existing._id}` });
+    expect(existing.phone).toBe('555-0199');
+    expect(createEvent).toHaveBeenCalledWith(expect.objectContaining({
+      patient: existing._id,
+      type: 'patient_updated',
+      source: 'fhir_import',
+      changes: [{ field: 'phone', from: '555-0100', to: '555-0199' }]
+    }));
+  });
+
+  it('refuses to update patients the user cannot edit', async () => {
+    jest.spyOn(Patient, 'findOne').mockResolvedValue(patientRecord({ createdBy: new mongoose.Types.ObjectId() }));
+    const doctor = { _id: String(new mongoose.Types.ObjectId()), role: 'doctor' };
+    doctor.id = doctor._id;
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+
+    const response = await importBundle({
+      resourceType: 'Bundle',
+      type: 'batch',
+      entry: [{ resource: patientToFhir(patientRecord()) }]
+    }, doctor);
+
+    expect(response.entry[0].response.status).toBe('403 Forbidden');
+    expect(Patient.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('FHIR routes', () => {
+  it('sends a patient as application/fhir+json', async () => {
+    const patient = patientRecord();
+    jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+
+    const res = await request(app).get(`/api/fhir/Patient/${patient._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/fhir\+json/);
+    expect(JSON.parse(res.text)).toMatchObject({ resourceType: 'Patient', id: String(patient._id) });
+  });
+
+  it('answers errors with an OperationOutcome', async () => {
+    jest.spyOn(Patient, 'findById').mockResolvedValue(null);
+
+    const missing = await request(app).get(`/api/fhir/Patient/${new mongoose.Types.ObjectId()}`);
+    expect(missing.status).toBe(404);
+    expect(JSON.parse(missing.text)).toMatchObject({ resourceType: 'OperationOutcome', issue: [{ severity: 'error', diagnostics: 'Patient not found' }] });
+
+    const notBundle = await request(app)
+      .post('/api/fhir')
+      .set('Content-Type', 'application/fhir+json')
+      .send(JSON.stringify({ resourceType: 'Patient' }));
+    expect(notBundle.status).toBe(400);
+    expect(JSON.parse(notBundle.text).issue[0].diagnostics).toBe('Request body must be a FHIR Bundle');
+  });
+
+  it('limits imports to admins and doctors', async () => {
+    const res = await request(app)
+      .post('/api/fhir')
+      .set('x-test-user', asUser({ role: 'nurse' }))
+      .send({ resourceType: 'Bundle', type: 'batch', entry: [] });
+
+    expect(res.status).toBe(403);
+  });
+});
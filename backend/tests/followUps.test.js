@@ -0,0 +1,391 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+// Short webhook timeout so an unanswered webhook fails quickly
+process.env.FOLLOW_UP_WEBHOOK_TIMEOUT_MS = '50';
+
+const http = require('http');
+const mongoose = require('mongoose');
+const FollowUp = require('../models/FollowUp');
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const PatientEvent = require('../models/PatientEvent');
+const User = require('../models/User');
+const CareTeam = require('../models/CareTeam');
+const request = require('supertest');
+const {
+  suggestFollowUpDate,
+  scheduleFollowUp,
+  syncPredictionFollowUp,
+  logNotifier,
+  webhookNotifier,
+  setFollowUpNotifier,
+  hasFollowUpNotifier,
+  sendFollowUpReminders,
+  startFollowUpReminders
+} = require('../utils/followUps');
+const { buildTimeline } = require('../utils/timeline');
+const { buildApp, asUser } = require('./helpers/app');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const webhooks = [];
+
+// Local webhook receiving JSON posts; answer(res) responds to each, or
+// leaves it unanswered. Resolves with { url, received }.
+function startWebhook(answer) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      answer(res);
+    });
+  });
+  webhooks.push(server);
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ url: `http://127.0.0.1:${server.address().port}/reminders`, received }));
+  });
+}
+
+const ok = res => res.end();
+const hang = () => {};
+
+// FollowUp.find(...).sort().populate().populate().cursor() over the given documents
+function stubReminderQuery(followUps) {
+  const remaining = followUps.slice();
+  const chain = {
+    sort: () => chain,
+    populate: () => chain,
+    cursor: () => ({ next: async () => remaining.shift() || null })
+  };
+  jest.spyOn(FollowUp, 'find').mockReturnValue(chain);
+}
+
+function dueFollowUp(now) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    dueDate: new Date(now.getTime() + DAY_MS / 2),
+    riskLevel: 'High',
+    patient: { _id: new mongoose.Types.ObjectId(), patientId: 'P-1', name: 'Test Patient', isActive: true },
+    assignedTo: { _id: new mongoose.Types.ObjectId(), name: 'Dr Test', email: 'dr@example.com' }
+  };
+}
+
+afterEach(() => {
+  webhooks.splice(0).forEach((server) => {
+    server.closeAllConnections();
+    server.close();
+  });
+  setFollowUpNotifier(null);
+  jest.restoreAllMocks();
+});
+
+describe('notifier configuration', () => {
+  const app = buildApp({ '/api/followups': require('../routes/followups') });
+
+  it('has no notifier unless one is configured', () => {
+    expect(hasFollowUpNotifier()).toBe(false);
+  });
+
+  it('refuses to start or send reminders without a notifier', async () => {
+    expect(() => startFollowUpReminders()).toThrow('No follow-up notifier configured');
+    await expect(sendFollowUpReminders()).rejects.toThrow('No follow-up notifier configured');
+  });
+
+  it('answers a manual reminder run with 503 without a notifier', async () => {
+    const res = await request(app).post('/api/followups/reminders/run');
+    expect(res.status).toBe(503);
+  });
+});
+
+describe('logNotifier', () => {
+  it('logs record IDs but no patient or clinician details', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const followUp = dueFollowUp(new Date());
+
+    logNotifier({ recipient: followUp.assignedTo, patient: followUp.patient, followUp, overdue: true });
+
+    const line = log.mock.calls[0][0];
+    expect(line).toContain(String(followUp._id));
+    expect(line).toContain(String(followUp.patient._id));
+    expect(line).not.toContain('Test Patient');
+    expect(line).not.toContain('P-1');
+    expect(line).not.toContain('dr@example.com');
+  });
+});
+
+describe('webhookNotifier', () => {
+  it('posts the reminder as JSON with record IDs only', async () => {
+    const { url, received } = await startWebhook(ok);
+    const followUp = dueFollowUp(new Date());
+
+    await webhookNotifier(url)({
+      recipient: followUp.assignedTo, patient: followUp.patient, followUp, overdue: false
+    });
+
+    expect(received[0].method).toBe('POST');
+    expect(received[0].headers['content-type']).toBe('application/json');
+    expect(received[0].body).toMatchObject({ followUp: String(followUp._id), riskLevel: 'High', overdue: false });
+    expect(received[0].body.patient).toEqual({ id: String(followUp.patient._id), patientId: 'P-1' });
+    expect(received[0].body.recipient).toEqual({ id: String(followUp.assignedTo._id) });
+    expect(JSON.stringify(received[0].body)).not.toMatch(/Test Patient|Dr Test|dr@example\.com/);
+  });
+
+  it('rejects when the webhook does not answer in time', async () => {
+    const { url } = await startWebhook(hang);
+    const followUp = dueFollowUp(new Date());
+
+    await expect(webhookNotifier(url)({
+      recipient: followUp.assignedTo, patient: followUp.patient, followUp, overdue: false
+    })).rejects.toThrow('Reminder webhook did not answer within 50 ms');
+  });
+
+  it('rejects on an error response', async () => {
+    const { url } = await startWebhook((res) => {
+      res.statusCode = 502;
+      res.end();
+    });
+    const followUp = dueFollowUp(new Date());
+
+    await expect(webhookNotifier(url)({
+      recipient: followUp.assignedTo, patient: followUp.patient, followUp, overdue: false
+    })).rejects.toThrow('Reminder webhook responded with 502');
+  });
+});
+
+describe('sendFollowUpReminders', () => {
+  it('counts a timed out webhook as a failed reminder and leaves it to the next run', async () => {
+    const { url } = await startWebhook(hang);
+    setFollowUpNotifier(webhookNotifier(url));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const updateOne = jest.spyOn(FollowUp, 'updateOne').mockResolvedValue({});
+    const now = new Date();
+    stubReminderQuery([dueFollowUp(now)]);
+
+    const result = await sendFollowUpReminders(now);
+
+    expect(result).toEqual({ sent: 0, failed: 1 });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('follow-up actions on the timeline', () => {
+  const app = buildApp({ '/api/followups': require('../routes/followups') });
+  let followUp;
+  let events;
+
+  beforeEach(() => {
+    followUp = new FollowUp({
+      patient: new mongoose.Types.ObjectId(),
+      prediction: new mongoose.Types.ObjectId(),
+      assignedTo: new mongoose.Types.ObjectId(),
+      dueDate: new Date('2026-11-01T00:00:00Z'),
+      riskLevel: 'High'
+    });
+    events = [];
+    jest.spyOn(FollowUp, 'findById').mockResolvedValue(followUp);
+    jest.spyOn(FollowUp.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(Patient, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ _id: followUp.patient, createdBy: followUp.assignedTo, careTeams: [] }) })
+    });
+    jest.spyOn(Prediction, 'updateOne').mockResolvedValue({});
+    jest.spyOn(PatientEvent, 'create').mockImplementation(async (event) => { events.push(event); });
+  });
+
+  it.each([
+    ['complete', 'followup_completed', 'completed'],
+    ['cancel', 'followup_cancelled', 'cancelled']
+  ])('records %s with its note', async (action, type, status) => {
+    const res = await request(app).post(`/api/followups/${followUp._id}/${action}`).send({ note: 'Seen in clinic' });
+
+    expect(res.status).toBe(200);
+    expect(followUp.status).toBe(status);
+    expect(events).toEqual([expect.objectContaining({
+      patient: followUp.patient,
+      type,
+      prediction: followUp.prediction,
+      followUp: followUp._id,
+      note: 'Seen in clinic'
+    })]);
+  });
+
+  it('records a reschedule with the due date moved', async () => {
+    const res = await request(app)
+      .post(`/api/followups/${followUp._id}/reschedule`)
+      .send({ dueDate: '2026-12-01T00:00:00Z', note: 'Patient away' });
+
+    expect(res.status).toBe(200);
+    expect(Prediction.updateOne).toHaveBeenCalledWith({ _id: followUp.prediction }, { followUpDate: new Date('2026-12-01T00:00:00Z') });
+    expect(events).toEqual([expect.objectContaining({
+      type: 'followup_rescheduled',
+      followUp: followUp._id,
+      changes: [{ field: 'dueDate', from: new Date('2026-11-01T00:00:00Z'), to: new Date('2026-12-01T00:00:00Z') }],
+      note: 'Patient away'
+    })]);
+  });
+
+  it('shows follow-up events with their note on the timeline', async () => {
+    const createdAt = new Date('2026-11-02T00:00:00Z');
+    const find = jest.spyOn(PatientEvent, 'find').mockReturnValue({
+      sort: () => ({
+        limit: () => ({
+          lean: async () => [{
+            _id: new mongoose.Types.ObjectId(),
+            patient: followUp.patient,
+            type: 'followup_completed',
+            prediction: followUp.prediction,
+            followUp: followUp._id,
+            note: 'Seen in clinic',
+            actor: followUp.assignedTo,
+            createdAt
+          }]
+        })
+      })
+    });
+    jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+
+    const { events: timeline } = await buildTimeline({ _id: followUp.patient }, { types: ['followup_completed'] });
+
+    expect(find.mock.calls[0][0].type).toEqual({ $in: ['followup_completed'] });
+    expect(timeline).toEqual([expect.objectContaining({
+      type: 'followup_completed',
+      occurredAt: createdAt,
+      followUp: followUp._id,
+      note: 'Seen in clinic'
+    })]);
+  });
+});
+
+describe('suggestFollowUpDate', () => {
+  const from = new Date('2026-10-01T00:00:00Z');
+
+  it('adds the follow-up interval of the prediction\'s band', () => {
+    expect(suggestFollowUpDate({ riskLevel: 'critical' }, from)).toEqual(new Date('2026-10-08T00:00:00Z'));
+    expect(suggestFollowUpDate({ prediction: 0.55 }, from)).toEqual(new Date('2026-10-31T00:00:00Z'));
+  });
+
+  it('is null for a band without an interval', () => {
+    expect(suggestFollowUpDate({ riskLevel: 'unknown' }, from)).toBeNull();
+  });
+});
+
+describe('scheduling follow-ups', () => {
+  const prediction = {
+    _id: new mongoose.Types.ObjectId(),
+    patient: { _id: new mongoose.Types.ObjectId() },
+    createdBy: new mongoose.Types.ObjectId(),
+    riskLevel: 'high',
+    followUpDate: new Date('2026-11-01T00:00:00Z')
+  };
+
+  beforeEach(() => {
+    jest.spyOn(FollowUp, 'create').mockImplementation(async fields => new FollowUp(fields));
+  });
+
+  it('supersedes the patient\'s earlier scheduled follow-ups', async () => {
+    const updateMany = jest.spyOn(FollowUp, 'updateMany').mockResolvedValue({});
+
+    const followUp = await scheduleFollowUp(prediction, { userId: prediction.createdBy });
+
+    expect(updateMany.mock.calls[0][0]).toEqual({ patient: prediction.patient._id, status: 'scheduled', prediction: { $ne: prediction._id } });
+    expect(updateMany.mock.calls[0][1].$set).toEqual({ status: 'superseded' });
+    expect(followUp).toMatchObject({
+      patient: prediction.patient._id,
+      assignedTo: prediction.createdBy,
+      dueDate: prediction.followUpDate,
+      status: 'scheduled',
+      source: 'suggested'
+    });
+    expect(await scheduleFollowUp(Object.assign({}, prediction, { followUpDate: null }))).toBeNull();
+  });
+
+  it('creates a manual follow-up for an edited date when none is scheduled', async () => {
+    jest.spyOn(FollowUp, 'findOne').mockResolvedValue(null);
+
+    const followUp = await syncPredictionFollowUp(prediction, prediction.createdBy);
+
+    expect(FollowUp.findOne).toHaveBeenCalledWith({ prediction: prediction._id, status: 'scheduled' });
+    expect(followUp).toMatchObject({ dueDate: prediction.followUpDate, source: 'manual' });
+  });
+
+  it('reschedules the scheduled follow-up when the date changes', async () => {
+    const followUp = new FollowUp({
+      patient: prediction.patient._id,
+      prediction: prediction._id,
+      dueDate: new Date('2026-10-20T00:00:00Z'),
+      riskLevel: 'high',
+      reminderCount: 2,
+      lastReminderAt: new Date('2026-10-19T00:00:00Z')
+    });
+    jest.spyOn(FollowUp, 'findOne').mockResolvedValue(followUp);
+    const save = jest.spyOn(FollowUp.prototype, 'save').mockImplementation(async function () { return this; });
+
+    await syncPredictionFollowUp(prediction, prediction.createdBy);
+
+    expect(followUp).toMatchObject({ dueDate: prediction.followUpDate, reminderCount: 0, lastReminderAt: undefined });
+    expect(followUp.history[0]).toMatchObject({ action: 'rescheduled', from: new Date('2026-10-20T00:00:00Z'), to: prediction.followUpDate });
+
+    await syncPredictionFollowUp(prediction, prediction.createdBy);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(FollowUp.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/followups', () => {
+  const app = buildApp({ '/api/followups': require('../routes/followups') });
+  const patientIds = [new mongoose.Types.ObjectId()];
+  const doctor = { _id: String(new mongoose.Types.ObjectId()), role: 'doctor' };
+
+  function stubWorklist(followUps) {
+    const chain = {
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      populate: () => chain,
+      then: (resolve, reject) => Promise.resolve(followUps).then(resolve, reject)
+    };
+    jest.spyOn(Patient, 'find').mockReturnValue({ distinct: async () => patientIds });
+    jest.spyOn(FollowUp, 'countDocuments').mockResolvedValue(followUps.length);
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    return jest.spyOn(FollowUp, 'find').mockReturnValue(chain);
+  }
+
+  it('lists follow-ups due within a week for the user\'s active patients, flagging overdue ones', async () => {
+    const overdue = new FollowUp({ patient: patientIds[0], dueDate: new Date(Date.now() - 3.5 * DAY_MS), riskLevel: 'high' });
+    const find = stubWorklist([overdue]);
+
+    const res = await request(app).get('/api/followups?assignedTo=me').set('x-test-user', asUser(doctor));
+
+    expect(res.status).toBe(200);
+    expect(res.body.followUps[0]).toMatchObject({ overdue: true, daysOverdue: 3 });
+    expect(Patient.find).toHaveBeenCalledWith({
+      $or: [{ createdBy: doctor._id }, { careTeams: { $in: [] } }],
+      isActive: true
+    });
+    const query = find.mock.calls[0][0];
+    expect(query).toMatchObject({ patient: { $in: patientIds }, status: 'scheduled', assignedTo: doctor._id });
+    expect(query.dueDate.$lte.getTime()).toBeGreaterThan(Date.now() + 6 * DAY_MS);
+  });
+
+  it('can list only overdue follow-ups or another status', async () => {
+    const find = stubWorklist([]);
+
+    await request(app).get('/api/followups?overdue=true');
+    await request(app).get('/api/followups?status=completed');
+
+    expect(Object.keys(find.mock.calls[0][0].dueDate)).toEqual(['$lt']);
+    expect(find.mock.calls[1][0]).toEqual({ patient: { $in: patientIds }, status: 'completed' });
+  });
+
+  it('limits a team\'s worklist to its members', async () => {
+    stubWorklist([]);
+    jest.spyOn(CareTeam, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: new mongoose.Types.ObjectId() }) }) });
+
+    const res = await request(app)
+      .get(`/api/followups?teamId=${new mongoose.Types.ObjectId()}`)
+      .set('x-test-user', asUser(doctor));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,77 @@
+// Checks the JavaScript forest evaluator against probabilities recorded from
+// ml/predict.py. Regenerate the fixture with ml/export_parity_fixture.py.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { forestPrediction, scoreWithForest } = require('../utils/mlPredictor');
+const { forest, cases } = require('./fixtures/forestParity.json');
+
+// Secondary outputs are sums in a different order than numpy's, so allow rounding noise
+const TOLERANCE = 1e-12;
+
+const expectClose = (actual, expected) => {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(TOLERANCE);
+};
+
+describe('forestPrediction parity with predict.py', () => {
+  test('fixture covers in- and out-of-distribution inputs', () => {
+    expect(cases.length).toBeGreaterThan(0);
+    expect(cases.some(({ expected }) => expected.outOfDistribution.flagged)).toBe(true);
+    expect(cases.some(({ expected }) => !expected.outOfDistribution.flagged)).toBe(true);
+  });
+
+  test.each(cases.map((c, i) => [i, c]))('case %i', (i, { input, expected }) => {
+    const result = forestPrediction(input, forest);
+
+    expect(result.success).toBe(true);
+    expect(result.modelVersion).toBe(expected.modelVersion);
+    // Tree probabilities are summed in the same order, so the risk itself is exact
+    expect(result.prediction).toBe(expected.prediction);
+    expectClose(result.confidence, expected.confidence);
+
+    expectClose(result.uncertainty.std, expected.uncertainty.std);
+    expectClose(result.uncertainty.interval.lower, expected.uncertainty.interval.lower);
+    expectClose(result.uncertainty.interval.upper, expected.uncertainty.interval.upper);
+
+    expectClose(result.explanation.baseline, expected.explanation.baseline);
+    expected.explanation.contributions.forEach(({ feature, contribution }) => {
+      const match = result.explanation.contributions.find(c => c.feature === feature);
+      expect(match).toBeDefined();
+      expectClose(match.contribution, contribution);
+    });
+
+    expect(result.outOfDistribution.flagged).toBe(expected.outOfDistribution.flagged);
+    expect(result.outOfDistribution.features.map(f => f.feature).sort())
+      .toEqual(expected.outOfDistribution.features.map(f => f.feature).sort());
+  });
+});
+
+describe('scoreWithForest', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forest-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('scores with the export written next to the model artifact', async () => {
+    fs.writeFileSync(path.join(dir, 'heart_failure_model-v3.forest.json'), JSON.stringify(forest));
+    const { input, expected } = cases[0];
+
+    const result = await scoreWithForest(input, { version: 'v3', artifactPath: path.join(dir, 'heart_failure_model-v3.joblib') });
+
+    expect(result.success).toBe(true);
+    expect(result.prediction).toBe(expected.prediction);
+  });
+
+  it('explains how to create a missing export', async () => {
+    const artifactPath = path.join(dir, 'heart_failure_model-v4.joblib');
+
+    const result = await scoreWithForest(cases[0].input, { version: 'v4', artifactPath });
+
+    expect(result).toEqual({ success: false, error: `No exported forest for ${artifactPath}; run ml/export_model.py` });
+  });
+});
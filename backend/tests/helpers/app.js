@@ -0,0 +1,16 @@
+const express = require('express');
+
+// Express app with the given routers mounted, e.g. { '/api/ml': require('../../routes/ml') }
+function buildApp(mounts) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(mounts).forEach(([path, router]) => app.use(path, router));
+  return app;
+}
+
+// Header value that makes the stubbed protect middleware use this user
+function asUser(user) {
+  return JSON.stringify(user);
+}
+
+module.exports = { buildApp, asUser };
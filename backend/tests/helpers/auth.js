@@ -0,0 +1,21 @@
+// Stand-in for the protect middleware in route tests. The user comes from
+// the x-test-user header (JSON) and defaults to an admin.
+const DEFAULT_USER = { _id: '507f1f77bcf86cd799439011', role: 'admin' };
+
+function protect(req, res, next) {
+  const user = Object.assign({}, DEFAULT_USER, JSON.parse(req.headers['x-test-user'] || '{}'));
+  user.id = user._id;
+  req.user = user;
+  next();
+}
+
+// Factory for jest.mock('../middleware/auth', ...): the real module with protect replaced
+function mockAuthModule() {
+  return Object.assign({}, jest.requireActual('../../middleware/auth'), { protect });
+}
+
+module.exports = {
+  DEFAULT_USER,
+  protect,
+  mockAuthModule
+};
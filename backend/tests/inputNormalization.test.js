@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setActiveModel } = require('../utils/mlPredictor');
+const { normalizePredictionInput, applyImputationPenalty } = require('../utils/inputNormalization');
+const { computeClinicalScores, coerceClinicalInput } = require('../utils/clinicalScores');
+
+// Training statistics of a model whose most common categories differ from the reference values
+const TRAINING_STATS = {
+  mean: [55, 0.5, 1.5, 128.6, 212.4, 0.3, 0.7, 150, 0.6, 1.04, 0.9],
+  distribution: {
+    chestPainType: { type: 'categorical', frequencies: { 1: 0.6, 3: 0.4 } },
+    fastingBS: { type: 'categorical', frequencies: { 0: 0.3, 1: 0.7 } },
+    restingECG: { type: 'categorical', frequencies: { 0: 0.2, 2: 0.8 } },
+    exerciseAngina: { type: 'categorical', frequencies: { 0: 0.4, 1: 0.6 } },
+    stSlope: { type: 'categorical', frequencies: { 0: 0.3, 1: 0.7 } }
+  }
+};
+
+const COMPLETE = {
+  age: 61,
+  sex: 'male',
+  chestPainType: 'asymptomatic',
+  restingBP: 140,
+  cholesterol: 230,
+  fastingBS: 0,
+  restingECG: 'normal',
+  maxHR: 130,
+  exerciseAngina: false,
+  oldpeak: 1.5,
+  stSlope: 'flat'
+};
+
+describe('normalizePredictionInput', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imputation-'));
+    fs.writeFileSync(path.join(dir, 'model.forest.json'), JSON.stringify({ trainingStats: TRAINING_STATS }));
+  });
+
+  afterAll(() => {
+    setActiveModel(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('imputes nothing when every input is given', async () => {
+    const result = await normalizePredictionInput(COMPLETE);
+
+    expect(result.inputs).toEqual(COMPLETE);
+    expect(result.provided).toEqual(COMPLETE);
+    expect(result.imputation).toEqual({ fields: [], conversions: [], confidencePenalty: 0 });
+  });
+
+  it('imputes missing inputs from the serving model\'s training data', async () => {
+    setActiveModel({ artifactPath: path.join(dir, 'model.joblib') });
+
+    const { inputs, provided, imputation } = await normalizePredictionInput({ age: '61', sex: 'male' });
+
+    expect(provided).toEqual({ age: 61, sex: 'male' });
+    expect(inputs).toEqual({
+      age: 61,
+      sex: 'male',
+      chestPainType: 'atypical angina',
+      restingBP: 129,
+      cholesterol: 212,
+      fastingBS: 1,
+      restingECG: 'left ventricular hypertrophy',
+      maxHR: 165,
+      exerciseAngina: true,
+      oldpeak: 1,
+      stSlope: 'flat'
+    });
+    expect(imputation.fields).toContainEqual({ field: 'restingBP', value: 129, strategy: 'training_mean' });
+    expect(imputation.fields).toContainEqual({ field: 'stSlope', value: 'flat', strategy: 'training_mode' });
+    expect(imputation.fields).toContainEqual({ field: 'maxHR', value: 165, strategy: 'age_predicted' });
+    expect(imputation.confidencePenalty).toBeCloseTo(1 - Math.pow(0.9, 9), 12);
+  });
+
+  it('falls back to reference values when the model has no training statistics', async () => {
+    setActiveModel({ artifactPath: path.join(dir, 'missing.joblib') });
+
+    const { inputs, imputation } = await normalizePredictionInput(Object.assign({}, COMPLETE, { cholesterol: '', stSlope: null }));
+
+    expect(inputs).toMatchObject({ cholesterol: 200, stSlope: 'up' });
+    expect(imputation.fields).toEqual([
+      { field: 'cholesterol', value: 200, strategy: 'reference_value' },
+      { field: 'stSlope', value: 'up', strategy: 'reference_value' }
+    ]);
+    expect(imputation.confidencePenalty).toBeCloseTo(0.19, 12);
+  });
+
+  it('converts cholesterol and derives fastingBS from a glucose reading', async () => {
+    const body = Object.assign({}, COMPLETE, { cholesterol: 5.2, cholesterolUnit: 'mmol/L', glucose: 7, glucoseUnit: 'mmol/L' });
+    delete body.fastingBS;
+
+    const { inputs, imputation } = await normalizePredictionInput(body);
+
+    expect(inputs).toMatchObject({ cholesterol: 201, fastingBS: 1 });
+    expect(imputation.fields).toEqual([]);
+    expect(imputation.conversions).toEqual([
+      { field: 'cholesterol', from: { value: 5.2, unit: 'mmol/L' }, to: { value: 201, unit: 'mg/dL' } },
+      { field: 'fastingBS', from: { value: 7, unit: 'glucose mmol/L' }, to: { value: 1, unit: 'fasting glucose > 120 mg/dL' } }
+    ]);
+  });
+
+  it('prefers an explicit fastingBS to a glucose reading', async () => {
+    const { inputs, imputation } = await normalizePredictionInput(Object.assign({}, COMPLETE, { glucose: 180 }));
+
+    expect(inputs.fastingBS).toBe(0);
+    expect(imputation.conversions).toEqual([]);
+  });
+
+  it.each([
+    [{ sex: 'male' }, 'Missing required field: age'],
+    [{ age: 61, sex: '' }, 'Missing required field: sex'],
+    [{ age: 61, sex: 'male', cholesterolUnit: 'g/L' }, 'Cholesterol unit must be mg/dL or mmol/L'],
+    [{ age: 61, sex: 'male', glucose: 100, glucoseUnit: 'g/L' }, 'Glucose unit must be mg/dL or mmol/L'],
+    [{ age: 61, sex: 'male', glucose: 'high' }, 'Glucose must be a number']
+  ])('rejects input %#', async (body, error) => {
+    expect(await normalizePredictionInput(body)).toEqual({ error });
+  });
+});
+
+describe('applyImputationPenalty', () => {
+  it('lowers the confidence of results with imputed inputs', () => {
+    const imputation = { fields: [{ field: 'maxHR' }, { field: 'oldpeak' }], confidencePenalty: 0.19 };
+
+    expect(applyImputationPenalty({ success: true, confidence: 0.9 }, imputation).confidence).toBeCloseTo(0.729, 12);
+    expect(applyImputationPenalty({ success: true, confidence: 0.9 }, { fields: [], confidencePenalty: 0 }).confidence).toBe(0.9);
+    expect(applyImputationPenalty({ success: false }, imputation)).toEqual({ success: false });
+  });
+});
+
+describe('clinical scores', () => {
+  const INPUTS = { age: 72, sex: 'male', restingBP: 150, restingECG: 'left ventricular hypertrophy' };
+  const PATIENT = {
+    lifestyle: { smoking: false },
+    medicalHistory: {
+      conditions: ['Prior myocardial infarction', 'Type 2 diabetes'],
+      medications: ['Bisoprolol 5mg', 'Ramipril']
+    }
+  };
+  const CLINICAL = { ejectionFraction: 25, nyhaClass: 3, creatinine: 140, bmi: 24, heartRate: 85, hfDiagnosedOver18Months: true };
+
+  it('scores every item when the patient record and measurements are known', () => {
+    const [framingham, maggic] = computeClinicalScores({ inputs: INPUTS, patient: PATIENT, clinical: CLINICAL });
+
+    expect(framingham).toMatchObject({ name: 'framingham_style', points: 24, maxPoints: 39, missing: [], complete: true });
+    expect(framingham.inputs).toMatchObject({ leftVentricularHypertrophy: true, coronaryHeartDisease: true, valveDisease: false });
+    expect(maggic).toMatchObject({ name: 'maggic_style', points: 29, maxPoints: 57, missing: [], complete: true });
+    expect(maggic.inputs).toMatchObject({ onBetaBlocker: true, onAceInhibitorOrArb: true, copd: false });
+  });
+
+  it('lists items it cannot score as missing', () => {
+    const [framingham, maggic] = computeClinicalScores({ inputs: { age: 72 }, clinical: { ejectionFraction: 45 } });
+
+    expect(framingham).toMatchObject({ points: 5, complete: false });
+    expect(framingham.missing).toEqual(['leftVentricularHypertrophy', 'heartRate', 'systolicBP', 'coronaryHeartDisease', 'valveDisease', 'diabetes']);
+    expect(maggic.missing).toContain('currentSmoker');
+    expect(maggic.missing).toContain('onBetaBlocker');
+  });
+
+  it('does not compute the MAGGIC-style score without an ejection fraction', () => {
+    const [, maggic] = computeClinicalScores({ inputs: INPUTS, patient: PATIENT });
+
+    expect(maggic).toMatchObject({ points: null, missing: ['ejectionFraction'], complete: false });
+  });
+
+  it('coerces measurements from form or CSV values', () => {
+    expect(coerceClinicalInput({ ejectionFraction: '35', hfDiagnosedOver18Months: 'yes', bmi: '', notes: 'x' }))
+      .toEqual({ ejectionFraction: 35, hfDiagnosedOver18Months: true });
+    expect(coerceClinicalInput(undefined)).toEqual({});
+  });
+});
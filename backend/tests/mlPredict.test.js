@@ -0,0 +1,82 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+// Score with the rule-based model so no Python workers are needed
+jest.mock('../utils/mlPredictor', () => {
+  const actual = jest.requireActual('../utils/mlPredictor');
+  return Object.assign({}, actual, {
+    runPrediction: jest.fn(async data => actual.simplePrediction(data))
+  });
+});
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const CareTeam = require('../models/CareTeam');
+const { runPrediction } = require('../utils/mlPredictor');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/ml': require('../routes/ml') });
+
+// Cholesterol in mmol/L, a glucose reading instead of fastingBS and no ECG
+const PARTIAL = {
+  age: 61,
+  sex: 'male',
+  chestPainType: 'asymptomatic',
+  restingBP: 140,
+  cholesterol: 6,
+  cholesterolUnit: 'mmol/L',
+  glucose: 7.5,
+  glucoseUnit: 'mmol/L',
+  maxHR: 130,
+  exerciseAngina: false,
+  oldpeak: 1.5,
+  stSlope: 'flat'
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/ml/predict', () => {
+  it('checks access to the patient before scoring', async () => {
+    const patient = new Patient({ name: 'Ann Lee', age: 61, gender: 'male', createdBy: new mongoose.Types.ObjectId() });
+    jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+
+    const res = await request(app)
+      .post('/api/ml/predict')
+      .set('x-test-user', asUser({ role: 'doctor' }))
+      .send(Object.assign({ patientId: String(patient._id) }, PARTIAL));
+
+    expect(res.status).toBe(403);
+    expect(runPrediction).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/ml/batch-predict', () => {
+  it('converts units and imputes missing inputs like a single prediction', async () => {
+    const single = await request(app).post('/api/ml/predict').send(PARTIAL);
+    const batch = await request(app).post('/api/ml/batch-predict').send({ patients: [Object.assign({ patientId: 'P-1' }, PARTIAL)] });
+
+    expect(single.status).toBe(200);
+    expect(batch.status).toBe(200);
+    expect(runPrediction.mock.calls[1]).toEqual(runPrediction.mock.calls[0]);
+    expect(runPrediction.mock.calls[1][0]).toMatchObject({ cholesterol: 232, fastingBS: 1 });
+
+    const [result] = batch.body.results;
+    expect(result).toMatchObject({ patientId: 'P-1', success: true });
+    expect(result.prediction.probability).toBe(single.body.prediction.probability);
+    expect(result.prediction.confidence).toBe(single.body.prediction.confidence);
+    expect(result.prediction.imputation.fields.map(f => f.field)).toEqual(['restingECG']);
+  });
+
+  it('validates each item with the single prediction rules', async () => {
+    const res = await request(app).post('/api/ml/batch-predict').send({
+      patients: [PARTIAL, Object.assign({}, PARTIAL, { sex: undefined, cholesterolUnit: 'g/L' })]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(d => d.path)).toEqual(['patients[1].sex', 'patients[1].cholesterolUnit']);
+    expect(runPrediction).not.toHaveBeenCalled();
+  });
+});
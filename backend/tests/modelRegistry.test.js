@@ -0,0 +1,121 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const ModelVersion = require('../models/ModelVersion');
+const { getActiveModel, setActiveModel } = require('../utils/mlPredictor');
+const { activateModel, rollbackModel } = require('../utils/modelRegistry');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/ml': require('../routes/ml') });
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+// Registered versions, looked up by status or version like the real collection
+let models;
+
+function model(version, status = 'registered', previousVersion) {
+  return new ModelVersion({
+    version,
+    status,
+    previousVersion,
+    artifactPath: `/models/heart_failure_model-${version}.joblib`,
+    trainingDataHash: `hash-${version}`
+  });
+}
+
+beforeEach(() => {
+  models = [];
+  jest.spyOn(ModelVersion.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(ModelVersion, 'findOne').mockImplementation(async filter =>
+    models.find(m => Object.keys(filter).every(key => m[key] === filter[key])) || null);
+});
+
+afterEach(() => {
+  setActiveModel(null);
+  jest.restoreAllMocks();
+});
+
+describe('activateModel', () => {
+  it('serves the new version and remembers the one it replaced', async () => {
+    const v1 = model('v1', 'active');
+    const v2 = model('v2');
+    models.push(v1, v2);
+
+    await activateModel(v2, USER_ID);
+
+    expect(v1.status).toBe('inactive');
+    expect(v1.deactivatedAt).toBeInstanceOf(Date);
+    expect(v2.status).toBe('active');
+    expect(v2.previousVersion).toBe('v1');
+    expect(String(v2.activatedBy)).toBe(USER_ID);
+    expect(getActiveModel()).toEqual({ version: 'v2', artifactPath: v2.artifactPath });
+  });
+
+  it('activates the first version without a previous one', async () => {
+    const v1 = model('v1');
+    models.push(v1);
+
+    await activateModel(v1, USER_ID);
+
+    expect(v1.status).toBe('active');
+    expect(v1.previousVersion).toBeUndefined();
+  });
+});
+
+describe('rollbackModel', () => {
+  it('re-activates the previous version and keeps its own rollback chain', async () => {
+    const v1 = model('v1', 'inactive', 'v0');
+    const v2 = model('v2', 'active', 'v1');
+    models.push(v1, v2);
+
+    const restored = await rollbackModel(USER_ID);
+
+    expect(restored).toBe(v1);
+    expect(v1.status).toBe('active');
+    expect(v1.previousVersion).toBe('v0');
+    expect(v2.status).toBe('rolled_back');
+    expect(getActiveModel().version).toBe('v1');
+  });
+
+  it('returns null without a previous version', async () => {
+    models.push(model('v1', 'active'));
+    await expect(rollbackModel(USER_ID)).resolves.toBeNull();
+  });
+});
+
+describe('model registry routes', () => {
+  it('activates a registered version', async () => {
+    models.push(model('v1', 'active'), model('v2'));
+
+    const res = await request(app).post('/api/ml/models/v2/activate');
+
+    expect(res.status).toBe(200);
+    expect(res.body.model).toMatchObject({ version: 'v2', status: 'active', previousVersion: 'v1' });
+  });
+
+  it('rejects unknown and already active versions', async () => {
+    models.push(model('v1', 'active'));
+
+    expect((await request(app).post('/api/ml/models/v9/activate')).status).toBe(404);
+    expect((await request(app).post('/api/ml/models/v1/activate')).status).toBe(400);
+  });
+
+  it('reports when there is nothing to roll back to', async () => {
+    models.push(model('v1', 'active'));
+
+    const res = await request(app).post('/api/ml/models/rollback');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No previous model version to roll back to');
+  });
+
+  it('is limited to admins', async () => {
+    models.push(model('v2'));
+
+    const res = await request(app)
+      .post('/api/ml/models/v2/activate')
+      .set('x-test-user', asUser({ role: 'doctor' }));
+
+    expect(res.status).toBe(403);
+  });
+});
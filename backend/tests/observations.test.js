@@ -0,0 +1,212 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Observation = require('../models/Observation');
+const Patient = require('../models/Patient');
+const CareTeam = require('../models/CareTeam');
+const {
+  canonicalValue,
+  validateObservation,
+  fillFromObservations,
+  buildTrend
+} = require('../utils/observations');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/patients/:id/observations': require('../routes/observations') });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const patient = {
+  _id: new mongoose.Types.ObjectId(),
+  age: 61,
+  gender: 'male',
+  createdBy: new mongoose.Types.ObjectId(),
+  isActive: true
+};
+
+function observation(type, value, unit, observedAt = new Date()) {
+  return { _id: new mongoose.Types.ObjectId(), type, value, unit, observedAt };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validateObservation', () => {
+  it('accepts measurements in any supported unit and findings of the right type', () => {
+    expect(validateObservation({ type: 'cholesterol', value: 5.2, unit: 'mmol/L' })).toBeNull();
+    expect(validateObservation({ type: 'restingBP', value: 140 })).toBeNull();
+    expect(validateObservation({ type: 'stSlope', value: 'flat' })).toBeNull();
+    expect(validateObservation({ type: 'exerciseAngina', value: false })).toBeNull();
+  });
+
+  it.each([
+    [{ type: 'weight', value: 80 }, 'Unknown observation type: weight'],
+    [{ type: 'cholesterol', value: 5, unit: 'g/L' }, 'cholesterol unit must be one of: mg/dL, mmol/L'],
+    [{ type: 'restingBP', value: '140' }, 'restingBP value must be a number'],
+    [{ type: 'creatinine', value: 30, unit: 'mg/dL' }, 'creatinine must be between 10 and 2000 µmol/L'],
+    [{ type: 'stSlope', value: 'steep' }, 'stSlope must be one of: up, flat, down'],
+    [{ type: 'exerciseAngina', value: 'yes' }, 'exerciseAngina must be true or false']
+  ])('rejects %o', (input, error) => {
+    expect(validateObservation(input)).toBe(error);
+  });
+});
+
+describe('canonicalValue', () => {
+  it('converts measurements to the canonical unit', () => {
+    expect(canonicalValue({ type: 'cholesterol', value: 5, unit: 'mmol/L' })).toBe(193.35);
+    expect(canonicalValue({ type: 'creatinine', value: 1.2, unit: 'mg/dL' })).toBe(106.1);
+    expect(canonicalValue({ type: 'cholesterol', value: 230, unit: 'mg/dL' })).toBe(230);
+    expect(canonicalValue({ type: 'stSlope', value: 'flat' })).toBe('flat');
+  });
+});
+
+describe('fillFromObservations', () => {
+  it('fills missing inputs from the latest observations and the patient record', async () => {
+    const cholesterol = observation('cholesterol', 5, 'mmol/L');
+    const aggregate = jest.spyOn(Observation, 'aggregate').mockResolvedValue([
+      { _id: 'cholesterol', observation: cholesterol },
+      { _id: 'restingBP', observation: observation('restingBP', 130, 'mmHg') },
+      { _id: 'glucose', observation: observation('glucose', 7, 'mmol/L') }
+    ]);
+
+    const before = Date.now();
+    const { input, autoFilled } = await fillFromObservations({ restingBP: 150, cholesterolUnit: 'mmol/L' }, patient, 14);
+
+    expect(input).toEqual({
+      age: 61,
+      sex: 'male',
+      restingBP: 150,
+      cholesterol: 193.35,
+      cholesterolUnit: 'mg/dL',
+      glucose: 126.11,
+      glucoseUnit: 'mg/dL'
+    });
+    expect(autoFilled.map(entry => [entry.field, entry.source])).toEqual([
+      ['age', 'patient'], ['sex', 'patient'], ['cholesterol', 'observation'], ['glucose', 'observation']
+    ]);
+    expect(autoFilled[2]).toMatchObject({ unit: 'mg/dL', observation: cholesterol._id, observedAt: cholesterol.observedAt });
+
+    const { $match } = aggregate.mock.calls[0][0][0];
+    expect($match).toMatchObject({ patient: patient._id, isActive: true });
+    expect(before - $match.observedAt.$gte.getTime()).toBeGreaterThanOrEqual(14 * DAY_MS - 1000);
+  });
+
+  it('does not derive fastingBS from glucose when it was given', async () => {
+    jest.spyOn(Observation, 'aggregate').mockResolvedValue([
+      { _id: 'glucose', observation: observation('glucose', 140, 'mg/dL') }
+    ]);
+
+    const { input, autoFilled } = await fillFromObservations({ age: 50, sex: 'female', fastingBS: 0 }, patient);
+
+    expect(input).toEqual({ age: 50, sex: 'female', fastingBS: 0 });
+    expect(autoFilled).toEqual([]);
+  });
+});
+
+describe('buildTrend', () => {
+  // Monday 2 March, Wednesday 4 March and Tuesday 10 March 2026
+  const SERIES = [
+    { value: 140, unit: 'mmHg', observedAt: new Date('2026-03-02T09:00:00Z') },
+    { value: 150, unit: 'mmHg', observedAt: new Date('2026-03-04T09:00:00Z') },
+    { value: 130, unit: 'mmHg', observedAt: new Date('2026-03-10T09:00:00Z') }
+  ];
+
+  it('groups measurements into weeks starting on Monday', () => {
+    const trend = buildTrend('restingBP', SERIES, 'week');
+
+    expect(trend).toMatchObject({
+      type: 'restingBP',
+      unit: 'mmHg',
+      count: 3,
+      first: { value: 140 },
+      latest: { value: 130 },
+      change: -10
+    });
+    expect(trend.periods).toEqual([
+      { period: '2026-03-02', count: 2, mean: 145, min: 140, max: 150 },
+      { period: '2026-03-09', count: 1, mean: 130, min: 130, max: 130 }
+    ]);
+    expect(trend.slopePerDay).toBeCloseTo(-540 / 312, 12);
+  });
+
+  it('groups by month and converts units', () => {
+    const trend = buildTrend('cholesterol', [
+      { value: 5, unit: 'mmol/L', observedAt: new Date('2026-03-02T00:00:00Z') },
+      { value: 210, unit: 'mg/dL', observedAt: new Date('2026-03-30T00:00:00Z') }
+    ], 'month');
+
+    expect(trend.periods).toEqual([{ period: '2026-03-01', count: 2, mean: 201.675, min: 193.35, max: 210 }]);
+  });
+
+  it('has no change or slope without two measurements', () => {
+    expect(buildTrend('restingBP', [], 'day')).toMatchObject({ count: 0, first: null, latest: null, change: null, slopePerDay: null, periods: [] });
+    expect(buildTrend('restingBP', SERIES.slice(0, 1), 'day').slopePerDay).toBeNull();
+  });
+});
+
+describe('observation routes', () => {
+  const url = `/api/patients/${patient._id}/observations`;
+  const stranger = asUser({ _id: String(new mongoose.Types.ObjectId()), role: 'doctor' });
+
+  beforeEach(() => {
+    jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+  });
+
+  it('records an observation in the unit it was entered in', async () => {
+    const create = jest.spyOn(Observation, 'create').mockImplementation(async fields => fields);
+
+    const res = await request(app).post(url).send({ type: 'cholesterol', value: 5.2, unit: 'mmol/L', source: 'lab' });
+
+    expect(res.status).toBe(201);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      patient: patient._id,
+      type: 'cholesterol',
+      value: 5.2,
+      unit: 'mmol/L',
+      source: 'lab',
+      recordedBy: '507f1f77bcf86cd799439011'
+    }));
+  });
+
+  it('defaults to the canonical unit and rejects invalid values', async () => {
+    const create = jest.spyOn(Observation, 'create').mockImplementation(async fields => fields);
+
+    await request(app).post(url).send({ type: 'maxHR', value: 150 });
+    expect(create.mock.calls[0][0].unit).toBe('bpm');
+
+    const res = await request(app).post(url).send({ type: 'maxHR', value: 400 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('maxHR must be between 0 and 300 bpm');
+  });
+
+  it('refuses users without access to the patient', async () => {
+    const create = jest.spyOn(Observation, 'create');
+
+    const res = await request(app).post(url).set('x-test-user', stranger).send({ type: 'maxHR', value: 150 });
+
+    expect(res.status).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('builds a trend of one measurement type', async () => {
+    const find = jest.spyOn(Observation, 'find').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => [{ value: 140, observedAt: new Date('2026-03-02T09:00:00Z') }] }) })
+    });
+
+    const res = await request(app).get(`${url}/trends?type=restingBP&interval=month&from=2026-01-01`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.trend).toMatchObject({ type: 'restingBP', interval: 'month', count: 1 });
+    expect(find).toHaveBeenCalledWith({
+      patient: patient._id,
+      isActive: true,
+      type: 'restingBP',
+      observedAt: { $gte: new Date('2026-01-01') }
+    });
+
+    expect((await request(app).get(`${url}/trends?type=stSlope`)).status).toBe(400);
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Prediction = require('../models/Prediction');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/predictions': require('../routes/predictions') });
+
+const CREATED_AT = new Date('2026-01-10T00:00:00Z');
+
+let prediction;
+
+beforeEach(() => {
+  prediction = new Prediction({
+    createdBy: new mongoose.Types.ObjectId(),
+    age: 61,
+    sex: 'male',
+    prediction: 0.62,
+    riskLevel: 'high'
+  });
+  prediction.createdAt = CREATED_AT;
+  jest.spyOn(Prediction, 'findById').mockResolvedValue(prediction);
+  jest.spyOn(Prediction.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(Prediction.prototype, 'populate').mockImplementation(async function () { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PUT /api/predictions/:id/outcome', () => {
+  it('records an event with who recorded it', async () => {
+    const res = await request(app)
+      .put(`/api/predictions/${prediction._id}/outcome`)
+      .send({ eventType: 'hf_hospitalization', eventDate: '2026-03-01', notes: 'Admitted' });
+
+    expect(res.status).toBe(200);
+    expect(prediction.outcome).toMatchObject({
+      eventType: 'hf_hospitalization',
+      eventDate: new Date('2026-03-01'),
+      notes: 'Admitted'
+    });
+    expect(String(prediction.outcome.recordedBy)).toBe('507f1f77bcf86cd799439011');
+    expect(prediction.outcome.recordedAt).toBeInstanceOf(Date);
+  });
+
+  it('records no event without a date', async () => {
+    const res = await request(app).put(`/api/predictions/${prediction._id}/outcome`).send({ eventType: 'none' });
+
+    expect(res.status).toBe(200);
+    expect(prediction.outcome.eventType).toBe('none');
+  });
+
+  it('needs a date for an event and a known event type', async () => {
+    const missingDate = await request(app).put(`/api/predictions/${prediction._id}/outcome`).send({ eventType: 'death' });
+    const unknownType = await request(app).put(`/api/predictions/${prediction._id}/outcome`).send({ eventType: 'stroke' });
+
+    expect(missingDate.status).toBe(400);
+    expect(unknownType.status).toBe(400);
+  });
+
+  it('rejects events dated before the prediction', async () => {
+    const res = await request(app)
+      .put(`/api/predictions/${prediction._id}/outcome`)
+      .send({ eventType: 'death', eventDate: '2025-12-31' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Event date cannot be before the prediction');
+    expect(prediction.outcome.eventType).toBeUndefined();
+    expect(Prediction.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('is refused to users who cannot edit the prediction', async () => {
+    const res = await request(app)
+      .put(`/api/predictions/${prediction._id}/outcome`)
+      .set('x-test-user', asUser({ _id: String(new mongoose.Types.ObjectId()), role: 'doctor' }))
+      .send({ eventType: 'none' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/predictions/outcomes/pending', () => {
+  it('lists active predictions older than the cutoff without an outcome', async () => {
+    const chain = {
+      populate: () => chain,
+      sort: () => chain,
+      skip: () => chain,
+      limit: async () => [prediction]
+    };
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(chain);
+    jest.spyOn(Prediction, 'countDocuments').mockResolvedValue(1);
+
+    const before = Date.now();
+    const res = await request(app).get('/api/predictions/outcomes/pending?days=30');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ days: 30, pagination: { total: 1 } });
+    const query = find.mock.calls[0][0];
+    expect(query).toMatchObject({ isActive: true, 'outcome.eventType': { $exists: false } });
+    expect(before - query.createdAt.$lte.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000 - 1000);
+  });
+});
+
+describe('GET /api/predictions/outcomes/report', () => {
+  it('groups by the risk level stored with each prediction', async () => {
+    const aggregate = jest.spyOn(Prediction, 'aggregate').mockResolvedValue([
+      { _id: 'moderate', count: 1 },
+      { _id: 'high', count: 2 },
+      { _id: 'low', count: 3 }
+    ]);
+    jest.spyOn(Prediction, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ prediction: 0.2, outcome: { eventType: 'none' } }, { prediction: 0.7, outcome: { eventType: 'death' } }] })
+    });
+
+    const res = await request(app).get('/api/predictions/outcomes/report');
+
+    expect(res.status).toBe(200);
+    expect(aggregate.mock.calls[0][0][1].$group._id).toBe('$riskLevel');
+    // Levels of an earlier policy come after the current bands
+    expect(res.body.byRiskLevel.map(group => group._id)).toEqual(['low', 'high', 'moderate']);
+  });
+});
@@ -0,0 +1,185 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const PatientImport = require('../models/PatientImport');
+const { defaultMapping, validateMapping, mapRow, importPatients } = require('../utils/patientImport');
+const { parseCsv } = require('../utils/csv');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/patients': require('../routes/patients') });
+
+const ADMIN_ID = '507f1f77bcf86cd799439011';
+
+const MAPPING = {
+  name: 'full_name',
+  age: 'years',
+  gender: 'sex',
+  email: 'mail',
+  'medicalHistory.conditions': 'conditions',
+  'lifestyle.smoking': 'smoker'
+};
+const COLUMNS = ['full_name', 'years', 'sex', 'mail', 'conditions', 'smoker'];
+
+function row(fullName, years, sex, mail = '', extra = {}) {
+  return Object.assign({ full_name: fullName, years, sex, mail, conditions: '', smoker: '' }, extra);
+}
+
+const ROWS = [
+  row('John Doe', '61', 'M', 'john@example.com', { conditions: 'Hypertension; Diabetes; ', smoker: 'yes' }),
+  row('', 'abc', 'unknown'),
+  row('john doe', '61', 'm'),
+  row('Ann Lee', '70', 'F'),
+  row('Bob Stone', '50', 'male', 'JOHN@example.com')
+];
+
+// An existing patient with the same name and age as row 4
+const EXISTING = [{ patientId: 'P-9', name: 'Ann Lee', age: 70, isActive: true }];
+
+function stubDatabase() {
+  jest.spyOn(Patient, 'find').mockReturnValue({ select: () => ({ lean: async () => EXISTING }) });
+  jest.spyOn(PatientImport, 'create').mockImplementation(async fields => new PatientImport(fields));
+  return jest.spyOn(Patient, 'insertMany').mockImplementation(async docs => docs);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('column mapping', () => {
+  it('maps fields to columns of the same name by default', () => {
+    expect(defaultMapping(['name', 'age', 'gender', 'notes', 'address.city'])).toEqual({
+      name: 'name',
+      age: 'age',
+      gender: 'gender',
+      'address.city': 'address.city'
+    });
+  });
+
+  it('checks fields, required fields and columns', () => {
+    expect(validateMapping(MAPPING, COLUMNS)).toBeNull();
+    expect(validateMapping(['name'], COLUMNS)).toBe('Mapping must be an object of patient field to CSV column');
+    expect(validateMapping(Object.assign({ ssn: 'ssn' }, MAPPING), COLUMNS)).toBe('Unknown patient fields in mapping: ssn');
+    expect(validateMapping({ name: 'full_name' }, COLUMNS)).toBe('Mapping must include: age, gender');
+    expect(validateMapping(Object.assign({}, MAPPING, { phone: 'tel' }), COLUMNS)).toBe('Columns not found in file: tel');
+  });
+
+  it('converts cells to patient fields', () => {
+    expect(mapRow(ROWS[0], MAPPING)).toEqual({
+      name: 'John Doe',
+      age: 61,
+      gender: 'male',
+      email: 'john@example.com',
+      medicalHistory: { conditions: ['Hypertension', 'Diabetes'] },
+      lifestyle: { smoking: true }
+    });
+    expect(mapRow(ROWS[1], MAPPING)).toEqual({ age: 'abc', gender: 'unknown' });
+  });
+});
+
+describe('importPatients', () => {
+  it('inserts valid rows and rejects invalid and duplicate ones', async () => {
+    const insertMany = stubDatabase();
+
+    const result = await importPatients(ROWS, { mapping: MAPPING, columns: COLUMNS, fileName: 'clinic.csv', userId: ADMIN_ID });
+
+    expect(result).toMatchObject({ dryRun: false, total: 5, valid: 1, invalid: 1, duplicates: 3, inserted: 1, failed: 0 });
+    expect(insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({ name: 'John Doe', createdBy: ADMIN_ID })]);
+
+    const rejected = result.rejectedRows.map(r => ({ row: r.row, reason: r.reason, messages: r.messages }));
+    expect(rejected[0].row).toBe(2);
+    expect(rejected[0].messages).toEqual(expect.arrayContaining(['Patient name is required', 'age: invalid value "abc"']));
+    expect(rejected.slice(1)).toEqual([
+      { row: 3, reason: 'duplicate', messages: ['Duplicate of row 1 (name and age)'] },
+      { row: 4, reason: 'duplicate', messages: ['Matches existing patient P-9 (name and age)'] },
+      { row: 5, reason: 'duplicate', messages: ['Duplicate of row 1 (email)'] }
+    ]);
+    expect(result.rejectedRows[1].data).toEqual(ROWS[2]);
+  });
+
+  it('saves nothing on a dry run', async () => {
+    const insertMany = stubDatabase();
+
+    const result = await importPatients(ROWS, { mapping: MAPPING, columns: COLUMNS, dryRun: true, userId: ADMIN_ID });
+
+    expect(result).toMatchObject({ dryRun: true, valid: 1, inserted: 0 });
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it('reports rows the database rejects', async () => {
+    stubDatabase().mockRejectedValue(Object.assign(new Error('Bulk write failed'), {
+      writeErrors: [{ index: 0, errmsg: 'E11000 duplicate key error' }],
+      insertedDocs: []
+    }));
+
+    const result = await importPatients(ROWS.slice(0, 1), { mapping: MAPPING, columns: COLUMNS, userId: ADMIN_ID });
+
+    expect(result).toMatchObject({ valid: 1, inserted: 0, failed: 1 });
+    expect(result.rejectedRows[0]).toMatchObject({ row: 1, reason: 'insert_failed', messages: ['E11000 duplicate key error'] });
+  });
+});
+
+describe('patient import routes', () => {
+  const CSV = 'full_name,years,sex,mail,conditions,smoker\nJohn Doe,61,M,john@example.com,Hypertension,yes\n,abc,unknown,,,\n';
+
+  it('runs a dry run with a column mapping and points to the error file', async () => {
+    const insertMany = stubDatabase();
+
+    const res = await request(app)
+      .post('/api/patients/import')
+      .field('mapping', JSON.stringify(MAPPING))
+      .field('dryRun', 'true')
+      .attach('file', Buffer.from(CSV), 'clinic.csv');
+
+    expect(res.status).toBe(200);
+    expect(res.body.import).toMatchObject({ dryRun: true, fileName: 'clinic.csv', total: 2, valid: 1, invalid: 1 });
+    expect(res.body.import.rejectedRows).toBeUndefined();
+    expect(res.body.errors).toEqual([expect.objectContaining({ row: 2, reason: 'invalid' })]);
+    expect(res.body.errorFile).toBe(`/api/patients/imports/${res.body.import._id}/errors`);
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it('rejects a mapping that does not fit the file', async () => {
+    const res = await request(app)
+      .post('/api/patients/import')
+      .field('mapping', JSON.stringify({ name: 'name', age: 'age', gender: 'gender' }))
+      .attach('file', Buffer.from(CSV), 'clinic.csv');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Columns not found in file: name, age, gender');
+  });
+
+  it('is limited to admins and doctors', async () => {
+    const res = await request(app)
+      .post('/api/patients/import')
+      .set('x-test-user', asUser({ role: 'nurse' }))
+      .attach('file', Buffer.from(CSV), 'clinic.csv');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('downloads the rejected rows with their original columns', async () => {
+    const patientImport = new PatientImport({
+      columns: COLUMNS,
+      rejectedRows: [{ row: 2, reason: 'invalid', messages: ['Patient name is required', 'age: invalid value "abc"'], data: ROWS[1] }],
+      createdBy: ADMIN_ID
+    });
+    jest.spyOn(PatientImport, 'findById').mockResolvedValue(patientImport);
+
+    const res = await request(app).get(`/api/patients/imports/${patientImport._id}/errors`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toContain(`patient-import-${patientImport._id}-errors.csv`);
+    expect(parseCsv(res.text)).toEqual([Object.assign({
+      row: '2',
+      reason: 'invalid',
+      errors: 'Patient name is required; age: invalid value "abc"'
+    }, ROWS[1])]);
+
+    const other = await request(app)
+      .get(`/api/patients/imports/${patientImport._id}/errors`)
+      .set('x-test-user', asUser({ _id: String(new mongoose.Types.ObjectId()), role: 'doctor' }));
+    expect(other.status).toBe(403);
+  });
+});
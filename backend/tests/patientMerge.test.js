@@ -0,0 +1,225 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const Observation = require('../models/Observation');
+const PatientMerge = require('../models/PatientMerge');
+const PatientEvent = require('../models/PatientEvent');
+const CareTeam = require('../models/CareTeam');
+const { normalizeName, jaroWinkler, scorePair, findDuplicateCandidates } = require('../utils/patientMatching');
+const { mergeChanges, mergePatients, undoMerge } = require('../utils/patientMerge');
+const { DEFAULT_USER } = require('./helpers/auth');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/patients': require('../routes/patients') });
+
+const predictionId = new mongoose.Types.ObjectId();
+const observationId = new mongoose.Types.ObjectId();
+
+let survivor;
+let duplicate;
+
+beforeEach(() => {
+  survivor = new Patient({
+    patientId: 'P-1',
+    name: 'John Smith',
+    age: 61,
+    gender: 'male',
+    phone: '555-010-0100',
+    medicalHistory: { conditions: ['Hypertension'] },
+    createdBy: DEFAULT_USER._id
+  });
+  duplicate = new Patient({
+    patientId: 'P-2',
+    name: 'Jon Smith',
+    age: 62,
+    gender: 'male',
+    email: 'john@example.com',
+    medicalHistory: { conditions: ['hypertension', 'Diabetes'] },
+    createdBy: DEFAULT_USER._id
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Stub the collections a merge or undo writes to
+function stubMergeWrites() {
+  jest.spyOn(Prediction, 'find').mockReturnValue({ distinct: async () => [predictionId] });
+  jest.spyOn(Observation, 'find').mockReturnValue({ distinct: async () => [observationId] });
+  jest.spyOn(Prediction, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Observation, 'updateMany').mockResolvedValue({});
+  jest.spyOn(PatientMerge, 'create').mockImplementation(async fields => new PatientMerge(fields));
+  jest.spyOn(PatientMerge.prototype, 'save').mockImplementation(async function () { return this; });
+  jest.spyOn(Patient.prototype, 'save').mockImplementation(async function () { return this; });
+}
+
+describe('duplicate matching', () => {
+  it('compares names whatever their word order, accents and punctuation', () => {
+    expect(normalizeName('Smith, John')).toBe('john smith');
+    expect(normalizeName('José  Álvarez')).toBe('alvarez jose');
+    expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.9611, 4);
+    expect(jaroWinkler('abc', 'xyz')).toBe(0);
+  });
+
+  it('scores the signals both records have', () => {
+    const { score, signals } = scorePair(
+      { name: 'John Smith', age: 61, email: 'John@example.com', phone: '555-0100' },
+      { name: 'Smith, John', age: 62, email: 'john@example.com' }
+    );
+
+    expect(signals).toEqual({ name: 1, age: 0.8, email: 1 });
+    expect(score).toBeCloseTo(0.81 / 0.85, 12);
+  });
+
+  it('halves the score when the recorded genders differ', () => {
+    const a = { name: 'Sam Lee', age: 40, gender: 'male' };
+    const b = { name: 'Sam Lee', age: 40, gender: 'female' };
+
+    expect(scorePair(a, b).score).toBe(0.5);
+    expect(scorePair(a, Object.assign({}, b, { gender: 'other' })).score).toBe(1);
+  });
+
+  it('lists likely duplicate pairs, best first', async () => {
+    const records = [survivor, duplicate, new Patient({ name: 'John Smith', age: 61, gender: 'male', phone: '+1 (555) 010 0100' }),
+      new Patient({ name: 'Jane Doe', age: 61, gender: 'female' })].map(record => record.toObject());
+    const find = jest.spyOn(Patient, 'find').mockReturnValue({ select: () => ({ lean: async () => records }) });
+
+    const candidates = await findDuplicateCandidates({ scope: { createdBy: 'u1' } });
+
+    expect(find).toHaveBeenCalledWith({ createdBy: 'u1', isActive: true });
+    expect(candidates.map(c => c.patients.map(p => p.name))).toEqual([
+      ['John Smith', 'John Smith'],
+      ['John Smith', 'Jon Smith'],
+      ['Jon Smith', 'John Smith']
+    ]);
+    expect(candidates[0].score).toBe(1);
+
+    const forDuplicate = await findDuplicateCandidates({ patientId: duplicate._id });
+    expect(forDuplicate).toHaveLength(2);
+    expect(forDuplicate.every(c => c.patients.some(p => p._id.equals(duplicate._id)))).toBe(true);
+  });
+});
+
+describe('mergeChanges', () => {
+  it('fills blank fields, takes listed fields and combines lists', () => {
+    expect(mergeChanges(survivor.toObject(), duplicate.toObject(), ['age'])).toEqual([
+      { field: 'age', from: 61, to: 62 },
+      { field: 'email', from: undefined, to: 'john@example.com' },
+      { field: 'medicalHistory.conditions', from: ['Hypertension'], to: ['Hypertension', 'Diabetes'] }
+    ]);
+    expect(mergeChanges(survivor.toObject(), duplicate.toObject()).map(c => c.field)).not.toContain('name');
+  });
+});
+
+describe('mergePatients and undoMerge', () => {
+  it('merges a duplicate, moving its predictions and observations', async () => {
+    stubMergeWrites();
+
+    const merge = await mergePatients(survivor, duplicate, { fields: ['age'], reason: 'Same person', userId: DEFAULT_USER._id });
+
+    expect(merge).toMatchObject({ status: 'merged', reason: 'Same person' });
+    expect(merge.survivorBefore.age).toBe(61);
+    expect(survivor).toMatchObject({ age: 62, email: 'john@example.com' });
+    expect(duplicate.isActive).toBe(false);
+    expect(duplicate.mergedInto).toEqual(survivor._id);
+    expect(Prediction.updateMany).toHaveBeenCalledWith({ _id: { $in: [predictionId] } }, { patient: survivor._id });
+    expect(Observation.updateMany).toHaveBeenCalledWith({ _id: { $in: [observationId] } }, { patient: survivor._id });
+  });
+
+  it('undoes a merge, keeping fields edited since and reporting them', async () => {
+    stubMergeWrites();
+    const merge = await mergePatients(survivor, duplicate, { fields: ['age'], userId: DEFAULT_USER._id });
+    survivor.email = 'john.smith@example.com';
+
+    jest.spyOn(PatientMerge, 'findOne').mockReturnValue({ sort: async () => null });
+    jest.spyOn(Patient, 'findById').mockImplementation(async id => (survivor._id.equals(id) ? survivor : duplicate));
+
+    const { conflicts } = await undoMerge(merge, DEFAULT_USER._id);
+
+    expect(conflicts).toEqual(['email']);
+    expect(survivor.age).toBe(61);
+    expect(survivor.email).toBe('john.smith@example.com');
+    expect(survivor.medicalHistory.conditions).toEqual(['Hypertension']);
+    expect(duplicate.isActive).toBe(true);
+    expect(duplicate.mergedInto).toBeUndefined();
+    expect(Prediction.updateMany).toHaveBeenLastCalledWith(
+      { _id: { $in: [predictionId] }, patient: survivor._id },
+      { patient: duplicate._id }
+    );
+    expect(merge.status).toBe('undone');
+
+    expect(await undoMerge(merge, DEFAULT_USER._id)).toEqual({ error: 'Merge has already been undone', status: 409 });
+  });
+
+  it('requires later merges of either record to be undone first', async () => {
+    stubMergeWrites();
+    const merge = await mergePatients(survivor, duplicate, { userId: DEFAULT_USER._id });
+    const later = new PatientMerge({ survivor: survivor._id, merged: new mongoose.Types.ObjectId() });
+    jest.spyOn(PatientMerge, 'findOne').mockReturnValue({ sort: async () => later });
+
+    expect(await undoMerge(merge, DEFAULT_USER._id)).toEqual({ error: `Undo the later merge ${later._id} first`, status: 409 });
+    expect(merge.status).toBe('merged');
+  });
+});
+
+describe('merge routes', () => {
+  beforeEach(() => {
+    jest.spyOn(Patient, 'findById').mockImplementation(async id => (survivor._id.equals(id) ? survivor : duplicate));
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    jest.spyOn(PatientEvent, 'create').mockResolvedValue({});
+  });
+
+  it('merges two patients and logs the survivor\'s changes', async () => {
+    stubMergeWrites();
+
+    const res = await request(app).post('/api/patients/merges').send({ survivorId: survivor._id, mergedId: duplicate._id, fields: ['age'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.merge).not.toHaveProperty('survivorBefore');
+    expect(res.body.patient.age).toBe(62);
+    expect(PatientEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      patient: survivor._id,
+      type: 'patient_updated',
+      source: 'merge'
+    }));
+  });
+
+  it('rejects merging a patient into itself or taking unknown fields', async () => {
+    const self = await request(app).post('/api/patients/merges').send({ survivorId: survivor._id, mergedId: String(survivor._id) });
+    const unknown = await request(app).post('/api/patients/merges').send({ survivorId: survivor._id, mergedId: duplicate._id, fields: ['patientId'] });
+
+    expect(self.status).toBe(400);
+    expect(unknown.status).toBe(400);
+  });
+
+  it('needs manage access to the retired record', async () => {
+    duplicate.createdBy = new mongoose.Types.ObjectId();
+    const create = jest.spyOn(PatientMerge, 'create');
+
+    const res = await request(app)
+      .post('/api/patients/merges')
+      .set('x-test-user', asUser({ role: 'doctor' }))
+      .send({ survivorId: survivor._id, mergedId: duplicate._id });
+
+    expect(res.status).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('only looks for duplicates among patients the user can access', async () => {
+    const find = jest.spyOn(Patient, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    const doctor = { _id: String(new mongoose.Types.ObjectId()), role: 'doctor' };
+
+    const res = await request(app).get('/api/patients/duplicates?minScore=0.9').set('x-test-user', asUser(doctor));
+
+    expect(res.status).toBe(200);
+    expect(res.body.minScore).toBe(0.9);
+    expect(find.mock.calls[0][0]).toEqual({
+      $or: [{ createdBy: doctor._id }, { careTeams: { $in: [] } }],
+      isActive: true
+    });
+  });
+});
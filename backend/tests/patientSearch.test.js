@@ -0,0 +1,142 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const CareTeam = require('../models/CareTeam');
+const { textSearchString, buildPatientSearch } = require('../utils/patientSearch');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/patients': require('../routes/patients') });
+
+function stage(pipeline, name) {
+  return pipeline.find(s => s[name]);
+}
+
+// Stage names of the patients facet
+function pageStages(pipeline) {
+  return stage(pipeline, '$facet').$facet.patients.map(s => Object.keys(s)[0]);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('textSearchString', () => {
+  it('keeps plain words as terms and quotes words with inner punctuation', () => {
+    expect(textSearchString('  heart  failure ')).toBe('heart failure');
+    expect(textSearchString('john.smith@example.com P-1042')).toBe('"john.smith@example.com" "P-1042"');
+  });
+
+  it('drops punctuation and quotes that would change the query', () => {
+    expect(textSearchString('-diabetes "smith" (hypertension),')).toBe('diabetes smith hypertension');
+    expect(textSearchString('José Müller')).toBe('José Müller');
+  });
+
+  it('returns null when nothing is left and caps the number of terms', () => {
+    expect(textSearchString(' -- "" ')).toBeNull();
+    expect(textSearchString(undefined)).toBeNull();
+    expect(textSearchString('a b c d e f g h i j k l').split(' ')).toHaveLength(10);
+  });
+});
+
+describe('buildPatientSearch', () => {
+  it('matches the scope and structured filters', () => {
+    const pipeline = buildPatientSearch({ isActive: true }, {
+      gender: 'female',
+      minAge: 60,
+      conditions: ['Type 2 diabetes', 'CHF (NYHA II)'],
+      smoking: false,
+      city: ' springfield '
+    });
+
+    const { $match } = pipeline[0];
+    expect($match).toMatchObject({ isActive: true, gender: 'female', age: { $gte: 60 }, 'lifestyle.smoking': false });
+    expect($match['medicalHistory.conditions'].$all.map(String)).toEqual(['/^Type 2 diabetes$/i', '/^CHF \\(NYHA II\\)$/i']);
+    expect($match['address.city'].test('Springfield')).toBe(true);
+    expect($match['address.city'].test('West Springfield')).toBe(false);
+    expect($match.$text).toBeUndefined();
+  });
+
+  it('ranks text matches by relevance', () => {
+    const pipeline = buildPatientSearch({}, { search: 'smith' });
+
+    expect(pipeline[0].$match.$text).toEqual({ $search: 'smith' });
+    expect(pipeline[1]).toEqual({ $addFields: { searchScore: { $meta: 'textScore' } } });
+    expect(stage(pipeline, '$facet').$facet.patients[0]).toEqual({ $sort: { searchScore: -1, createdAt: -1, _id: 1 } });
+  });
+
+  it('sorts by the requested field with a stable tie-break', () => {
+    const byName = stage(buildPatientSearch({}, { sort: 'name' }), '$facet').$facet.patients[0];
+    const byAge = stage(buildPatientSearch({}, { sort: 'age', order: 'asc', page: 3, limit: 20 }), '$facet').$facet.patients;
+
+    expect(byName).toEqual({ $sort: { name: 1, _id: 1 } });
+    expect(byAge.slice(0, 3)).toEqual([{ $sort: { age: 1, _id: 1 } }, { $skip: 40 }, { $limit: 20 }]);
+  });
+
+  it('looks up the latest prediction for the page only, unless filtering or sorting on it', () => {
+    const plain = buildPatientSearch({}, {});
+    expect(stage(plain, '$lookup')).toBeUndefined();
+    expect(pageStages(plain)).toEqual(['$sort', '$skip', '$limit', '$lookup', '$unwind', '$project']);
+
+    const byRisk = buildPatientSearch({}, { riskLevel: ['high', 'critical'], sort: 'risk' });
+    expect(stage(byRisk, '$lookup')).toBeDefined();
+    expect(byRisk).toContainEqual({ $match: { 'latestPrediction.riskLevel': { $in: ['high', 'critical'] } } });
+    expect(pageStages(byRisk)).toEqual(['$sort', '$skip', '$limit', '$project']);
+    expect(stage(byRisk, '$facet').$facet.patients[0]).toEqual({ $sort: { 'latestPrediction.prediction': -1, _id: 1 } });
+  });
+
+  it('filters on a scheduled follow-up past its due date', () => {
+    const overdue = buildPatientSearch({}, { overdueFollowUp: true });
+    const { pipeline: lookup } = stage(overdue, '$lookup').$lookup;
+
+    expect(lookup[0].$match).toMatchObject({ status: 'scheduled', dueDate: { $lt: expect.any(Date) } });
+    expect(overdue).toContainEqual({ $match: { overdueFollowUps: { $ne: [] } } });
+    expect(stage(overdue, '$facet').$facet.patients.pop()).toEqual({ $project: { __v: 0, overdueFollowUps: 0 } });
+
+    expect(buildPatientSearch({}, { overdueFollowUp: false })).toContainEqual({ $match: { overdueFollowUps: { $size: 0 } } });
+    expect(stage(buildPatientSearch({}, {}), '$lookup')).toBeUndefined();
+  });
+});
+
+describe('GET /api/patients', () => {
+  function stubAggregate(count) {
+    return jest.spyOn(Patient, 'aggregate').mockResolvedValue([{ patients: [], total: count ? [{ count }] : [] }]);
+  }
+
+  it('searches the patients the user can access', async () => {
+    const aggregate = stubAggregate(23);
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    const doctor = { _id: String(new mongoose.Types.ObjectId()), role: 'doctor' };
+
+    const res = await request(app)
+      .get('/api/patients?search=smith&conditions=Hypertension,Diabetes&riskLevel=high&riskLevel=critical&page=2')
+      .set('x-test-user', asUser(doctor));
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toEqual({ current: 2, pages: 3, total: 23, hasNext: true, hasPrev: true });
+
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline[0].$match).toMatchObject({
+      $or: [{ createdBy: doctor._id }, { careTeams: { $in: [] } }],
+      isActive: true,
+      $text: { $search: 'smith' }
+    });
+    expect(pipeline[0].$match['medicalHistory.conditions'].$all).toHaveLength(2);
+    expect(pipeline).toContainEqual({ $match: { 'latestPrediction.riskLevel': { $in: ['high', 'critical'] } } });
+  });
+
+  it('rejects unknown sort keys and invalid filters', async () => {
+    expect((await request(app).get('/api/patients?sort=email')).status).toBe(400);
+    expect((await request(app).get('/api/patients?minAge=-1')).status).toBe(400);
+    expect((await request(app).get('/api/patients?smoking=sometimes')).status).toBe(400);
+  });
+
+  it('reports an empty result', async () => {
+    stubAggregate(0);
+
+    const res = await request(app).get('/api/patients');
+
+    expect(res.body).toMatchObject({ patients: [], pagination: { total: 0, pages: 0, hasNext: false } });
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Patient = require('../models/Patient');
+const PatientEvent = require('../models/PatientEvent');
+const CareTeam = require('../models/CareTeam');
+const { DEFAULT_USER } = require('./helpers/auth');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/patients': require('../routes/patients') });
+
+describe('PUT /api/patients/:id', () => {
+  let patient;
+  let applied;
+
+  beforeEach(() => {
+    patient = new Patient({
+      name: 'Ada Example',
+      patientId: 'P-1',
+      age: 70,
+      gender: 'female',
+      createdBy: DEFAULT_USER._id
+    });
+    applied = null;
+    jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+    jest.spyOn(Patient, 'findByIdAndUpdate').mockImplementation(async (id, updates) => {
+      applied = updates;
+      return new Patient(Object.assign(patient.toObject(), updates));
+    });
+    jest.spyOn(PatientEvent, 'create').mockResolvedValue({});
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('updates demographics and logs the change', async () => {
+    const res = await request(app).put(`/api/patients/${patient._id}`).send({ age: 71 });
+    expect(res.status).toBe(200);
+    expect(res.body.patient.age).toBe(71);
+    expect(PatientEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'patient_updated',
+      changes: [{ field: 'age', from: 70, to: 71 }]
+    }));
+  });
+
+  it('does not set or clear the merge link', async () => {
+    const res = await request(app)
+      .put(`/api/patients/${patient._id}`)
+      .send({ age: 71, mergedInto: new mongoose.Types.ObjectId().toString() });
+    expect(res.status).toBe(200);
+    expect(applied).not.toHaveProperty('mergedInto');
+
+    await request(app).put(`/api/patients/${patient._id}`).send({ mergedInto: null });
+    expect(applied).not.toHaveProperty('mergedInto');
+  });
+
+  it('lets a team member edit details but not deactivate or renumber the patient', async () => {
+    const teamId = new mongoose.Types.ObjectId();
+    const member = { _id: new mongoose.Types.ObjectId().toString(), role: 'doctor' };
+    patient.careTeams = [teamId];
+    CareTeam.find.mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: teamId, members: [{ user: member._id, role: 'member' }] }] })
+    });
+
+    const res = await request(app)
+      .put(`/api/patients/${patient._id}`)
+      .set('x-test-user', asUser(member))
+      .send({
+        phone: '+14155550100',
+        isActive: false,
+        patientId: 'P-999',
+        createdBy: member._id,
+        careTeams: []
+      });
+    expect(res.status).toBe(200);
+    expect(applied).toEqual({ phone: '+14155550100' });
+    expect(res.body.patient.isActive).toBe(true);
+    expect(res.body.patient.patientId).toBe('P-1');
+  });
+
+  it('refuses users without write access', async () => {
+    const res = await request(app)
+      .put(`/api/patients/${patient._id}`)
+      .set('x-test-user', asUser({ _id: new mongoose.Types.ObjectId().toString(), role: 'doctor' }))
+      .send({ age: 71 });
+    expect(res.status).toBe(403);
+    expect(Patient.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+// Stand-in for python-shell: each shell is a fake ml/serve.py worker driven
+// by the test through the shells array
+jest.mock('python-shell', () => {
+  const { EventEmitter } = require('events');
+  const shells = [];
+
+  class PythonShell extends EventEmitter {
+    constructor(script, options) {
+      super();
+      this.script = script;
+      this.options = options;
+      this.sent = [];
+      this.terminated = false;
+      shells.push(this);
+    }
+
+    send(line) {
+      this.sent.push(JSON.parse(line));
+    }
+
+    kill() {
+      this.terminated = true;
+      this.emit('close');
+    }
+
+    // Test helpers
+    ready() {
+      this.emit('message', JSON.stringify({ ready: true }));
+    }
+
+    reply(message) {
+      this.emit('message', JSON.stringify(message));
+    }
+  }
+
+  return { PythonShell, shells };
+});
+
+const { shells } = require('python-shell');
+const { createPredictorPool } = require('../utils/predictorPool');
+
+const FEATURES = [61, 1, 3, 140, 230, 0, 0, 130, 1, 1.5, 1];
+
+let pool;
+
+beforeEach(() => {
+  shells.length = 0;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  if (pool) pool.close();
+  pool = null;
+  jest.restoreAllMocks();
+});
+
+describe('createPredictorPool', () => {
+  it('starts a worker on the first request and answers once it is ready', async () => {
+    pool = createPredictorPool({ size: 2, modelPath: '/models/v1.joblib' });
+    expect(pool.size).toBe(0);
+
+    const pending = pool.predict(FEATURES);
+    expect(shells).toHaveLength(1);
+    expect(shells[0].script).toBe('serve.py');
+    expect(shells[0].options.args).toEqual(['--model', '/models/v1.joblib']);
+
+    shells[0].ready();
+    const [request] = shells[0].sent;
+    expect(request.features).toEqual(FEATURES);
+    shells[0].reply({ id: request.id, success: true, prediction: 0.42 });
+
+    await expect(pending).resolves.toEqual({ success: true, prediction: 0.42 });
+  });
+
+  it('reuses the ready worker for later requests', async () => {
+    pool = createPredictorPool({ size: 2 });
+    const first = pool.predict(FEATURES);
+    shells[0].ready();
+    shells[0].reply({ id: shells[0].sent[0].id, success: true, prediction: 0.1 });
+    await first;
+
+    const second = pool.predict(FEATURES);
+    expect(shells).toHaveLength(1);
+    shells[0].reply({ id: shells[0].sent[1].id, success: true, prediction: 0.2 });
+    await expect(second).resolves.toMatchObject({ prediction: 0.2 });
+  });
+
+  it('grows up to its size while requests are waiting', () => {
+    pool = createPredictorPool({ size: 2 });
+    pool.predict(FEATURES).catch(() => {});
+    pool.predict(FEATURES).catch(() => {});
+    pool.predict(FEATURES).catch(() => {});
+
+    expect(pool.size).toBe(2);
+  });
+
+  it('ignores replies to other requests', async () => {
+    pool = createPredictorPool({ size: 1 });
+    const pending = pool.predict(FEATURES);
+    shells[0].ready();
+    const { id } = shells[0].sent[0];
+
+    shells[0].reply({ id: id + 1, success: true, prediction: 0.9 });
+    shells[0].reply({ id, success: true, prediction: 0.3 });
+
+    await expect(pending).resolves.toMatchObject({ prediction: 0.3 });
+  });
+
+  it('times out a slow request and stops its worker', async () => {
+    pool = createPredictorPool({ size: 1, timeoutMs: 20 });
+    const pending = pool.predict(FEATURES);
+    shells[0].ready();
+
+    await expect(pending).rejects.toThrow('Prediction timed out after 20ms');
+    expect(shells[0].terminated).toBe(true);
+    expect(pool.size).toBe(0);
+  });
+
+  it('fails fast while workers cannot start', async () => {
+    pool = createPredictorPool({ size: 1, retryDelayMs: 60000 });
+    const pending = pool.predict(FEATURES);
+    shells[0].emit('close');
+
+    await expect(pending).rejects.toThrow('Predictor worker exited');
+    await expect(pool.predict(FEATURES)).rejects.toThrow('Predictor workers are unavailable');
+    expect(shells).toHaveLength(1);
+  });
+
+  it('rejects waiting and new requests once closed', async () => {
+    pool = createPredictorPool({ size: 1 });
+    const pending = pool.predict(FEATURES);
+    pool.close();
+
+    await expect(pending).rejects.toThrow('Predictor pool is closed');
+    await expect(pool.predict(FEATURES)).rejects.toThrow('Predictor pool is closed');
+    expect(shells[0].terminated).toBe(true);
+  });
+});
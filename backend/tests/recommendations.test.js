@@ -0,0 +1,220 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const RecommendationRuleSet = require('../models/RecommendationRuleSet');
+const {
+  DEFAULT_RULE_SET,
+  loadRecommendationRules,
+  getRecommendationRules,
+  validateRuleSet,
+  unmatchedRiskLevelRules,
+  generateRecommendations
+} = require('../utils/recommendations');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/recommendation-rules': require('../routes/recommendationRules') });
+
+const RULES = [
+  { ruleId: 'high', text: 'See a cardiologist', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'high' }] },
+  { ruleId: 'always', text: 'Keep active' }
+];
+
+function ruleSet(conditions) {
+  return { version: 7, rules: [{ ruleId: 'r', text: 'Fired', conditions }] };
+}
+
+function fires(conditions, context) {
+  return generateRecommendations(context, ruleSet(conditions)).recommendations.length === 1;
+}
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  // Back to the default rule set
+  jest.spyOn(RecommendationRuleSet, 'findOne').mockReturnValue({ lean: async () => null });
+  await loadRecommendationRules();
+  jest.restoreAllMocks();
+});
+
+describe('validateRuleSet', () => {
+  it('accepts the default rule set', () => {
+    expect(validateRuleSet(DEFAULT_RULE_SET)).toBeNull();
+  });
+
+  it.each([
+    [[], 'Rules must be an array of 1 to 200 entries'],
+    [[{ text: 'No ID' }], 'Each rule needs a ruleId'],
+    [[{ ruleId: 'a', text: ' ' }], 'Rule a: text must be 1 to 500 characters'],
+    [[{ ruleId: 'a', text: 'A', conditions: {} }], 'Rule a: conditions must be an array'],
+    [[{ ruleId: 'a', text: 'A', conditions: [{ field: 'input.age', operator: 'gt', value: '60' }] }], 'Rule a: Operator gt needs a numeric value'],
+    [[{ ruleId: 'a', text: 'A', conditions: [{ field: 'riskLevel', operator: 'in', value: 'high' }] }], 'Rule a: Operator in needs an array value'],
+    [[{ ruleId: 'a', text: 'A' }, { ruleId: 'a ', text: 'B' }], 'Rule IDs must be unique']
+  ])('rejects rules %#', (rules, error) => {
+    expect(validateRuleSet({ rules })).toBe(error);
+  });
+
+  it('rejects unknown fields and operators', () => {
+    expect(validateRuleSet({ rules: [{ ruleId: 'a', text: 'A', conditions: [{ field: 'patient.ssn', operator: 'exists', value: true }] }] }))
+      .toMatch(/^Rule a: Condition field must be one of: probability, riskLevel, input\.age/);
+    expect(validateRuleSet({ rules: [{ ruleId: 'a', text: 'A', conditions: [{ field: 'riskLevel', operator: 'like', value: 'high' }] }] }))
+      .toMatch(/^Rule a: Condition operator must be one of: eq, ne/);
+  });
+});
+
+describe('unmatchedRiskLevelRules', () => {
+  it('lists rules whose risk level conditions name none of the labels', () => {
+    const rules = {
+      rules: [
+        { ruleId: 'top', text: 'A', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'critical' }] },
+        { ruleId: 'either', text: 'B', conditions: [{ field: 'riskLevel', operator: 'in', value: ['medium', 'moderate'] }] },
+        { ruleId: 'not-low', text: 'C', conditions: [{ field: 'riskLevel', operator: 'ne', value: 'minimal' }] },
+        { ruleId: 'plain', text: 'D' }
+      ]
+    };
+
+    expect(unmatchedRiskLevelRules(rules, ['low', 'moderate', 'severe'])).toEqual([{ ruleId: 'top', levels: ['critical'] }]);
+    expect(unmatchedRiskLevelRules(DEFAULT_RULE_SET, ['low', 'medium', 'high', 'critical'])).toEqual([]);
+  });
+});
+
+describe('generateRecommendations', () => {
+  it('gives the default recommendations for the risk level and inputs', () => {
+    const result = generateRecommendations({
+      probability: 0.6,
+      riskLevel: 'high',
+      inputs: { age: 61, restingBP: '150', cholesterol: 190, fastingBS: '1', exerciseAngina: 'yes' }
+    });
+
+    expect(result.recommendations).toEqual([
+      'Schedule follow-up with cardiologist',
+      'Monitor symptoms closely',
+      'Review current medications',
+      'Blood pressure management needed',
+      'Blood sugar monitoring advised',
+      'Exercise stress test recommended'
+    ]);
+    expect(result.recommendationSource.ruleSetVersion).toBe(0);
+    expect(result.recommendationSource.rules[3]).toEqual({ ruleId: 'blood-pressure', text: 'Blood pressure management needed' });
+  });
+
+  it('uses patient lifestyle when known', () => {
+    const patient = { lifestyle: { smoking: true, exercise: 'none' } };
+    const { recommendations } = generateRecommendations({ probability: 0.3, riskLevel: 'medium', inputs: {}, patient });
+
+    expect(recommendations).toContain('Smoking cessation support recommended');
+    expect(recommendations).toContain('Gradually increase physical activity as tolerated');
+    expect(generateRecommendations({ probability: 0.3, riskLevel: 'medium', inputs: {} }).recommendations)
+      .not.toContain('Smoking cessation support recommended');
+  });
+
+  it('fires a rule only when all of its conditions hold', () => {
+    const conditions = [
+      { field: 'probability', operator: 'gte', value: 0.5 },
+      { field: 'input.age', operator: 'lt', value: 65 }
+    ];
+
+    expect(fires(conditions, { probability: 0.5, inputs: { age: 64 } })).toBe(true);
+    expect(fires(conditions, { probability: 0.5, inputs: { age: 65 } })).toBe(false);
+    expect(fires(conditions, { probability: 0.49, inputs: { age: 64 } })).toBe(false);
+  });
+
+  it('never matches missing fields, except with exists', () => {
+    expect(fires([{ field: 'input.cholesterol', operator: 'ne', value: 200 }], { inputs: {} })).toBe(false);
+    expect(fires([{ field: 'input.cholesterol', operator: 'exists', value: false }], { inputs: {} })).toBe(true);
+    expect(fires([{ field: 'patient.medicalHistory.medications', operator: 'exists', value: false }],
+      { patient: { medicalHistory: { medications: [] } } })).toBe(true);
+  });
+
+  it('matches contains against list items and text, ignoring case', () => {
+    const patient = { medicalHistory: { conditions: ['Type 2 Diabetes', 'Hypertension'], allergies: 'Penicillin, latex' } };
+
+    expect(fires([{ field: 'patient.medicalHistory.conditions', operator: 'contains', value: 'hypertension' }], { patient })).toBe(true);
+    expect(fires([{ field: 'patient.medicalHistory.conditions', operator: 'contains', value: 'diabetes' }], { patient })).toBe(false);
+    expect(fires([{ field: 'patient.medicalHistory.allergies', operator: 'contains', value: 'LATEX' }], { patient })).toBe(true);
+  });
+
+  it('keeps rule order and drops repeated texts', () => {
+    const result = generateRecommendations({ riskLevel: 'high' }, {
+      version: 3,
+      rules: [
+        { ruleId: 'b', text: 'Second' },
+        { ruleId: 'a', text: 'First', conditions: [{ field: 'riskLevel', operator: 'in', value: ['high', 'critical'] }] },
+        { ruleId: 'c', text: 'Second' }
+      ]
+    });
+
+    expect(result.recommendations).toEqual(['Second', 'First']);
+    expect(result.recommendationSource).toEqual({
+      ruleSetVersion: 3,
+      rules: [{ ruleId: 'b', text: 'Second' }, { ruleId: 'a', text: 'First' }]
+    });
+  });
+});
+
+describe('recommendation rule routes', () => {
+  it('saves a new version, makes it active and uses it at once', async () => {
+    let saved = null;
+    jest.spyOn(RecommendationRuleSet, 'findOne').mockImplementation(() => ({
+      sort: async () => ({ version: 2 }),
+      lean: async () => saved && saved.toObject()
+    }));
+    const updateMany = jest.spyOn(RecommendationRuleSet, 'updateMany').mockResolvedValue({});
+    jest.spyOn(RecommendationRuleSet.prototype, 'save').mockImplementation(async function () {
+      saved = this;
+      return this;
+    });
+
+    const res = await request(app).post('/api/recommendation-rules').send({ rules: RULES, notes: 'Short list' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.ruleSet).toMatchObject({ version: 3, isActive: true, notes: 'Short list' });
+    expect(updateMany).toHaveBeenCalledWith({ isActive: true }, { isActive: false });
+    expect(getRecommendationRules().version).toBe(3);
+    expect(generateRecommendations({ riskLevel: 'high' }).recommendations).toEqual(['See a cardiologist', 'Keep active']);
+  });
+
+  it('rejects an invalid rule set', async () => {
+    const res = await request(app).post('/api/recommendation-rules').send({
+      rules: [{ ruleId: 'a', text: 'A', conditions: [{ field: 'riskLevel', operator: 'gt', value: 'high' }] }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Rule a: Operator gt needs a numeric value');
+  });
+
+  it('rejects rules keyed on risk levels the risk policy does not have', async () => {
+    const res = await request(app).post('/api/recommendation-rules').send({
+      rules: [{ ruleId: 'typo', text: 'A', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'critcal' }] }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Rules name risk levels the risk policy does not have: typo (critcal)');
+  });
+
+  it('re-activates a saved version', async () => {
+    const old = new RecommendationRuleSet({ version: 1, rules: RULES, isActive: false });
+    jest.spyOn(RecommendationRuleSet, 'findOne').mockImplementation((query) => (query.isActive
+      ? { lean: async () => old.toObject() }
+      : Promise.resolve(query.version === 1 ? old : null)));
+    jest.spyOn(RecommendationRuleSet, 'updateMany').mockResolvedValue({});
+    jest.spyOn(RecommendationRuleSet.prototype, 'save').mockImplementation(async function () { return this; });
+
+    const res = await request(app).post('/api/recommendation-rules/1/activate');
+    expect(res.status).toBe(200);
+    expect(old.isActive).toBe(true);
+    expect(getRecommendationRules().version).toBe(1);
+
+    expect((await request(app).post('/api/recommendation-rules/9/activate')).status).toBe(404);
+  });
+
+  it('lets anyone read the rules but only admins change them', async () => {
+    const doctor = asUser({ role: 'doctor' });
+
+    const read = await request(app).get('/api/recommendation-rules').set('x-test-user', doctor);
+    expect(read.status).toBe(200);
+    expect(read.body.ruleSet.version).toBe(0);
+    expect(read.body.operators).toContain('contains');
+
+    const write = await request(app).post('/api/recommendation-rules').set('x-test-user', doctor).send({ rules: RULES });
+    expect(write.status).toBe(403);
+  });
+});
@@ -0,0 +1,211 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const RiskPolicy = require('../models/RiskPolicy');
+const RecommendationRuleSet = require('../models/RecommendationRuleSet');
+const { loadRecommendationRules } = require('../utils/recommendations');
+const {
+  DEFAULT_POLICY,
+  loadRiskPolicy,
+  getRiskPolicy,
+  validateRiskPolicy,
+  getRiskLevel,
+  getFollowUpDays,
+  getRiskLevelLabels,
+  riskLevelExpression,
+  describeBands
+} = require('../utils/riskPolicy');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/risk-policy': require('../routes/riskPolicy') });
+
+const BANDS = [
+  { label: 'low', minProbability: 0 },
+  { label: 'high', minProbability: 0.4 }
+];
+
+// Older men have their own, stricter bands
+const POLICY = {
+  bands: BANDS,
+  populations: [{
+    name: 'Men 65+',
+    criteria: { sex: 'male', minAge: 65 },
+    bands: [
+      { label: 'low', minProbability: 0 },
+      { label: 'high', minProbability: 0.3 },
+      { label: 'urgent', minProbability: 0.6 }
+    ]
+  }]
+};
+
+// Make recommendation rules keyed on the given risk levels active
+async function useRules(levels) {
+  jest.spyOn(RecommendationRuleSet, 'findOne').mockReturnValue({
+    lean: async () => ({ version: 5, rules: [{ ruleId: 'banded', text: 'Advice', conditions: [{ field: 'riskLevel', operator: 'in', value: levels }] }] })
+  });
+  await loadRecommendationRules();
+  jest.restoreAllMocks();
+}
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  // Back to the default policy and recommendation rules
+  jest.spyOn(RiskPolicy, 'findOne').mockReturnValue({ lean: async () => null });
+  jest.spyOn(RecommendationRuleSet, 'findOne').mockReturnValue({ lean: async () => null });
+  await loadRiskPolicy();
+  await loadRecommendationRules();
+  jest.restoreAllMocks();
+});
+
+describe('validateRiskPolicy', () => {
+  it('accepts the default policy and one with populations', () => {
+    expect(validateRiskPolicy(DEFAULT_POLICY)).toBeNull();
+    expect(validateRiskPolicy(POLICY)).toBeNull();
+  });
+
+  it.each([
+    [[{ label: 'only', minProbability: 0 }], 'Bands must be an array of 2 to 10 entries'],
+    [[{ label: 'low', minProbability: 0 }, { label: '', minProbability: 0.5 }], 'Each band needs a label and a minProbability between 0 and 1'],
+    [[{ label: 'low', minProbability: 0 }, { label: 'high', minProbability: 1.5 }], 'Each band needs a label and a minProbability between 0 and 1'],
+    [[{ label: 'low', minProbability: 0.1 }, { label: 'high', minProbability: 0.5 }], 'The first band must start at 0'],
+    [[{ label: 'low', minProbability: 0 }, { label: 'high', minProbability: 0 }], 'Band lower bounds must be strictly increasing'],
+    [[{ label: 'low', minProbability: 0 }, { label: ' low', minProbability: 0.5 }], 'Band labels must be unique'],
+    [[{ label: 'low', minProbability: 0 }, { label: 'high', minProbability: 0.5, followUpDays: 0 }], 'Band follow-up days must be a whole number between 1 and 3650'],
+    [[{ label: 'low', minProbability: 0, followUpDays: 7.5 }, { label: 'high', minProbability: 0.5 }], 'Band follow-up days must be a whole number between 1 and 3650']
+  ])('rejects bands %#', (bands, error) => {
+    expect(validateRiskPolicy({ bands })).toBe(error);
+  });
+
+  it('names the population with invalid bands', () => {
+    const policy = { bands: BANDS, populations: [{ name: 'Women', bands: [{ label: 'low', minProbability: 0.2 }, { label: 'high', minProbability: 0.5 }] }] };
+    expect(validateRiskPolicy(policy)).toBe('Population Women: The first band must start at 0');
+    expect(validateRiskPolicy({ bands: BANDS, populations: [{ bands: BANDS }] })).toBe('Each population needs a name');
+  });
+});
+
+describe('getRiskLevel', () => {
+  it('uses the default bands, lower bounds inclusive', () => {
+    expect(getRiskLevel(0)).toBe('low');
+    expect(getRiskLevel(0.25)).toBe('medium');
+    expect(getRiskLevel(0.74)).toBe('high');
+    expect(getRiskLevel(1)).toBe('critical');
+  });
+
+  it('uses population bands for patients matching their criteria', () => {
+    expect(getRiskLevel(0.35, { age: 70, sex: 'male' }, POLICY)).toBe('high');
+    expect(getRiskLevel(0.65, { age: 70, sex: 'male' }, POLICY)).toBe('urgent');
+    expect(getRiskLevel(0.35, { age: 60, sex: 'male' }, POLICY)).toBe('low');
+    expect(getRiskLevel(0.35, { age: 70, sex: 'female' }, POLICY)).toBe('low');
+    expect(getRiskLevel(0.35, undefined, POLICY)).toBe('low');
+  });
+});
+
+describe('getFollowUpDays', () => {
+  it('uses the band\'s own interval, else the default band of the same label', () => {
+    const policy = {
+      bands: [{ label: 'low', minProbability: 0, followUpDays: 365 }, { label: 'high', minProbability: 0.4 }],
+      populations: [{
+        name: 'Men 65+',
+        criteria: { sex: 'male', minAge: 65 },
+        bands: [{ label: 'low', minProbability: 0 }, { label: 'urgent', minProbability: 0.3, followUpDays: 3 }]
+      }]
+    };
+
+    expect(getFollowUpDays('critical')).toBe(7);
+    expect(getFollowUpDays('low', undefined, policy)).toBe(365);
+    expect(getFollowUpDays('high', undefined, policy)).toBe(30);
+    expect(getFollowUpDays('urgent', { age: 70, sex: 'male' }, policy)).toBe(3);
+    expect(getFollowUpDays('low', { age: 70, sex: 'male' }, policy)).toBe(180);
+    expect(getFollowUpDays('urgent', undefined, policy)).toBeNull();
+  });
+});
+
+describe('band helpers', () => {
+  it('lists default labels first, then population-only labels', () => {
+    expect(getRiskLevelLabels(POLICY)).toEqual(['low', 'high', 'urgent']);
+  });
+
+  it('describes the probability range of each band', () => {
+    expect(describeBands()).toEqual({ low: '0-24%', medium: '25-49%', high: '50-74%', critical: '75-100%' });
+  });
+
+  it('builds an aggregation switch with population branches first', () => {
+    const expression = riskLevelExpression(POLICY);
+
+    expect(expression.$switch.branches[0].case).toEqual({ $and: [{ $eq: ['$sex', 'male'] }, { $gte: ['$age', 65] }] });
+    expect(expression.$switch.branches[0].then.$switch.branches[0]).toEqual({ case: { $gte: ['$prediction', 0.6] }, then: 'urgent' });
+    expect(expression.$switch.default).toEqual({
+      $switch: { branches: [{ case: { $gte: ['$prediction', 0.4] }, then: 'high' }], default: 'low' }
+    });
+  });
+});
+
+describe('risk policy routes', () => {
+  it('saves a new version, makes it active and uses it at once', async () => {
+    await useRules(['medium', 'high']);
+    let saved = null;
+    jest.spyOn(RiskPolicy, 'findOne').mockImplementation(() => ({
+      sort: async () => ({ version: 3 }),
+      lean: async () => saved && saved.toObject()
+    }));
+    const updateMany = jest.spyOn(RiskPolicy, 'updateMany').mockResolvedValue({});
+    jest.spyOn(RiskPolicy.prototype, 'save').mockImplementation(async function () {
+      saved = this;
+      return this;
+    });
+
+    const res = await request(app).post('/api/risk-policy').send({ bands: BANDS, notes: 'Two bands' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.policy).toMatchObject({ version: 4, isActive: true, notes: 'Two bands' });
+    expect(updateMany).toHaveBeenCalledWith({ isActive: true }, { isActive: false });
+    expect(getRiskPolicy().version).toBe(4);
+    expect(getRiskLevel(0.45)).toBe('high');
+  });
+
+  it('rejects an invalid policy', async () => {
+    const res = await request(app).post('/api/risk-policy').send({
+      bands: [{ label: 'low', minProbability: 0.2 }, { label: 'high', minProbability: 0.5 }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('The first band must start at 0');
+  });
+
+  it('refuses a policy that would leave recommendation rules matching no band', async () => {
+    const save = jest.spyOn(RiskPolicy.prototype, 'save');
+
+    const res = await request(app).post('/api/risk-policy').send({ bands: BANDS });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(
+      'Recommendation rules would stop matching: critical-consultation (critical), critical-emergency-care (critical), ' +
+      'critical-contact-cardiologist (critical), medium-check-ups (medium), medium-healthy-lifestyle (medium), ' +
+      'medium-heart-healthy-diet (medium). Add the new labels to those rules first'
+    );
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to re-activate such a policy', async () => {
+    await useRules(['medium']);
+    jest.spyOn(RiskPolicy, 'findOne').mockResolvedValue(new RiskPolicy({ version: 2, bands: BANDS }));
+    const updateMany = jest.spyOn(RiskPolicy, 'updateMany');
+
+    const res = await request(app).post('/api/risk-policy/2/activate');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('banded (medium)');
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+
+  it('lets anyone read the policy but only admins change it', async () => {
+    const doctor = asUser({ role: 'doctor' });
+
+    const read = await request(app).get('/api/risk-policy').set('x-test-user', doctor);
+    expect(read.status).toBe(200);
+    expect(read.body.ranges.low).toBe('0-24%');
+
+    const write = await request(app).post('/api/risk-policy').set('x-test-user', doctor).send({ bands: BANDS });
+    expect(write.status).toBe(403);
+  });
+});
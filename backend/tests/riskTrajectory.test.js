@@ -0,0 +1,227 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const RiskAlert = require('../models/RiskAlert');
+const CareTeam = require('../models/CareTeam');
+const {
+  RISK_ALERT_DELTA,
+  probabilitySlope,
+  analyzeRiskTrajectory,
+  raiseRiskAlert
+} = require('../utils/riskTrajectory');
+const { DEFAULT_USER } = require('./helpers/auth');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({
+  '/api/patients': require('../routes/patients'),
+  '/api/alerts': require('../routes/alerts')
+});
+
+const id = () => new mongoose.Types.ObjectId();
+const day = n => new Date(Date.UTC(2026, 0, 1 + n));
+
+// A query chain that can be awaited at any step
+function chain(result) {
+  const query = {
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    select: () => query,
+    populate: () => query,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('probabilitySlope', () => {
+  it('gives the least-squares change per 30 days', () => {
+    expect(probabilitySlope([{ at: day(0), probability: 0.2 }, { at: day(30), probability: 0.5 }])).toBeCloseTo(0.3, 12);
+    expect(probabilitySlope([
+      { at: day(0), probability: 0.2 },
+      { at: day(15), probability: 0.2 },
+      { at: day(60), probability: 0.2 }
+    ])).toBe(0);
+  });
+
+  it('is null without two distinct times', () => {
+    expect(probabilitySlope([{ at: day(0), probability: 0.2 }])).toBeNull();
+    expect(probabilitySlope([{ at: day(0), probability: 0.2 }, { at: day(0), probability: 0.4 }])).toBeNull();
+  });
+});
+
+describe('analyzeRiskTrajectory', () => {
+  const patient = id();
+  const previous = [
+    { _id: id(), prediction: 0.3, riskLevel: 'medium', createdAt: day(20) },
+    { _id: id(), prediction: 0.2, riskLevel: 'low', createdAt: day(0) }
+  ];
+
+  it('compares a prediction with the patient\'s earlier ones', async () => {
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(chain(previous));
+    const prediction = { _id: id(), patient, prediction: 0.6, createdAt: day(30) };
+
+    const trajectory = await analyzeRiskTrajectory(prediction);
+
+    expect(find).toHaveBeenCalledWith({ patient, isActive: true, _id: { $ne: prediction._id }, createdAt: { $lte: day(30) } });
+    expect(trajectory).toMatchObject({
+      previousPrediction: previous[0]._id,
+      previousProbability: 0.3,
+      previousRiskLevel: 'medium',
+      bandChange: 'up',
+      daysSincePrevious: 10,
+      points: 3
+    });
+    expect(trajectory.delta).toBeCloseTo(0.3, 12);
+    expect(trajectory.slopePer30Days).toBeGreaterThan(0);
+    expect(prediction.trajectory).toBe(trajectory);
+  });
+
+  it('falls back to the delta for band labels of an older policy', async () => {
+    jest.spyOn(Prediction, 'find').mockReturnValue(chain([{ _id: id(), prediction: 0.5, riskLevel: 'elevated', createdAt: day(0) }]));
+
+    const trajectory = await analyzeRiskTrajectory({ _id: id(), patient, prediction: 0.4, riskLevel: 'medium', createdAt: day(5) });
+
+    expect(trajectory.bandChange).toBe('down');
+  });
+
+  it('records a first prediction as a single point', async () => {
+    jest.spyOn(Prediction, 'find').mockReturnValue(chain([]));
+
+    expect(await analyzeRiskTrajectory({ _id: id(), patient, prediction: 0.4 })).toEqual({ points: 1 });
+    expect(await analyzeRiskTrajectory({ _id: id(), prediction: 0.4 })).toBeNull();
+  });
+});
+
+describe('raiseRiskAlert', () => {
+  const patient = id();
+
+  it('alerts on a jump into the top band', async () => {
+    const create = jest.spyOn(RiskAlert, 'create').mockImplementation(async fields => fields);
+    const prediction = {
+      _id: id(),
+      patient: { _id: patient },
+      prediction: 0.8,
+      riskLevel: 'critical',
+      trajectory: { delta: 0.3, previousProbability: 0.5, previousRiskLevel: 'high' }
+    };
+
+    const alert = await raiseRiskAlert(prediction);
+
+    expect(alert).toMatchObject({ patient, prediction: prediction._id, reasons: ['risk_jump', 'top_band'], delta: 0.3 });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not alert on small rises within a band or on first predictions', async () => {
+    const create = jest.spyOn(RiskAlert, 'create');
+
+    expect(await raiseRiskAlert({
+      patient,
+      prediction: 0.8,
+      riskLevel: 'critical',
+      trajectory: { delta: RISK_ALERT_DELTA / 2, previousRiskLevel: 'critical' }
+    })).toBeNull();
+    expect(await raiseRiskAlert({ patient, prediction: 0.4, riskLevel: 'medium', trajectory: { points: 1 } })).toBeNull();
+    expect(await raiseRiskAlert({ patient, prediction: 0.4, riskLevel: 'medium' })).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('reads the threshold from the environment, keeping 0', () => {
+    const read = value => {
+      let delta;
+      process.env.RISK_ALERT_DELTA = value;
+      jest.isolateModules(() => {
+        delta = require('../utils/riskTrajectory').RISK_ALERT_DELTA;
+      });
+      delete process.env.RISK_ALERT_DELTA;
+      return delta;
+    };
+
+    expect(read('0')).toBe(0);
+    expect(read('0.3')).toBe(0.3);
+    expect(read('')).toBe(0.15);
+    expect(read('often')).toBe(0.15);
+  });
+});
+
+describe('GET /api/patients/:id/risk-trend', () => {
+  it('returns the predictions oldest first with a summary and open alerts', async () => {
+    const patient = new Patient({ name: 'Ann Lee', age: 70, gender: 'female', createdBy: DEFAULT_USER._id });
+    jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(chain([
+      { _id: id(), prediction: 0.2, riskLevel: 'low', createdAt: day(0) },
+      { _id: id(), prediction: 0.3, riskLevel: 'medium', createdAt: day(30), trajectory: { delta: 0.1, bandChange: 'up' } },
+      { _id: id(), prediction: 0.35, riskLevel: 'medium', createdAt: day(60), trajectory: { delta: 0.05, bandChange: 'none' } }
+    ]));
+    jest.spyOn(RiskAlert, 'find').mockReturnValue(chain([]));
+
+    const res = await request(app).get(`/api/patients/${patient._id}/risk-trend?from=2026-01-01`);
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].createdAt).toEqual({ $gte: new Date('2026-01-01') });
+    expect(res.body.points.map(point => point.bandChange)).toEqual([undefined, 'up', 'none']);
+    expect(res.body.summary).toMatchObject({ count: 3, firstProbability: 0.2, latestProbability: 0.35, latestRiskLevel: 'medium', bandChanges: 1 });
+    expect(res.body.summary.change).toBeCloseTo(0.15, 12);
+    expect(res.body.alerts).toEqual([]);
+  });
+});
+
+describe('alert routes', () => {
+  const patient = new Patient({ name: 'Ann Lee', age: 70, gender: 'female', createdBy: DEFAULT_USER._id });
+  let alert;
+
+  beforeEach(() => {
+    alert = new RiskAlert({ patient: patient._id, prediction: id(), reasons: ['risk_jump'], probability: 0.6, riskLevel: 'high' });
+    jest.spyOn(RiskAlert, 'findById').mockResolvedValue(alert);
+    jest.spyOn(RiskAlert.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+  });
+
+  it('lists alerts of the patients the user can access', async () => {
+    const patientIds = [patient._id];
+    jest.spyOn(Patient, 'find').mockReturnValue({ distinct: async () => patientIds });
+    const find = jest.spyOn(RiskAlert, 'find').mockReturnValue(chain([alert]));
+    jest.spyOn(RiskAlert, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(app)
+      .get(`/api/alerts?status=open&reason=top_band&patientId=${patient._id}`)
+      .set('x-test-user', asUser({ role: 'doctor' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toMatchObject({ total: 1, pages: 1 });
+    expect(find).toHaveBeenCalledWith({
+      patient: { $in: patientIds, $eq: String(patient._id) },
+      status: 'open',
+      reasons: 'top_band'
+    });
+    expect((await request(app).get('/api/alerts?status=closed')).status).toBe(400);
+  });
+
+  it('acknowledges an open alert once', async () => {
+    const res = await request(app).post(`/api/alerts/${alert._id}/acknowledge`).send({ note: 'Called the patient' });
+
+    expect(res.status).toBe(200);
+    expect(alert).toMatchObject({ status: 'acknowledged', note: 'Called the patient' });
+    expect(String(alert.acknowledgedBy)).toBe(DEFAULT_USER._id);
+
+    const again = await request(app).post(`/api/alerts/${alert._id}/acknowledge`);
+    expect(again.status).toBe(409);
+  });
+
+  it('needs write access to the alert\'s patient', async () => {
+    const res = await request(app)
+      .post(`/api/alerts/${alert._id}/acknowledge`)
+      .set('x-test-user', asUser({ _id: String(id()), role: 'doctor' }));
+
+    expect(res.status).toBe(403);
+    expect(alert.status).toBe('open');
+  });
+});
@@ -0,0 +1,32 @@
+// The engine is read when mlPredictor loads, so it is set before any require
+process.env.ML_ENGINE = 'javascript';
+
+jest.mock('../utils/mlPredictor', () => Object.assign({}, jest.requireActual('../utils/mlPredictor'), {
+  scoreWithPython: jest.fn(),
+  scoreWithForest: jest.fn()
+}));
+
+const ShadowConfig = require('../models/ShadowConfig');
+const ModelVersion = require('../models/ModelVersion');
+const Prediction = require('../models/Prediction');
+const { scoreWithPython, scoreWithForest, ML_ENGINE } = require('../utils/mlPredictor');
+const { loadShadowConfig, recordShadowPrediction } = require('../utils/shadowScoring');
+
+describe('shadow scoring with ML_ENGINE=javascript', () => {
+  beforeEach(async () => {
+    jest.spyOn(ShadowConfig, 'findOne').mockReturnValue({ lean: async () => ({ enabled: true, target: 'v2' }) });
+    jest.spyOn(ModelVersion, 'findOne').mockReturnValue({ lean: async () => ({ version: 'v2', artifactPath: '/models/v2.joblib' }) });
+    jest.spyOn(Prediction, 'updateOne').mockResolvedValue({});
+    await loadShadowConfig();
+  });
+
+  it('scores with the exported forest without starting Python workers', async () => {
+    scoreWithForest.mockResolvedValue({ success: true, prediction: 0.6, method: 'ml_model', engine: 'javascript' });
+
+    const shadow = await recordShadowPrediction({ _id: '64b000000000000000000001', age: 60, sex: 'male' }, {});
+    expect(ML_ENGINE).toBe('javascript');
+    expect(scoreWithPython).not.toHaveBeenCalled();
+    expect(scoreWithForest).toHaveBeenCalledWith({}, { version: 'v2', artifactPath: '/models/v2.joblib' });
+    expect(shadow).toMatchObject({ prediction: 0.6, riskLevel: 'high' });
+  });
+});
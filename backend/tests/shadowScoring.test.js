@@ -0,0 +1,159 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+jest.mock('../utils/mlPredictor', () => Object.assign({}, jest.requireActual('../utils/mlPredictor'), {
+  scoreWithPython: jest.fn(),
+  scoreWithForest: jest.fn()
+}));
+
+const request = require('supertest');
+const ShadowConfig = require('../models/ShadowConfig');
+const ModelVersion = require('../models/ModelVersion');
+const Prediction = require('../models/Prediction');
+const { scoreWithPython, scoreWithForest } = require('../utils/mlPredictor');
+const { recordShadowPrediction, saveShadowConfig } = require('../utils/shadowScoring');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/ml': require('../routes/ml') });
+
+// Minimal stand-in for the single ShadowConfig document
+let stored;
+
+beforeEach(() => {
+  stored = null;
+  jest.spyOn(ShadowConfig, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    stored = Object.assign({}, stored, update);
+    return stored;
+  });
+  jest.spyOn(ShadowConfig, 'findOne').mockImplementation(() => ({ lean: async () => stored }));
+  jest.spyOn(ModelVersion, 'findOne').mockImplementation((filter) => {
+    const model = filter.version === 'v2' ? { version: 'v2', artifactPath: '/models/v2.joblib' } : null;
+    const query = Promise.resolve(model);
+    query.lean = async () => model;
+    return query;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('shadow mode configuration', () => {
+  it('enables shadow scoring with the rule-based model and reports it', async () => {
+    const put = await request(app).put('/api/ml/shadow').send({ enabled: true, target: 'simplified' });
+    expect(put.status).toBe(200);
+    expect(put.body.shadow).toEqual({ enabled: true, target: 'simplified' });
+    expect(stored).toMatchObject({ enabled: true, target: 'simplified', updatedBy: '507f1f77bcf86cd799439011' });
+
+    const get = await request(app).get('/api/ml/shadow');
+    expect(get.status).toBe(200);
+    expect(get.body.shadow).toEqual({ enabled: true, target: 'simplified' });
+  });
+
+  it('enables shadow scoring with a registered model version', async () => {
+    const put = await request(app).put('/api/ml/shadow').send({ enabled: true, target: 'v2' });
+    expect(put.status).toBe(200);
+    expect(put.body.shadow).toEqual({ enabled: true, target: 'v2' });
+  });
+
+  it('rejects an unknown model version', async () => {
+    const res = await request(app).put('/api/ml/shadow').send({ enabled: true, target: 'v9' });
+    expect(res.status).toBe(404);
+    expect(stored).toBeNull();
+  });
+
+  it('keeps the last target when disabled', async () => {
+    await request(app).put('/api/ml/shadow').send({ enabled: true, target: 'simplified' });
+    const res = await request(app).put('/api/ml/shadow').send({ enabled: false });
+    expect(res.status).toBe(200);
+    expect(res.body.shadow).toEqual({ enabled: false, target: 'simplified' });
+  });
+
+  it('is limited to admins', async () => {
+    const res = await request(app)
+      .put('/api/ml/shadow')
+      .set('x-test-user', asUser({ role: 'doctor' }))
+      .send({ enabled: true, target: 'simplified' });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('recordShadowPrediction', () => {
+  const prediction = { _id: '64b000000000000000000001', age: 60, sex: 'male' };
+  let saved;
+
+  beforeEach(async () => {
+    saved = null;
+    jest.spyOn(Prediction, 'updateOne').mockImplementation(async (filter, update) => {
+      saved = update.shadow;
+    });
+    await saveShadowConfig({ enabled: true, target: 'v2' });
+  });
+
+  it('scores with the Python workers for the target model', async () => {
+    scoreWithPython.mockResolvedValue({ success: true, prediction: 0.8, method: 'ml_model', modelVersion: 'v2' });
+
+    await recordShadowPrediction(prediction, {});
+    expect(scoreWithPython).toHaveBeenCalledWith({}, { version: 'v2', artifactPath: '/models/v2.joblib' });
+    expect(saved).toMatchObject({ target: 'v2', prediction: 0.8, riskLevel: 'critical', modelVersion: 'v2' });
+  });
+
+  it('falls back to the exported forest of the target when Python cannot score', async () => {
+    scoreWithPython.mockResolvedValue({ success: false, error: 'spawn python3 ENOENT' });
+    scoreWithForest.mockResolvedValue({ success: true, prediction: 0.3, method: 'ml_model', engine: 'javascript', modelVersion: 'v2' });
+
+    await recordShadowPrediction(prediction, {});
+    expect(scoreWithForest).toHaveBeenCalledWith({}, { version: 'v2', artifactPath: '/models/v2.joblib' });
+    expect(saved).toMatchObject({ prediction: 0.3, riskLevel: 'medium' });
+  });
+
+  it('records an error rather than another model when neither engine can score', async () => {
+    scoreWithPython.mockResolvedValue({ success: false, error: 'spawn python3 ENOENT' });
+    scoreWithForest.mockResolvedValue({ success: false, error: 'No exported forest' });
+
+    await recordShadowPrediction(prediction, {});
+    expect(saved.prediction).toBeUndefined();
+    expect(saved.error).toBe('Python: spawn python3 ENOENT; JavaScript: No exported forest');
+  });
+
+  it('does nothing while shadow mode is disabled', async () => {
+    await saveShadowConfig({ enabled: false });
+    expect(await recordShadowPrediction(prediction, {})).toBeNull();
+    expect(Prediction.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('shadow disagreement report', () => {
+  it('counts predictions whose shadow band differs from the primary band', async () => {
+    const chain = {
+      select: () => chain,
+      populate: () => chain,
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      lean: async () => [{ riskLevel: 'high', shadow: { riskLevel: 'critical', target: 'v2' } }]
+    };
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(chain);
+    jest.spyOn(Prediction, 'countDocuments').mockImplementation(async query => (query.$expr ? 1 : 4));
+    jest.spyOn(Prediction, 'aggregate').mockResolvedValue([
+      { _id: { primary: 'high', shadow: 'critical' }, count: 1 },
+      { _id: { primary: 'high', shadow: 'high' }, count: 3 }
+    ]);
+
+    const res = await request(app).get('/api/ml/shadow/disagreements?target=v2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ compared: 4, disagreements: 1, agreementRate: 0.75 });
+    expect(res.body.disagreements[0].shadow.riskLevel).toBe('critical');
+    expect(res.body.matrix).toHaveLength(2);
+    expect(find.mock.calls[0][0]).toEqual({
+      $expr: { $ne: ['$riskLevel', '$shadow.riskLevel'] },
+      isActive: true,
+      'shadow.riskLevel': { $exists: true },
+      'shadow.target': 'v2'
+    });
+  });
+
+  it('keeps shadow results out of predictions shown to clinicians', () => {
+    const prediction = new Prediction({ prediction: 0.6, riskLevel: 'high', shadow: { target: 'v2', prediction: 0.8 } });
+    expect(prediction.toJSON().shadow).toBeUndefined();
+  });
+});
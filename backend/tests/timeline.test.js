@@ -0,0 +1,149 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const PatientEvent = require('../models/PatientEvent');
+const User = require('../models/User');
+const CareTeam = require('../models/CareTeam');
+const { diffFields, decodeCursor, buildTimeline } = require('../utils/timeline');
+const { DEFAULT_USER } = require('./helpers/auth');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/patients': require('../routes/patients') });
+
+const id = () => new mongoose.Types.ObjectId();
+const at = minutes => new Date(Date.UTC(2026, 0, 1, 9, minutes));
+
+const patient = new Patient({ name: 'Ann Lee', age: 70, gender: 'female', createdBy: DEFAULT_USER._id });
+patient.createdAt = at(0);
+
+const earlier = { _id: id(), prediction: 0.4, riskLevel: 'moderate', createdAt: at(1), createdBy: DEFAULT_USER._id };
+const later = { _id: id(), prediction: 0.7, riskLevel: 'high', createdAt: at(3), createdBy: DEFAULT_USER._id };
+earlier.outcome = { eventType: 'hospitalization', recordedAt: at(4), recordedBy: DEFAULT_USER._id };
+
+const edits = [
+  { _id: id(), patient: patient._id, type: 'patient_updated', createdAt: at(3), changes: [{ field: 'age', from: 69, to: 70 }] },
+  { _id: id(), patient: patient._id, type: 'patient_updated', createdAt: at(2), changes: [{ field: 'phone', from: null, to: '555-0100' }] }
+];
+
+// A query chain resolving to records; the timeline drops events past the
+// cursor itself, so the chain ignores the filter
+function chain(records) {
+  const query = { sort: () => query, limit: () => query, select: () => query, lean: async () => records };
+  return query;
+}
+
+function stubSources() {
+  jest.spyOn(Prediction, 'find').mockImplementation(filter => chain(filter['outcome.recordedAt'] ? [earlier] : [later, earlier]));
+  jest.spyOn(PatientEvent, 'find').mockImplementation(() => chain(edits));
+  jest.spyOn(User, 'find').mockReturnValue(chain([{ _id: new mongoose.Types.ObjectId(DEFAULT_USER._id), name: 'Admin' }]));
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('diffFields', () => {
+  it('lists the fields that changed, including nested ones', () => {
+    const before = { name: 'Ann Lee', age: 69, medicalHistory: { conditions: ['Hypertension'] } };
+    const after = { name: 'Ann Lee', age: 70, medicalHistory: { conditions: ['Hypertension', 'Diabetes'] } };
+
+    expect(diffFields(before, after, ['name', 'age', 'medicalHistory.conditions', 'email'])).toEqual([
+      { field: 'age', from: 69, to: 70 },
+      { field: 'medicalHistory.conditions', from: ['Hypertension'], to: ['Hypertension', 'Diabetes'] }
+    ]);
+  });
+});
+
+describe('decodeCursor', () => {
+  it('rejects malformed cursors', () => {
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('abc:def').toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from('1700000000000:').toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from('1700000000000:x-1').toString('base64url'))).toEqual({ time: new Date(1700000000000), id: 'x-1' });
+  });
+});
+
+describe('buildTimeline', () => {
+  it('merges every source newest first', async () => {
+    stubSources();
+
+    const { events, nextCursor } = await buildTimeline(patient);
+
+    expect(events.map(event => [event.type, event.occurredAt])).toEqual([
+      ['outcome_recorded', at(4)],
+      ['prediction_created', at(3)],
+      ['patient_updated', at(3)],
+      ['patient_updated', at(2)],
+      ['prediction_created', at(1)],
+      ['patient_created', at(0)]
+    ]);
+    expect(events[0]).toMatchObject({ prediction: earlier._id, outcome: { eventType: 'hospitalization' } });
+    expect(events[5].actor).toMatchObject({ name: 'Admin' });
+    expect(nextCursor).toBeNull();
+  });
+
+  it('pages through events without repeating or skipping any, even at equal times', async () => {
+    stubSources();
+    const seen = [];
+    let cursor;
+
+    for (let page = 0; page < 3; page += 1) {
+      const result = await buildTimeline(patient, { cursor, limit: 2 });
+      seen.push(...result.events.map(event => event.id));
+      cursor = result.nextCursor;
+    }
+
+    expect(cursor).toBeNull();
+    expect(seen).toHaveLength(6);
+    expect(new Set(seen).size).toBe(6);
+    expect(seen[2]).toBe(`patient_updated-${edits[0]._id}`);
+    expect(PatientEvent.find).toHaveBeenLastCalledWith(expect.objectContaining({ createdAt: { $lte: at(2) } }));
+  });
+
+  it('only reads the sources of the requested types', async () => {
+    stubSources();
+
+    const { events } = await buildTimeline(patient, { types: ['patient_updated'] });
+
+    expect(events).toHaveLength(2);
+    expect(Prediction.find).not.toHaveBeenCalled();
+    expect(PatientEvent.find).toHaveBeenCalledWith({ patient: patient._id, type: { $in: ['patient_updated'] } });
+  });
+});
+
+describe('GET /api/patients/:id/timeline', () => {
+  beforeEach(() => {
+    jest.spyOn(Patient, 'findById').mockResolvedValue(patient);
+  });
+
+  it('returns a page of the timeline', async () => {
+    stubSources();
+
+    const res = await request(app).get(`/api/patients/${patient._id}/timeline?types=patient_updated,outcome_recorded&limit=2`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.events.map(event => event.type)).toEqual(['outcome_recorded', 'patient_updated']);
+    expect(res.body.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('rejects unknown types and malformed cursors', async () => {
+    const types = await request(app).get(`/api/patients/${patient._id}/timeline?types=lab_result`);
+    const cursor = await request(app).get(`/api/patients/${patient._id}/timeline?cursor=oops`);
+
+    expect(types.status).toBe(400);
+    expect(cursor.status).toBe(400);
+  });
+
+  it('refuses users without access to the patient', async () => {
+    jest.spyOn(CareTeam, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+
+    const res = await request(app)
+      .get(`/api/patients/${patient._id}/timeline`)
+      .set('x-test-user', asUser({ _id: String(id()), role: 'doctor' }));
+
+    expect(res.status).toBe(403);
+  });
+});
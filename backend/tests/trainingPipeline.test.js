@@ -0,0 +1,144 @@
+// Stand-in for ml/train.py: prints the lines in `output` and exits
+jest.mock('python-shell', () => {
+  const { EventEmitter } = require('events');
+  const runs = [];
+
+  class PythonShell extends EventEmitter {
+    constructor(script, options) {
+      super();
+      this.script = script;
+      this.options = options;
+      runs.push(this);
+    }
+
+    end(callback) {
+      PythonShell.output.forEach(line => this.emit('message', line));
+      callback(PythonShell.exitError);
+    }
+  }
+  PythonShell.output = [];
+  PythonShell.exitError = null;
+
+  return { PythonShell, runs };
+});
+jest.mock('../utils/modelRegistry', () => ({
+  registerModel: jest.fn(async version => ({ version, metrics: { rocAuc: 0.8 } }))
+}));
+
+const fs = require('fs');
+const { PythonShell, runs } = require('python-shell');
+const Prediction = require('../models/Prediction');
+const { registerModel } = require('../utils/modelRegistry');
+const { buildTrainingSet, trainFromOutcomes } = require('../utils/trainingPipeline');
+
+const STORED_INPUT = {
+  age: 61,
+  sex: 'male',
+  chestPainType: 'asymptomatic',
+  restingBP: 140,
+  cholesterol: 230,
+  fastingBS: 0,
+  restingECG: 'normal',
+  maxHR: 130,
+  exerciseAngina: true,
+  oldpeak: 1.5,
+  stSlope: 'flat'
+};
+
+function labelled(eventType, overrides = {}) {
+  return Object.assign({}, STORED_INPUT, { outcome: { eventType } }, overrides);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  runs.length = 0;
+  PythonShell.output = [];
+  PythonShell.exitError = null;
+});
+
+describe('buildTrainingSet', () => {
+  it('only reads active, outcome-labelled predictions without imputed inputs', async () => {
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue({ lean: async () => [] });
+
+    await buildTrainingSet();
+
+    expect(find).toHaveBeenCalledWith({
+      isActive: true,
+      'outcome.eventType': { $exists: true },
+      'imputation.fields.0': { $exists: false }
+    });
+  });
+
+  it('encodes the inputs and labels any recorded event as positive', async () => {
+    jest.spyOn(Prediction, 'find').mockReturnValue({
+      lean: async () => [labelled('none'), labelled('hospitalization'), labelled('death')]
+    });
+
+    const rows = await buildTrainingSet();
+
+    expect(rows.map(row => row.outcome)).toEqual([0, 1, 1]);
+    expect(rows[0]).toMatchObject({ age: 61, sex: 1, exerciseAngina: 1 });
+  });
+
+  it('skips predictions whose inputs no longer validate', async () => {
+    jest.spyOn(Prediction, 'find').mockReturnValue({
+      lean: async () => [labelled('none', { age: 200 }), labelled('death')]
+    });
+
+    const rows = await buildTrainingSet();
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].outcome).toBe(1);
+  });
+});
+
+describe('trainFromOutcomes', () => {
+  function storedRows(count) {
+    jest.spyOn(Prediction, 'find').mockReturnValue({
+      lean: async () => Array.from({ length: count }, (_, i) => labelled(i % 2 ? 'death' : 'none'))
+    });
+  }
+
+  it('refuses to train on too few predictions', async () => {
+    storedRows(3);
+
+    const result = await trainFromOutcomes({ minSamples: 10 });
+
+    expect(result).toEqual({
+      error: 'At least 10 outcome-labelled predictions without imputed inputs are required, found 3',
+      samples: 3
+    });
+    expect(runs).toHaveLength(0);
+  });
+
+  it('trains on the rows, registers the new version and removes the data file', async () => {
+    storedRows(12);
+    let trainingData;
+    PythonShell.output = ['Training...', JSON.stringify({ success: true, version: 'v7' })];
+    jest.spyOn(fs.promises, 'writeFile').mockImplementation(async (file, data) => { trainingData = JSON.parse(data); });
+    const unlink = jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+
+    const result = await trainFromOutcomes({ minSamples: 10, version: 'v7', userId: 'admin-1' });
+
+    expect(result).toEqual({ model: { version: 'v7', metrics: { rocAuc: 0.8 } }, samples: 12 });
+    expect(trainingData).toHaveLength(12);
+    expect(runs[0].script).toBe('train.py');
+    const dataPath = runs[0].options.args[1];
+    expect(runs[0].options.args).toEqual(['--data', dataPath, '--version', 'v7']);
+    expect(registerModel).toHaveBeenCalledWith('v7', 'admin-1');
+    expect(unlink).toHaveBeenCalledWith(dataPath);
+  });
+
+  it('reports a training script failure', async () => {
+    storedRows(12);
+    PythonShell.output = [JSON.stringify({ success: false, error: 'Only one class present' })];
+    jest.spyOn(fs.promises, 'writeFile').mockResolvedValue();
+    jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+
+    const result = await trainFromOutcomes({ minSamples: 10 });
+
+    expect(result).toEqual({ error: 'Only one class present', samples: 12 });
+    expect(registerModel).not.toHaveBeenCalled();
+  });
+});
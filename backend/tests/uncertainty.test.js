@@ -0,0 +1,79 @@
+const { simplePrediction, forestPrediction } = require('../utils/mlPredictor');
+const { forest } = require('./fixtures/forestParity.json');
+
+// Every continuous input well away from the rule thresholds
+const STABLE = {
+  age: 45,
+  sex: 0,
+  chestPainType: 3,
+  restingBP: 100,
+  cholesterol: 150,
+  fastingBS: 0,
+  restingECG: 0,
+  maxHR: 150,
+  exerciseAngina: 0,
+  oldpeak: 3,
+  stSlope: 0
+};
+
+describe('rule-based uncertainty', () => {
+  it('gives an interval around the score and a confidence from its width', () => {
+    const result = simplePrediction(STABLE);
+    const { interval } = result.uncertainty;
+
+    expect(result.uncertainty).toMatchObject({ method: 'input_perturbation', std: 0 });
+    expect(interval.percentiles).toEqual([10, 90]);
+    expect(interval.lower).toBeCloseTo(result.prediction - 0.1, 12);
+    expect(interval.upper).toBeCloseTo(result.prediction + 0.1, 12);
+    expect(result.confidence).toBeCloseTo(1 - (interval.upper - interval.lower), 12);
+  });
+
+  it('is wider when measurement error could move an input across a threshold', () => {
+    const stable = simplePrediction(STABLE);
+    const borderline = simplePrediction(Object.assign({}, STABLE, { restingBP: 140, cholesterol: 200, oldpeak: 1 }));
+
+    expect(borderline.uncertainty.std).toBeGreaterThan(0);
+    expect(borderline.confidence).toBeLessThan(stable.confidence);
+    expect(borderline.uncertainty.interval.lower).toBeLessThanOrEqual(borderline.prediction);
+    expect(borderline.uncertainty.interval.upper).toBeGreaterThanOrEqual(borderline.prediction);
+  });
+
+  it('keeps the interval within 0 and 1', () => {
+    const { interval } = simplePrediction(Object.assign({}, STABLE, {
+      age: 70, chestPainType: 0, exerciseAngina: 1, oldpeak: 3, stSlope: 2
+    })).uncertainty;
+
+    expect(interval.upper).toBe(1);
+    expect(interval.lower).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('out-of-distribution flags', () => {
+  it('flags rule-based inputs outside the reference ranges', () => {
+    const { outOfDistribution } = simplePrediction(Object.assign({}, STABLE, { age: 95, restingBP: 85 }));
+
+    expect(outOfDistribution.flagged).toBe(true);
+    expect(outOfDistribution.features).toEqual([
+      { feature: 'age', value: 95, reason: 'outside training range', trainingRange: [20, 90] },
+      { feature: 'restingBP', value: 85, reason: 'outside training range', trainingRange: [90, 200] }
+    ]);
+    expect(simplePrediction(STABLE).outOfDistribution).toEqual({ flagged: false, features: [] });
+  });
+
+  it('flags forest inputs against the model\'s training statistics', () => {
+    const { mean, min, max } = forest.trainingStats;
+    const typical = {};
+    forest.features.forEach((field, i) => { typical[field] = Math.round(mean[i]); });
+
+    expect(forestPrediction(typical, forest).outOfDistribution.flagged).toBe(false);
+
+    const ageIndex = forest.features.indexOf('age');
+    const { outOfDistribution } = forestPrediction(Object.assign({}, typical, { age: max[ageIndex] + 5 }), forest);
+    expect(outOfDistribution.features).toEqual([{
+      feature: 'age',
+      value: max[ageIndex] + 5,
+      reason: 'outside training range',
+      trainingRange: [min[ageIndex], max[ageIndex]]
+    }]);
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../middleware/auth', () => require('./helpers/auth').mockAuthModule());
+// Score with the rule-based model so no Python workers are needed
+jest.mock('../utils/mlPredictor', () => {
+  const actual = jest.requireActual('../utils/mlPredictor');
+  return Object.assign({}, actual, {
+    runPrediction: jest.fn(async data => actual.simplePrediction(data))
+  });
+});
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Prediction = require('../models/Prediction');
+const { runPrediction } = require('../utils/mlPredictor');
+const { buildApp, asUser } = require('./helpers/app');
+
+const app = buildApp({ '/api/ml': require('../routes/ml') });
+
+const INPUTS = {
+  age: 55,
+  sex: 'female',
+  chestPainType: 'asymptomatic',
+  restingBP: 115,
+  cholesterol: 180,
+  fastingBS: 0,
+  restingECG: 'normal',
+  maxHR: 150,
+  exerciseAngina: true,
+  oldpeak: 0,
+  stSlope: 'up'
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/ml/what-if', () => {
+  it('scores scenarios against the baseline without recording them for drift', async () => {
+    const res = await request(app).post('/api/ml/what-if').send({
+      inputs: INPUTS,
+      scenarios: [{ name: 'No exercise angina', changes: { exerciseAngina: false, notAnInput: 1 } }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.baseline.probability).toBeCloseTo(0.5);
+    expect(res.body.scenarios[0]).toMatchObject({ name: 'No exercise angina', changes: { exerciseAngina: false } });
+    expect(res.body.scenarios[0].change).toBeCloseTo(-0.3);
+    runPrediction.mock.calls.forEach(([, options]) => expect(options).toEqual({ monitor: false }));
+  });
+
+  it('sweeps every value of a categorical input', async () => {
+    const res = await request(app).post('/api/ml/what-if').send({ inputs: INPUTS, sweep: { feature: 'stSlope' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sweep.points.map(point => point.value)).toEqual(['up', 'flat', 'down']);
+  });
+
+  it('sweeps a numeric input over a range', async () => {
+    const res = await request(app).post('/api/ml/what-if').send({
+      inputs: INPUTS,
+      sweep: { feature: 'restingBP', from: 110, to: 190, step: 40 }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sweep.points.map(point => point.value)).toEqual([110, 150, 190]);
+    expect(res.body.sweep.points[2].probability).toBeGreaterThan(res.body.sweep.points[0].probability);
+  });
+
+  it('rejects sweeps with too many points', async () => {
+    const res = await request(app).post('/api/ml/what-if').send({
+      inputs: INPUTS,
+      sweep: { feature: 'cholesterol', from: 0, to: 1000, step: 1 }
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Sweep cannot exceed 100 points');
+  });
+
+  it('needs a known feature to sweep', async () => {
+    const missing = await request(app).post('/api/ml/what-if').send({ inputs: INPUTS, sweep: { from: 100, to: 200, step: 50 } });
+    const unknown = await request(app).post('/api/ml/what-if').send({ inputs: INPUTS, sweep: { feature: 'weight' } });
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.details.map(d => d.path)).toEqual(['sweep.feature']);
+    expect(unknown.status).toBe(400);
+  });
+
+  it('needs inputs and at least one scenario or sweep', async () => {
+    expect((await request(app).post('/api/ml/what-if').send({ scenarios: [{ changes: {} }] })).status).toBe(400);
+    expect((await request(app).post('/api/ml/what-if').send({ inputs: INPUTS })).status).toBe(400);
+  });
+
+  it('starts from a stored prediction the user can access', async () => {
+    const prediction = new Prediction(Object.assign({ createdBy: new mongoose.Types.ObjectId() }, INPUTS));
+    jest.spyOn(Prediction, 'findById').mockResolvedValue(prediction);
+
+    const allowed = await request(app).post('/api/ml/what-if').send({
+      predictionId: prediction._id,
+      scenarios: [{ changes: { age: 30 } }]
+    });
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.baseline.inputs).toMatchObject({ age: 55, stSlope: 'up' });
+
+    const denied = await request(app)
+      .post('/api/ml/what-if')
+      .set('x-test-user', asUser({ _id: String(new mongoose.Types.ObjectId()), role: 'doctor' }))
+      .send({ predictionId: prediction._id, scenarios: [{ changes: { age: 30 } }] });
+    expect(denied.status).toBe(403);
+  });
+});
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const CareTeam = require('../models/CareTeam');
+const Patient = require('../models/Patient');
+
+// Access levels, lowest first. manage covers deleting a patient and sharing it with teams.
+const ACCESS_LEVELS = ['read', 'write', 'manage'];
+
+// Patient access given by each care team membership role
+const TEAM_ROLE_ACCESS = {
+  lead: 'manage',
+  member: 'write',
+  viewer: 'read'
+};
+
+// Team memberships of each request's user, loaded once per request
+const membershipCache = new WeakMap();
+
+function atLeast(level, required) {
+  return ACCESS_LEVELS.indexOf(level) >= ACCESS_LEVELS.indexOf(required);
+}
+
+function sameId(a, b) {
+  return Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+}
+
+// Map of team ID -> membership role for the user's active care teams
+function teamMemberships(user) {
+  if (!membershipCache.has(user)) {
+    membershipCache.set(user, CareTeam.find({ isActive: true, 'members.user': user._id })
+      .select('members')
+      .lean()
+      .then((teams) => {
+        const memberships = new Map();
+        teams.forEach((team) => {
+          const membership = team.members.find(member => sameId(member.user, user._id));
+          memberships.set(team._id.toString(), membership.role);
+        });
+        return memberships;
+      }));
+  }
+  return membershipCache.get(user);
+}
+
+// IDs of the user's teams whose role gives at least the required access
+async function teamIdsWithAccess(user, required) {
+  const memberships = await teamMemberships(user);
+  return Array.from(memberships.entries())
+    .filter(([, role]) => atLeast(TEAM_ROLE_ACCESS[role], required))
+    .map(([teamId]) => new mongoose.Types.ObjectId(teamId));
+}
+
+// Highest access the user has to a patient, or null. Admins can manage every
+// patient. The user who created a patient manages it until it is shared with a
+// care team; from then on their access comes from their team roles like anyone
+// else's, so leaving a team or a lower role takes effect, and they keep read.
+async function patientAccess(user, patient) {
+  if (user.role === 'admin') {
+    return 'manage';
+  }
+
+  const careTeams = patient.careTeams || [];
+  const isCreator = sameId(patient.createdBy, user._id);
+  if (isCreator && careTeams.length === 0) {
+    return 'manage';
+  }
+
+  const memberships = await teamMemberships(user);
+  let best = isCreator ? 'read' : null;
+  careTeams.forEach((teamId) => {
+    const role = memberships.get(teamId.toString());
+    if (role && (!best || atLeast(TEAM_ROLE_ACCESS[role], best))) {
+      best = TEAM_ROLE_ACCESS[role];
+    }
+  });
+  return best;
+}
+
+async function canAccessPatient(user, patient, required = 'read') {
+  const level = await patientAccess(user, patient);
+  return Boolean(level) && atLeast(level, required);
+}
+
+// Query filter matching the patients the user has at least the required access to
+async function patientAccessFilter(user, required = 'read') {
+  if (user.role === 'admin') {
+    return {};
+  }
+  const created = required === 'read'
+    ? { createdBy: user._id }
+    : { createdBy: user._id, 'careTeams.0': { $exists: false } };
+  return {
+    $or: [
+      created,
+      { careTeams: { $in: await teamIdsWithAccess(user, required) } }
+    ]
+  };
+}
+
+// Predictions follow their patient. The user who made a prediction can always
+// read it, and can change it too when it has no patient.
+async function canAccessPrediction(user, prediction, required = 'read') {
+  if (user.role === 'admin') {
+    return true;
+  }
+  if (sameId(prediction.createdBy, user._id) && (required === 'read' || !prediction.patient)) {
+    return true;
+  }
+  if (!prediction.patient) {
+    return false;
+  }
+
+  const patient = await Patient.findById(prediction.patient._id || prediction.patient)
+    .select('createdBy careTeams')
+    .lean();
+  return Boolean(patient) && canAccessPatient(user, patient, required);
+}
+
+// Query filter matching the predictions the user has at least the required access to
+async function predictionAccessFilter(user, required = 'read') {
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  const patientIds = await Patient.find(await patientAccessFilter(user, required)).distinct('_id');
+  return {
+    $or: [
+      required === 'read' ? { createdBy: user._id } : { createdBy: user._id, patient: null },
+      { patient: { $in: patientIds } }
+    ]
+  };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  TEAM_ROLE_ACCESS,
+  teamMemberships,
+  patientAccess,
+  canAccessPatient,
+  patientAccessFilter,
+  canAccessPrediction,
+  predictionAccessFilter
+};
@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const BatchJob = require('../models/BatchJob');
+const BatchJobRow = require('../models/BatchJobRow');
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const User = require('../models/User');
+const {
+  runPrediction,
+  validatePredictionData,
+  encodePredictionData
+} = require('./mlPredictor');
+const { getRiskLevel, getRiskLevelLabels } = require('./riskPolicy');
+const { generateRecommendations } = require('./recommendations');
+const { normalizePredictionInput, applyImputationPenalty } = require('./inputNormalization');
+const { computeClinicalScores, coerceClinicalInput } = require('./clinicalScores');
+const { analyzeRiskTrajectory, raiseRiskAlert } = require('./riskTrajectory');
+const { suggestFollowUpDate, scheduleFollowUp } = require('./followUps');
+const { recordShadowPrediction } = require('./shadowScoring');
+const { patientAccessFilter } = require('./access');
+
+// Rows scored between progress updates
+const BATCH_CHUNK_SIZE = parseInt(process.env.BATCH_JOB_CHUNK_SIZE) || 100;
+
+// Rows written per insert when a job is created
+const INSERT_CHUNK_SIZE = 1000;
+
+// Jobs run one at a time in this process
+let running = false;
+
+// Store the rows and queue a job for them. Rows are written before the job
+// document so the runner never picks up a job whose rows are incomplete.
+async function createBatchJob(rows, options = {}) {
+  const jobId = new mongoose.Types.ObjectId();
+
+  try {
+    for (let start = 0; start < rows.length; start += INSERT_CHUNK_SIZE) {
+      await BatchJobRow.insertMany(rows.slice(start, start + INSERT_CHUNK_SIZE).map((input, offset) => ({
+        job: jobId,
+        row: start + offset + 1,
+        input
+      })));
+    }
+
+    const job = await BatchJob.create({
+      _id: jobId,
+      fileName: options.fileName,
+      attachToPatients: Boolean(options.attachToPatients),
+      total: rows.length,
+      createdBy: options.userId
+    });
+
+    startBatchJobs();
+    return job;
+  } catch (error) {
+    await BatchJobRow.deleteMany({ job: jobId }).catch(() => {});
+    throw error;
+  }
+}
+
+// Find the patient a row refers to: by record ID or patientId first, then by email.
+// scope limits the patients that may match (see jobPatientScope).
+async function findPatient(input, scope = {}) {
+  if (input.patientId) {
+    const id = String(input.patientId).trim();
+    const patient = await Patient.findOne({
+      isActive: true,
+      $and: [scope, { $or: /^[0-9a-f]{24}$/i.test(id) ? [{ _id: id }, { patientId: id }] : [{ patientId: id }] }]
+    });
+    if (patient) {
+      return patient;
+    }
+  }
+
+  if (input.email) {
+    return Patient.findOne({ isActive: true, email: String(input.email).trim().toLowerCase(), $and: [scope] });
+  }
+
+  return null;
+}
+
+// Patients a job may attach scores to: those its creator can edit. Matches
+// nothing when the creator no longer exists or is deactivated.
+async function jobPatientScope(job) {
+  const creator = await User.findById(job.createdBy).select('role isActive');
+  if (!creator || !creator.isActive) {
+    return { _id: { $in: [] } };
+  }
+  return patientAccessFilter(creator, 'write');
+}
+
+// Score one row and, if requested, save it as a Prediction on the matched patient
+// within scope. Returns the row update.
+async function scoreRow(job, row, scope) {
+  const raw = row.input || {};
+  const normalized = await normalizePredictionInput(raw);
+  if (normalized.error) {
+    return { status: 'failed', error: normalized.error };
+  }
+  const { inputs, provided, imputation } = normalized;
+
+  if (!['male', 'female'].includes(inputs.sex)) {
+    return { status: 'failed', error: 'Sex must be male or female' };
+  }
+
+  const predictionData = encodePredictionData(inputs);
+  const validation = validatePredictionData(predictionData);
+  if (!validation.valid) {
+    return { status: 'failed', error: validation.error };
+  }
+
+  const result = applyImputationPenalty(await runPrediction(predictionData, { imputation }), imputation);
+  if (!result.success) {
+    return { status: 'failed', error: result.error || 'Prediction failed' };
+  }
+
+  const riskLevel = getRiskLevel(result.prediction, { age: inputs.age, sex: inputs.sex });
+  const update = {
+    status: 'scored',
+    result: {
+      probability: result.prediction,
+      riskLevel,
+      confidence: result.confidence,
+      method: result.method,
+      engine: result.engine,
+      modelVersion: result.modelVersion,
+      fallbackReason: result.fallbackReason,
+      intervalLower: result.uncertainty ? result.uncertainty.interval.lower : undefined,
+      intervalUpper: result.uncertainty ? result.uncertainty.interval.upper : undefined,
+      outOfDistribution: result.outOfDistribution ? result.outOfDistribution.flagged : undefined,
+      imputedFields: imputation.fields.map(imputed => imputed.field)
+    }
+  };
+
+  if (job.attachToPatients) {
+    // Saved before the job was interrupted; reuse it rather than saving the
+    // row, its alert and its follow-up twice
+    const existing = await Prediction.findOne({ batchJob: job._id, batchRow: row.row }).select('patient').lean();
+    if (existing) {
+      update.patient = existing.patient;
+      update.prediction = existing._id;
+      return update;
+    }
+
+    const patient = await findPatient(raw, scope);
+    if (!patient) {
+      update.error = 'No matching patient; score not attached';
+      return update;
+    }
+
+    const { recommendations, recommendationSource } = generateRecommendations({
+      probability: result.prediction,
+      riskLevel,
+      inputs: provided,
+      patient
+    });
+
+    const prediction = new Prediction(Object.assign({}, inputs, {
+      patient: patient._id,
+      createdBy: job.createdBy,
+      prediction: result.prediction,
+      confidence: result.confidence,
+      method: result.method,
+      engine: result.engine,
+      modelVersion: result.modelVersion,
+      fallbackReason: result.fallbackReason,
+      explanation: result.explanation,
+      uncertainty: result.uncertainty,
+      outOfDistribution: result.outOfDistribution,
+      imputation,
+      scores: computeClinicalScores({ inputs: provided, patient, clinical: coerceClinicalInput(raw) }),
+      notes: `Batch scoring job ${job._id}, row ${row.row}`,
+      batchJob: job._id,
+      batchRow: row.row,
+      recommendations,
+      recommendationSource
+    }));
+    await analyzeRiskTrajectory(prediction);
+    prediction.followUpDate = suggestFollowUpDate(prediction);
+    await prediction.save();
+    await raiseRiskAlert(prediction);
+    await scheduleFollowUp(prediction, { userId: job.createdBy });
+    // Waited for, unlike in request handlers, so a large job does not queue a
+    // shadow score per row at once; a failure is only logged
+    await recordShadowPrediction(prediction, predictionData).catch((error) => {
+      console.error('Shadow prediction error:', error);
+    });
+    update.patient = patient._id;
+    update.prediction = prediction._id;
+  }
+
+  return update;
+}
+
+// Recount a job from its rows so the final figures are exact after a restart
+async function summarizeRows(jobId) {
+  const [counts] = await BatchJobRow.aggregate([
+    { $match: { job: jobId } },
+    {
+      $group: {
+        _id: null,
+        processed: { $sum: { $cond: [{ $ne: ['$status', 'pending'] }, 1, 0] } },
+        succeeded: { $sum: { $cond: [{ $eq: ['$status', 'scored'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        attached: { $sum: { $cond: [{ $ifNull: ['$prediction', false] }, 1, 0] } }
+      }
+    }
+  ]);
+  const levels = await BatchJobRow.aggregate([
+    { $match: { job: jobId, status: 'scored' } },
+    { $group: { _id: '$result.riskLevel', count: { $sum: 1 } } }
+  ]);
+
+  const riskDistribution = getRiskLevelLabels().reduce((distribution, label) => {
+    distribution[label] = 0;
+    return distribution;
+  }, {});
+  levels.forEach((level) => {
+    riskDistribution[level._id] = level.count;
+  });
+
+  const totals = counts || {};
+  return {
+    processed: totals.processed || 0,
+    succeeded: totals.succeeded || 0,
+    failed: totals.failed || 0,
+    attached: totals.attached || 0,
+    riskDistribution
+  };
+}
+
+// Score the pending rows of a job in chunks, updating progress after each chunk
+async function processBatchJob(job) {
+  await BatchJob.updateOne({ _id: job._id }, {
+    status: 'running',
+    startedAt: job.startedAt || new Date()
+  });
+
+  const scope = job.attachToPatients ? await jobPatientScope(job) : null;
+
+  let rows = await BatchJobRow.find({ job: job._id, status: 'pending' }).sort({ row: 1 }).limit(BATCH_CHUNK_SIZE);
+  while (rows.length > 0) {
+    const progress = { processed: 0, succeeded: 0, failed: 0, attached: 0 };
+
+    for (const row of rows) {
+      let update;
+      try {
+        update = await scoreRow(job, row, scope);
+      } catch (error) {
+        update = { status: 'failed', error: error.message };
+      }
+
+      await BatchJobRow.updateOne({ _id: row._id }, update);
+      progress.processed++;
+      progress[update.status === 'scored' ? 'succeeded' : 'failed']++;
+      if (update.prediction) {
+        progress.attached++;
+      }
+    }
+
+    await BatchJob.updateOne({ _id: job._id }, { $inc: progress });
+    rows = await BatchJobRow.find({ job: job._id, status: 'pending' }).sort({ row: 1 }).limit(BATCH_CHUNK_SIZE);
+  }
+
+  const summary = await summarizeRows(job._id);
+  await BatchJob.updateOne({ _id: job._id }, Object.assign(summary, {
+    status: 'completed',
+    completedAt: new Date()
+  }));
+}
+
+// Work through queued jobs oldest first. Jobs left running by a restart are
+// resumed from their first pending row.
+async function runBatchJobs() {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    let job = await BatchJob.findOne({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+    while (job) {
+      try {
+        await processBatchJob(job);
+      } catch (error) {
+        console.error('Batch job error:', error);
+        await BatchJob.updateOne({ _id: job._id }, {
+          status: 'failed',
+          error: error.message,
+          completedAt: new Date()
+        });
+      }
+      job = await BatchJob.findOne({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+    }
+  } finally {
+    running = false;
+  }
+}
+
+// Fire-and-forget wrapper used after job creation and on startup
+function startBatchJobs() {
+  runBatchJobs().catch((error) => {
+    console.error('Batch job runner error:', error);
+  });
+}
+
+module.exports = {
+  createBatchJob,
+  startBatchJobs,
+  findPatient,
+  jobPatientScope,
+  scoreRow
+};
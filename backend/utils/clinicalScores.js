@@ -0,0 +1,174 @@
+// Guideline-style heart failure scores shown next to the model probability.
+// Both are points scores built from the published risk factors, computed from
+// whatever the prediction inputs, the patient record and optional clinical
+// measurements provide. Items that cannot be scored are listed as missing and
+// add no points, so an incomplete score is a lower bound.
+//
+// - framingham_style: Framingham heart failure risk factors (age, LVH, heart
+//   rate, systolic BP, coronary disease, valve disease, diabetes) with a single
+//   points table for both sexes; not the published sex-specific equations.
+// - maggic_style: MAGGIC integer score for mortality in established heart
+//   failure. Age and systolic BP points depend on ejection fraction, so the
+//   score is not computed without it.
+
+// Optional measurements used only by the clinical scores
+const CLINICAL_FIELDS = {
+  ejectionFraction: 'number', // %
+  nyhaClass: 'number', // 1-4
+  creatinine: 'number', // µmol/L
+  bmi: 'number', // kg/m²
+  heartRate: 'number', // resting, bpm
+  hfDiagnosedOver18Months: 'boolean'
+};
+
+// Keyword patterns for free-text medical history entries
+const CONDITION_PATTERNS = {
+  diabetes: /diabet/i,
+  copd: /copd|chronic obstructive|emphysema|chronic bronchitis/i,
+  coronaryHeartDisease: /coronary|myocardial infarction|heart attack|\bcad\b|\bchd\b|angina/i,
+  valveDisease: /valv|stenosis|regurgitation/i
+};
+
+const MEDICATION_PATTERNS = {
+  betaBlocker: /beta.?blocker|olol\b|carvedilol/i,
+  aceInhibitorOrArb: /pril\b|sartan\b|ace.?inhibitor|\barb\b/i
+};
+
+// Points for the band a value falls in: bands are upper bounds (exclusive)
+// and points has one more entry than bounds for values above the last bound
+function bandPoints(value, bounds, points) {
+  const index = bounds.findIndex(bound => value < bound);
+  return points[index === -1 ? points.length - 1 : index];
+}
+
+// Convert loosely typed clinical measurements (JSON body or CSV cells)
+function coerceClinicalInput(source) {
+  const clinical = {};
+  Object.keys(CLINICAL_FIELDS).forEach((field) => {
+    const value = source ? source[field] : undefined;
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    clinical[field] = CLINICAL_FIELDS[field] === 'boolean'
+      ? ['true', '1', 'yes', 'y'].includes(String(value).trim().toLowerCase())
+      : Number(value);
+  });
+  return clinical;
+}
+
+// Does any entry of a patient's history list match the pattern;
+// undefined when there is no patient record to check
+function historyMatches(patient, list, pattern) {
+  if (!patient || !patient.medicalHistory) {
+    return undefined;
+  }
+  return (patient.medicalHistory[list] || []).some(entry => pattern.test(entry));
+}
+
+// Build a score from its items. Each item is [name, value, points(value)];
+// an undefined value marks the item as missing.
+function buildScore(name, label, maxPoints, items) {
+  const inputs = {};
+  const missing = [];
+  let points = 0;
+
+  items.forEach(([item, value, score]) => {
+    if (value === undefined || value === null || Number.isNaN(value)) {
+      missing.push(item);
+      return;
+    }
+    inputs[item] = value;
+    points += score(value);
+  });
+
+  return {
+    name,
+    label,
+    points,
+    maxPoints,
+    inputs,
+    missing,
+    complete: missing.length === 0
+  };
+}
+
+function framinghamStyleScore(inputs, patient, clinical) {
+  return buildScore('framingham_style', 'Framingham-style heart failure risk points', 39, [
+    ['age', inputs.age, age => bandPoints(age, [50, 55, 60, 65, 70, 75, 80, 85], [0, 1, 2, 3, 4, 5, 6, 7, 8])],
+    ['leftVentricularHypertrophy', inputs.restingECG === undefined
+      ? undefined
+      : inputs.restingECG === 'left ventricular hypertrophy', lvh => (lvh ? 4 : 0)],
+    ['heartRate', clinical.heartRate, rate => bandPoints(rate, [55, 65, 80, 90, 105], [0, 1, 2, 4, 5, 7])],
+    ['systolicBP', inputs.restingBP, sbp => bandPoints(sbp, [120, 140, 170, 190, 220], [0, 1, 2, 3, 4, 6])],
+    ['coronaryHeartDisease', historyMatches(patient, 'conditions', CONDITION_PATTERNS.coronaryHeartDisease), chd => (chd ? 8 : 0)],
+    ['valveDisease', historyMatches(patient, 'conditions', CONDITION_PATTERNS.valveDisease), valve => (valve ? 5 : 0)],
+    ['diabetes', historyMatches(patient, 'conditions', CONDITION_PATTERNS.diabetes), diabetes => (diabetes ? 1 : 0)]
+  ]);
+}
+
+// MAGGIC age and systolic BP points by ejection fraction band (<30, 30-39, >=40)
+const MAGGIC_AGE_POINTS = [
+  [0, 1, 2, 4, 6, 8, 10],
+  [0, 2, 4, 6, 8, 10, 13],
+  [0, 3, 5, 7, 9, 12, 15]
+];
+const MAGGIC_SBP_POINTS = [
+  [5, 4, 3, 2, 1, 0],
+  [3, 2, 1, 1, 0, 0],
+  [2, 1, 1, 0, 0, 0]
+];
+
+function maggicStyleScore(inputs, patient, clinical) {
+  const label = 'MAGGIC-style heart failure mortality score';
+  const ef = clinical.ejectionFraction;
+
+  if (ef === undefined) {
+    return {
+      name: 'maggic_style',
+      label,
+      points: null,
+      maxPoints: 57,
+      inputs: {},
+      missing: ['ejectionFraction'],
+      complete: false
+    };
+  }
+
+  const efBand = bandPoints(ef, [30, 40], [0, 1, 2]);
+  const smoking = patient && patient.lifestyle ? patient.lifestyle.smoking : undefined;
+  const betaBlocker = historyMatches(patient, 'medications', MEDICATION_PATTERNS.betaBlocker);
+  const aceInhibitorOrArb = historyMatches(patient, 'medications', MEDICATION_PATTERNS.aceInhibitorOrArb);
+
+  return buildScore('maggic_style', label, 57, [
+    ['ejectionFraction', ef, value => bandPoints(value, [20, 25, 30, 35, 40], [7, 6, 5, 3, 2, 0])],
+    ['age', inputs.age, age => bandPoints(age, [55, 60, 65, 70, 75, 80], MAGGIC_AGE_POINTS[efBand])],
+    ['systolicBP', inputs.restingBP, sbp => bandPoints(sbp, [110, 120, 130, 140, 150], MAGGIC_SBP_POINTS[efBand])],
+    ['bmi', clinical.bmi, bmi => bandPoints(bmi, [15, 20, 25, 30], [6, 5, 3, 2, 0])],
+    ['creatinine', clinical.creatinine, value => bandPoints(value, [90, 110, 130, 150, 170, 210, 250], [0, 1, 2, 3, 4, 5, 6, 8])],
+    ['nyhaClass', clinical.nyhaClass, nyha => [0, 0, 2, 6, 8][nyha] || 0],
+    ['male', inputs.sex === undefined ? undefined : inputs.sex === 'male', male => (male ? 1 : 0)],
+    ['currentSmoker', smoking, smoker => (smoker ? 1 : 0)],
+    ['diabetes', historyMatches(patient, 'conditions', CONDITION_PATTERNS.diabetes), diabetes => (diabetes ? 3 : 0)],
+    ['copd', historyMatches(patient, 'conditions', CONDITION_PATTERNS.copd), copd => (copd ? 2 : 0)],
+    ['hfDiagnosedOver18Months', clinical.hfDiagnosedOver18Months, longer => (longer ? 2 : 0)],
+    ['onBetaBlocker', betaBlocker, taking => (taking ? 0 : 3)],
+    ['onAceInhibitorOrArb', aceInhibitorOrArb, taking => (taking ? 0 : 1)]
+  ]);
+}
+
+// Compute every clinical score. inputs are the prediction inputs actually
+// supplied (API format, imputed values excluded), patient is the Patient
+// record when known and clinical the optional measurements.
+function computeClinicalScores({ inputs, patient, clinical }) {
+  const measurements = clinical || {};
+  return [
+    framinghamStyleScore(inputs || {}, patient, measurements),
+    maggicStyleScore(inputs || {}, patient, measurements)
+  ];
+}
+
+module.exports = {
+  computeClinicalScores,
+  coerceClinicalInput,
+  CLINICAL_FIELDS
+};
@@ -0,0 +1,99 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF)
+
+// Parse CSV text into an array of objects keyed by the header row
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  const rows = records.filter(r => r.some(value => value.trim() !== ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(h => h.trim());
+  return rows.slice(1).map((values) => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return row;
+  });
+}
+
+// Quote a value only when it contains a delimiter, quote or newline. Text
+// that a spreadsheet would run as a formula is prefixed with ' so it shows
+// as text; numbers are written as they are.
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize objects to CSV using the given column order
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Parse an uploaded file (multer memory storage) as a JSON array or CSV rows
+function parseUploadedRows(file) {
+  const text = file.buffer.toString('utf8');
+  return /\.json$/i.test(file.originalname) || file.mimetype === 'application/json'
+    ? JSON.parse(text)
+    : parseCsv(text);
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  parseUploadedRows
+};
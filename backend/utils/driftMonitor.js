@@ -0,0 +1,171 @@
+const ModelInput = require('../models/ModelInput');
+
+// Most recent scored inputs compared against the training distribution
+const DRIFT_WINDOW_SIZE = parseInt(process.env.ML_DRIFT_WINDOW_SIZE) || 1000;
+
+// Fewest inputs in the window before features are flagged
+const DRIFT_MIN_SAMPLES = parseInt(process.env.ML_DRIFT_MIN_SAMPLES) || 100;
+
+// Population stability index cut-offs (common industry convention)
+const PSI_MODERATE = 0.1;
+const PSI_SIGNIFICANT = 0.25;
+
+// Floor for empty bins so the PSI stays finite
+const PSI_EPSILON = 1e-4;
+
+// Encoded inputs stored for each scored request
+const MONITORED_FIELDS = [
+  'age', 'sex', 'chestPainType', 'restingBP', 'cholesterol', 'fastingBS',
+  'restingECG', 'maxHR', 'exerciseAngina', 'oldpeak', 'stSlope'
+];
+
+// Store the encoded inputs of a scored request, leaving out imputed fields so
+// only values actually provided count towards drift. Never delays or fails
+// scoring.
+function recordInput(data, imputedFields = []) {
+  const input = {};
+  MONITORED_FIELDS
+    .filter(field => !imputedFields.includes(field))
+    .forEach((field) => { input[field] = data[field]; });
+
+  ModelInput.create(input).catch((error) => {
+    console.error('Drift input record error:', error.message);
+  });
+}
+
+// Population stability index between expected and observed bin shares
+function populationStabilityIndex(expected, observed) {
+  return expected.reduce((sum, share, i) => {
+    const e = Math.max(share, PSI_EPSILON);
+    const o = Math.max(observed[i], PSI_EPSILON);
+    return sum + (o - e) * Math.log(o / e);
+  }, 0);
+}
+
+// Share of values in each training bin: bin i holds values above edge i-1
+// and at most edge i (the binning used by feature_distribution in ml/predict.py)
+function binShares(values, edges) {
+  const counts = new Array(edges.length + 1).fill(0);
+  values.forEach((value) => {
+    counts[edges.filter(edge => edge < value).length]++;
+  });
+  return counts.map(count => count / values.length);
+}
+
+// Largest gap between the training and observed cumulative shares at the bin
+// edges: a Kolmogorov-Smirnov statistic on the binned distributions
+function binnedKsStatistic(expected, observed) {
+  let expectedCdf = 0;
+  let observedCdf = 0;
+  let statistic = 0;
+  for (let i = 0; i < expected.length; i++) {
+    expectedCdf += expected[i];
+    observedCdf += observed[i];
+    statistic = Math.max(statistic, Math.abs(expectedCdf - observedCdf));
+  }
+  return statistic;
+}
+
+function psiStatus(psi) {
+  if (psi >= PSI_SIGNIFICANT) return 'significant';
+  if (psi >= PSI_MODERATE) return 'moderate';
+  return 'stable';
+}
+
+// Compare one feature of the window against its training distribution
+function compareFeature(feature, reference, values) {
+  const mean = values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  let comparison;
+
+  if (reference.type === 'categorical') {
+    // Encoded values never seen in training count as their own bins
+    const categories = Object.keys(reference.frequencies);
+    values.forEach((value) => {
+      if (!categories.includes(String(value))) {
+        categories.push(String(value));
+      }
+    });
+    const observed = categories.map(category =>
+      values.filter(v => String(v) === category).length / (values.length || 1));
+
+    comparison = {
+      psi: populationStabilityIndex(categories.map(c => reference.frequencies[c] || 0), observed),
+      ks: null,
+      expected: reference.frequencies,
+      observed: categories.reduce((frequencies, category, i) => {
+        frequencies[category] = observed[i];
+        return frequencies;
+      }, {})
+    };
+  } else {
+    const observed = values.length ? binShares(values, reference.edges) : reference.proportions.map(() => 0);
+    comparison = {
+      psi: populationStabilityIndex(reference.proportions, observed),
+      ks: binnedKsStatistic(reference.proportions, observed),
+      edges: reference.edges,
+      expected: reference.proportions,
+      observed
+    };
+  }
+
+  const enoughData = values.length >= DRIFT_MIN_SAMPLES;
+  return Object.assign({
+    feature,
+    type: reference.type,
+    status: enoughData ? psiStatus(comparison.psi) : 'insufficient_data',
+    drift: enoughData && comparison.psi >= PSI_SIGNIFICANT,
+    samples: values.length,
+    mean
+  }, comparison);
+}
+
+// Build the per-feature drift report for the most recent scored inputs.
+// `distribution` is the training distribution of the model being served
+// (null when the model was trained before distributions were recorded).
+async function buildDriftReport(distribution, options = {}) {
+  const windowSize = options.windowSize || DRIFT_WINDOW_SIZE;
+  const inputs = await ModelInput.find()
+    .sort({ createdAt: -1 })
+    .limit(windowSize)
+    .lean();
+
+  const report = {
+    window: {
+      size: inputs.length,
+      capacity: windowSize,
+      from: inputs.length ? inputs[inputs.length - 1].createdAt : null,
+      to: inputs.length ? inputs[0].createdAt : null,
+      minSamples: DRIFT_MIN_SAMPLES
+    },
+    thresholds: {
+      psiModerate: PSI_MODERATE,
+      psiSignificant: PSI_SIGNIFICANT
+    }
+  };
+
+  if (!distribution) {
+    return Object.assign(report, {
+      error: 'The serving model has no recorded training distribution; retrain it to enable drift monitoring',
+      features: [],
+      drifted: []
+    });
+  }
+
+  const features = Object.keys(distribution).map(feature => compareFeature(
+    feature,
+    distribution[feature],
+    inputs.map(input => input[feature]).filter(value => typeof value === 'number')
+  ));
+
+  return Object.assign(report, {
+    features,
+    drifted: features.filter(f => f.drift).map(f => f.feature)
+  });
+}
+
+module.exports = {
+  recordInput,
+  buildDriftReport,
+  populationStabilityIndex,
+  DRIFT_WINDOW_SIZE
+};
@@ -0,0 +1,178 @@
+const {
+  predictWithMethod,
+  validatePredictionData,
+  encodePredictionData,
+  coercePredictionInput
+} = require('./mlPredictor');
+const { getRiskBands } = require('./riskPolicy');
+
+// Parse an outcome label (1/0, true/false, yes/no) into 1, 0 or null
+function parseOutcome(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y'].includes(text)) return 1;
+  if (['0', 'false', 'no', 'n'].includes(text)) return 0;
+  return null;
+}
+
+// Area under the ROC curve via the rank-sum (Mann-Whitney) statistic, ties averaged
+function rocAuc(labels, scores) {
+  const items = scores.map((score, i) => ({ score, label: labels[i] }))
+    .sort((a, b) => a.score - b.score);
+  const positives = labels.filter(l => l === 1).length;
+  const negatives = labels.length - positives;
+
+  if (positives === 0 || negatives === 0) {
+    return null;
+  }
+
+  let rankSum = 0;
+  let i = 0;
+  while (i < items.length) {
+    let j = i;
+    while (j + 1 < items.length && items[j + 1].score === items[i].score) {
+      j++;
+    }
+    const averageRank = (i + j + 2) / 2;
+    for (let k = i; k <= j; k++) {
+      if (items[k].label === 1) {
+        rankSum += averageRank;
+      }
+    }
+    i = j + 1;
+  }
+
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+// Mean squared error between predicted probability and outcome
+function brierScore(labels, scores) {
+  if (labels.length === 0) {
+    return null;
+  }
+  const total = scores.reduce((sum, score, i) => sum + Math.pow(score - labels[i], 2), 0);
+  return total / labels.length;
+}
+
+// Divide two counts, returning null instead of NaN for an empty denominator
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+// Confusion matrix treating scores at or above the threshold as positive calls
+function confusionMatrix(labels, scores, threshold) {
+  let tp = 0;
+  let fp = 0;
+  let tn = 0;
+  let fn = 0;
+
+  scores.forEach((score, i) => {
+    const predicted = score >= threshold;
+    if (predicted && labels[i] === 1) tp++;
+    else if (predicted) fp++;
+    else if (labels[i] === 1) fn++;
+    else tn++;
+  });
+
+  return {
+    threshold,
+    tp,
+    fp,
+    tn,
+    fn,
+    sensitivity: ratio(tp, tp + fn),
+    specificity: ratio(tn, tn + fp),
+    ppv: ratio(tp, tp + fp),
+    npv: ratio(tn, tn + fn),
+    accuracy: ratio(tp + tn, labels.length)
+  };
+}
+
+// Reliability table: mean predicted vs observed event rate per probability bin
+function calibrationTable(labels, scores, bins = 10) {
+  const table = [];
+  for (let b = 0; b < bins; b++) {
+    const lower = b / bins;
+    const upper = (b + 1) / bins;
+    const members = [];
+    scores.forEach((score, i) => {
+      // The last bin is closed so a probability of exactly 1 is counted
+      if (score >= lower && (score < upper || (b === bins - 1 && score <= upper))) {
+        members.push(i);
+      }
+    });
+
+    table.push({
+      bin: `${lower.toFixed(1)}-${upper.toFixed(1)}`,
+      count: members.length,
+      meanPredicted: members.length
+        ? members.reduce((sum, i) => sum + scores[i], 0) / members.length
+        : null,
+      observedRate: members.length
+        ? members.reduce((sum, i) => sum + labels[i], 0) / members.length
+        : null
+    });
+  }
+  return table;
+}
+
+// Build the full metric report for a set of labelled scores
+function buildReport(labels, scores) {
+  return {
+    samples: labels.length,
+    positives: labels.filter(l => l === 1).length,
+    rocAuc: rocAuc(labels, scores),
+    brierScore: brierScore(labels, scores),
+    // One matrix per band boundary of the active risk policy
+    confusionMatrices: getRiskBands().slice(1).map(band => Object.assign(
+      { riskLevel: band.label },
+      confusionMatrix(labels, scores, band.minProbability)
+    )),
+    calibration: calibrationTable(labels, scores)
+  };
+}
+
+// Score labelled rows with the given method and report its performance.
+// Rows use the API input format plus an `outcome` column.
+async function evaluateDataset(rows, method) {
+  const labels = [];
+  const scores = [];
+  const skipped = [];
+  const methodsUsed = {};
+
+  for (let i = 0; i < rows.length; i++) {
+    const outcome = parseOutcome(rows[i].outcome);
+    if (outcome === null) {
+      skipped.push({ row: i + 1, error: 'Missing or invalid outcome' });
+      continue;
+    }
+
+    const predictionData = encodePredictionData(coercePredictionInput(rows[i]));
+    const validation = validatePredictionData(predictionData);
+    if (!validation.valid) {
+      skipped.push({ row: i + 1, error: validation.error });
+      continue;
+    }
+
+    const result = await predictWithMethod(method, predictionData);
+    if (!result.success) {
+      skipped.push({ row: i + 1, error: result.error || 'Prediction failed' });
+      continue;
+    }
+
+    methodsUsed[result.method] = (methodsUsed[result.method] || 0) + 1;
+    labels.push(outcome);
+    scores.push(result.prediction);
+  }
+
+  return Object.assign({ method, methodsUsed }, buildReport(labels, scores), { skipped });
+}
+
+module.exports = {
+  parseOutcome,
+  rocAuc,
+  brierScore,
+  confusionMatrix,
+  calibrationTable,
+  buildReport,
+  evaluateDataset
+};
@@ -0,0 +1,153 @@
+const { confusionMatrix, calibrationTable, brierScore } = require('./evaluation');
+const { getRiskBands, getRiskLevel, getRiskLevelLabels } = require('./riskPolicy');
+
+// Age groups used across patient and prediction statistics: upper bounds (exclusive)
+const AGE_GROUPS = [
+  { label: '18-29', maxAge: 30 },
+  { label: '30-49', maxAge: 50 },
+  { label: '50-69', maxAge: 70 },
+  { label: '70+', maxAge: Infinity }
+];
+
+// Calibration bins per subgroup; fewer than the overall report as subgroups are smaller
+const SUBGROUP_CALIBRATION_BINS = 5;
+
+// Observed minus mean predicted event rate beyond which a subgroup is flagged
+const CALIBRATION_GAP_THRESHOLD = 0.1;
+
+function ageGroup(age) {
+  return AGE_GROUPS.find(group => age < group.maxAge).label;
+}
+
+// Aggregation expression mapping an age field to its group label
+function ageGroupExpression(field = '$age') {
+  return AGE_GROUPS.slice(0, -1).reduceRight((otherwise, group) => ({
+    $cond: [{ $lt: [field, group.maxAge] }, group.label, otherwise]
+  }), AGE_GROUPS[AGE_GROUPS.length - 1].label);
+}
+
+// Subgroup dimensions: how to read each one from a prediction
+const DIMENSIONS = {
+  sex: prediction => prediction.sex,
+  ageGroup: prediction => ageGroup(prediction.age),
+  gender: prediction => (prediction.patient ? prediction.patient.gender : undefined)
+};
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Risk distribution and, where outcomes exist, calibration and
+// sensitivity/specificity for one subgroup
+function summarizeGroup(predictions, minSamples) {
+  const scores = predictions.map(p => p.prediction);
+  const riskLevels = {};
+  getRiskLevelLabels().forEach((label) => {
+    riskLevels[label] = 0;
+  });
+  predictions.forEach((p) => {
+    riskLevels[getRiskLevel(p.prediction, { age: p.age, sex: p.sex })]++;
+  });
+
+  const summary = {
+    count: predictions.length,
+    meanPredicted: mean(scores),
+    riskLevels
+  };
+
+  const labelled = predictions.filter(p => p.outcome && p.outcome.eventType);
+  if (labelled.length === 0) {
+    return Object.assign(summary, { outcomes: null });
+  }
+
+  const labels = labelled.map(p => (p.outcome.eventType === 'none' ? 0 : 1));
+  const labelledScores = labelled.map(p => p.prediction);
+  const observedRate = mean(labels);
+  const expectedRate = mean(labelledScores);
+  const calibrationGap = observedRate - expectedRate;
+  const sufficient = labelled.length >= minSamples;
+
+  summary.outcomes = {
+    samples: labelled.length,
+    events: labels.filter(l => l === 1).length,
+    observedRate,
+    meanPredicted: expectedRate,
+    // Positive when the scores under-call events in this group, negative when they over-call
+    calibrationGap,
+    observedToExpected: expectedRate > 0 ? observedRate / expectedRate : null,
+    brierScore: brierScore(labels, labelledScores),
+    // One matrix per band boundary of the active risk policy
+    confusionMatrices: getRiskBands().slice(1).map(band => Object.assign(
+      { riskLevel: band.label },
+      confusionMatrix(labels, labelledScores, band.minProbability)
+    )),
+    calibration: calibrationTable(labels, labelledScores, SUBGROUP_CALIBRATION_BINS),
+    sufficientData: sufficient,
+    miscalibrated: sufficient && Math.abs(calibrationGap) >= CALIBRATION_GAP_THRESHOLD
+  };
+  return summary;
+}
+
+// Largest between-group difference in each metric, over groups with enough outcomes
+function disparities(groups) {
+  const eligible = Object.keys(groups)
+    .filter(name => groups[name].outcomes && groups[name].outcomes.sufficientData);
+  if (eligible.length < 2) {
+    return null;
+  }
+
+  const range = (values) => {
+    const present = values.filter(value => value !== null);
+    return present.length >= 2 ? Math.max(...present) - Math.min(...present) : null;
+  };
+
+  return {
+    groups: eligible,
+    calibrationGap: range(eligible.map(name => groups[name].outcomes.calibrationGap)),
+    byThreshold: getRiskBands().slice(1).map((band, i) => ({
+      riskLevel: band.label,
+      sensitivity: range(eligible.map(name => groups[name].outcomes.confusionMatrices[i].sensitivity)),
+      specificity: range(eligible.map(name => groups[name].outcomes.confusionMatrices[i].specificity))
+    }))
+  };
+}
+
+// Break predictions down by sex, age group and patient gender. Predictions
+// need prediction, age, sex, outcome.eventType and patient.gender.
+function buildFairnessReport(predictions, options = {}) {
+  const minSamples = options.minSamples || 30;
+  const report = {
+    total: predictions.length,
+    labelled: predictions.filter(p => p.outcome && p.outcome.eventType).length,
+    minSamples,
+    overall: summarizeGroup(predictions, minSamples),
+    dimensions: {}
+  };
+
+  Object.keys(DIMENSIONS).forEach((dimension) => {
+    const members = {};
+    predictions.forEach((prediction) => {
+      const group = DIMENSIONS[dimension](prediction) || 'unknown';
+      (members[group] = members[group] || []).push(prediction);
+    });
+
+    const groups = {};
+    Object.keys(members).sort().forEach((group) => {
+      groups[group] = summarizeGroup(members[group], minSamples);
+    });
+
+    report.dimensions[dimension] = {
+      groups,
+      disparities: disparities(groups)
+    };
+  });
+
+  return report;
+}
+
+module.exports = {
+  AGE_GROUPS,
+  ageGroup,
+  ageGroupExpression,
+  buildFairnessReport
+};
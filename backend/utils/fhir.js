@@ -0,0 +1,582 @@
+const Patient = require('../models/Patient');
+const Observation = require('../models/Observation');
+const { OBSERVATION_TYPES, canonicalValue, validateObservation } = require('./observations');
+const { canAccessPatient } = require('./access');
+const { PATIENT_FIELDS, diffFields, recordPatientEvent } = require('./timeline');
+
+// Namespace of the identifiers and code systems this API defines
+const SYSTEM_BASE = process.env.FHIR_SYSTEM_BASE || 'urn:heart-failure-prediction';
+
+const SYSTEMS = {
+  patientId: `${SYSTEM_BASE}:patient-id`,
+  observation: `${SYSTEM_BASE}:observation`,
+  riskLevel: `${SYSTEM_BASE}:risk-level`,
+  method: `${SYSTEM_BASE}:method`,
+  ageExtension: `${SYSTEM_BASE}:patient-age`
+};
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+
+// Codes for prediction inputs and observation types. Every type has a local
+// code; LOINC codes are added where one matches the measurement.
+const OBSERVATION_CODES = {
+  restingBP: { display: 'Systolic blood pressure', loinc: '8480-6' },
+  cholesterol: { display: 'Cholesterol [Mass/volume] in Serum or Plasma', loinc: '2093-3' },
+  glucose: { display: 'Fasting glucose [Mass/volume] in Serum or Plasma', loinc: '1558-6' },
+  heartRate: { display: 'Heart rate', loinc: '8867-4' },
+  bmi: { display: 'Body mass index', loinc: '39156-5' },
+  ejectionFraction: { display: 'Left ventricular ejection fraction', loinc: '10230-1' },
+  creatinine: { display: 'Creatinine [Moles/volume] in Serum or Plasma', loinc: '14682-9' },
+  maxHR: { display: 'Maximum heart rate achieved' },
+  oldpeak: { display: 'Exercise-induced ST depression' },
+  fastingBS: { display: 'Fasting blood sugar above 120 mg/dL' },
+  chestPainType: { display: 'Chest pain type' },
+  restingECG: { display: 'Resting ECG result' },
+  exerciseAngina: { display: 'Exercise-induced angina' },
+  stSlope: { display: 'Slope of peak exercise ST segment' },
+  nyhaClass: { display: 'NYHA functional class' }
+};
+
+// Units of measure used in this API and their UCUM codes
+const UCUM_UNITS = {
+  mmHg: 'mm[Hg]',
+  bpm: '/min',
+  'mg/dL': 'mg/dL',
+  'mmol/L': 'mmol/L',
+  '%': '%',
+  'µmol/L': 'umol/L',
+  'kg/m²': 'kg/m2',
+  mm: 'mm',
+  class: '{class}'
+};
+
+// Prediction inputs exported as Observations, with the unit they are stored in
+const PREDICTION_INPUTS = {
+  restingBP: 'mmHg',
+  cholesterol: 'mg/dL',
+  fastingBS: null,
+  maxHR: 'bpm',
+  oldpeak: 'mm',
+  chestPainType: null,
+  restingECG: null,
+  exerciseAngina: null,
+  stSlope: null
+};
+
+function reference(type, id) {
+  return { reference: `${type}/${id}` };
+}
+
+function codeFor(type) {
+  const definition = OBSERVATION_CODES[type];
+  const coding = [{ system: SYSTEMS.observation, code: type, display: definition.display }];
+  if (definition.loinc) {
+    coding.push({ system: LOINC, code: definition.loinc, display: definition.display });
+  }
+  return { coding, text: definition.display };
+}
+
+// value[x] of an Observation for a value of the given kind and unit
+function observationValue(value, unit) {
+  if (typeof value === 'boolean') {
+    return { valueBoolean: value };
+  }
+  if (typeof value === 'string') {
+    return { valueCodeableConcept: { text: value } };
+  }
+  const quantity = { value };
+  if (unit) {
+    quantity.unit = unit;
+    if (UCUM_UNITS[unit]) {
+      quantity.system = UCUM;
+      quantity.code = UCUM_UNITS[unit];
+    }
+  }
+  return { valueQuantity: quantity };
+}
+
+function buildObservation({ id, type, patientId, value, unit, effective, issued, note }) {
+  const resource = Object.assign({
+    resourceType: 'Observation',
+    id,
+    status: 'final',
+    code: codeFor(type),
+    subject: reference('Patient', patientId),
+    effectiveDateTime: new Date(effective).toISOString()
+  }, observationValue(value, unit));
+
+  if (issued) resource.issued = new Date(issued).toISOString();
+  if (note) resource.note = [{ text: note }];
+  return resource;
+}
+
+// Split a full name into FHIR given names and family name (last word)
+function humanName(name) {
+  const parts = name.trim().split(/\s+/);
+  const result = { use: 'official', text: name };
+  if (parts.length > 1) {
+    result.family = parts[parts.length - 1];
+    result.given = parts.slice(0, -1);
+  } else {
+    result.given = parts;
+  }
+  return result;
+}
+
+// Patient document as a FHIR Patient; age is carried in an extension as the
+// record has no birth date
+function patientToFhir(record) {
+  const patient = record.toObject ? record.toObject() : record;
+  const resource = {
+    resourceType: 'Patient',
+    id: patient._id.toString(),
+    meta: { lastUpdated: new Date(patient.updatedAt || Date.now()).toISOString() },
+    identifier: [{ use: 'usual', system: SYSTEMS.patientId, value: patient.patientId }],
+    active: patient.isActive !== false,
+    name: [humanName(patient.name)],
+    gender: patient.gender,
+    extension: [{
+      url: SYSTEMS.ageExtension,
+      valueAge: { value: patient.age, unit: 'years', system: UCUM, code: 'a' }
+    }]
+  };
+
+  const telecom = [];
+  if (patient.phone) telecom.push({ system: 'phone', value: patient.phone });
+  if (patient.email) telecom.push({ system: 'email', value: patient.email });
+  if (telecom.length) resource.telecom = telecom;
+
+  const address = patient.address || {};
+  if (Object.values(address).some(Boolean)) {
+    resource.address = [{
+      use: 'home',
+      line: address.street ? [address.street] : undefined,
+      city: address.city,
+      state: address.state,
+      postalCode: address.zipCode,
+      country: address.country
+    }];
+  }
+
+  const contact = patient.emergencyContact || {};
+  if (contact.name || contact.phone) {
+    resource.contact = [{
+      relationship: [{
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0131', code: 'C', display: 'Emergency Contact' }],
+        text: contact.relationship
+      }],
+      name: contact.name ? { text: contact.name } : undefined,
+      telecom: contact.phone ? [{ system: 'phone', value: contact.phone }] : undefined
+    }];
+  }
+
+  return JSON.parse(JSON.stringify(resource));
+}
+
+// A patient's recorded allergies as AllergyIntolerance resources
+function allergiesToFhir(record) {
+  const patient = record.toObject ? record.toObject() : record;
+  const allergies = (patient.medicalHistory && patient.medicalHistory.allergies) || [];
+  return allergies.map((allergy, index) => ({
+    resourceType: 'AllergyIntolerance',
+    id: `${patient._id}-allergy-${index + 1}`,
+    clinicalStatus: {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }]
+    },
+    code: { text: allergy },
+    patient: reference('Patient', patient._id)
+  }));
+}
+
+// Stored observation (see models/Observation) as a FHIR Observation, in canonical units
+function observationToFhir(observation) {
+  const definition = OBSERVATION_TYPES[observation.type] || {};
+  return buildObservation({
+    id: observation._id.toString(),
+    type: observation.type,
+    patientId: observation.patient._id || observation.patient,
+    value: canonicalValue(observation),
+    unit: definition.unit,
+    effective: observation.observedAt,
+    issued: observation.createdAt,
+    note: observation.notes
+  });
+}
+
+// The inputs of a prediction as Observations taken when it was made
+function predictionObservations(prediction) {
+  const patientId = prediction.patient._id || prediction.patient;
+  return Object.keys(PREDICTION_INPUTS)
+    .filter(field => prediction[field] !== undefined && prediction[field] !== null)
+    .map(field => buildObservation({
+      id: `${prediction._id}-${field}`,
+      type: field,
+      patientId,
+      value: field === 'fastingBS' ? prediction[field] === 1 : prediction[field],
+      unit: PREDICTION_INPUTS[field],
+      effective: prediction.createdAt
+    }));
+}
+
+// A prediction as a RiskAssessment of heart failure, based on its input Observations
+function predictionToRiskAssessment(prediction) {
+  const patientId = prediction.patient._id || prediction.patient;
+  const resource = {
+    resourceType: 'RiskAssessment',
+    id: prediction._id.toString(),
+    status: 'final',
+    subject: reference('Patient', patientId),
+    occurrenceDateTime: new Date(prediction.createdAt).toISOString(),
+    method: {
+      coding: [{ system: SYSTEMS.method, code: prediction.method }],
+      text: prediction.modelVersion ? `${prediction.method} ${prediction.modelVersion}` : prediction.method
+    },
+    basis: predictionObservations(prediction).map(observation => reference('Observation', observation.id)),
+    prediction: [{
+      outcome: { text: 'Heart failure' },
+      probabilityDecimal: prediction.prediction,
+      qualitativeRisk: {
+        coding: [{ system: SYSTEMS.riskLevel, code: prediction.riskLevel }],
+        text: prediction.riskLevel
+      }
+    }]
+  };
+
+  if (prediction.recommendations && prediction.recommendations.length) {
+    resource.mitigation = prediction.recommendations.join('\n');
+  }
+  if (prediction.notes) {
+    resource.note = [{ text: prediction.notes }];
+  }
+  return resource;
+}
+
+function bundleEntry(baseUrl, resource) {
+  return { fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`, resource };
+}
+
+// Patient compartment as a searchset Bundle, in the style of Patient/$everything
+function everythingBundle(baseUrl, patient, observations, predictions) {
+  const resources = [patientToFhir(patient)]
+    .concat(allergiesToFhir(patient))
+    .concat(observations.map(observationToFhir));
+
+  predictions.forEach((prediction) => {
+    resources.push(...predictionObservations(prediction), predictionToRiskAssessment(prediction));
+  });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    timestamp: new Date().toISOString(),
+    total: resources.length,
+    entry: resources.map(resource => bundleEntry(baseUrl, resource))
+  };
+}
+
+// Patient fields from a FHIR Patient; returns { fields } or { error }
+function fhirPatientToFields(resource) {
+  const fields = {};
+
+  const name = (resource.name || [])[0];
+  if (name) {
+    fields.name = name.text || [].concat(name.given || [], name.family || []).join(' ').trim();
+  }
+
+  const gender = resource.gender;
+  if (gender && !['male', 'female', 'other'].includes(gender)) {
+    return { error: `Unsupported gender: ${gender}` };
+  }
+  fields.gender = gender;
+
+  const ageExtension = (resource.extension || []).find(extension => extension.url === SYSTEMS.ageExtension);
+  if (ageExtension && ageExtension.valueAge) {
+    fields.age = ageExtension.valueAge.value;
+  } else if (resource.birthDate) {
+    const birth = new Date(resource.birthDate);
+    const now = new Date();
+    let age = now.getUTCFullYear() - birth.getUTCFullYear();
+    if (now.getUTCMonth() < birth.getUTCMonth() ||
+        (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() < birth.getUTCDate())) {
+      age--;
+    }
+    fields.age = age;
+  }
+
+  const identifiers = resource.identifier || [];
+  const identifier = identifiers.find(id => id.system === SYSTEMS.patientId) || identifiers[0];
+  if (identifier && identifier.value) {
+    fields.patientId = identifier.value;
+  }
+
+  (resource.telecom || []).forEach((telecom) => {
+    if (telecom.system === 'email' && !fields.email) fields.email = telecom.value;
+    if (telecom.system === 'phone' && !fields.phone) fields.phone = telecom.value;
+  });
+
+  const address = (resource.address || [])[0];
+  if (address) {
+    fields.address = {
+      street: (address.line || []).join(', ') || undefined,
+      city: address.city,
+      state: address.state,
+      zipCode: address.postalCode,
+      country: address.country
+    };
+  }
+
+  const contact = (resource.contact || [])[0];
+  if (contact) {
+    const relationship = (contact.relationship || [])[0];
+    const phone = (contact.telecom || []).find(telecom => telecom.system === 'phone');
+    fields.emergencyContact = {
+      name: contact.name ? contact.name.text || [].concat(contact.name.given || [], contact.name.family || []).join(' ') : undefined,
+      relationship: relationship ? relationship.text || ((relationship.coding || [])[0] || {}).display : undefined,
+      phone: phone ? phone.value : undefined
+    };
+  }
+
+  if (resource.active === false) {
+    fields.isActive = false;
+  }
+
+  return { fields: JSON.parse(JSON.stringify(fields)) };
+}
+
+// Observation type of a FHIR code, by local code or LOINC code
+function observationType(code) {
+  const codings = (code && code.coding) || [];
+  for (const coding of codings) {
+    if (coding.system === SYSTEMS.observation && OBSERVATION_TYPES[coding.code]) {
+      return coding.code;
+    }
+    if (coding.system === LOINC) {
+      const type = Object.keys(OBSERVATION_CODES)
+        .find(key => OBSERVATION_CODES[key].loinc === coding.code && OBSERVATION_TYPES[key]);
+      if (type) return type;
+    }
+  }
+  return null;
+}
+
+// Observation fields from a FHIR Observation; returns { fields } or { error }
+function fhirObservationToFields(resource) {
+  const type = observationType(resource.code);
+  if (!type) {
+    return { error: 'Unsupported observation code' };
+  }
+
+  let value;
+  let unit;
+  if (resource.valueQuantity) {
+    value = resource.valueQuantity.value;
+    const ucum = resource.valueQuantity.code || resource.valueQuantity.unit;
+    unit = Object.keys(UCUM_UNITS).find(key => UCUM_UNITS[key] === ucum || key === ucum);
+    if (ucum && !unit) {
+      return { error: `Unsupported unit for ${type}: ${ucum}` };
+    }
+    // Ordinal types have no unit of measure
+    if (OBSERVATION_TYPES[type].unit === 'class') unit = 'class';
+  } else if (resource.valueBoolean !== undefined) {
+    value = resource.valueBoolean;
+  } else if (resource.valueCodeableConcept) {
+    const concept = resource.valueCodeableConcept;
+    value = concept.text || ((concept.coding || [])[0] || {}).code;
+  } else if (resource.valueString !== undefined) {
+    value = resource.valueString;
+  }
+
+  const invalid = validateObservation({ type, value, unit });
+  if (invalid) {
+    return { error: invalid };
+  }
+
+  const observedAt = resource.effectiveDateTime || (resource.effectivePeriod || {}).start || resource.issued;
+  return {
+    fields: {
+      type,
+      value,
+      unit: unit || OBSERVATION_TYPES[type].unit,
+      observedAt: observedAt ? new Date(observedAt) : new Date(),
+      notes: (resource.note || []).map(note => note.text).join('\n') || undefined
+    }
+  };
+}
+
+function outcome(severity, diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity, code: severity === 'error' ? 'processing' : 'informational', diagnostics }]
+  };
+}
+
+function entryResponse(status, location, message) {
+  const response = { status };
+  if (location) response.location = location;
+  if (message) response.outcome = outcome('error', message);
+  return { response };
+}
+
+// Import the Patient, AllergyIntolerance and Observation entries of a Bundle.
+// Patients are matched to existing records by identifier, then email, and
+// updated; others are created. Entries are processed independently (not as
+// an atomic transaction) and the result is a batch-response Bundle with one
+// entry per input entry.
+async function importBundle(bundle, user) {
+  const entries = bundle.entry || [];
+  const responses = new Array(entries.length);
+  const patientsByReference = new Map();
+
+  // Allergies are stored on the patient record, so collect them first
+  const allergiesByReference = new Map();
+  entries.forEach((entry, index) => {
+    const resource = entry.resource || {};
+    if (resource.resourceType !== 'AllergyIntolerance') return;
+    const text = resource.code && (resource.code.text || ((resource.code.coding || [])[0] || {}).display);
+    const ref = resource.patient && resource.patient.reference;
+    if (!text || !ref) {
+      responses[index] = entryResponse('400 Bad Request', null, 'AllergyIntolerance needs code text and a patient reference');
+      return;
+    }
+    allergiesByReference.set(ref, (allergiesByReference.get(ref) || []).concat({ index, text }));
+  });
+
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const resource = entry.resource || {};
+    if (resource.resourceType !== 'Patient') continue;
+
+    const { fields, error } = fhirPatientToFields(resource);
+    if (error) {
+      responses[index] = entryResponse('400 Bad Request', null, error);
+      continue;
+    }
+
+    const references = [entry.fullUrl, resource.id && `Patient/${resource.id}`].filter(Boolean);
+    const allergies = references.reduce((all, ref) => all.concat(allergiesByReference.get(ref) || []), []);
+
+    let patient = null;
+    if (fields.patientId) {
+      patient = await Patient.findOne({ patientId: fields.patientId });
+    }
+    if (!patient && fields.email) {
+      patient = await Patient.findOne({ email: fields.email.toLowerCase() });
+    }
+
+    let status = '200 OK';
+    let before = null;
+    if (patient) {
+      if (!(await canAccessPatient(user, patient, 'write'))) {
+        responses[index] = entryResponse('403 Forbidden', null, 'Access denied');
+        continue;
+      }
+      // The stored patientId is kept; it may have been matched by email
+      delete fields.patientId;
+      before = patient.toObject();
+      patient.set(fields);
+    } else {
+      patient = new Patient(Object.assign(fields, { createdBy: user.id }));
+      status = '201 Created';
+    }
+
+    if (allergies.length) {
+      const known = (patient.medicalHistory && patient.medicalHistory.allergies) || [];
+      const added = allergies.map(allergy => allergy.text).filter(text => !known.includes(text));
+      patient.set('medicalHistory.allergies', known.concat(added));
+    }
+
+    try {
+      await patient.save();
+    } catch (saveError) {
+      // Validation failures and a patientId taken since the lookup reject this entry only
+      if (saveError.name !== 'ValidationError' && saveError.code !== 11000) throw saveError;
+      responses[index] = entryResponse('400 Bad Request', null,
+        saveError.code === 11000 ? 'Patient identifier already in use' : saveError.message);
+      allergies.forEach((allergy) => {
+        responses[allergy.index] = entryResponse('400 Bad Request', null, 'Patient could not be imported');
+      });
+      continue;
+    }
+
+    if (before) {
+      const changes = diffFields(before, patient.toObject(), PATIENT_FIELDS);
+      if (changes.length) {
+        await recordPatientEvent({
+          patient: patient._id,
+          type: 'patient_updated',
+          changes,
+          source: 'fhir_import',
+          actor: user.id
+        });
+      }
+    }
+
+    references.forEach(ref => patientsByReference.set(ref, patient));
+    responses[index] = entryResponse(status, `Patient/${patient._id}`);
+    allergies.forEach((allergy) => {
+      responses[allergy.index] = entryResponse('200 OK', `Patient/${patient._id}`);
+    });
+  }
+
+  for (let index = 0; index < entries.length; index++) {
+    const resource = entries[index].resource || {};
+    if (resource.resourceType !== 'Observation') continue;
+
+    const ref = resource.subject && resource.subject.reference;
+    let patient = ref ? patientsByReference.get(ref) : null;
+    if (!patient && ref && /^Patient\/[0-9a-f]{24}$/i.test(ref)) {
+      patient = await Patient.findOne({ _id: ref.split('/')[1], isActive: true });
+      if (patient && !(await canAccessPatient(user, patient, 'write'))) {
+        responses[index] = entryResponse('403 Forbidden', null, 'Access denied');
+        continue;
+      }
+    }
+    if (!patient) {
+      responses[index] = entryResponse('404 Not Found', null, `Subject not found: ${ref || 'none'}`);
+      continue;
+    }
+
+    const { fields, error } = fhirObservationToFields(resource);
+    if (error) {
+      responses[index] = entryResponse('400 Bad Request', null, error);
+      continue;
+    }
+
+    const observation = await Observation.create(Object.assign(fields, {
+      patient: patient._id,
+      source: 'ehr',
+      recordedBy: user.id
+    }));
+    responses[index] = entryResponse('201 Created', `Observation/${observation._id}`);
+  }
+
+  entries.forEach((entry, index) => {
+    if (!responses[index]) {
+      const type = (entry.resource || {}).resourceType || 'unknown';
+      responses[index] = entryResponse('422 Unprocessable Entity', null, `Unsupported resource type: ${type}`);
+    }
+  });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'batch-response',
+    timestamp: new Date().toISOString(),
+    entry: responses
+  };
+}
+
+module.exports = {
+  SYSTEMS,
+  OBSERVATION_CODES,
+  outcome,
+  patientToFhir,
+  allergiesToFhir,
+  observationToFhir,
+  predictionObservations,
+  predictionToRiskAssessment,
+  everythingBundle,
+  fhirPatientToFields,
+  fhirObservationToFields,
+  importBundle
+};
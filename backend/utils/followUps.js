@@ -0,0 +1,291 @@
+const http = require('http');
+const https = require('https');
+const FollowUp = require('../models/FollowUp');
+const { getFollowUpDays, getRiskLevel } = require('./riskPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminders go out this many days before a follow-up is due
+const REMINDER_LEAD_DAYS = parseInt(process.env.FOLLOW_UP_REMINDER_LEAD_DAYS) || 1;
+
+// Overdue follow-ups are reminded again after this many hours
+const REMINDER_REPEAT_HOURS = parseInt(process.env.FOLLOW_UP_REMINDER_REPEAT_HOURS) || 24;
+
+// How often the reminder job runs
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.FOLLOW_UP_REMINDER_INTERVAL_MINUTES) || 60;
+
+// A reminder webhook that has not answered within this many milliseconds
+// counts as a failed reminder
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.FOLLOW_UP_WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Due date suggested by the risk policy for a prediction, or null when its
+// band has no follow-up interval
+function suggestFollowUpDate(prediction, from = new Date()) {
+  const context = { age: prediction.age, sex: prediction.sex };
+  // Unsaved predictions get their band when validated
+  const riskLevel = prediction.riskLevel || getRiskLevel(prediction.prediction, context);
+  const days = getFollowUpDays(riskLevel, context);
+  return days ? new Date(from.getTime() + days * DAY_MS) : null;
+}
+
+// Schedule the follow-up of a saved prediction with a followUpDate. The
+// patient's earlier scheduled follow-ups are superseded by it.
+async function scheduleFollowUp(prediction, { source = 'suggested', userId } = {}) {
+  if (!prediction.patient || !prediction.followUpDate) {
+    return null;
+  }
+
+  const patientId = prediction.patient._id || prediction.patient;
+  await FollowUp.updateMany(
+    { patient: patientId, status: 'scheduled', prediction: { $ne: prediction._id } },
+    {
+      $set: { status: 'superseded' },
+      $push: { history: { action: 'superseded', by: userId, at: new Date() } }
+    }
+  );
+
+  return FollowUp.create({
+    patient: patientId,
+    prediction: prediction._id,
+    assignedTo: prediction.createdBy,
+    dueDate: prediction.followUpDate,
+    riskLevel: prediction.riskLevel,
+    source
+  });
+}
+
+// Move a scheduled follow-up to a new due date; reminders start over
+async function rescheduleFollowUp(followUp, dueDate, { note, userId } = {}) {
+  followUp.history.push({ action: 'rescheduled', from: followUp.dueDate, to: dueDate, note, by: userId });
+  followUp.dueDate = dueDate;
+  followUp.lastReminderAt = undefined;
+  followUp.reminderCount = 0;
+  return followUp.save();
+}
+
+// Close a scheduled follow-up as completed or cancelled
+async function closeFollowUp(followUp, action, { note, userId } = {}) {
+  followUp.history.push({ action, note, by: userId });
+  followUp.status = action;
+  if (action === 'completed') {
+    followUp.completedAt = new Date();
+  }
+  return followUp.save();
+}
+
+// Keep a prediction's follow-up in step with a followUpDate edited on the
+// prediction itself. Creates a manual follow-up when none is scheduled.
+async function syncPredictionFollowUp(prediction, userId) {
+  if (!prediction.patient || !prediction.followUpDate) {
+    return null;
+  }
+
+  const followUp = await FollowUp.findOne({ prediction: prediction._id, status: 'scheduled' });
+  if (!followUp) {
+    return FollowUp.create({
+      patient: prediction.patient._id || prediction.patient,
+      prediction: prediction._id,
+      assignedTo: prediction.createdBy,
+      dueDate: prediction.followUpDate,
+      riskLevel: prediction.riskLevel,
+      source: 'manual'
+    });
+  }
+  if (followUp.dueDate.getTime() === prediction.followUpDate.getTime()) {
+    return followUp;
+  }
+  return rescheduleFollowUp(followUp, prediction.followUpDate, { userId });
+}
+
+// Cancel the scheduled follow-ups of a deleted prediction
+async function cancelPredictionFollowUps(predictionId, userId) {
+  await FollowUp.updateMany(
+    { prediction: predictionId, status: 'scheduled' },
+    {
+      $set: { status: 'cancelled' },
+      $push: { history: { action: 'cancelled', note: 'Prediction deleted', by: userId, at: new Date() } }
+    }
+  );
+}
+
+// Notifiers receive { recipient, patient, followUp, overdue } and may return a
+// promise; a thrown error leaves the follow-up to be reminded on the next run.
+
+// Logs record IDs only, so no patient details reach the server logs. Meant
+// for development; opt in with FOLLOW_UP_NOTIFIER=log.
+function logNotifier({ recipient, patient, followUp, overdue }) {
+  console.log(`Follow-up reminder: follow-up ${followUp._id} for patient record ${patient._id} ` +
+    `${overdue ? 'overdue since' : 'due'} ${followUp.dueDate.toISOString().slice(0, 10)}, ` +
+    `assigned to user ${recipient ? recipient._id : 'nobody'}`);
+}
+
+// POST a JSON body, resolving with the response status. Uses http/https
+// rather than fetch, which Node 16 does not have.
+function postJson(url, payload, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const body = JSON.stringify(payload);
+    const request = (target.protocol === 'http:' ? http : https).request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    }, (response) => {
+      response.resume();
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve(response.statusCode);
+      });
+    });
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`Reminder webhook did not answer within ${timeoutMs} ms`));
+    }, timeoutMs);
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+// Posts each reminder as JSON to a URL, e.g. a chat or paging integration.
+// The payload carries IDs alone; a receiver that needs names or contact
+// details fetches them through the authenticated API.
+function webhookNotifier(url) {
+  return async ({ recipient, patient, followUp, overdue }) => {
+    const status = await postJson(url, {
+      followUp: followUp._id,
+      dueDate: followUp.dueDate,
+      riskLevel: followUp.riskLevel,
+      overdue,
+      patient: { id: patient._id, patientId: patient.patientId },
+      recipient: recipient ? { id: recipient._id } : null
+    }, WEBHOOK_TIMEOUT_MS);
+    if (status < 200 || status >= 300) {
+      throw new Error(`Reminder webhook responded with ${status}`);
+    }
+  };
+}
+
+// The webhook when FOLLOW_UP_WEBHOOK_URL is set, else the log notifier when
+// opted in; there is no default, so reminders are off until one is configured
+function configuredNotifier() {
+  if (process.env.FOLLOW_UP_WEBHOOK_URL) {
+    return webhookNotifier(process.env.FOLLOW_UP_WEBHOOK_URL);
+  }
+  return process.env.FOLLOW_UP_NOTIFIER === 'log' ? logNotifier : null;
+}
+
+let notifier = configuredNotifier();
+
+// Replace the notifier used for reminders (e.g. email or SMS delivery)
+function setFollowUpNotifier(fn) {
+  notifier = fn;
+}
+
+function hasFollowUpNotifier() {
+  return Boolean(notifier);
+}
+
+function missingNotifierError() {
+  return new Error('No follow-up notifier configured; set FOLLOW_UP_WEBHOOK_URL, or FOLLOW_UP_NOTIFIER=log for development');
+}
+
+let sending = false;
+
+// Send reminders for scheduled follow-ups due within the lead time that have
+// not been reminded within the repeat interval. Follow-ups of inactive
+// patients are skipped. Returns { sent, failed }, or null when a run is
+// already in progress. Throws when no notifier is configured.
+async function sendFollowUpReminders(now = new Date()) {
+  if (!notifier) {
+    throw missingNotifierError();
+  }
+  if (sending) {
+    return null;
+  }
+  sending = true;
+
+  try {
+    const cursor = FollowUp.find({
+      status: 'scheduled',
+      dueDate: { $lte: new Date(now.getTime() + REMINDER_LEAD_DAYS * DAY_MS) },
+      $or: [
+        { lastReminderAt: null },
+        { lastReminderAt: { $lt: new Date(now.getTime() - REMINDER_REPEAT_HOURS * 60 * 60 * 1000) } }
+      ]
+    })
+      .sort({ dueDate: 1 })
+      .populate('patient', 'name patientId isActive')
+      .populate('assignedTo', 'name email')
+      .cursor();
+
+    let sent = 0;
+    let failed = 0;
+    for (let followUp = await cursor.next(); followUp; followUp = await cursor.next()) {
+      if (!followUp.patient || !followUp.patient.isActive) {
+        continue;
+      }
+      try {
+        await notifier({
+          recipient: followUp.assignedTo,
+          patient: followUp.patient,
+          followUp,
+          overdue: followUp.dueDate < now
+        });
+        await FollowUp.updateOne({ _id: followUp._id }, { lastReminderAt: now, $inc: { reminderCount: 1 } });
+        sent++;
+      } catch (error) {
+        console.error('Follow-up reminder error:', error);
+        failed++;
+      }
+    }
+    return { sent, failed };
+  } finally {
+    sending = false;
+  }
+}
+
+let reminderTimer = null;
+
+// Run the reminder job now and then every REMINDER_INTERVAL_MINUTES. Throws
+// when no notifier is configured.
+function startFollowUpReminders() {
+  if (reminderTimer) {
+    return;
+  }
+  if (!notifier) {
+    throw missingNotifierError();
+  }
+  const run = () => {
+    sendFollowUpReminders()
+      .then((result) => {
+        if (result && (result.sent || result.failed)) {
+          console.log(`⏰ Follow-up reminders: ${result.sent} sent, ${result.failed} failed`);
+        }
+      })
+      .catch((error) => console.error('Follow-up reminder job error:', error));
+  };
+  run();
+  reminderTimer = setInterval(run, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  reminderTimer.unref();
+}
+
+function stopFollowUpReminders() {
+  clearInterval(reminderTimer);
+  reminderTimer = null;
+}
+
+module.exports = {
+  suggestFollowUpDate,
+  scheduleFollowUp,
+  rescheduleFollowUp,
+  closeFollowUp,
+  syncPredictionFollowUp,
+  cancelPredictionFollowUps,
+  logNotifier,
+  webhookNotifier,
+  setFollowUpNotifier,
+  hasFollowUpNotifier,
+  sendFollowUpReminders,
+  startFollowUpReminders,
+  stopFollowUpReminders
+};
@@ -0,0 +1,195 @@
+const {
+  PREDICTION_FIELDS,
+  CATEGORY_VALUES,
+  coercePredictionInput,
+  getActiveModel,
+  getTrainingStats
+} = require('./mlPredictor');
+
+// Unit conversion factors to mg/dL
+const CHOLESTEROL_MMOL_TO_MGDL = 38.67;
+const GLUCOSE_MMOL_TO_MGDL = 18.016;
+
+// fastingBS is 1 when fasting glucose is above 120 mg/dL, as in the model's training data
+const FASTING_GLUCOSE_THRESHOLD = 120;
+
+const SUPPORTED_UNITS = ['mg/dL', 'mmol/L'];
+
+// Inputs that are never imputed; demographics are always known at referral
+const REQUIRED_INPUTS = ['age', 'sex'];
+
+// Confidence is multiplied by (1 - penalty) for each imputed input
+const IMPUTED_FIELD_PENALTY = 0.1;
+
+// How each missing input is imputed:
+// - training_mean: mean of the serving model's training data
+// - training_mode: most common value in the serving model's training data
+// - age_predicted: age-predicted maximum heart rate, 208 - 0.7 x age (Tanaka)
+// When the model has no recorded training statistics, training_mean and
+// training_mode use REFERENCE_VALUES instead and are reported as reference_value.
+const IMPUTATION_STRATEGIES = {
+  chestPainType: 'training_mode',
+  restingBP: 'training_mean',
+  cholesterol: 'training_mean',
+  fastingBS: 'training_mode',
+  restingECG: 'training_mode',
+  maxHR: 'age_predicted',
+  exerciseAngina: 'training_mode',
+  oldpeak: 'training_mean',
+  stSlope: 'training_mode'
+};
+
+// Means and most common values of the synthetic training data in ml/predict.py
+const REFERENCE_VALUES = {
+  chestPainType: 'asymptomatic',
+  restingBP: 130,
+  cholesterol: 200,
+  fastingBS: 0,
+  restingECG: 'normal',
+  exerciseAngina: false,
+  oldpeak: 1,
+  stSlope: 'up'
+};
+
+// Decimal places kept for imputed continuous inputs
+const IMPUTED_PRECISION = {
+  restingBP: 0,
+  cholesterol: 0,
+  maxHR: 0,
+  oldpeak: 1
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Convert a model-encoded value back to the API format
+function decodeValue(field, encoded) {
+  if (CATEGORY_VALUES[field]) return CATEGORY_VALUES[field][encoded];
+  if (field === 'exerciseAngina') return encoded === 1;
+  return encoded;
+}
+
+// Most common encoded value of a categorical input in the training data
+function trainingMode(stats, field) {
+  const distribution = stats && stats.distribution && stats.distribution[field];
+  if (!distribution || distribution.type !== 'categorical') {
+    return undefined;
+  }
+  const [mode] = Object.keys(distribution.frequencies)
+    .sort((a, b) => distribution.frequencies[b] - distribution.frequencies[a]);
+  return decodeValue(field, Number(mode));
+}
+
+// Impute one missing input; returns { value, strategy }
+function imputeValue(field, inputs, stats) {
+  const strategy = IMPUTATION_STRATEGIES[field];
+
+  if (strategy === 'age_predicted') {
+    return { value: round(208 - 0.7 * inputs.age, IMPUTED_PRECISION[field]), strategy };
+  }
+
+  let value;
+  if (strategy === 'training_mean' && stats) {
+    value = round(stats.mean[PREDICTION_FIELDS.indexOf(field)], IMPUTED_PRECISION[field]);
+  } else if (strategy === 'training_mode') {
+    value = trainingMode(stats, field);
+  }
+
+  if (value === undefined || Number.isNaN(value)) {
+    return { value: REFERENCE_VALUES[field], strategy: 'reference_value' };
+  }
+  return { value, strategy };
+}
+
+// Normalize API input for scoring: convert units, derive fastingBS from a
+// glucose reading and impute missing inputs. Returns
+// { inputs, provided, imputation } where inputs is complete (API format),
+// provided holds only the values actually supplied (after conversion), and
+// imputation records what was changed; or { error } when age or sex is missing.
+async function normalizePredictionInput(body) {
+  const provided = coercePredictionInput(body);
+  const conversions = [];
+
+  const cholesterolUnit = body.cholesterolUnit || 'mg/dL';
+  if (!SUPPORTED_UNITS.includes(cholesterolUnit)) {
+    return { error: 'Cholesterol unit must be mg/dL or mmol/L' };
+  }
+  if (provided.cholesterol !== undefined && cholesterolUnit === 'mmol/L') {
+    const converted = Math.round(provided.cholesterol * CHOLESTEROL_MMOL_TO_MGDL);
+    conversions.push({
+      field: 'cholesterol',
+      from: { value: provided.cholesterol, unit: 'mmol/L' },
+      to: { value: converted, unit: 'mg/dL' }
+    });
+    provided.cholesterol = converted;
+  }
+
+  // An explicit fastingBS takes precedence over a glucose reading
+  if (provided.fastingBS === undefined && !isBlank(body.glucose)) {
+    const glucoseUnit = body.glucoseUnit || 'mg/dL';
+    if (!SUPPORTED_UNITS.includes(glucoseUnit)) {
+      return { error: 'Glucose unit must be mg/dL or mmol/L' };
+    }
+    const glucose = Number(body.glucose);
+    if (Number.isNaN(glucose)) {
+      return { error: 'Glucose must be a number' };
+    }
+    const milligrams = glucoseUnit === 'mmol/L' ? glucose * GLUCOSE_MMOL_TO_MGDL : glucose;
+    provided.fastingBS = milligrams > FASTING_GLUCOSE_THRESHOLD ? 1 : 0;
+    conversions.push({
+      field: 'fastingBS',
+      from: { value: glucose, unit: `glucose ${glucoseUnit}` },
+      to: { value: provided.fastingBS, unit: `fasting glucose > ${FASTING_GLUCOSE_THRESHOLD} mg/dL` }
+    });
+  }
+
+  for (const field of REQUIRED_INPUTS) {
+    if (provided[field] === undefined) {
+      return { error: `Missing required field: ${field}` };
+    }
+  }
+
+  const missing = PREDICTION_FIELDS.filter(field => provided[field] === undefined);
+  const stats = missing.length ? await getTrainingStats(getActiveModel()) : null;
+  const inputs = Object.assign({}, provided);
+  const fields = [];
+
+  missing.forEach((field) => {
+    const { value, strategy } = imputeValue(field, inputs, stats);
+    inputs[field] = value;
+    fields.push({ field, value, strategy });
+  });
+
+  return {
+    inputs,
+    provided,
+    imputation: {
+      fields,
+      conversions,
+      confidencePenalty: 1 - Math.pow(1 - IMPUTED_FIELD_PENALTY, fields.length)
+    }
+  };
+}
+
+// Lower the confidence of a scoring result for the inputs that were imputed
+function applyImputationPenalty(result, imputation) {
+  if (result.success && imputation && imputation.fields.length > 0) {
+    result.confidence = result.confidence * (1 - imputation.confidencePenalty);
+  }
+  return result;
+}
+
+module.exports = {
+  normalizePredictionInput,
+  applyImputationPenalty,
+  IMPUTATION_STRATEGIES,
+  REQUIRED_INPUTS,
+  CHOLESTEROL_MMOL_TO_MGDL,
+  GLUCOSE_MMOL_TO_MGDL
+};
@@ -1,119 +1,528 @@
-const { PythonShell } = require('python-shell');
+const fs = require('fs');
 const path = require('path');
+const { createPredictorPool } = require('./predictorPool');
+const { recordInput } = require('./driftMonitor');
 
-// Simple ML prediction function (fallback when Python is not available)
-function simplePrediction(data) {
-  // This is a simplified prediction algorithm
-  // In production, this should be replaced with a proper ML model
-  
+// Version label reported for the rule-based fallback scoring
+const SIMPLE_MODEL_VERSION = 'simplified-1.0.0';
+
+// Model input fields, in model feature order
+const PREDICTION_FIELDS = ['age', 'sex', 'chestPainType', 'restingBP', 'cholesterol',
+                           'fastingBS', 'restingECG', 'maxHR', 'exerciseAngina',
+                           'oldpeak', 'stSlope'];
+
+// Categorical values accepted by the API, in model index order
+const CATEGORY_VALUES = {
+  chestPainType: ['typical angina', 'atypical angina', 'non-anginal pain', 'asymptomatic'],
+  restingECG: ['normal', 'ST-T wave abnormality', 'left ventricular hypertrophy'],
+  stSlope: ['up', 'flat', 'down']
+};
+
+// Convert API input (string categories) into the numeric model encoding
+function encodePredictionData(input) {
+  return {
+    age: input.age,
+    sex: input.sex === 'male' ? 1 : 0,
+    chestPainType: CATEGORY_VALUES.chestPainType.indexOf(input.chestPainType),
+    restingBP: input.restingBP,
+    cholesterol: input.cholesterol,
+    fastingBS: input.fastingBS,
+    restingECG: CATEGORY_VALUES.restingECG.indexOf(input.restingECG),
+    maxHR: input.maxHR,
+    exerciseAngina: input.exerciseAngina ? 1 : 0,
+    oldpeak: input.oldpeak,
+    stSlope: CATEGORY_VALUES.stSlope.indexOf(input.stSlope)
+  };
+}
+
+// Convert loosely typed input (CSV cells, query strings) to the API input types
+function coercePredictionInput(row) {
+  const input = {};
+  PREDICTION_FIELDS.forEach((field) => {
+    const value = row[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (['sex', 'chestPainType', 'restingECG', 'stSlope'].includes(field)) {
+      input[field] = String(value).trim();
+    } else if (field === 'exerciseAngina') {
+      input[field] = ['true', '1', 'yes', 'y'].includes(String(value).trim().toLowerCase());
+    } else {
+      input[field] = Number(value);
+    }
+  });
+  return input;
+}
+
+// Input ranges of the synthetic training data generated in ml/predict.py,
+// used to flag unusual inputs when no trained model statistics are available
+const REFERENCE_RANGES = {
+  age: [20, 90],
+  restingBP: [90, 200],
+  cholesterol: [100, 400],
+  maxHR: [60, 202],
+  oldpeak: [-2.6, 6.2]
+};
+
+// Typical measurement variability of the continuous inputs (same units as the inputs)
+const MEASUREMENT_ERROR = {
+  restingBP: 10,
+  cholesterol: 20,
+  maxHR: 10,
+  oldpeak: 0.5
+};
+
+// Extra half-width added to the rule-based interval because the rules are uncalibrated
+const SIMPLE_MODEL_ERROR = 0.1;
+
+// Linear-interpolated percentile of an unsorted array, computed the same way
+// as numpy.percentile so forest intervals match ml/predict.py
+function percentile(values, p) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const fraction = position - lower;
+  const difference = sorted[upper] - sorted[lower];
+  return fraction >= 0.5
+    ? sorted[upper] - difference * (1 - fraction)
+    : sorted[lower] + difference * fraction;
+}
+
+// Flag inputs outside the reference ranges
+function checkReferenceRanges(data) {
+  const features = [];
+  Object.keys(REFERENCE_RANGES).forEach((field) => {
+    const [min, max] = REFERENCE_RANGES[field];
+    if (data[field] < min || data[field] > max) {
+      features.push({
+        feature: field,
+        value: data[field],
+        reason: 'outside training range',
+        trainingRange: [min, max]
+      });
+    }
+  });
+  return { flagged: features.length > 0, features };
+}
+
+// Rule-based uncertainty approximation. The rules have no training variance,
+// so the spread comes from re-scoring with every continuous input shifted by
+// -1, 0 and +1 times its typical measurement error (81 combinations), taking
+// the 10th-90th percentile of those scores and widening it by SIMPLE_MODEL_ERROR.
+function simpleUncertainty(data) {
+  const fields = Object.keys(MEASUREMENT_ERROR);
+  const scores = [];
+
+  for (let combination = 0; combination < Math.pow(3, fields.length); combination++) {
+    const perturbed = Object.assign({}, data);
+    let remainder = combination;
+    fields.forEach((field) => {
+      perturbed[field] = data[field] + ((remainder % 3) - 1) * MEASUREMENT_ERROR[field];
+      remainder = Math.floor(remainder / 3);
+    });
+    scores.push(Math.min(Math.max(scoreRules(perturbed).riskScore, 0), 1));
+  }
+
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const variance = scores.reduce((sum, score) => sum + Math.pow(score - mean, 2), 0) / scores.length;
+
+  return {
+    method: 'input_perturbation',
+    std: Math.sqrt(variance),
+    interval: {
+      lower: Math.max(0, percentile(scores, 10) - SIMPLE_MODEL_ERROR),
+      upper: Math.min(1, percentile(scores, 90) + SIMPLE_MODEL_ERROR),
+      percentiles: [10, 90]
+    }
+  };
+}
+
+// Additive rule points for each input factor
+function scoreRules(data) {
   let riskScore = 0;
+  const points = {};
+  
+  // Record the points each factor adds so the score can be explained
+  function addPoints(feature, value) {
+    riskScore += value;
+    points[feature] = (points[feature] || 0) + value;
+  }
   
   // Age factor (higher age = higher risk)
-  if (data.age > 65) riskScore += 0.3;
-  else if (data.age > 50) riskScore += 0.2;
-  else if (data.age > 35) riskScore += 0.1;
+  if (data.age > 65) addPoints('age', 0.3);
+  else if (data.age > 50) addPoints('age', 0.2);
+  else if (data.age > 35) addPoints('age', 0.1);
   
   // Gender factor (males have slightly higher risk)
-  if (data.sex === 1) riskScore += 0.1;
+  if (data.sex === 1) addPoints('sex', 0.1);
   
   // Chest pain type
-  if (data.chestPainType === 0) riskScore += 0.3; // typical angina
-  else if (data.chestPainType === 1) riskScore += 0.2; // atypical angina
-  else if (data.chestPainType === 2) riskScore += 0.1; // non-anginal
+  if (data.chestPainType === 0) addPoints('chestPainType', 0.3); // typical angina
+  else if (data.chestPainType === 1) addPoints('chestPainType', 0.2); // atypical angina
+  else if (data.chestPainType === 2) addPoints('chestPainType', 0.1); // non-anginal
   
   // Blood pressure
-  if (data.restingBP > 180) riskScore += 0.4;
-  else if (data.restingBP > 140) riskScore += 0.3;
-  else if (data.restingBP > 120) riskScore += 0.1;
+  if (data.restingBP > 180) addPoints('restingBP', 0.4);
+  else if (data.restingBP > 140) addPoints('restingBP', 0.3);
+  else if (data.restingBP > 120) addPoints('restingBP', 0.1);
   
   // Cholesterol
-  if (data.cholesterol > 300) riskScore += 0.3;
-  else if (data.cholesterol > 200) riskScore += 0.2;
+  if (data.cholesterol > 300) addPoints('cholesterol', 0.3);
+  else if (data.cholesterol > 200) addPoints('cholesterol', 0.2);
   
   // Fasting blood sugar
-  if (data.fastingBS === 1) riskScore += 0.2;
+  if (data.fastingBS === 1) addPoints('fastingBS', 0.2);
   
   // ECG results
-  if (data.restingECG === 2) riskScore += 0.3; // left ventricular hypertrophy
-  else if (data.restingECG === 1) riskScore += 0.2; // ST-T wave abnormality
+  if (data.restingECG === 2) addPoints('restingECG', 0.3); // left ventricular hypertrophy
+  else if (data.restingECG === 1) addPoints('restingECG', 0.2); // ST-T wave abnormality
   
   // Max heart rate
-  if (data.maxHR < 100) riskScore += 0.2;
-  else if (data.maxHR > 200) riskScore += 0.1;
+  if (data.maxHR < 100) addPoints('maxHR', 0.2);
+  else if (data.maxHR > 200) addPoints('maxHR', 0.1);
   
   // Exercise angina
-  if (data.exerciseAngina === 1) riskScore += 0.3;
+  if (data.exerciseAngina === 1) addPoints('exerciseAngina', 0.3);
   
   // ST depression
-  if (data.oldpeak > 2) riskScore += 0.4;
-  else if (data.oldpeak > 1) riskScore += 0.3;
-  else if (data.oldpeak > 0) riskScore += 0.1;
+  if (data.oldpeak > 2) addPoints('oldpeak', 0.4);
+  else if (data.oldpeak > 1) addPoints('oldpeak', 0.3);
+  else if (data.oldpeak > 0) addPoints('oldpeak', 0.1);
   
   // ST slope
-  if (data.stSlope === 2) riskScore += 0.3; // down
-  else if (data.stSlope === 1) riskScore += 0.2; // flat
+  if (data.stSlope === 2) addPoints('stSlope', 0.3); // down
+  else if (data.stSlope === 1) addPoints('stSlope', 0.2); // flat
+  
+  return { riskScore, points };
+}
+
+// Simple ML prediction function (fallback when Python is not available)
+function simplePrediction(data) {
+  // This is a simplified prediction algorithm
+  // In production, this should be replaced with a proper ML model
+  const { riskScore, points } = scoreRules(data);
   
   // Normalize to 0-1 range
   const prediction = Math.min(Math.max(riskScore, 0), 1);
   
+  // Confidence is one minus the width of the approximate interval
+  const uncertainty = simpleUncertainty(data);
+  
+  // When the score is capped at 1, factors are scaled down proportionally
+  // so the contributions still add up to the reported probability
+  const scale = riskScore > 0 ? prediction / riskScore : 0;
+  
   return {
     success: true,
     prediction: prediction,
-    confidence: 0.85,
-    method: 'simplified'
+    confidence: 1 - (uncertainty.interval.upper - uncertainty.interval.lower),
+    method: 'simplified',
+    engine: 'javascript',
+    modelVersion: SIMPLE_MODEL_VERSION,
+    explanation: {
+      method: 'additive_points',
+      baseline: 0,
+      rawScore: riskScore,
+      contributions: PREDICTION_FIELDS
+        .map(feature => ({
+          feature,
+          value: data[feature],
+          contribution: (points[feature] || 0) * scale
+        }))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    },
+    uncertainty,
+    outOfDistribution: checkReferenceRanges(data)
   };
 }
 
-// Python ML prediction function
-async function pythonPrediction(data) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      mode: 'json',
-      pythonPath: 'python3',
-      pythonOptions: ['-u'],
-      scriptPath: path.join(__dirname, '../ml'),
-      args: [JSON.stringify(data)]
-    };
+// Inference engine for the trained model: 'python' scores with the predictor
+// workers and uses the exported forest when they are unavailable,
+// 'javascript' scores with the exported forest only (no Python required)
+const ML_ENGINE = process.env.ML_ENGINE || 'python';
 
-    PythonShell.run('predict.py', options, (err, results) => {
-      if (err) {
-        console.error('Python prediction error:', err);
-        resolve(simplePrediction(data)); // Fallback to simple prediction
-      } else if (results && results.length > 0) {
-        const result = results[0];
-        resolve({
-          success: true,
-          prediction: result.prediction,
-          confidence: result.confidence || 0.9,
-          method: 'ml_model'
-        });
-      } else {
-        resolve(simplePrediction(data)); // Fallback to simple prediction
-      }
+// Default model artifact, as resolved by ml/predict.py
+const DEFAULT_MODEL_PATH = process.env.ML_MODEL_PATH ||
+  path.join(__dirname, '../ml/models/heart_failure_model.joblib');
+
+// Location of the JSON export of a model artifact (see ml/export_model.py)
+function forestPath(artifactPath) {
+  return artifactPath.replace(/(\.joblib)?$/, '.forest.json');
+}
+
+// Flag inputs outside the training range of an exported forest, or more than
+// 3 standard deviations from its training mean (mirrors ml/predict.py)
+function checkTrainingStats(data, stats) {
+  const features = [];
+  PREDICTION_FIELDS.forEach((field, i) => {
+    const value = Number(data[field]);
+    let reason;
+
+    if (value < stats.min[i] || value > stats.max[i]) {
+      reason = 'outside training range';
+    } else if (stats.std[i] > 0 && Math.abs(value - stats.mean[i]) / stats.std[i] > 3) {
+      reason = 'more than 3 standard deviations from training mean';
+    } else {
+      return;
+    }
+
+    features.push({
+      feature: field,
+      value: data[field],
+      reason,
+      trainingRange: [stats.min[i], stats.max[i]]
     });
   });
+  return { flagged: features.length > 0, features };
+}
+
+// Node ids from root to leaf for one exported tree. sklearn compares float32
+// copies of the inputs against the thresholds, so the row must already be
+// rounded with Math.fround for the same branches to be taken.
+function decisionPath(tree, row) {
+  const nodes = [0];
+  let node = 0;
+  while (tree.childrenLeft[node] !== -1) {
+    node = row[tree.feature[node]] <= tree.threshold[node]
+      ? tree.childrenLeft[node]
+      : tree.childrenRight[node];
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+// Score encoded input with an exported forest. Produces the same result as
+// score() in ml/predict.py: the probability is averaged over the trees in
+// the same order as predict_proba, so it is identical to the Python value.
+function forestPrediction(data, forest) {
+  // StandardScaler: subtract the mean, then divide by the scale
+  const row = forest.features.map((field, i) =>
+    Math.fround((data[field] - forest.scaler.mean[i]) / forest.scaler.scale[i]));
+
+  const treeProbabilities = [];
+  const contributions = forest.features.map(() => 0);
+  let baseline = 0;
+  let total = 0;
+
+  forest.trees.forEach((tree) => {
+    const nodes = decisionPath(tree, row);
+    const probability = tree.probability[nodes[nodes.length - 1]];
+
+    treeProbabilities.push(probability);
+    total += probability;
+    baseline += tree.probability[0];
+
+    // Credit each change in probability along the path to the feature split on
+    for (let k = 0; k < nodes.length - 1; k++) {
+      contributions[tree.feature[nodes[k]]] +=
+        tree.probability[nodes[k + 1]] - tree.probability[nodes[k]];
+    }
+  });
+
+  const treeCount = forest.trees.length;
+  const prediction = total / treeCount;
+  const mean = treeProbabilities.reduce((sum, p) => sum + p, 0) / treeCount;
+  const variance = treeProbabilities.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / treeCount;
+  const lower = percentile(treeProbabilities, 10);
+  const upper = percentile(treeProbabilities, 90);
+
+  return {
+    success: true,
+    prediction,
+    confidence: Math.max(0, Math.min(1, 1 - (upper - lower))),
+    method: 'ml_model',
+    engine: 'javascript',
+    modelVersion: forest.version,
+    explanation: {
+      method: 'tree_path',
+      baseline: baseline / treeCount,
+      contributions: forest.features
+        .map((feature, i) => ({
+          feature,
+          value: data[feature],
+          contribution: contributions[i] / treeCount
+        }))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    },
+    uncertainty: {
+      method: 'tree_variance',
+      std: Math.sqrt(variance),
+      interval: { lower, upper, percentiles: [10, 90] }
+    },
+    outOfDistribution: forest.trainingStats
+      ? checkTrainingStats(data, forest.trainingStats)
+      : checkReferenceRanges(data)
+  };
+}
+
+// Exported forests keyed by file path, loaded on first use
+const forests = new Map();
+
+async function loadForest(filePath) {
+  if (!forests.has(filePath)) {
+    const loading = fs.promises.readFile(filePath, 'utf8').then(JSON.parse);
+    forests.set(filePath, loading);
+    // Forget failed loads so a later export is picked up
+    loading.catch(() => forests.delete(filePath));
+  }
+  return forests.get(filePath);
 }
 
-// Main prediction function
-async function runPrediction(data) {
+// Score with the exported forest of a model (null: active model) without falling back
+async function scoreWithForest(data, model) {
+  const artifactPath = model ? model.artifactPath : DEFAULT_MODEL_PATH;
   try {
-    // Try Python ML model first
-    const result = await pythonPrediction(data);
+    const forest = await loadForest(forestPath(artifactPath));
+    const result = forestPrediction(data, forest);
+    result.modelVersion = result.modelVersion || (model ? model.version : null);
+    return result;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.code === 'ENOENT'
+        ? `No exported forest for ${artifactPath}; run ml/export_model.py`
+        : error.message
+    };
+  }
+}
+
+// Training data statistics of a model (null: active model), read from its
+// exported forest; null when the export or statistics are missing
+async function getTrainingStats(model) {
+  const artifactPath = model ? model.artifactPath : DEFAULT_MODEL_PATH;
+  try {
+    const forest = await loadForest(forestPath(artifactPath));
+    return forest.trainingStats || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Feature distribution of a model's training data, used for drift monitoring
+async function getTrainingDistribution(model) {
+  const stats = await getTrainingStats(model);
+  return (stats && stats.distribution) || null;
+}
+
+// Pools of long-lived Python predictor workers keyed by model artifact, created on first use
+const predictorPools = new Map();
+
+// Registered model the workers should load (null: default artifact)
+let activeModel = null;
+
+function getPredictorPool(modelPath) {
+  const key = modelPath || 'default';
+  if (!predictorPools.has(key)) {
+    predictorPools.set(key, createPredictorPool({ modelPath }));
+  }
+  return predictorPools.get(key);
+}
+
+// Switch predictions to a registered model; workers restart on next use
+function setActiveModel(model) {
+  activeModel = model;
+  closePredictorPool();
+  forests.clear();
+}
+
+function getActiveModel() {
+  return activeModel;
+}
+
+// Stop the Python predictor workers (used on shutdown)
+function closePredictorPool() {
+  predictorPools.forEach(pool => pool.close());
+  predictorPools.clear();
+}
+
+// Score with the Python workers for a model (null: active model) without falling back
+async function scoreWithPython(data, model) {
+  try {
+    const result = await getPredictorPool(model ? model.artifactPath : undefined).predict(data);
+
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    return {
+      success: true,
+      prediction: result.prediction,
+      confidence: result.confidence,
+      method: 'ml_model',
+      engine: 'python',
+      modelVersion: result.modelVersion || (model ? model.version : null),
+      explanation: result.explanation,
+      uncertainty: result.uncertainty,
+      // Older artifacts carry no training statistics; use the reference ranges
+      outOfDistribution: result.outOfDistribution || checkReferenceRanges(data)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Score with the active model on the configured engine. The exported forest
+// gives the same scores as the Python workers; only when neither can score
+// does this fall back to the rule-based scoring, and the result then carries
+// a fallbackReason so callers can tell the user a different algorithm was used.
+async function modelPrediction(data) {
+  const errors = [];
+
+  if (ML_ENGINE !== 'javascript') {
+    const result = await scoreWithPython(data, activeModel);
+    if (result.success) {
+      return result;
+    }
+    console.error('Python prediction error:', result.error);
+    errors.push(`Python: ${result.error}`);
+  }
+
+  const result = await scoreWithForest(data, activeModel);
+  if (result.success) {
+    return result;
+  }
+  console.error('Forest prediction error:', result.error);
+  errors.push(`JavaScript: ${result.error}`);
+
+  return Object.assign(simplePrediction(data), {
+    fallbackReason: `Trained model unavailable (${errors.join('; ')})`
+  });
+}
+
+// Score with a specific method: 'simplified' forces the rule-based scoring,
+// anything else uses the normal model-with-fallback path. Used for offline
+// evaluation, so the inputs are not recorded for drift monitoring.
+async function predictWithMethod(method, data) {
+  if (method === 'simplified') {
+    return simplePrediction(data);
+  }
+  return runPrediction(data, { monitor: false });
+}
+
+// Main prediction function. Inputs are recorded for drift monitoring unless
+// options.monitor is false (hypothetical inputs such as what-if scenarios);
+// the fields in options.imputation (from normalizePredictionInput) are left
+// out of the record.
+async function runPrediction(data, options = {}) {
+  if (options.monitor !== false) {
+    recordInput(data, options.imputation ? options.imputation.fields.map(imputed => imputed.field) : []);
+  }
+
+  try {
+    // Try the trained model first
+    const result = await modelPrediction(data);
     return result;
   } catch (error) {
     console.error('ML prediction error:', error);
     // Fallback to simple prediction
-    return simplePrediction(data);
+    return Object.assign(simplePrediction(data), { fallbackReason: error.message });
   }
 }
 
 // Validate input data
 function validatePredictionData(data) {
-  const required = ['age', 'sex', 'chestPainType', 'restingBP', 'cholesterol', 
-                   'fastingBS', 'restingECG', 'maxHR', 'exerciseAngina', 
-                   'oldpeak', 'stSlope'];
-  
-  for (const field of required) {
+  for (const field of PREDICTION_FIELDS) {
     if (data[field] === undefined || data[field] === null) {
       return { valid: false, error: `Missing required field: ${field}` };
     }
@@ -170,5 +579,20 @@ function validatePredictionData(data) {
 module.exports = {
   runPrediction,
   validatePredictionData,
-  simplePrediction
+  simplePrediction,
+  scoreWithPython,
+  scoreWithForest,
+  forestPrediction,
+  getTrainingStats,
+  getTrainingDistribution,
+  setActiveModel,
+  getActiveModel,
+  closePredictorPool,
+  predictWithMethod,
+  encodePredictionData,
+  coercePredictionInput,
+  ML_ENGINE,
+  SIMPLE_MODEL_VERSION,
+  PREDICTION_FIELDS,
+  CATEGORY_VALUES
 }; 
\ No newline at end of file
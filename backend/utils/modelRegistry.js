@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const ModelVersion = require('../models/ModelVersion');
+const { setActiveModel } = require('./mlPredictor');
+
+const MODEL_DIR = path.join(__dirname, '../ml/models');
+
+// Read the metadata file written next to an artifact by ml/train.py
+function readModelMetadata(version) {
+  const metadataPath = path.join(MODEL_DIR, `heart_failure_model-${version}.json`);
+  if (!fs.existsSync(metadataPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+}
+
+// Record a trained model in the registry (it stays inactive until activated)
+async function registerModel(version, userId) {
+  const metadata = readModelMetadata(version);
+  if (!metadata) {
+    return null;
+  }
+
+  const model = new ModelVersion({
+    version: metadata.version,
+    algorithm: metadata.algorithm,
+    artifactPath: metadata.artifactPath,
+    trainingDataHash: metadata.trainingDataHash,
+    trainingDataSource: metadata.trainingDataSource,
+    metrics: metadata.metrics,
+    features: metadata.features,
+    trainedAt: metadata.trainedAt,
+    registeredBy: userId
+  });
+
+  await model.save();
+  return model;
+}
+
+// Make a registered version the one used for predictions.
+// Rollbacks pass keepPrevious so the rollback chain is preserved.
+async function activateModel(model, userId, options = {}) {
+  const current = await ModelVersion.findOne({ status: 'active' });
+
+  if (current && current.version !== model.version) {
+    current.status = options.currentStatus || 'inactive';
+    current.deactivatedAt = new Date();
+    await current.save();
+
+    if (!options.keepPrevious) {
+      model.previousVersion = current.version;
+    }
+  }
+
+  model.status = 'active';
+  model.activatedAt = new Date();
+  model.activatedBy = userId;
+  await model.save();
+
+  setActiveModel({ version: model.version, artifactPath: model.artifactPath });
+  return model;
+}
+
+// Re-activate the version that was active before the current one
+async function rollbackModel(userId) {
+  const current = await ModelVersion.findOne({ status: 'active' });
+  if (!current || !current.previousVersion) {
+    return null;
+  }
+
+  const previous = await ModelVersion.findOne({ version: current.previousVersion });
+  if (!previous) {
+    return null;
+  }
+
+  return activateModel(previous, userId, { keepPrevious: true, currentStatus: 'rolled_back' });
+}
+
+// Point the predictor at the active registered model (called on startup)
+async function loadActiveModel() {
+  const active = await ModelVersion.findOne({ status: 'active' });
+  if (active) {
+    setActiveModel({ version: active.version, artifactPath: active.artifactPath });
+  }
+  return active;
+}
+
+module.exports = {
+  readModelMetadata,
+  registerModel,
+  activateModel,
+  rollbackModel,
+  loadActiveModel
+};
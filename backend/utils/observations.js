@@ -0,0 +1,226 @@
+const Observation = require('../models/Observation');
+const { CATEGORY_VALUES } = require('./mlPredictor');
+const { CHOLESTEROL_MMOL_TO_MGDL, GLUCOSE_MMOL_TO_MGDL } = require('./inputNormalization');
+
+// Days back POST /api/predictions looks for observations when auto-filling inputs
+const DEFAULT_LOOKBACK_DAYS = parseInt(process.env.OBSERVATION_LOOKBACK_DAYS) || 30;
+
+const CREATININE_MGDL_TO_UMOL = 88.42;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported observation types. Measurements are stored in the unit they were
+// entered in; unit is the canonical unit, units the factors converting other
+// accepted units to it, and range the valid values in the canonical unit.
+const OBSERVATION_TYPES = {
+  restingBP: { kind: 'quantity', unit: 'mmHg', range: [0, 300] },
+  maxHR: { kind: 'quantity', unit: 'bpm', range: [0, 300] },
+  heartRate: { kind: 'quantity', unit: 'bpm', range: [20, 250] },
+  cholesterol: { kind: 'quantity', unit: 'mg/dL', units: { 'mmol/L': CHOLESTEROL_MMOL_TO_MGDL }, range: [0, 1000] },
+  glucose: { kind: 'quantity', unit: 'mg/dL', units: { 'mmol/L': GLUCOSE_MMOL_TO_MGDL }, range: [0, 1000] },
+  oldpeak: { kind: 'quantity', unit: 'mm', range: [-10, 10] },
+  ejectionFraction: { kind: 'quantity', unit: '%', range: [5, 90] },
+  creatinine: { kind: 'quantity', unit: 'µmol/L', units: { 'mg/dL': CREATININE_MGDL_TO_UMOL }, range: [10, 2000] },
+  bmi: { kind: 'quantity', unit: 'kg/m²', range: [10, 80] },
+  nyhaClass: { kind: 'quantity', unit: 'class', range: [1, 4] },
+  chestPainType: { kind: 'category', values: CATEGORY_VALUES.chestPainType },
+  restingECG: { kind: 'category', values: CATEGORY_VALUES.restingECG },
+  stSlope: { kind: 'category', values: CATEGORY_VALUES.stSlope },
+  exerciseAngina: { kind: 'boolean' }
+};
+
+// Request fields filled from the observation type of the same name
+const AUTO_FILL_FIELDS = [
+  'restingBP', 'cholesterol', 'maxHR', 'oldpeak', 'chestPainType', 'restingECG',
+  'stSlope', 'exerciseAngina', 'ejectionFraction', 'nyhaClass', 'creatinine', 'bmi', 'heartRate'
+];
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Value of an observation in its type's canonical unit
+function canonicalValue(observation) {
+  const definition = OBSERVATION_TYPES[observation.type];
+  if (!definition || definition.kind !== 'quantity' || !observation.unit || observation.unit === definition.unit) {
+    return observation.value;
+  }
+  return Math.round(observation.value * definition.units[observation.unit] * 100) / 100;
+}
+
+// Check an observation's value and unit against its type.
+// Returns an error message, or null when the observation is valid.
+function validateObservation({ type, value, unit }) {
+  const definition = OBSERVATION_TYPES[type];
+  if (!definition) {
+    return `Unknown observation type: ${type}`;
+  }
+
+  if (definition.kind === 'category') {
+    return definition.values.includes(value) ? null : `${type} must be one of: ${definition.values.join(', ')}`;
+  }
+  if (definition.kind === 'boolean') {
+    return typeof value === 'boolean' ? null : `${type} must be true or false`;
+  }
+
+  const units = [definition.unit].concat(Object.keys(definition.units || {}));
+  if (unit && !units.includes(unit)) {
+    return `${type} unit must be one of: ${units.join(', ')}`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${type} value must be a number`;
+  }
+  const canonical = canonicalValue({ type, value, unit });
+  if (canonical < definition.range[0] || canonical > definition.range[1]) {
+    return `${type} must be between ${definition.range[0]} and ${definition.range[1]} ${definition.unit}`;
+  }
+  return null;
+}
+
+// Most recent active observation of each type for a patient, observed at or after since
+async function latestObservations(patientId, since) {
+  const match = { patient: patientId, isActive: true };
+  if (since) {
+    match.observedAt = { $gte: since };
+  }
+
+  const latest = await Observation.aggregate([
+    { $match: match },
+    { $sort: { observedAt: -1 } },
+    { $group: { _id: '$type', observation: { $first: '$$ROOT' } } }
+  ]);
+
+  const byType = {};
+  latest.forEach((entry) => {
+    byType[entry._id] = entry.observation;
+  });
+  return byType;
+}
+
+// Fill inputs missing from a prediction request with the patient's most recent
+// observations within the look-back window, and age and sex from the patient
+// record. Returns { input, autoFilled } where input is a copy of the request body.
+async function fillFromObservations(body, patient, lookbackDays = DEFAULT_LOOKBACK_DAYS) {
+  const input = Object.assign({}, body);
+  const autoFilled = [];
+
+  if (isBlank(input.age) && typeof patient.age === 'number') {
+    input.age = patient.age;
+    autoFilled.push({ field: 'age', value: patient.age, source: 'patient' });
+  }
+  if (isBlank(input.sex) && ['male', 'female'].includes(patient.gender)) {
+    input.sex = patient.gender;
+    autoFilled.push({ field: 'sex', value: patient.gender, source: 'patient' });
+  }
+
+  const latest = await latestObservations(patient._id, new Date(Date.now() - lookbackDays * DAY_MS));
+  const fill = (field, observation) => {
+    input[field] = canonicalValue(observation);
+    autoFilled.push({
+      field,
+      value: input[field],
+      unit: OBSERVATION_TYPES[observation.type].unit,
+      source: 'observation',
+      observation: observation._id,
+      observedAt: observation.observedAt
+    });
+  };
+
+  AUTO_FILL_FIELDS.forEach((field) => {
+    if (isBlank(input[field]) && latest[field]) {
+      fill(field, latest[field]);
+    }
+  });
+
+  // Filled values are in canonical units whatever unit the request declared
+  if (autoFilled.some(entry => entry.field === 'cholesterol')) {
+    input.cholesterolUnit = 'mg/dL';
+  }
+  if (isBlank(input.fastingBS) && isBlank(input.glucose) && latest.glucose) {
+    fill('glucose', latest.glucose);
+    input.glucoseUnit = 'mg/dL';
+  }
+
+  return { input, autoFilled };
+}
+
+// Start of the period an observation falls in, as an ISO date (UTC)
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    // Weeks start on Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start.toISOString().slice(0, 10);
+}
+
+// Least-squares change in value per day; null without two distinct times
+function slopePerDay(points) {
+  if (points.length < 2) {
+    return null;
+  }
+  const xs = points.map(p => (p.time - points[0].time) / DAY_MS);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+  let numerator = 0;
+  let denominator = 0;
+  xs.forEach((x, i) => {
+    numerator += (x - meanX) * (points[i].value - meanY);
+    denominator += (x - meanX) * (x - meanX);
+  });
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+// Summarize a measurement series (sorted oldest first) into per-period
+// statistics, in the type's canonical unit
+function buildTrend(type, observations, interval) {
+  const points = observations.map(observation => ({
+    time: new Date(observation.observedAt).getTime(),
+    observedAt: observation.observedAt,
+    value: canonicalValue(Object.assign({ type }, observation))
+  }));
+
+  const periods = new Map();
+  points.forEach((point) => {
+    const key = periodStart(new Date(point.time), interval);
+    const period = periods.get(key) || { period: key, count: 0, sum: 0, min: Infinity, max: -Infinity };
+    period.count++;
+    period.sum += point.value;
+    period.min = Math.min(period.min, point.value);
+    period.max = Math.max(period.max, point.value);
+    periods.set(key, period);
+  });
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    type,
+    unit: OBSERVATION_TYPES[type].unit,
+    interval,
+    count: points.length,
+    first: first ? { value: first.value, observedAt: first.observedAt } : null,
+    latest: last ? { value: last.value, observedAt: last.observedAt } : null,
+    change: points.length > 1 ? last.value - first.value : null,
+    slopePerDay: slopePerDay(points),
+    periods: Array.from(periods.values()).map(period => ({
+      period: period.period,
+      count: period.count,
+      mean: period.sum / period.count,
+      min: period.min,
+      max: period.max
+    }))
+  };
+}
+
+module.exports = {
+  OBSERVATION_TYPES,
+  DEFAULT_LOOKBACK_DAYS,
+  canonicalValue,
+  validateObservation,
+  latestObservations,
+  fillFromObservations,
+  buildTrend
+};
@@ -0,0 +1,296 @@
+const Patient = require('../models/Patient');
+const PatientImport = require('../models/PatientImport');
+const { escapeRegex } = require('./patientSearch');
+
+// Largest file accepted by a single import
+const MAX_IMPORT_ROWS = 5000;
+
+// Rows written per insert on commit
+const INSERT_CHUNK_SIZE = 500;
+
+// Patient fields that can be imported and how their CSV values are read.
+// patientId is the clinic's own (external) identifier; one is generated when it is not mapped.
+const IMPORT_FIELDS = {
+  patientId: 'string',
+  name: 'string',
+  age: 'number',
+  gender: 'gender',
+  email: 'email',
+  phone: 'string',
+  'address.street': 'string',
+  'address.city': 'string',
+  'address.state': 'string',
+  'address.zipCode': 'string',
+  'address.country': 'string',
+  'emergencyContact.name': 'string',
+  'emergencyContact.relationship': 'string',
+  'emergencyContact.phone': 'string',
+  'medicalHistory.conditions': 'list',
+  'medicalHistory.medications': 'list',
+  'medicalHistory.allergies': 'list',
+  'medicalHistory.surgeries': 'list',
+  'lifestyle.smoking': 'boolean',
+  'lifestyle.alcohol': 'boolean',
+  'lifestyle.exercise': 'lowercase',
+  'lifestyle.diet': 'lowercase'
+};
+
+const REQUIRED_FIELDS = ['name', 'age', 'gender'];
+
+const GENDER_ALIASES = { m: 'male', f: 'female', o: 'other' };
+
+// Column mapping used when none is given: each field read from the column of the same name
+function defaultMapping(columns) {
+  const mapping = {};
+  Object.keys(IMPORT_FIELDS).forEach((field) => {
+    if (columns.includes(field)) {
+      mapping[field] = field;
+    }
+  });
+  return mapping;
+}
+
+// Check a field -> column mapping against the file's columns.
+// Returns an error message, or null when the mapping is usable.
+function validateMapping(mapping, columns) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'Mapping must be an object of patient field to CSV column';
+  }
+
+  const unknown = Object.keys(mapping).filter(field => !IMPORT_FIELDS[field]);
+  if (unknown.length) {
+    return `Unknown patient fields in mapping: ${unknown.join(', ')}`;
+  }
+
+  const unmapped = REQUIRED_FIELDS.filter(field => !mapping[field]);
+  if (unmapped.length) {
+    return `Mapping must include: ${unmapped.join(', ')}`;
+  }
+
+  const missing = Object.values(mapping).filter(column => !columns.includes(column));
+  if (missing.length) {
+    return `Columns not found in file: ${missing.join(', ')}`;
+  }
+  return null;
+}
+
+// Convert a CSV cell to the field's type. Values that cannot be converted are
+// passed through so the Patient schema reports them.
+function convertValue(type, raw) {
+  const text = String(raw).trim();
+  if (text === '') {
+    return undefined;
+  }
+
+  switch (type) {
+    case 'number':
+      return Number.isNaN(Number(text)) ? text : Number(text);
+    case 'gender': {
+      const gender = text.toLowerCase();
+      return GENDER_ALIASES[gender] || gender;
+    }
+    case 'email':
+    case 'lowercase':
+      return text.toLowerCase();
+    case 'boolean': {
+      const value = text.toLowerCase();
+      if (['true', '1', 'yes', 'y'].includes(value)) return true;
+      if (['false', '0', 'no', 'n'].includes(value)) return false;
+      return text;
+    }
+    case 'list':
+      return text.split(';').map(item => item.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+}
+
+// Build the Patient document fields for one CSV row
+function mapRow(row, mapping) {
+  const doc = {};
+  Object.keys(mapping).forEach((field) => {
+    const value = convertValue(IMPORT_FIELDS[field], row[mapping[field]] === undefined ? '' : row[mapping[field]]);
+    if (value === undefined) {
+      return;
+    }
+    const [parent, child] = field.split('.');
+    if (child) {
+      doc[parent] = doc[parent] || {};
+      doc[parent][child] = value;
+    } else {
+      doc[parent] = value;
+    }
+  });
+  return doc;
+}
+
+// Validate a mapped row with the Patient schema; returns the messages of any failures
+function schemaErrors(doc, userId) {
+  const error = new Patient(Object.assign({}, doc, { createdBy: userId })).validateSync();
+  if (!error) {
+    return [];
+  }
+  return Object.keys(error.errors).map((path) => {
+    const failure = error.errors[path];
+    return failure.name === 'CastError' ? `${path}: invalid value "${failure.value}"` : failure.message;
+  });
+}
+
+function nameAgeKey(doc) {
+  return `${doc.name.toLowerCase()}|${doc.age}`;
+}
+
+// Flag rows that duplicate an earlier row in the file or an existing patient,
+// by email, patientId, or name and age. Returns a message per duplicate entry.
+async function findDuplicates(entries) {
+  const duplicates = new Map();
+  const seen = { email: new Map(), patientId: new Map(), nameAge: new Map() };
+
+  entries.forEach((entry) => {
+    const keys = {
+      email: entry.doc.email,
+      patientId: entry.doc.patientId,
+      nameAge: nameAgeKey(entry.doc)
+    };
+    const match = Object.keys(keys).find(key => keys[key] && seen[key].has(keys[key]));
+    if (match) {
+      duplicates.set(entry, `Duplicate of row ${seen[match].get(keys[match])} (${match === 'nameAge' ? 'name and age' : match})`);
+      return;
+    }
+    Object.keys(keys).forEach((key) => {
+      if (keys[key]) seen[key].set(keys[key], entry.row);
+    });
+  });
+
+  const candidates = entries.filter(entry => !duplicates.has(entry));
+  if (candidates.length === 0) {
+    return duplicates;
+  }
+
+  const emails = candidates.map(entry => entry.doc.email).filter(Boolean);
+  const patientIds = candidates.map(entry => entry.doc.patientId).filter(Boolean);
+  const existing = await Patient.find({
+    $or: [
+      { email: { $in: emails } },
+      { patientId: { $in: patientIds } },
+      {
+        isActive: true,
+        age: { $in: candidates.map(entry => entry.doc.age) },
+        name: { $in: candidates.map(entry => new RegExp(`^${escapeRegex(entry.doc.name)}$`, 'i')) }
+      }
+    ]
+  }).select('patientId name age email isActive').lean();
+
+  const byEmail = new Map(existing.filter(p => p.email).map(p => [p.email, p]));
+  const byPatientId = new Map(existing.map(p => [p.patientId, p]));
+  const byNameAge = new Map(existing.filter(p => p.isActive).map(p => [nameAgeKey(p), p]));
+
+  candidates.forEach((entry) => {
+    const { doc } = entry;
+    let match;
+    let key;
+    if (doc.email && byEmail.has(doc.email)) {
+      [match, key] = [byEmail.get(doc.email), 'email'];
+    } else if (doc.patientId && byPatientId.has(doc.patientId)) {
+      [match, key] = [byPatientId.get(doc.patientId), 'patientId'];
+    } else if (byNameAge.has(nameAgeKey(doc))) {
+      [match, key] = [byNameAge.get(nameAgeKey(doc)), 'name and age'];
+    }
+    if (match) {
+      duplicates.set(entry, `Matches existing patient ${match.patientId} (${key})`);
+    }
+  });
+
+  return duplicates;
+}
+
+// Insert valid rows in chunks; rows the database rejects (e.g. a concurrent
+// duplicate patientId) are returned with their messages
+async function insertRows(entries, userId) {
+  const failures = [];
+  let inserted = 0;
+
+  for (let start = 0; start < entries.length; start += INSERT_CHUNK_SIZE) {
+    const chunk = entries.slice(start, start + INSERT_CHUNK_SIZE);
+    try {
+      const docs = await Patient.insertMany(
+        chunk.map(entry => Object.assign({}, entry.doc, { createdBy: userId })),
+        { ordered: false }
+      );
+      inserted += docs.length;
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      inserted += (error.insertedDocs || []).length;
+      error.writeErrors.forEach((writeError) => {
+        const index = writeError.index !== undefined ? writeError.index : writeError.err.index;
+        failures.push({ entry: chunk[index], message: writeError.errmsg || writeError.err.errmsg });
+      });
+    }
+  }
+
+  return { inserted, failures };
+}
+
+// Validate CSV rows against the Patient schema, detect duplicates and, unless
+// this is a dry run, insert the rows that passed. Returns the saved PatientImport.
+async function importPatients(rows, { mapping, columns, dryRun, fileName, userId }) {
+  const rejected = [];
+  const reject = (entry, reason, messages) => rejected.push({
+    row: entry.row,
+    reason,
+    messages,
+    data: entry.data
+  });
+
+  const valid = [];
+  rows.forEach((data, index) => {
+    const entry = { row: index + 1, data, doc: mapRow(data, mapping) };
+    const messages = schemaErrors(entry.doc, userId);
+    if (messages.length) {
+      reject(entry, 'invalid', messages);
+    } else {
+      valid.push(entry);
+    }
+  });
+
+  const duplicates = await findDuplicates(valid);
+  duplicates.forEach((message, entry) => reject(entry, 'duplicate', [message]));
+  const accepted = valid.filter(entry => !duplicates.has(entry));
+
+  let inserted = 0;
+  let failed = 0;
+  if (!dryRun) {
+    const result = await insertRows(accepted, userId);
+    inserted = result.inserted;
+    failed = result.failures.length;
+    result.failures.forEach(({ entry, message }) => reject(entry, 'insert_failed', [message]));
+  }
+
+  rejected.sort((a, b) => a.row - b.row);
+
+  return PatientImport.create({
+    dryRun: Boolean(dryRun),
+    fileName,
+    mapping,
+    columns,
+    total: rows.length,
+    valid: accepted.length,
+    invalid: rows.length - valid.length,
+    duplicates: duplicates.size,
+    inserted,
+    failed,
+    rejectedRows: rejected,
+    createdBy: userId
+  });
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  defaultMapping,
+  validateMapping,
+  mapRow,
+  importPatients
+};
@@ -0,0 +1,193 @@
+const Patient = require('../models/Patient');
+
+// Pairs scoring at or above this are reported as likely duplicates
+const DEFAULT_MIN_SCORE = 0.75;
+
+// Weight of each signal in the pair score. Email and phone only count when
+// both records have them, so a missing contact detail neither helps nor hurts.
+const WEIGHTS = {
+  name: 0.45,
+  age: 0.2,
+  email: 0.2,
+  phone: 0.15
+};
+
+// Lowercase, strip accents and punctuation, and sort the name's words so
+// "Smith, John" and "John Smith" compare equal
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+// Last ten digits of a phone number, ignoring formatting and country prefixes
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+// Jaro-Winkler similarity of two strings, from 0 (different) to 1 (identical)
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length - 1, i + window);
+    for (let j = start; j <= end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Ages are recorded at different times, so a year or two apart still counts
+function ageSimilarity(a, b) {
+  const difference = Math.abs(a - b);
+  if (difference === 0) return 1;
+  if (difference === 1) return 0.8;
+  if (difference === 2) return 0.5;
+  return 0;
+}
+
+// Score how likely two patient records are the same person. Returns
+// { score, signals } with the similarity of each signal that could be compared.
+function scorePair(a, b) {
+  const signals = {
+    name: jaroWinkler(normalizeName(a.name), normalizeName(b.name)),
+    age: ageSimilarity(a.age, b.age)
+  };
+
+  if (a.email && b.email) {
+    signals.email = a.email.toLowerCase() === b.email.toLowerCase() ? 1 : 0;
+  }
+  const phoneA = normalizePhone(a.phone);
+  const phoneB = normalizePhone(b.phone);
+  if (phoneA && phoneB) {
+    signals.phone = phoneA === phoneB ? 1 : 0;
+  }
+
+  let total = 0;
+  let weight = 0;
+  Object.keys(signals).forEach((signal) => {
+    total += WEIGHTS[signal] * signals[signal];
+    weight += WEIGHTS[signal];
+  });
+
+  // A different recorded gender makes a match much less likely
+  const genderMismatch = a.gender && b.gender && a.gender !== b.gender &&
+    a.gender !== 'other' && b.gender !== 'other';
+
+  return {
+    score: (total / weight) * (genderMismatch ? 0.5 : 1),
+    signals
+  };
+}
+
+// Keys shared by records worth comparing: email, phone, and the first
+// letters of each name word. Pairs sharing no key are not scored.
+function blockingKeys(patient) {
+  const keys = normalizeName(patient.name).split(' ')
+    .filter(word => word.length >= 2)
+    .map(word => `name:${word.slice(0, 3)}`);
+  if (patient.email) keys.push(`email:${patient.email.toLowerCase()}`);
+  const phone = normalizePhone(patient.phone);
+  if (phone) keys.push(`phone:${phone}`);
+  return keys;
+}
+
+function summarize(patient) {
+  return {
+    _id: patient._id,
+    patientId: patient.patientId,
+    name: patient.name,
+    age: patient.age,
+    gender: patient.gender,
+    email: patient.email,
+    phone: patient.phone,
+    createdBy: patient.createdBy,
+    createdAt: patient.createdAt
+  };
+}
+
+// Find likely duplicate pairs among active patients matching scope, best
+// first. When patientId is given, only pairs involving that patient are returned.
+async function findDuplicateCandidates({ scope = {}, patientId, minScore = DEFAULT_MIN_SCORE, limit = 50 } = {}) {
+  const patients = await Patient.find(Object.assign({}, scope, { isActive: true }))
+    .select('patientId name age gender email phone createdBy createdAt')
+    .lean();
+
+  const blocks = new Map();
+  patients.forEach((patient) => {
+    blockingKeys(patient).forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(patient);
+    });
+  });
+
+  const target = patientId ? patientId.toString() : null;
+  const compared = new Set();
+  const candidates = [];
+
+  blocks.forEach((members) => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]];
+        const ids = [a._id.toString(), b._id.toString()].sort();
+        if (target && !ids.includes(target)) continue;
+
+        const pairKey = ids.join(':');
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const { score, signals } = scorePair(a, b);
+        if (score >= minScore) {
+          candidates.push({ score, signals, patients: [summarize(a), summarize(b)] });
+        }
+      }
+    }
+  });
+
+  candidates.sort((x, y) => y.score - x.score);
+  return candidates.slice(0, limit);
+}
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  normalizeName,
+  jaroWinkler,
+  scorePair,
+  findDuplicateCandidates
+};
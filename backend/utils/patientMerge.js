@@ -0,0 +1,165 @@
+const Patient = require('../models/Patient');
+const Prediction = require('../models/Prediction');
+const Observation = require('../models/Observation');
+const PatientMerge = require('../models/PatientMerge');
+
+// Single-valued fields: the survivor keeps its own value unless it is blank
+// or the field is listed to be taken from the merged record
+const MERGE_FIELDS = [
+  'name', 'age', 'gender', 'email', 'phone',
+  'address.street', 'address.city', 'address.state', 'address.zipCode', 'address.country',
+  'emergencyContact.name', 'emergencyContact.relationship', 'emergencyContact.phone',
+  'lifestyle.smoking', 'lifestyle.alcohol', 'lifestyle.exercise', 'lifestyle.diet'
+];
+
+// List fields are combined from both records
+const LIST_FIELDS = [
+  'medicalHistory.conditions', 'medicalHistory.medications',
+  'medicalHistory.allergies', 'medicalHistory.surgeries'
+];
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Value at a dotted path of a plain object
+function valueAt(record, field) {
+  return field.split('.').reduce((value, key) => (value ? value[key] : undefined), record);
+}
+
+// Survivor fields the merge changes, as [{ field, from, to }]
+function mergeChanges(survivor, merged, takeFields = []) {
+  const changes = [];
+
+  MERGE_FIELDS.forEach((field) => {
+    const current = valueAt(survivor, field);
+    const incoming = valueAt(merged, field);
+    if (isBlank(incoming) || sameValue(current, incoming)) {
+      return;
+    }
+    if (takeFields.includes(field) || isBlank(current)) {
+      changes.push({ field, from: current, to: incoming });
+    }
+  });
+
+  LIST_FIELDS.forEach((field) => {
+    const current = valueAt(survivor, field) || [];
+    const known = current.map(item => item.toLowerCase());
+    const added = (valueAt(merged, field) || []).filter(item => !known.includes(item.toLowerCase()));
+    if (added.length) {
+      changes.push({ field, from: current, to: current.concat(added) });
+    }
+  });
+
+  return changes;
+}
+
+// Merge one patient record into another: fill and combine the survivor's
+// fields, re-point the merged patient's predictions and observations, and
+// retire the merged record. The audit record is written first so a merge
+// interrupted part way can still be undone.
+async function mergePatients(survivor, merged, { fields, reason, userId }) {
+  const survivorBefore = survivor.toObject();
+  const mergedBefore = merged.toObject();
+  const changes = mergeChanges(survivorBefore, mergedBefore, fields);
+
+  const movedPredictions = await Prediction.find({ patient: merged._id }).distinct('_id');
+  const movedObservations = await Observation.find({ patient: merged._id }).distinct('_id');
+
+  const merge = await PatientMerge.create({
+    survivor: survivor._id,
+    merged: merged._id,
+    survivorBefore,
+    mergedBefore,
+    changes,
+    movedPredictions,
+    movedObservations,
+    reason,
+    mergedBy: userId
+  });
+
+  changes.forEach(change => survivor.set(change.field, change.to));
+  await survivor.save();
+
+  merged.isActive = false;
+  merged.mergedInto = survivor._id;
+  await merged.save();
+
+  await Prediction.updateMany({ _id: { $in: movedPredictions } }, { patient: survivor._id });
+  await Observation.updateMany({ _id: { $in: movedObservations } }, { patient: survivor._id });
+
+  return merge;
+}
+
+// Reverse a merge. Survivor fields edited since the merge keep their new
+// value and are reported as conflicts; predictions and observations added to
+// the survivor since the merge stay with it. Merges involving either record
+// that were made later must be undone first.
+// Returns { merge, conflicts }, or { error, status } when the merge cannot be undone.
+async function undoMerge(merge, userId) {
+  if (merge.status !== 'merged') {
+    return { error: 'Merge has already been undone', status: 409 };
+  }
+
+  const records = [merge.survivor, merge.merged];
+  const later = await PatientMerge.findOne({
+    _id: { $ne: merge._id },
+    status: 'merged',
+    createdAt: { $gt: merge.createdAt },
+    $or: [{ survivor: { $in: records } }, { merged: { $in: records } }]
+  }).sort({ createdAt: -1 });
+  if (later) {
+    return { error: `Undo the later merge ${later._id} first`, status: 409 };
+  }
+
+  const survivor = await Patient.findById(merge.survivor);
+  const merged = await Patient.findById(merge.merged);
+  if (!survivor || !merged) {
+    return { error: 'Merged patient records no longer exist', status: 404 };
+  }
+
+  const current = survivor.toObject();
+  const conflicts = [];
+  merge.changes.forEach((change) => {
+    if (sameValue(valueAt(current, change.field), change.to)) {
+      survivor.set(change.field, change.from);
+    } else {
+      conflicts.push(change.field);
+    }
+  });
+  await survivor.save();
+
+  merged.isActive = merge.mergedBefore.isActive !== false;
+  merged.mergedInto = undefined;
+  await merged.save();
+
+  await Prediction.updateMany(
+    { _id: { $in: merge.movedPredictions }, patient: survivor._id },
+    { patient: merged._id }
+  );
+  await Observation.updateMany(
+    { _id: { $in: merge.movedObservations }, patient: survivor._id },
+    { patient: merged._id }
+  );
+
+  merge.status = 'undone';
+  merge.undoneBy = userId;
+  merge.undoneAt = new Date();
+  await merge.save();
+
+  return { merge, conflicts };
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  LIST_FIELDS,
+  valueAt,
+  sameValue,
+  mergeChanges,
+  mergePatients,
+  undoMerge
+};
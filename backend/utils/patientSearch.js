@@ -0,0 +1,176 @@
+const Prediction = require('../models/Prediction');
+const FollowUp = require('../models/FollowUp');
+
+// Sort keys accepted by patient search and the fields they order by.
+// risk orders by the probability of the patient's latest prediction.
+const SORT_FIELDS = {
+  name: 'name',
+  age: 'age',
+  createdAt: 'createdAt',
+  risk: 'latestPrediction.prediction'
+};
+
+// Search terms beyond this are ignored
+const MAX_SEARCH_TERMS = 10;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-insensitive whole-value match, e.g. a city or a list item
+function exactMatch(text) {
+  return new RegExp(`^${escapeRegex(text.trim())}$`, 'i');
+}
+
+// Turn free text into a $text search string. Punctuation around words (including
+// minus signs, which would negate a term) and quotes are dropped. Plain words are
+// matched as stemmed terms; words with punctuation inside, like emails, must
+// appear as written.
+// Returns null when nothing searchable is left.
+function textSearchString(text) {
+  const words = String(text || '')
+    .split(/\s+/)
+    .map(word => word.replace(/["\\]/g, '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_TERMS);
+
+  if (words.length === 0) {
+    return null;
+  }
+  return words.map(word => (/^[\p{L}\p{N}]+$/u.test(word) ? word : `"${word}"`)).join(' ');
+}
+
+// Attach each patient's latest active prediction as latestPrediction
+function latestPredictionStages() {
+  return [
+    {
+      $lookup: {
+        from: Prediction.collection.name,
+        let: { patientId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$patient', '$$patientId'] }, isActive: true } },
+          { $sort: { createdAt: -1 } },
+          { $limit: 1 },
+          { $project: { prediction: 1, riskLevel: 1, followUpDate: 1, createdAt: 1 } }
+        ],
+        as: 'latestPrediction'
+      }
+    },
+    { $unwind: { path: '$latestPrediction', preserveNullAndEmptyArrays: true } }
+  ];
+}
+
+// Attach at most one scheduled follow-up that is past due as overdueFollowUps
+function overdueFollowUpStages() {
+  return [
+    {
+      $lookup: {
+        from: FollowUp.collection.name,
+        let: { patientId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$patient', '$$patientId'] },
+              status: 'scheduled',
+              dueDate: { $lt: new Date() }
+            }
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'overdueFollowUps'
+      }
+    }
+  ];
+}
+
+// Build the aggregation pipeline for a patient search. scope restricts the
+// patients that may be returned; the result is a single document of
+// { patients, total: [{ count }] }.
+function buildPatientSearch(scope, options = {}) {
+  const match = Object.assign({}, scope);
+
+  const search = textSearchString(options.search);
+  if (search) {
+    match.$text = { $search: search };
+  }
+  if (options.gender) {
+    match.gender = options.gender;
+  }
+  if (options.minAge !== undefined || options.maxAge !== undefined) {
+    match.age = {};
+    if (options.minAge !== undefined) match.age.$gte = options.minAge;
+    if (options.maxAge !== undefined) match.age.$lte = options.maxAge;
+  }
+  if (options.conditions && options.conditions.length) {
+    match['medicalHistory.conditions'] = { $all: options.conditions.map(exactMatch) };
+  }
+  if (options.medications && options.medications.length) {
+    match['medicalHistory.medications'] = { $all: options.medications.map(exactMatch) };
+  }
+  if (options.smoking !== undefined) {
+    match['lifestyle.smoking'] = options.smoking;
+  }
+  if (options.city) {
+    match['address.city'] = exactMatch(options.city);
+  }
+
+  // Filters on the latest prediction
+  const predictionMatch = {};
+  if (options.riskLevel && options.riskLevel.length) {
+    predictionMatch['latestPrediction.riskLevel'] = { $in: options.riskLevel };
+  }
+
+  // Relevance first when searching, unless another order is asked for
+  const sortKey = options.sort || (search ? 'relevance' : 'createdAt');
+  const order = options.order || (sortKey === 'name' ? 'asc' : 'desc');
+  const sort = sortKey === 'relevance'
+    ? { searchScore: -1, createdAt: -1 }
+    : { [SORT_FIELDS[sortKey]]: order === 'asc' ? 1 : -1 };
+  sort._id = 1;
+
+  const page = options.page || 1;
+  const limit = options.limit || 10;
+
+  const pipeline = [{ $match: match }];
+  if (search) {
+    pipeline.push({ $addFields: { searchScore: { $meta: 'textScore' } } });
+  }
+  if (options.overdueFollowUp !== undefined) {
+    pipeline.push(...overdueFollowUpStages(), {
+      $match: { overdueFollowUps: options.overdueFollowUp ? { $ne: [] } : { $size: 0 } }
+    });
+  }
+
+  // The latest prediction is only needed for every match when filtering or
+  // sorting on it; otherwise it is looked up for the returned page alone
+  const needsPredictionFirst = Object.keys(predictionMatch).length > 0 || sortKey === 'risk';
+  if (needsPredictionFirst) {
+    pipeline.push(...latestPredictionStages());
+    if (Object.keys(predictionMatch).length) {
+      pipeline.push({ $match: predictionMatch });
+    }
+  }
+
+  pipeline.push({
+    $facet: {
+      patients: [
+        { $sort: sort },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        ...(needsPredictionFirst ? [] : latestPredictionStages()),
+        { $project: { __v: 0, overdueFollowUps: 0 } }
+      ],
+      total: [{ $count: 'count' }]
+    }
+  });
+
+  return pipeline;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  escapeRegex,
+  textSearchString,
+  buildPatientSearch
+};
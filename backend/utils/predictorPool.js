@@ -0,0 +1,188 @@
+const { PythonShell } = require('python-shell');
+const path = require('path');
+
+// Pool of long-lived Python predictor workers (ml/serve.py).
+// Each worker loads the persisted model once and then answers requests
+// over a line-delimited JSON protocol on stdin/stdout.
+function createPredictorPool(options = {}) {
+  const size = options.size || parseInt(process.env.ML_WORKER_POOL_SIZE) || 2;
+  const timeoutMs = options.timeoutMs || parseInt(process.env.ML_WORKER_TIMEOUT_MS) || 10000;
+  const retryDelayMs = options.retryDelayMs || 30000;
+  const shellOptions = {
+    mode: 'text',
+    pythonPath: options.pythonPath || process.env.PYTHON_PATH || 'python3',
+    pythonOptions: ['-u'],
+    scriptPath: options.scriptPath || path.join(__dirname, '../ml'),
+    args: options.modelPath ? ['--model', options.modelPath] : []
+  };
+
+  const workers = [];
+  const queue = [];
+  let nextRequestId = 1;
+  let unavailableUntil = 0;
+  let closed = false;
+
+  function spawnWorker() {
+    const worker = {
+      shell: new PythonShell('serve.py', shellOptions),
+      ready: false,
+      job: null
+    };
+
+    worker.shell.on('message', (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        console.error('Predictor worker sent invalid output:', line);
+        return;
+      }
+
+      if (message.ready !== undefined) {
+        if (message.ready) {
+          worker.ready = true;
+          dispatch();
+        } else {
+          console.error('Predictor worker failed to start:', message.error);
+        }
+        return;
+      }
+
+      const job = worker.job;
+      if (!job || job.id !== message.id) {
+        return;
+      }
+
+      clearTimeout(job.timer);
+      worker.job = null;
+      delete message.id;
+      job.resolve(message);
+      dispatch();
+    });
+
+    worker.shell.on('stderr', (line) => {
+      console.error('Predictor worker:', line);
+    });
+
+    // Raised when the process cannot be spawned, in which case 'close' never fires
+    worker.shell.on('error', (error) => {
+      console.error('Predictor worker error:', error.message);
+      removeWorker(worker, error);
+    });
+
+    worker.shell.on('pythonError', (error) => {
+      console.error('Predictor worker exited:', error.message);
+    });
+
+    worker.shell.on('close', () => {
+      removeWorker(worker, new Error('Predictor worker exited'));
+    });
+
+    workers.push(worker);
+    return worker;
+  }
+
+  function removeWorker(worker, error) {
+    const index = workers.indexOf(worker);
+    if (index === -1) {
+      return;
+    }
+    workers.splice(index, 1);
+
+    if (worker.job) {
+      clearTimeout(worker.job.timer);
+      worker.job.reject(error);
+      worker.job = null;
+    }
+
+    // A worker that never became ready means Python or the model is unavailable;
+    // fail queued requests fast instead of waiting on a worker that won't come
+    if (!worker.ready) {
+      unavailableUntil = Date.now() + retryDelayMs;
+      if (!workers.some(w => w.ready)) {
+        queue.splice(0).forEach((job) => {
+          clearTimeout(job.timer);
+          job.reject(error);
+        });
+      }
+    }
+
+    if (!closed && queue.length > 0) {
+      dispatch();
+    }
+  }
+
+  function stopWorker(worker, error) {
+    removeWorker(worker, error);
+    if (!worker.shell.terminated) {
+      worker.shell.kill();
+    }
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      const worker = workers.find(w => w.ready && !w.job);
+      if (!worker) {
+        break;
+      }
+
+      const job = queue.shift();
+      job.worker = worker;
+      worker.job = job;
+      worker.shell.send(JSON.stringify({ id: job.id, features: job.features }));
+    }
+
+    // Grow the pool while requests are waiting
+    if (queue.length > 0 && workers.length < size && Date.now() >= unavailableUntil) {
+      spawnWorker();
+    }
+  }
+
+  function predict(features) {
+    if (closed) {
+      return Promise.reject(new Error('Predictor pool is closed'));
+    }
+    if (Date.now() < unavailableUntil && !workers.some(w => w.ready)) {
+      return Promise.reject(new Error('Predictor workers are unavailable'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { id: nextRequestId++, features, resolve, reject, worker: null };
+
+      // The timeout covers both waiting in the queue and scoring
+      job.timer = setTimeout(() => {
+        const error = new Error(`Prediction timed out after ${timeoutMs}ms`);
+        if (job.worker) {
+          stopWorker(job.worker, error);
+        } else {
+          queue.splice(queue.indexOf(job), 1);
+          reject(error);
+        }
+      }, timeoutMs);
+
+      queue.push(job);
+      dispatch();
+    });
+  }
+
+  function close() {
+    closed = true;
+    queue.splice(0).forEach((job) => {
+      clearTimeout(job.timer);
+      job.reject(new Error('Predictor pool is closed'));
+    });
+    workers.slice().forEach(worker => stopWorker(worker, new Error('Predictor pool is closed')));
+  }
+
+  return {
+    predict,
+    close,
+    get size() {
+      return workers.length;
+    }
+  };
+}
+
+module.exports = {
+  createPredictorPool
+};
@@ -0,0 +1,220 @@
+const RecommendationRuleSet = require('../models/RecommendationRuleSet');
+const { PREDICTION_FIELDS, coercePredictionInput } = require('./mlPredictor');
+
+// Rule conditions can test these context fields:
+// - probability and riskLevel of the prediction
+// - input.<field>: the prediction inputs in API format (e.g. input.sex is 'male')
+// - patient.lifestyle.* and patient.medicalHistory.* of the patient, when known
+const RULE_FIELDS = ['probability', 'riskLevel']
+  .concat(PREDICTION_FIELDS.map(field => `input.${field}`))
+  .concat(['smoking', 'alcohol', 'exercise', 'diet'].map(field => `patient.lifestyle.${field}`))
+  .concat(['conditions', 'medications', 'allergies', 'surgeries'].map(field => `patient.medicalHistory.${field}`));
+
+const RULE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'exists'];
+
+// Rules used until an admin saves a rule set
+const DEFAULT_RULE_SET = {
+  version: 0,
+  rules: [
+    { ruleId: 'critical-consultation', text: 'Immediate medical consultation required', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'critical' }] },
+    { ruleId: 'critical-emergency-care', text: 'Consider emergency care if symptoms worsen', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'critical' }] },
+    { ruleId: 'critical-contact-cardiologist', text: 'Contact cardiologist immediately', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'critical' }] },
+    { ruleId: 'high-cardiology-follow-up', text: 'Schedule follow-up with cardiologist', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'high' }] },
+    { ruleId: 'high-monitor-symptoms', text: 'Monitor symptoms closely', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'high' }] },
+    { ruleId: 'high-review-medications', text: 'Review current medications', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'high' }] },
+    { ruleId: 'medium-check-ups', text: 'Regular health check-ups recommended', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'medium' }] },
+    { ruleId: 'medium-healthy-lifestyle', text: 'Maintain healthy lifestyle habits', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'medium' }] },
+    { ruleId: 'medium-heart-healthy-diet', text: 'Focus on heart-healthy diet', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'medium' }] },
+    { ruleId: 'low-preventive-care', text: 'Continue with preventive care', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'low' }] },
+    { ruleId: 'low-exercise-and-diet', text: 'Regular exercise and healthy diet', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'low' }] },
+    { ruleId: 'low-avoid-smoking-alcohol', text: 'Avoid smoking and excessive alcohol', conditions: [{ field: 'riskLevel', operator: 'eq', value: 'low' }] },
+    { ruleId: 'blood-pressure', text: 'Blood pressure management needed', conditions: [{ field: 'input.restingBP', operator: 'gt', value: 140 }] },
+    { ruleId: 'cholesterol', text: 'Cholesterol management recommended', conditions: [{ field: 'input.cholesterol', operator: 'gt', value: 200 }] },
+    { ruleId: 'blood-sugar', text: 'Blood sugar monitoring advised', conditions: [{ field: 'input.fastingBS', operator: 'eq', value: 1 }] },
+    { ruleId: 'exercise-angina', text: 'Exercise stress test recommended', conditions: [{ field: 'input.exerciseAngina', operator: 'eq', value: true }] },
+    { ruleId: 'smoking-cessation', text: 'Smoking cessation support recommended', conditions: [{ field: 'patient.lifestyle.smoking', operator: 'eq', value: true }] },
+    {
+      ruleId: 'sedentary',
+      text: 'Gradually increase physical activity as tolerated',
+      conditions: [
+        { field: 'patient.lifestyle.exercise', operator: 'eq', value: 'none' },
+        { field: 'riskLevel', operator: 'in', value: ['low', 'medium'] }
+      ]
+    }
+  ]
+};
+
+// Active rule set, cached so recommendations can be generated synchronously
+let activeRuleSet = DEFAULT_RULE_SET;
+
+// Reload the active rule set from the database (startup and after edits)
+async function loadRecommendationRules() {
+  const ruleSet = await RecommendationRuleSet.findOne({ isActive: true }).lean();
+  activeRuleSet = ruleSet || DEFAULT_RULE_SET;
+  return activeRuleSet;
+}
+
+function getRecommendationRules() {
+  return activeRuleSet;
+}
+
+// Check one condition; returns an error message or null
+function validateCondition(condition) {
+  if (!condition || !RULE_FIELDS.includes(condition.field)) {
+    return `Condition field must be one of: ${RULE_FIELDS.join(', ')}`;
+  }
+  if (!RULE_OPERATORS.includes(condition.operator)) {
+    return `Condition operator must be one of: ${RULE_OPERATORS.join(', ')}`;
+  }
+
+  const { operator, value } = condition;
+  if (['gt', 'gte', 'lt', 'lte'].includes(operator) && typeof value !== 'number') {
+    return `Operator ${operator} needs a numeric value`;
+  }
+  if (operator === 'in' && !Array.isArray(value)) {
+    return 'Operator in needs an array value';
+  }
+  if (operator === 'contains' && typeof value !== 'string') {
+    return 'Operator contains needs a string value';
+  }
+  if (operator === 'exists' && typeof value !== 'boolean') {
+    return 'Operator exists needs a boolean value';
+  }
+  if (['eq', 'ne'].includes(operator) && !['string', 'number', 'boolean'].includes(typeof value)) {
+    return `Operator ${operator} needs a string, number or boolean value`;
+  }
+  return null;
+}
+
+// Check a whole rule set body; returns an error message or null
+function validateRuleSet(ruleSet) {
+  const rules = ruleSet.rules;
+  if (!Array.isArray(rules) || rules.length === 0 || rules.length > 200) {
+    return 'Rules must be an array of 1 to 200 entries';
+  }
+
+  for (const rule of rules) {
+    if (!rule || typeof rule.ruleId !== 'string' || !rule.ruleId.trim()) {
+      return 'Each rule needs a ruleId';
+    }
+    if (typeof rule.text !== 'string' || !rule.text.trim() || rule.text.length > 500) {
+      return `Rule ${rule.ruleId}: text must be 1 to 500 characters`;
+    }
+    if (rule.conditions !== undefined && !Array.isArray(rule.conditions)) {
+      return `Rule ${rule.ruleId}: conditions must be an array`;
+    }
+    for (const condition of rule.conditions || []) {
+      const conditionError = validateCondition(condition);
+      if (conditionError) {
+        return `Rule ${rule.ruleId}: ${conditionError}`;
+      }
+    }
+  }
+
+  if (new Set(rules.map(r => r.ruleId.trim())).size !== rules.length) {
+    return 'Rule IDs must be unique';
+  }
+  return null;
+}
+
+// Rules with a riskLevel condition naming none of the given band labels, as
+// [{ ruleId, levels }]. Such rules can never fire, e.g. after bands are relabelled.
+function unmatchedRiskLevelRules(ruleSet, labels) {
+  const unmatched = [];
+  ruleSet.rules.forEach((rule) => {
+    const levels = [];
+    (rule.conditions || []).forEach((condition) => {
+      if (condition.field !== 'riskLevel' || !['eq', 'in'].includes(condition.operator)) {
+        return;
+      }
+      const values = [].concat(condition.value);
+      if (!values.some(value => labels.includes(value))) {
+        levels.push(...values);
+      }
+    });
+    if (levels.length) {
+      unmatched.push({ ruleId: rule.ruleId, levels });
+    }
+  });
+  return unmatched;
+}
+
+// Read a dotted field path from the rule context
+function readField(context, field) {
+  return field.split('.').reduce((value, key) =>
+    (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+// Case-insensitive text comparison for list and string fields
+function normalizeText(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function matchesCondition(condition, context) {
+  const actual = readField(context, condition.field);
+  const expected = condition.value;
+
+  if (condition.operator === 'exists') {
+    const present = actual !== undefined && actual !== null &&
+      !(Array.isArray(actual) && actual.length === 0);
+    return present === expected;
+  }
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  switch (condition.operator) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    case 'in': return expected.includes(actual);
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.some(item => normalizeText(item) === normalizeText(expected))
+        : normalizeText(actual).includes(normalizeText(expected));
+    default: return false;
+  }
+}
+
+// Apply the rule set to a prediction. The context is
+// { probability, riskLevel, inputs (API format), patient (optional) }.
+// Inputs are coerced here so every endpoint evaluates the same types.
+// Returns the recommendation texts, in rule order, and the rules that fired.
+function generateRecommendations(context, ruleSet = activeRuleSet) {
+  const ruleContext = {
+    probability: context.probability,
+    riskLevel: context.riskLevel,
+    input: coercePredictionInput(context.inputs || {}),
+    patient: context.patient || {}
+  };
+
+  const fired = [];
+  ruleSet.rules.forEach((rule) => {
+    if ((rule.conditions || []).every(condition => matchesCondition(condition, ruleContext)) &&
+        !fired.some(r => r.text === rule.text)) {
+      fired.push({ ruleId: rule.ruleId, text: rule.text });
+    }
+  });
+
+  return {
+    recommendations: fired.map(r => r.text),
+    recommendationSource: {
+      ruleSetVersion: ruleSet.version,
+      rules: fired
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RULE_SET,
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  loadRecommendationRules,
+  getRecommendationRules,
+  validateRuleSet,
+  unmatchedRiskLevelRules,
+  generateRecommendations
+};
@@ -0,0 +1,200 @@
+const RiskPolicy = require('../models/RiskPolicy');
+
+// Bands used until an admin saves a policy
+const DEFAULT_POLICY = {
+  version: 0,
+  bands: [
+    { label: 'low', minProbability: 0, followUpDays: 180 },
+    { label: 'medium', minProbability: 0.25, followUpDays: 90 },
+    { label: 'high', minProbability: 0.5, followUpDays: 30 },
+    { label: 'critical', minProbability: 0.75, followUpDays: 7 }
+  ],
+  populations: []
+};
+
+// Active policy, cached so risk levels can be computed synchronously
+let activePolicy = DEFAULT_POLICY;
+
+// Reload the active policy from the database (startup and after edits)
+async function loadRiskPolicy() {
+  const policy = await RiskPolicy.findOne({ isActive: true }).lean();
+  activePolicy = policy || DEFAULT_POLICY;
+  return activePolicy;
+}
+
+function getRiskPolicy() {
+  return activePolicy;
+}
+
+// Check a bands array: 2-10 unique labels, starting at 0, strictly increasing
+function validateBands(bands) {
+  if (!Array.isArray(bands) || bands.length < 2 || bands.length > 10) {
+    return 'Bands must be an array of 2 to 10 entries';
+  }
+  if (bands.some(b => !b || typeof b.label !== 'string' || !b.label.trim() ||
+      typeof b.minProbability !== 'number' || b.minProbability < 0 || b.minProbability > 1)) {
+    return 'Each band needs a label and a minProbability between 0 and 1';
+  }
+  if (bands.some(b => b.followUpDays !== undefined && b.followUpDays !== null &&
+      !(Number.isInteger(b.followUpDays) && b.followUpDays >= 1 && b.followUpDays <= 3650))) {
+    return 'Band follow-up days must be a whole number between 1 and 3650';
+  }
+  if (bands[0].minProbability !== 0) {
+    return 'The first band must start at 0';
+  }
+  for (let i = 1; i < bands.length; i++) {
+    if (bands[i].minProbability <= bands[i - 1].minProbability) {
+      return 'Band lower bounds must be strictly increasing';
+    }
+  }
+  if (new Set(bands.map(b => b.label.trim())).size !== bands.length) {
+    return 'Band labels must be unique';
+  }
+  return null;
+}
+
+// Check a whole policy body; returns an error message or null
+function validateRiskPolicy(policy) {
+  const bandsError = validateBands(policy.bands);
+  if (bandsError) {
+    return bandsError;
+  }
+
+  const populations = policy.populations || [];
+  if (!Array.isArray(populations)) {
+    return 'Populations must be an array';
+  }
+  for (const population of populations) {
+    if (!population || !population.name) {
+      return 'Each population needs a name';
+    }
+    const populationError = validateBands(population.bands);
+    if (populationError) {
+      return `Population ${population.name}: ${populationError}`;
+    }
+  }
+  return null;
+}
+
+// Does a patient context ({ age, sex }) satisfy a population's criteria
+function matchesPopulation(population, context) {
+  const criteria = population.criteria || {};
+  if (criteria.sex && criteria.sex !== context.sex) return false;
+  if (criteria.minAge !== undefined && criteria.minAge !== null && !(context.age >= criteria.minAge)) return false;
+  if (criteria.maxAge !== undefined && criteria.maxAge !== null && !(context.age <= criteria.maxAge)) return false;
+  return true;
+}
+
+// Bands that apply to a patient context, in ascending order
+function getRiskBands(context, policy = activePolicy) {
+  if (context) {
+    const population = (policy.populations || []).find(p => matchesPopulation(p, context));
+    if (population) {
+      return population.bands;
+    }
+  }
+  return policy.bands;
+}
+
+// Map a probability to its risk band label.
+// context is optional ({ age, sex: 'male' | 'female' }) and selects population bands.
+function getRiskLevel(probability, context, policy = activePolicy) {
+  const bands = getRiskBands(context, policy);
+  let label = bands[0].label;
+  bands.forEach((band) => {
+    if (probability >= band.minProbability) {
+      label = band.label;
+    }
+  });
+  return label;
+}
+
+// Days until follow-up suggested for a risk level. Bands without their own
+// interval use the default band of the same label; null when neither has one.
+function getFollowUpDays(riskLevel, context, policy = activePolicy) {
+  const band = getRiskBands(context, policy).find(b => b.label === riskLevel);
+  if (band && band.followUpDays) {
+    return band.followUpDays;
+  }
+  const defaultBand = DEFAULT_POLICY.bands.find(b => b.label === riskLevel);
+  return defaultBand ? defaultBand.followUpDays : null;
+}
+
+// Aggregation expression mapping a Prediction document to a value per risk band.
+// mapBand(band, index, bands) gives the value for each band of the matching band set.
+function riskBandExpression(mapBand, policy = activePolicy) {
+  const bandSwitch = bands => ({
+    $switch: {
+      branches: bands.slice(1).map((band, i) => ({
+        case: { $gte: ['$prediction', band.minProbability] },
+        then: mapBand(band, i + 1, bands)
+      })).reverse(),
+      default: mapBand(bands[0], 0, bands)
+    }
+  });
+
+  const populations = policy.populations || [];
+  if (populations.length === 0) {
+    return bandSwitch(policy.bands);
+  }
+
+  return {
+    $switch: {
+      branches: populations.map((population) => {
+        const criteria = population.criteria || {};
+        const conditions = [];
+        if (criteria.sex) conditions.push({ $eq: ['$sex', criteria.sex] });
+        if (criteria.minAge !== undefined && criteria.minAge !== null) conditions.push({ $gte: ['$age', criteria.minAge] });
+        if (criteria.maxAge !== undefined && criteria.maxAge !== null) conditions.push({ $lte: ['$age', criteria.maxAge] });
+        return {
+          case: conditions.length ? { $and: conditions } : true,
+          then: bandSwitch(population.bands)
+        };
+      }),
+      default: bandSwitch(policy.bands)
+    }
+  };
+}
+
+// Aggregation expression computing the risk band label of a Prediction document
+function riskLevelExpression(policy = activePolicy) {
+  return riskBandExpression(band => band.label, policy);
+}
+
+// Labels of every band in the policy, default bands first, in ascending order
+function getRiskLevelLabels(policy = activePolicy) {
+  const labels = policy.bands.map(b => b.label);
+  (policy.populations || []).forEach((population) => {
+    population.bands.forEach((band) => {
+      if (!labels.includes(band.label)) {
+        labels.push(band.label);
+      }
+    });
+  });
+  return labels;
+}
+
+// Human readable probability ranges of the default bands, e.g. { low: '0-24%' }
+function describeBands(bands = activePolicy.bands) {
+  const ranges = {};
+  bands.forEach((band, index) => {
+    const from = Math.round(band.minProbability * 100);
+    const to = index < bands.length - 1 ? Math.round(bands[index + 1].minProbability * 100) - 1 : 100;
+    ranges[band.label] = `${from}-${to}%`;
+  });
+  return ranges;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  loadRiskPolicy,
+  getRiskPolicy,
+  validateRiskPolicy,
+  getRiskBands,
+  getRiskLevel,
+  getFollowUpDays,
+  getRiskLevelLabels,
+  riskBandExpression,
+  riskLevelExpression,
+  describeBands
+};
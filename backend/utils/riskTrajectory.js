@@ -0,0 +1,180 @@
+const Prediction = require('../models/Prediction');
+const RiskAlert = require('../models/RiskAlert');
+const { getRiskBands, getRiskLevel } = require('./riskPolicy');
+
+// Rise in probability since the previous prediction that raises an alert;
+// 0 alerts whenever it does not fall
+const configuredDelta = parseFloat(process.env.RISK_ALERT_DELTA);
+const RISK_ALERT_DELTA = Number.isNaN(configuredDelta) ? 0.15 : configuredDelta;
+
+// Most recent predictions, including the new one, used for the slope
+const TRAJECTORY_WINDOW = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Least-squares slope of probability over time, per 30 days.
+// points are { at: Date, probability }; null without two distinct times.
+function probabilitySlope(points) {
+  if (points.length < 2) {
+    return null;
+  }
+
+  const xs = points.map(point => point.at.getTime() / DAY_MS);
+  const ys = points.map(point => point.probability);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+  let covariance = 0;
+  let variance = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    variance += (x - meanX) * (x - meanX);
+  });
+  return variance === 0 ? null : (covariance / variance) * 30;
+}
+
+// Direction of a move between two band labels of the bands in force. Labels
+// from an older policy that are not in those bands fall back to the delta.
+function bandChange(fromLevel, toLevel, bands, delta) {
+  if (fromLevel === toLevel) {
+    return 'none';
+  }
+  const labels = bands.map(band => band.label);
+  const from = labels.indexOf(fromLevel);
+  const to = labels.indexOf(toLevel);
+  if (from !== -1 && to !== -1) {
+    return to > from ? 'up' : 'down';
+  }
+  return delta >= 0 ? 'up' : 'down';
+}
+
+// Compare an unsaved prediction with the patient's earlier active predictions
+// and store the result on prediction.trajectory
+async function analyzeRiskTrajectory(prediction) {
+  if (!prediction.patient) {
+    return null;
+  }
+
+  const createdAt = prediction.createdAt || new Date();
+  const previous = await Prediction.find({
+    patient: prediction.patient,
+    isActive: true,
+    _id: { $ne: prediction._id },
+    createdAt: { $lte: createdAt }
+  })
+    .sort({ createdAt: -1 })
+    .limit(TRAJECTORY_WINDOW - 1)
+    .select('prediction riskLevel createdAt')
+    .lean();
+
+  if (previous.length === 0) {
+    prediction.trajectory = { points: 1 };
+    return prediction.trajectory;
+  }
+
+  const last = previous[0];
+  const delta = prediction.prediction - last.prediction;
+  const context = { age: prediction.age, sex: prediction.sex };
+  const bands = getRiskBands(context);
+  // Unsaved predictions get their band when validated
+  const riskLevel = prediction.riskLevel || getRiskLevel(prediction.prediction, context);
+  const points = previous.map(p => ({ at: p.createdAt, probability: p.prediction }))
+    .concat({ at: createdAt, probability: prediction.prediction });
+
+  prediction.trajectory = {
+    previousPrediction: last._id,
+    previousProbability: last.prediction,
+    previousRiskLevel: last.riskLevel,
+    delta,
+    bandChange: bandChange(last.riskLevel, riskLevel, bands, delta),
+    daysSincePrevious: (createdAt - last.createdAt) / DAY_MS,
+    slopePer30Days: probabilitySlope(points),
+    points: points.length
+  };
+  return prediction.trajectory;
+}
+
+// Raise an alert for a saved prediction whose trajectory shows a jump of at
+// least RISK_ALERT_DELTA or a move into the highest band. Returns the alert or null.
+async function raiseRiskAlert(prediction) {
+  const trajectory = prediction.trajectory;
+  if (!prediction.patient || !trajectory) {
+    return null;
+  }
+
+  const bands = getRiskBands({ age: prediction.age, sex: prediction.sex });
+  const topBand = bands[bands.length - 1].label;
+  const reasons = [];
+
+  if (trajectory.delta !== undefined && trajectory.delta >= RISK_ALERT_DELTA) {
+    reasons.push('risk_jump');
+  }
+  if (prediction.riskLevel === topBand && trajectory.previousRiskLevel !== topBand) {
+    reasons.push('top_band');
+  }
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  return RiskAlert.create({
+    patient: prediction.patient._id || prediction.patient,
+    prediction: prediction._id,
+    reasons,
+    probability: prediction.prediction,
+    riskLevel: prediction.riskLevel,
+    previousProbability: trajectory.previousProbability,
+    previousRiskLevel: trajectory.previousRiskLevel,
+    delta: trajectory.delta
+  });
+}
+
+// A patient's predictions as a time series, oldest first, with a summary of
+// the change over the period
+async function buildRiskTrend(patientId, { from, to } = {}) {
+  const filter = { patient: patientId, isActive: true };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const predictions = await Prediction.find(filter)
+    .sort({ createdAt: 1 })
+    .select('prediction riskLevel confidence modelVersion trajectory.delta trajectory.bandChange createdAt')
+    .lean();
+
+  const points = predictions.map(p => ({
+    prediction: p._id,
+    createdAt: p.createdAt,
+    probability: p.prediction,
+    riskLevel: p.riskLevel,
+    confidence: p.confidence,
+    modelVersion: p.modelVersion,
+    delta: p.trajectory ? p.trajectory.delta : undefined,
+    bandChange: p.trajectory ? p.trajectory.bandChange : undefined
+  }));
+
+  const first = points[0];
+  const latest = points[points.length - 1];
+
+  return {
+    points,
+    summary: {
+      count: points.length,
+      firstProbability: first ? first.probability : null,
+      latestProbability: latest ? latest.probability : null,
+      latestRiskLevel: latest ? latest.riskLevel : null,
+      change: points.length > 1 ? latest.probability - first.probability : null,
+      slopePer30Days: probabilitySlope(points.map(p => ({ at: p.createdAt, probability: p.probability }))),
+      bandChanges: points.filter(p => p.bandChange && p.bandChange !== 'none').length
+    }
+  };
+}
+
+module.exports = {
+  RISK_ALERT_DELTA,
+  probabilitySlope,
+  analyzeRiskTrajectory,
+  raiseRiskAlert,
+  buildRiskTrend
+};
@@ -0,0 +1,112 @@
+const ShadowConfig = require('../models/ShadowConfig');
+const ModelVersion = require('../models/ModelVersion');
+const Prediction = require('../models/Prediction');
+const { simplePrediction, scoreWithPython, scoreWithForest, ML_ENGINE } = require('./mlPredictor');
+const { getRiskLevel } = require('./riskPolicy');
+
+// Cached shadow configuration, with the resolved model for registered versions
+let shadowConfig = { enabled: false, target: null, model: null };
+
+// Reload the shadow configuration from the database (startup and after edits)
+async function loadShadowConfig() {
+  const config = await ShadowConfig.findOne().lean();
+  let model = null;
+
+  if (config && config.enabled && config.target !== 'simplified') {
+    model = await ModelVersion.findOne({ version: config.target }).lean();
+  }
+
+  shadowConfig = {
+    enabled: Boolean(config && config.enabled && (config.target === 'simplified' || model)),
+    target: config ? config.target : null,
+    model
+  };
+  return shadowConfig;
+}
+
+function getShadowConfig() {
+  return shadowConfig;
+}
+
+// Save the shadow configuration and reload it. Disabling keeps the last target.
+async function saveShadowConfig({ enabled, target, userId }) {
+  await ShadowConfig.findOneAndUpdate(
+    {},
+    { enabled, target: enabled ? target : shadowConfig.target, updatedBy: userId },
+    { upsert: true, new: true }
+  );
+  return loadShadowConfig();
+}
+
+// Score with the shadow target on the configured engine, using the target's
+// exported forest when the Python workers cannot score; never falls back to
+// another model
+async function shadowPrediction(predictionData) {
+  if (shadowConfig.target === 'simplified') {
+    return simplePrediction(predictionData);
+  }
+
+  const model = {
+    version: shadowConfig.model.version,
+    artifactPath: shadowConfig.model.artifactPath
+  };
+  const errors = [];
+
+  if (ML_ENGINE !== 'javascript') {
+    const result = await scoreWithPython(predictionData, model);
+    if (result.success) {
+      return result;
+    }
+    errors.push(`Python: ${result.error}`);
+  }
+
+  const result = await scoreWithForest(predictionData, model);
+  if (!result.success) {
+    errors.push(`JavaScript: ${result.error}`);
+    return { success: false, error: errors.join('; ') };
+  }
+  return result;
+}
+
+// Score a saved prediction with the shadow model and store the result on it.
+// Runs after the response path and only logs failures, so it never affects clinicians.
+async function recordShadowPrediction(prediction, predictionData) {
+  if (!shadowConfig.enabled) {
+    return null;
+  }
+
+  const result = await shadowPrediction(predictionData);
+  const shadow = {
+    target: shadowConfig.target,
+    scoredAt: new Date()
+  };
+
+  if (result.success) {
+    Object.assign(shadow, {
+      prediction: result.prediction,
+      riskLevel: getRiskLevel(result.prediction, { age: prediction.age, sex: prediction.sex }),
+      method: result.method,
+      modelVersion: result.modelVersion
+    });
+  } else {
+    shadow.error = result.error || 'Shadow prediction failed';
+  }
+
+  await Prediction.updateOne({ _id: prediction._id }, { shadow });
+  return shadow;
+}
+
+// Fire-and-forget wrapper for request handlers
+function runShadowPrediction(prediction, predictionData) {
+  recordShadowPrediction(prediction, predictionData).catch((error) => {
+    console.error('Shadow prediction error:', error);
+  });
+}
+
+module.exports = {
+  loadShadowConfig,
+  getShadowConfig,
+  saveShadowConfig,
+  recordShadowPrediction,
+  runShadowPrediction
+};
@@ -0,0 +1,179 @@
+const Prediction = require('../models/Prediction');
+const PatientEvent = require('../models/PatientEvent');
+const User = require('../models/User');
+const { MERGE_FIELDS, LIST_FIELDS, valueAt, sameValue } = require('./patientMerge');
+
+// Event types on a patient timeline. Creations, predictions and outcomes are
+// read from the records themselves; the rest come from the PatientEvent log.
+const EVENT_TYPES = [
+  'patient_created',
+  'patient_updated',
+  'patient_deleted',
+  'prediction_created',
+  'prediction_updated',
+  'prediction_deleted',
+  'outcome_recorded',
+  'followup_completed',
+  'followup_cancelled',
+  'followup_rescheduled'
+];
+
+const LOGGED_TYPES = PatientEvent.schema.path('type').enumValues;
+
+// Fields whose edits are logged
+const PATIENT_FIELDS = MERGE_FIELDS.concat(LIST_FIELDS);
+const PREDICTION_FIELDS = ['notes', 'recommendations', 'followUpDate'];
+
+// Fields that differ between two versions of a record, as [{ field, from, to }]
+function diffFields(before, after, fields) {
+  return fields
+    .filter(field => !sameValue(valueAt(before, field), valueAt(after, field)))
+    .map(field => ({ field, from: valueAt(before, field), to: valueAt(after, field) }));
+}
+
+// Append an event to the log. A failure is logged rather than thrown so it
+// never fails the change it describes.
+async function recordPatientEvent(event) {
+  try {
+    await PatientEvent.create(event);
+  } catch (error) {
+    console.error('Patient event record error:', error);
+  }
+}
+
+// Cursors encode the time and ID of the last event returned
+function encodeCursor(event) {
+  return Buffer.from(`${event.occurredAt.getTime()}:${event.id}`).toString('base64url');
+}
+
+// Returns { time, id }, or null when the cursor is malformed
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  if (!/^\d+$/.test(time || '') || !id) {
+    return null;
+  }
+  return { time: new Date(Number(time)), id };
+}
+
+// Newest first; events at the same time are ordered by ID
+function compareEvents(a, b) {
+  const byTime = b.occurredAt - a.occurredAt;
+  if (byTime !== 0) return byTime;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+async function attachActors(events) {
+  const ids = [...new Set(events.map(event => event.actor).filter(Boolean).map(String))];
+  const users = await User.find({ _id: { $in: ids } }).select('name email role').lean();
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+  events.forEach((event) => {
+    event.actor = event.actor ? byId.get(event.actor.toString()) || null : null;
+  });
+}
+
+// A page of a patient's timeline, newest first. types limits the event
+// types; cursor continues from the nextCursor of the previous page.
+// Returns { events, nextCursor } with nextCursor null on the last page.
+async function buildTimeline(patient, { types = EVENT_TYPES, cursor, limit = 20 } = {}) {
+  const position = cursor ? decodeCursor(cursor) : null;
+  const upTo = position ? { $lte: position.time } : null;
+  // Each source can fill the page on its own
+  const perSource = limit + 1;
+  const events = [];
+
+  if (types.includes('patient_created')) {
+    events.push({
+      id: `patient_created-${patient._id}`,
+      type: 'patient_created',
+      occurredAt: patient.createdAt,
+      actor: patient.createdBy
+    });
+  }
+
+  if (types.includes('prediction_created')) {
+    const filter = { patient: patient._id };
+    if (upTo) filter.createdAt = upTo;
+    const predictions = await Prediction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(perSource)
+      .select('prediction riskLevel confidence createdBy createdAt')
+      .lean();
+    predictions.forEach(prediction => events.push({
+      id: `prediction_created-${prediction._id}`,
+      type: 'prediction_created',
+      occurredAt: prediction.createdAt,
+      actor: prediction.createdBy,
+      prediction: prediction._id,
+      riskLevel: prediction.riskLevel,
+      probability: prediction.prediction,
+      confidence: prediction.confidence
+    }));
+  }
+
+  if (types.includes('outcome_recorded')) {
+    const predictions = await Prediction.find({
+      patient: patient._id,
+      'outcome.recordedAt': upTo || { $exists: true }
+    })
+      .sort({ 'outcome.recordedAt': -1, _id: -1 })
+      .limit(perSource)
+      .select('outcome')
+      .lean();
+    predictions.forEach(prediction => events.push({
+      id: `outcome_recorded-${prediction._id}`,
+      type: 'outcome_recorded',
+      occurredAt: prediction.outcome.recordedAt,
+      actor: prediction.outcome.recordedBy,
+      prediction: prediction._id,
+      outcome: {
+        eventType: prediction.outcome.eventType,
+        eventDate: prediction.outcome.eventDate,
+        notes: prediction.outcome.notes
+      }
+    }));
+  }
+
+  const loggedTypes = types.filter(type => LOGGED_TYPES.includes(type));
+  if (loggedTypes.length) {
+    const filter = { patient: patient._id, type: { $in: loggedTypes } };
+    if (upTo) filter.createdAt = upTo;
+    const logged = await PatientEvent.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(perSource)
+      .lean();
+    logged.forEach(event => events.push({
+      id: `${event.type}-${event._id}`,
+      type: event.type,
+      occurredAt: event.createdAt,
+      actor: event.actor,
+      prediction: event.prediction,
+      followUp: event.followUp,
+      changes: event.changes,
+      source: event.source,
+      note: event.note
+    }));
+  }
+
+  const remaining = events
+    .filter(event => !position || compareEvents(event, { occurredAt: position.time, id: position.id }) > 0)
+    .sort(compareEvents);
+
+  const page = remaining.slice(0, limit);
+  await attachActors(page);
+
+  return {
+    events: page,
+    nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PATIENT_FIELDS,
+  PREDICTION_FIELDS,
+  diffFields,
+  recordPatientEvent,
+  decodeCursor,
+  buildTimeline
+};
@@ -0,0 +1,110 @@
+const { PythonShell } = require('python-shell');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Prediction = require('../models/Prediction');
+const { encodePredictionData, validatePredictionData } = require('./mlPredictor');
+const { registerModel } = require('./modelRegistry');
+
+// Fewest outcome-labelled predictions we are willing to train on
+const MIN_TRAINING_SAMPLES = parseInt(process.env.ML_MIN_TRAINING_SAMPLES) || 50;
+
+// Build model-encoded training rows from predictions with a recorded outcome.
+// Any recorded event (hospitalization or death) is the positive class.
+// Predictions with imputed inputs are left out so the model never learns
+// from its own imputed values.
+async function buildTrainingSet() {
+  const predictions = await Prediction.find({
+    isActive: true,
+    'outcome.eventType': { $exists: true },
+    'imputation.fields.0': { $exists: false }
+  }).lean();
+
+  const rows = [];
+  predictions.forEach((prediction) => {
+    const features = encodePredictionData(prediction);
+    if (!validatePredictionData(features).valid) {
+      return;
+    }
+    rows.push(Object.assign(features, {
+      outcome: prediction.outcome.eventType === 'none' ? 0 : 1
+    }));
+  });
+
+  return rows;
+}
+
+// Run ml/train.py and return the metadata it prints on its last output line
+function runTrainingScript(args) {
+  return new Promise((resolve, reject) => {
+    const lines = [];
+    const shell = new PythonShell('train.py', {
+      mode: 'text',
+      pythonPath: process.env.PYTHON_PATH || 'python3',
+      pythonOptions: ['-u'],
+      scriptPath: path.join(__dirname, '../ml'),
+      args
+    });
+
+    shell.on('message', line => lines.push(line));
+    shell.end((err) => {
+      let output = null;
+      try {
+        output = lines.length ? JSON.parse(lines[lines.length - 1]) : null;
+      } catch (parseError) {
+        output = null;
+      }
+
+      if (output && !output.success) {
+        return reject(new Error(output.error));
+      }
+      if (err || !output) {
+        return reject(err || new Error('Training script produced no output'));
+      }
+      resolve(output);
+    });
+  });
+}
+
+// Train a new model version on stored outcomes and register it.
+// The new version stays inactive until an admin activates it.
+// Returns { model, samples } or { error, samples } when training is not possible.
+async function trainFromOutcomes(options = {}) {
+  const rows = await buildTrainingSet();
+  const minSamples = options.minSamples || MIN_TRAINING_SAMPLES;
+
+  if (rows.length < minSamples) {
+    return {
+      error: `At least ${minSamples} outcome-labelled predictions without imputed inputs are required, found ${rows.length}`,
+      samples: rows.length
+    };
+  }
+
+  const dataPath = path.join(os.tmpdir(), `hf-training-${Date.now()}.json`);
+  await fs.promises.writeFile(dataPath, JSON.stringify(rows));
+
+  try {
+    const args = ['--data', dataPath];
+    if (options.version) {
+      args.push('--version', options.version);
+    }
+
+    let metadata;
+    try {
+      metadata = await runTrainingScript(args);
+    } catch (error) {
+      return { error: error.message, samples: rows.length };
+    }
+
+    const model = await registerModel(metadata.version, options.userId);
+    return { model, samples: rows.length };
+  } finally {
+    await fs.promises.unlink(dataPath).catch(() => {});
+  }
+}
+
+module.exports = {
+  buildTrainingSet,
+  trainFromOutcomes,
+  MIN_TRAINING_SAMPLES
+};
@@ -181,6 +181,16 @@ export const patientsAPI = {
     limit?: number;
     search?: string;
     gender?: string;
+    minAge?: number;
+    maxAge?: number;
+    conditions?: string;
+    medications?: string;
+    smoking?: boolean;
+    city?: string;
+    riskLevel?: string;
+    overdueFollowUp?: boolean;
+    sort?: 'name' | 'age' | 'createdAt' | 'risk';
+    order?: 'asc' | 'desc';
   }) => api.get('/patients', { params }),
   getById: (id: string) => api.get(`/patients/${id}`),
   create: (data: Omit<Patient, '_id' | 'patientId' | 'createdBy' | 'isActive' | 'createdAt' | 'updatedAt'>) =>
@@ -189,6 +199,10 @@ export const patientsAPI = {
   delete: (id: string) => api.delete(`/patients/${id}`),
   getPredictions: (id: string, params?: { page?: number; limit?: number }) =>
     api.get(`/patients/${id}/predictions`, { params }),
+  getTimeline: (id: string, params?: { types?: string; cursor?: string; limit?: number }) =>
+    api.get(`/patients/${id}/timeline`, { params }),
+  getRiskTrend: (id: string, params?: { from?: string; to?: string }) =>
+    api.get(`/patients/${id}/risk-trend`, { params }),
   getStats: () => api.get('/patients/stats/overview'),
 };
 
@@ -208,6 +222,25 @@ export const predictionsAPI = {
   getStats: () => api.get('/predictions/stats/overview'),
 };
 
+// Follow-ups API
+export const followUpsAPI = {
+  getWorklist: (params?: {
+    status?: 'scheduled' | 'completed' | 'cancelled' | 'superseded';
+    withinDays?: number;
+    overdue?: boolean;
+    assignedTo?: string;
+    teamId?: string;
+    patientId?: string;
+    riskLevel?: string;
+    page?: number;
+    limit?: number;
+  }) => api.get('/followups', { params }),
+  complete: (id: string, data?: { note?: string }) => api.post(`/followups/${id}/complete`, data),
+  reschedule: (id: string, data: { dueDate: string; note?: string }) =>
+    api.post(`/followups/${id}/reschedule`, data),
+  cancel: (id: string, data?: { note?: string }) => api.post(`/followups/${id}/cancel`, data),
+};
+
 // ML API
 export const mlAPI = {
   predict: (data: MLPredictionData) => api.post('/ml/predict', data),